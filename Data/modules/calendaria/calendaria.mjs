@@ -18,6 +18,8 @@ import { overrideChatLogTimestamps } from './scripts/chat/chat-timestamp.mjs';
 import { HOOKS, JOURNALS, MODULE, SETTINGS, SHEETS, TEMPLATES } from './scripts/constants.mjs';
 import { registerHooks } from './scripts/hooks.mjs';
 import { initializeImporters } from './scripts/importers/index.mjs';
+import BaseActivityAdapter from './scripts/integrations/activities/base-adapter.mjs';
+import { initializeActivityAdapters } from './scripts/integrations/activities/index.mjs';
 import { initializeChatCommander } from './scripts/integrations/chat-commander.mjs';
 import NoteManager from './scripts/notes/note-manager.mjs';
 import { registerReadySettings, registerSettings } from './scripts/settings.mjs';
@@ -45,6 +47,7 @@ Hooks.once('init', async () => {
   registerKeybindings();
   registerHooks();
   initializeImporters();
+  initializeActivityAdapters();
   overrideChatLogTimestamps();
   CalendariaSocket.initialize();
   Object.assign(CONFIG.JournalEntryPage.dataModels, { [JOURNALS.CALENDAR_NOTE]: CalendarNoteDataModel });
@@ -106,6 +109,7 @@ Hooks.once('setup', () => {
 
 globalThis['CALENDARIA'] = {
   HUD,
+  BaseActivityAdapter,
   CalendariaCalendar,
   CalendarManager,
   CalendariaSocket,
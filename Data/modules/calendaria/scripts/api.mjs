@@ -7,15 +7,28 @@
 import { BigCal } from './applications/big-cal.mjs';
 import { CalendarEditor } from './applications/calendar-editor.mjs';
 import { MiniCal } from './applications/mini-cal.mjs';
+import { PartyTimelinesApp } from './applications/party-timelines.mjs';
+import { SearchPalette } from './applications/search-palette.mjs';
+import { SessionLedgerApp } from './applications/session-ledger.mjs';
+import { getAstronomicalEventsInRange } from './calendar/astronomy.mjs';
+import { convertDate } from './calendar/calendar-conversion.mjs';
 import CalendarManager from './calendar/calendar-manager.mjs';
-import { HOOKS, REPLACEABLE_ELEMENTS, SOCKET_TYPES, WIDGET_POINTS } from './constants.mjs';
+import { getTides } from './calendar/tides.mjs';
+import { HOOKS, REPLACEABLE_ELEMENTS, SOCKET_TYPES, TIME_SOURCES, WIDGET_POINTS } from './constants.mjs';
+import { exportNotesToICS, importNotesFromICS } from './importers/ics-notes.mjs';
+import { getActivityDuration, getActivityOptions, performActivity, registerActivityAdapter } from './integrations/activities/index.mjs';
+import ChainManager from './notes/chain-manager.mjs';
 import NoteManager from './notes/note-manager.mjs';
+import SchedulingManager from './notes/scheduling-manager.mjs';
 import { addDays, addMonths, addYears, compareDates, compareDays, dayOfWeek, daysBetween, isSameDay, isValidDate, monthsBetween } from './notes/utils/date-utils.mjs';
 import SearchManager from './search/search-manager.mjs';
+import PartyTimelines from './time/party-timelines.mjs';
+import SessionLedger from './time/session-ledger.mjs';
+import TimeHistory from './time/time-history.mjs';
 import { DEFAULT_FORMAT_PRESETS, formatCustom, getAvailableTokens, PRESET_FORMATTERS, resolveFormatString, timeSince } from './utils/format-utils.mjs';
 import { log } from './utils/logger.mjs';
 import { diagnoseWeatherConfig } from './utils/migrations.mjs';
-import { canAddNotes, canChangeActiveCalendar, canChangeDateTime, canEditCalendars, canEditNotes } from './utils/permissions.mjs';
+import { canAddNotes, canChangeActiveCalendar, canChangeDateTime, canEditCalendars } from './utils/permissions.mjs';
 import { CalendariaSocket } from './utils/socket.mjs';
 import * as WidgetManager from './utils/widget-manager.mjs';
 import WeatherManager from './weather/weather-manager.mjs';
@@ -36,6 +49,18 @@ export const CalendariaAPI = {
     return { ...components, year: components.year + yearZero };
   },
 
+  /**
+   * Get the current date and time on a party timeline.
+   * @param {string|null} [timelineId] - Timeline ID (defaults to the current user's timeline; null for world time)
+   * @returns {object} Time components with display year and 1-indexed day
+   */
+  getLocalDateTime(timelineId) {
+    const components = PartyTimelines.getComponents(timelineId);
+    const calendar = CalendarManager.getActiveCalendar();
+    const yearZero = calendar?.years?.yearZero ?? 0;
+    return { ...components, year: components.year + yearZero, day: components.dayOfMonth + 1 };
+  },
+
   /**
    * Advance the current time by a delta.
    * @param {number} delta - Time delta in seconds to advance
@@ -51,6 +76,7 @@ export const CalendariaAPI = {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta });
       return game.time.worldTime;
     }
+    SessionLedger.tagSource(TIME_SOURCES.API);
     return await game.time.advance(delta);
   },
 
@@ -75,6 +101,7 @@ export const CalendariaAPI = {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'set', components: internalComponents });
       return game.time.worldTime;
     }
+    SessionLedger.tagSource(TIME_SOURCES.API);
     return await game.time.set(internalComponents);
   },
 
@@ -101,6 +128,7 @@ export const CalendariaAPI = {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'jump', date: { year, month, day } });
       return;
     }
+    SessionLedger.tagSource(TIME_SOURCES.API);
     await calendar.jumpToDate({ year, month, day });
   },
 
@@ -143,7 +171,7 @@ export const CalendariaAPI = {
    * @returns {Promise<boolean>} True if calendar was switched successfully
    */
   async switchCalendar(id) {
-    if (!canChangeActiveCalendar()) {
+    if (!canChangeActiveCalendar({ calendarId: id })) {
       ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
       return false;
     }
@@ -172,6 +200,16 @@ export const CalendariaAPI = {
     return CalendarManager.getAllCurrentMoonPhases();
   },
 
+  /**
+   * Get the eclipses, moon conjunctions, solstices and equinoxes between two dates.
+   * @param {object} startDate - Range start { year, month, day }
+   * @param {object} endDate - Range end { year, month, day }
+   * @returns {Array<object>} Events with type, name, moons, magnitude and date, in date order
+   */
+  getAstronomicalEvents(startDate, endDate) {
+    return getAstronomicalEventsInRange(startDate, endDate);
+  },
+
   /**
    * Get the current season.
    * @returns {object|null} Season data with name and other properties
@@ -194,6 +232,37 @@ export const CalendariaAPI = {
     return calendar.getCycleValues();
   },
 
+  /**
+   * Convert a date between two installed calendars through their shared epochs.
+   * @param {object} [date] - Date { year, month, day, hour?, minute? } (display year, 0-indexed month, 1-indexed day); defaults to now in the active calendar
+   * @param {string} [fromId] - Calendar the date is in (defaults to the active calendar; ignored when date is omitted)
+   * @param {string} toId - Calendar to convert to
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}|null} Date in the target calendar, or null if either calendar is not installed
+   */
+  convertDate(date, fromId, toId) {
+    const from = date && fromId ? CalendarManager.getCalendar(fromId) : CalendarManager.getActiveCalendar();
+    const to = CalendarManager.getCalendar(toId);
+    if (!from || !to) return null;
+    if (!date) {
+      const components = game.time.components;
+      date = { year: components.year + (from.years?.yearZero ?? 0), month: components.month, day: components.dayOfMonth + 1, hour: components.hour, minute: components.minute, second: components.second };
+    }
+    return convertDate(date, from, to);
+  },
+
+  /**
+   * Get the high and low tides on a date for a climate zone.
+   * @param {object} [date] - Date { year, month, day } (defaults to today)
+   * @param {object|string} [zone] - Climate zone or zone ID. Defaults to active scene zone.
+   * @returns {object|null} Tides with zone, unit, tides (type, time, height), influences, alignment and kind ('spring'/'neap'), or null if the zone has no tides
+   */
+  getTides(date, zone) {
+    const calendar = CalendarManager.getActiveCalendar();
+    if (!calendar) return null;
+    zone ??= WeatherManager.getActiveZone?.(null, game.scenes?.active);
+    return getTides(date, zone, calendar);
+  },
+
   /**
    * Get the sunrise time in hours for the current day.
    * @param {object} [zone] - Optional climate zone override. Defaults to active scene zone.
@@ -423,18 +492,27 @@ export const CalendariaAPI = {
   },
 
   /**
-   * Search all content including notes and dates.
-   * Returns results with type information for categorized display.
-   * @param {string} term - Search term (minimum 2 characters)
+   * Search notes, ranked by fuzzy match score.
+   * Supports filters and quoted phrases: `category:faction after:1492-05 before:1493 moon:full author:me "exact phrase"`.
+   * @param {string} term - Search query
    * @param {object} [options] - Search options
    * @param {boolean} [options.searchContent] - Search note content
    * @param {number} [options.limit] - Max results
-   * @returns {object[]} Array of results with type field (e.g., 'note')
+   * @returns {object[]} Array of results with type field (e.g., 'note') and score
    */
   search(term, options = {}) {
     return SearchManager.search(term, options);
   },
 
+  /**
+   * Open the note search palette.
+   * @param {string} [query] - Query to start with
+   * @returns {object} The SearchPalette application
+   */
+  openSearch(query) {
+    return SearchPalette.show(query);
+  },
+
   /**
    * Create a new calendar note.
    * @param {object} options - Note creation options
@@ -451,7 +529,7 @@ export const CalendariaAPI = {
    * @returns {Promise<object>} Created note page
    */
   async createNote({ name, content = '', startDate, endDate, allDay = true, repeat = 'never', categories = [], icon, color, gmOnly = false }) {
-    if (!canAddNotes()) {
+    if (!canAddNotes({ categories })) {
       ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
       return null;
     }
@@ -481,7 +559,8 @@ export const CalendariaAPI = {
    * @returns {Promise<object>} Updated note page
    */
   async updateNote(pageId, updates) {
-    if (!canEditNotes()) {
+    const page = NoteManager.getFullNote(pageId);
+    if (page && !NoteManager.canChangeNote(page, updates.categories)) {
       ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
       return null;
     }
@@ -591,6 +670,84 @@ export const CalendariaAPI = {
     return NoteManager.getCategoryDefinitions();
   },
 
+  /**
+   * Get the availability grid of a real-world scheduling note.
+   * @param {string} pageId - Journal entry page ID
+   * @returns {{candidates: object[], rows: object[]}|null} Candidate dates with response counts and one row per invitee, or null if the note is not scheduling
+   */
+  getNoteAvailability(pageId) {
+    const page = NoteManager.getFullNote(pageId);
+    if (!SchedulingManager.isScheduling(page)) return null;
+    return SchedulingManager.getAvailabilityGrid(page);
+  },
+
+  /**
+   * Mark the current user's availability for a candidate date of a scheduling note.
+   * @param {string} pageId - Journal entry page ID
+   * @param {string} candidateId - Candidate date ID
+   * @param {string} response - 'yes', 'maybe' or 'no'
+   * @returns {Promise<void>}
+   */
+  async respondToNote(pageId, candidateId, response) {
+    await SchedulingManager.respond(NoteManager.getFullNote(pageId), candidateId, response);
+  },
+
+  /**
+   * Record that a note happened. Notes chained to it ("N days after") are moved to follow it.
+   * @param {string} pageId - Journal entry page ID
+   * @param {number} [worldTime] - When it happened (defaults to the current world time)
+   * @returns {Promise<void>}
+   */
+  async markNoteHappened(pageId, worldTime) {
+    await ChainManager.markTriggered(NoteManager.getFullNote(pageId), worldTime);
+  },
+
+  /**
+   * Get the event chain around a note: what it follows and what follows it.
+   * @param {string} pageId - Journal entry page ID
+   * @returns {{anchorId: string|null, description: string|null, happenedAt: number|null, dependents: object[]}|null} Chain info, or null if the note does not exist
+   */
+  getEventChain(pageId) {
+    const page = NoteManager.getFullNote(pageId);
+    if (!page) return null;
+    return {
+      anchorId: page.system.chain?.noteId ?? null,
+      description: ChainManager.getDescription(page.system),
+      happenedAt: ChainManager.hasTriggered(page) ? ChainManager.getAnchorTime(page) : null,
+      dependents: ChainManager.getDependents(pageId).map((n) => ({ id: n.id, name: n.name, chain: { ...n.flagData.chain }, worldTime: ChainManager.resolveTime(NoteManager.getFullNote(n.id)) }))
+    };
+  },
+
+  /**
+   * Export calendar notes as an iCalendar (.ics) document.
+   * Recurrences without an RRULE equivalent are expanded to RDATE; exact in-world dates
+   * are kept in X-CALENDARIA-* properties for lossless re-import.
+   * @param {object} [options] - Export options
+   * @param {string} [options.calendarId] - Calendar to export (defaults to active calendar)
+   * @param {string[]} [options.noteIds] - Only export these note page IDs
+   * @param {number} [options.expandYears] - Years around the current year to expand non-RRULE recurrences over (default: 1)
+   * @returns {string} iCalendar document
+   */
+  exportNotesToICS(options = {}) {
+    return exportNotesToICS(options);
+  },
+
+  /**
+   * Import VEVENTs from an iCalendar (.ics) document as calendar notes.
+   * Events already imported (matched by UID) are skipped.
+   * @param {string} text - iCalendar document
+   * @param {object} [options] - Import options
+   * @param {string} [options.calendarId] - Target calendar (defaults to active calendar)
+   * @returns {Promise<{success: boolean, count: number, skipped: number, errors: string[]}|null>} Import result, or null without permission
+   */
+  async importNotesFromICS(text, options = {}) {
+    if (!canAddNotes()) {
+      ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
+      return null;
+    }
+    return await importNotesFromICS(text, options);
+  },
+
   /**
    * Open the main BigCal application.
    * @param {object} [options] - Open options
@@ -609,7 +766,7 @@ export const CalendariaAPI = {
    * @returns {Promise<object>} The editor application
    */
   async openCalendarEditor(calendarId) {
-    if (!canEditCalendars()) {
+    if (!canEditCalendars({ calendarId })) {
       ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
       return null;
     }
@@ -639,6 +796,197 @@ export const CalendariaAPI = {
     MiniCal.toggle();
   },
 
+  /**
+   * Open the session ledger.
+   * @returns {object} The SessionLedgerApp application
+   */
+  openSessionLedger() {
+    return SessionLedgerApp.show();
+  },
+
+  /**
+   * Mark the start of a game session (GM only).
+   * @param {string} [name] - Session name (defaults to "Session N")
+   * @returns {Promise<object|null>} The started session, or null if one is already running
+   */
+  async startSession(name) {
+    return SessionLedger.startSession(name);
+  },
+
+  /**
+   * Mark the end of the session in progress (GM only).
+   * @returns {Promise<object|null>} The finished session, or null if none was running
+   */
+  async endSession() {
+    return SessionLedger.endSession();
+  },
+
+  /**
+   * Get the session in progress.
+   * @returns {object|null} Active session
+   */
+  getActiveSession() {
+    return SessionLedger.getActiveSession();
+  },
+
+  /**
+   * Get recorded sessions with real-world and in-game durations, time change sources and notes created.
+   * @returns {object[]} Session reports, oldest first
+   */
+  getSessions() {
+    return SessionLedger.getCampaignReport().sessions;
+  },
+
+  /**
+   * Get campaign pacing: every session report plus totals and in-game hours per real hour.
+   * @returns {{sessions: object[], totals: object}} Campaign report
+   */
+  getCampaignReport() {
+    return SessionLedger.getCampaignReport();
+  },
+
+  /**
+   * Get recent world time changes and calendar edits that can be undone, oldest first.
+   * @returns {object[]} Changes ({id, at, delta, worldTime, source, userId, weather, noteIds}, or {id, kind: 'calendar', at, calendarId, userId, before, after} for calendar edits)
+   */
+  getTimeHistory() {
+    return TimeHistory.getEntries();
+  },
+
+  /**
+   * Undo the most recent world time change or calendar edit (GM only).
+   * Time moves back without firing threshold hooks; a calendar edit restores the calendar from before the save.
+   * @param {object} [options] - Undo options
+   * @param {boolean} [options.weather] - Restore the weather in effect before the change (default true)
+   * @param {boolean} [options.notes] - Delete calendar notes created as a result of the change (default true)
+   * @returns {Promise<object|null>} The undone change, or null if there was nothing to undo
+   */
+  async undoTime(options) {
+    return TimeHistory.undo(options);
+  },
+
+  /**
+   * Redo the most recently undone world time change or calendar edit (GM only).
+   * @returns {Promise<object|null>} The redone change, or null if there was nothing to redo
+   */
+  async redoTime() {
+    return TimeHistory.redo();
+  },
+
+  /**
+   * Open the party timelines window.
+   * @returns {object} The PartyTimelinesApp application
+   */
+  openPartyTimelines() {
+    return PartyTimelinesApp.show();
+  },
+
+  /**
+   * Get every party timeline.
+   * @returns {object[]} Timelines ({id, name, offset, userIds, actorIds, color})
+   */
+  getTimelines() {
+    return PartyTimelines.getTimelines();
+  },
+
+  /**
+   * Get the party timeline a user follows.
+   * @param {string} [userId] - User ID (defaults to the current user)
+   * @returns {object|null} Timeline, or null if the user follows world time
+   */
+  getUserTimeline(userId = game.user.id) {
+    return PartyTimelines.getTimelineForUser(game.users.get(userId));
+  },
+
+  /**
+   * Create a party timeline (GM only).
+   * @param {object} [data] - Timeline data (name, offset in seconds, userIds, actorIds, color)
+   * @returns {Promise<object|null>} The created timeline
+   */
+  async createTimeline(data) {
+    return PartyTimelines.createTimeline(data);
+  },
+
+  /**
+   * Update a party timeline (GM only).
+   * @param {string} timelineId - Timeline ID
+   * @param {object} changes - Fields to change (name, offset, userIds, actorIds, color)
+   * @returns {Promise<object|null>} The updated timeline
+   */
+  async updateTimeline(timelineId, changes) {
+    return PartyTimelines.updateTimeline(timelineId, changes);
+  },
+
+  /**
+   * Delete a party timeline (GM only). Its members follow world time again.
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<void>}
+   */
+  async deleteTimeline(timelineId) {
+    return PartyTimelines.deleteTimeline(timelineId);
+  },
+
+  /**
+   * Move one party timeline's local time without touching world time (GM only).
+   * @param {string} timelineId - Timeline ID
+   * @param {number} seconds - Seconds to advance (negative to rewind)
+   * @returns {Promise<void>}
+   */
+  async advanceTimeline(timelineId, seconds) {
+    return PartyTimelines.advanceTimeline(timelineId, seconds);
+  },
+
+  /**
+   * Sync party timelines up to the one furthest ahead, advancing world time to match (GM only).
+   * @param {string[]} [timelineIds] - Timelines to sync (defaults to all)
+   * @returns {Promise<number>} Seconds world time advanced
+   */
+  async syncTimelines(timelineIds) {
+    return PartyTimelines.syncUp(timelineIds);
+  },
+
+  /**
+   * Get the rest, travel and dungeon activities declared by active system and module adapters.
+   * @returns {Array<{adapterId: string, activityId: string, kind: string, label: string}>} Activities
+   */
+  getActivities() {
+    return getActivityOptions();
+  },
+
+  /**
+   * Get how much world time an activity would consume if performed now, including any snap to dawn.
+   * @param {string} adapterId - Adapter ID (e.g. 'ose', 'osr-helper', 'dnd5e')
+   * @param {string} activityId - Activity ID (e.g. 'dungeonTurn', 'nightRest')
+   * @param {object} [context] - Adapter-specific context
+   * @returns {number} Seconds
+   */
+  getActivityDuration(adapterId, activityId, context) {
+    return getActivityDuration(adapterId, activityId, context);
+  },
+
+  /**
+   * Perform an activity, advancing world time by its declared duration.
+   * @param {string} adapterId - Adapter ID (e.g. 'ose', 'osr-helper', 'dnd5e')
+   * @param {string} activityId - Activity ID (e.g. 'dungeonTurn', 'nightRest')
+   * @param {object} [context] - Adapter-specific context
+   * @returns {Promise<number>} Seconds advanced
+   */
+  async performActivity(adapterId, activityId, context) {
+    if (!canChangeDateTime()) {
+      ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
+      return 0;
+    }
+    return performActivity(adapterId, activityId, context);
+  },
+
+  /**
+   * Register an activity adapter for another system or module.
+   * @param {object} AdapterClass - Class extending the base adapter (static id, systemId or moduleId, activities, activate)
+   */
+  registerActivityAdapter(AdapterClass) {
+    registerActivityAdapter(AdapterClass);
+  },
+
   /**
    * Convert a timestamp (world time in seconds) to date components.
    * @param {number} timestamp - World time in seconds
@@ -757,6 +1105,7 @@ export const CalendariaAPI = {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: secondsUntil });
       return game.time.worldTime;
     }
+    SessionLedger.tagSource(TIME_SOURCES.API);
     return await game.time.advance(secondsUntil);
   },
 
@@ -787,10 +1136,22 @@ export const CalendariaAPI = {
 
   /**
    * Get the current weather.
-   * @returns {object|null} Current weather state with id, label, icon, color, temperature
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
+   * @returns {object|null} Current weather state with id, label, icon, color, temperature and mechanics
+   */
+  getCurrentWeather(zoneId) {
+    const weather = WeatherManager.getCurrentWeather(zoneId);
+    return weather && { ...weather, mechanics: WeatherManager.getMechanics(zoneId) };
+  },
+
+  /**
+   * Get the travel and visibility mechanics of the current weather, for game systems to apply.
+   * Also published through the calendaria.weatherMechanics hook whenever they change.
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
+   * @returns {{travelMultiplier: number, visibility: number|null, lightPenalty: number, getLostChance: number, forageModifier: number}} Travel speed multiplier, visibility in feet (null for unlimited), fraction of light radius lost, added chance (%) of getting lost and foraging check modifier
    */
-  getCurrentWeather() {
-    return WeatherManager.getCurrentWeather();
+  getWeatherMechanics(zoneId) {
+    return WeatherManager.getMechanics(zoneId);
   },
 
   /**
@@ -798,6 +1159,7 @@ export const CalendariaAPI = {
    * @param {string} presetId - Weather preset ID (e.g., 'clear', 'rain', 'thunderstorm')
    * @param {object} [options] - Additional options
    * @param {number} [options.temperature] - Optional temperature value
+   * @param {string} [options.zoneId] - Climate zone ID (defaults to the calendar's active zone)
    * @returns {Promise<object>} The set weather
    */
   async setWeather(presetId, options = {}) {
@@ -812,18 +1174,21 @@ export const CalendariaAPI = {
    * @param {string} [weatherData.color] - Display color
    * @param {string} [weatherData.description] - Description text
    * @param {number} [weatherData.temperature] - Temperature value
+   * @param {object} [weatherData.mechanics] - Travel and visibility mechanics, e.g. { travelMultiplier: 0.5, visibility: 60 }
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
    * @returns {Promise<object>} The set weather
    */
-  async setCustomWeather(weatherData) {
-    return WeatherManager.setCustomWeather(weatherData);
+  async setCustomWeather(weatherData, zoneId) {
+    return WeatherManager.setCustomWeather(weatherData, true, zoneId);
   },
 
   /**
    * Clear the current weather.
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
    * @returns {Promise<void>}
    */
-  async clearWeather() {
-    return WeatherManager.clearWeather();
+  async clearWeather(zoneId) {
+    return WeatherManager.clearWeather(true, false, zoneId);
   },
 
   /**
@@ -831,6 +1196,7 @@ export const CalendariaAPI = {
    * @param {object} [options] - Generation options
    * @param {string} [options.climate] - Climate override (uses setting if not provided)
    * @param {string} [options.season] - Season override (uses current if not provided)
+   * @param {string} [options.zoneId] - Climate zone ID (defaults to the calendar's active zone)
    * @returns {Promise<object>} Generated weather
    */
   async generateWeather(options = {}) {
@@ -848,6 +1214,18 @@ export const CalendariaAPI = {
     return WeatherManager.getForecast(options);
   },
 
+  /**
+   * Get recorded weather for past days.
+   * @param {object} [options] - History options
+   * @param {object} [options.from] - Earliest date {year, month, day} (inclusive)
+   * @param {object} [options.to] - Latest date {year, month, day} (inclusive)
+   * @param {string} [options.zone] - Climate zone ID (defaults to active zone)
+   * @returns {object[]} History records {year, month, day, zone, id, label, icon, color, temperature, backfilled?} oldest first
+   */
+  getWeatherHistory(options = {}) {
+    return WeatherManager.getWeatherHistory(options);
+  },
+
   /**
    * Get the active climate zone.
    * @returns {object|null} Active zone config
@@ -857,7 +1235,15 @@ export const CalendariaAPI = {
   },
 
   /**
-   * Set the active climate zone.
+   * Get the climate zone of the scene this client is viewing.
+   * @returns {object|null} Zone config
+   */
+  getViewedZone() {
+    return WeatherManager.getViewedZone();
+  },
+
+  /**
+   * Set the active climate zone. Warns and changes nothing if no zone has that ID.
    * @param {string} zoneId - Climate zone ID
    * @returns {Promise<void>}
    */
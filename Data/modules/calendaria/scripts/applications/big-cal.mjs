@@ -5,27 +5,35 @@
  */
 
 import CalendarManager from '../calendar/calendar-manager.mjs';
-import { HOOKS, MODULE, REPLACEABLE_ELEMENTS, SETTINGS, TEMPLATES, WIDGET_POINTS } from '../constants.mjs';
+import { HOOKS, MODULE, REPLACEABLE_ELEMENTS, SETTINGS, TEMPLATES, TIME_SOURCES, WIDGET_POINTS } from '../constants.mjs';
+import ChainManager from '../notes/chain-manager.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
 import TimeClock from '../time/time-clock.mjs';
 import NoteManager from '../notes/note-manager.mjs';
 import { addDays, dayOfWeek, daysBetween } from '../notes/utils/date-utils.mjs';
-import { isRecurringMatch } from '../notes/utils/recurrence.mjs';
+import { getOccurrenceOverride, getOccurrenceStart, isRecurringMatch } from '../notes/utils/recurrence.mjs';
 import SearchManager from '../search/search-manager.mjs';
+import { isEmptyQuery, parseSearchQuery } from '../search/search-query.mjs';
 import { formatForLocation, hasMoonIconMarkers, renderMoonIcons, toRomanNumeral } from '../utils/format-utils.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { canViewBigCal } from '../utils/permissions.mjs';
 import * as WidgetManager from '../utils/widget-manager.mjs';
 import WeatherManager from '../weather/weather-manager.mjs';
 import { openWeatherPicker } from '../weather/weather-picker.mjs';
+import { getFestivalStrip, layoutMonth } from './calendar-layout.mjs';
 import * as ViewUtils from './calendar-view-utils.mjs';
 import { MiniCal } from './mini-cal.mjs';
 import { SettingsPanel } from './settings/settings-panel.mjs';
+import { buildTimelineData, navigateTimeline, rescheduleFromDrag } from './timeline-utils.mjs';
 
 const { HandlebarsApplicationMixin, ApplicationV2 } = foundry.applications.api;
 
 /** Max moon icons visible per day cell before overflow. */
 const MAX_VISIBLE_MOONS = 3;
 
+/** Widest month grid row; longer weeks wrap. */
+const MAX_GRID_COLUMNS = 10;
+
 /**
  * Process moon phases array for display with overflow handling.
  * @param {object[]|null} phases - Array of moon phase objects
@@ -54,6 +62,8 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
     this._viewedDate = null;
     this._calendarId = options.calendarId || null;
     this._displayMode = 'month';
+    this._timelineZoom = 'months';
+    this._timelineScale = null;
     this._selectedDate = null;
     this._selectedTimeSlot = null;
     this._searchTerm = '';
@@ -85,7 +95,8 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
       closeSearch: BigCal._onCloseSearch,
       openSearchResult: BigCal._onOpenSearchResult,
       openSettings: BigCal._onOpenSettings,
-      navigateToMonth: BigCal._onNavigateToMonth
+      navigateToMonth: BigCal._onNavigateToMonth,
+      timelineZoom: BigCal._onTimelineZoom
     },
     position: { width: 'auto', height: 'auto' }
   };
@@ -165,16 +176,25 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
     const allNotes = ViewUtils.getCalendarNotes();
     context.notes = allNotes;
     context.visibleNotes = ViewUtils.getVisibleNotes(allNotes);
+    context.chainInfo = ChainManager.getChainInfo(context.visibleNotes);
     if (calendar) {
+      const datedNotes = [...context.visibleNotes, ...ViewUtils.getAstronomyNotes(viewedDate, calendar)];
       switch (this._displayMode) {
         case 'week':
-          context.calendarData = this._generateWeekData(calendar, viewedDate, context.visibleNotes);
+          context.calendarData = this._generateWeekData(calendar, viewedDate, datedNotes);
           break;
         case 'year':
           context.calendarData = this._generateYearData(calendar, viewedDate);
           break;
+        case 'timeline': {
+          const { scale, ...timeline } = buildTimelineData(calendar, viewedDate, context.visibleNotes, this._timelineZoom);
+          this._timelineZoom = timeline.zoom;
+          this._timelineScale = scale;
+          context.calendarData = timeline;
+          break;
+        }
         default:
-          context.calendarData = this._generateCalendarData(calendar, viewedDate, context.visibleNotes);
+          context.calendarData = this._generateCalendarData(calendar, viewedDate, datedNotes);
           break;
       }
     }
@@ -350,47 +370,9 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
     const internalYear = year - yearZero;
     const daysInMonth = calendar.getDaysInMonth(month, internalYear);
     const daysInWeek = calendar.daysInWeek;
-    const weeks = [];
-    let currentWeek = [];
     const showMoons = game.settings.get(MODULE.ID, SETTINGS.BIG_CAL_SHOW_MOON_PHASES) && calendar.moonsArray.length;
-    const hasFixedStart = monthData?.startingWeekday != null;
-    const startDayOfWeek = hasFixedStart ? monthData.startingWeekday : dayOfWeek({ year, month, day: 1 });
-    if (startDayOfWeek > 0) {
-      const totalMonths = calendar.monthsArray.length ?? 12;
-      let prevDays = [];
-      let remainingSlots = startDayOfWeek;
-      let checkMonth = month === 0 ? totalMonths - 1 : month - 1;
-      let checkYear = month === 0 ? year - 1 : year;
-      let checkDay = calendar.getDaysInMonth(checkMonth, checkYear - yearZero);
-
-      // Collect previous month days, skipping intercalary days
-      while (remainingSlots > 0 && checkDay > 0) {
-        const festivalDay = calendar.findFestivalDay({ year: checkYear - yearZero, month: checkMonth, dayOfMonth: checkDay - 1 });
-        const isIntercalary = festivalDay?.countsForWeekday === false;
-
-        if (!isIntercalary) {
-          prevDays.unshift({ day: checkDay, year: checkYear, month: checkMonth });
-          remainingSlots--;
-        }
-
-        checkDay--;
-        if (checkDay < 1 && remainingSlots > 0) {
-          checkMonth = checkMonth === 0 ? totalMonths - 1 : checkMonth - 1;
-          if (checkMonth === totalMonths - 1) checkYear--;
-          checkDay = calendar.getDaysInMonth(checkMonth, checkYear - yearZero);
-        }
-      }
-
-      for (const pd of prevDays) currentWeek.push({ day: pd.day, year: pd.year, month: pd.month, isFromOtherMonth: true, isToday: this._isToday(pd.year, pd.month, pd.day) });
-    }
-
-    // Collect intercalary days to insert after regular days
-    const intercalaryDays = [];
-    let dayIndex = startDayOfWeek;
-
-    for (let day = 1; day <= daysInMonth; day++) {
-      const dayNotes = this._getNotesForDay(notes, year, month, day);
-      const festivalDay = calendar.findFestivalDay({ year: internalYear, month, dayOfMonth: day - 1 });
+    const layout = layoutMonth(calendar, year, month, { maxColumns: MAX_GRID_COLUMNS });
+    const buildDay = (day, festivalDay) => {
       let moonPhases = null;
       if (showMoons) {
         const dayComponents = { year: internalYear, month, dayOfMonth: day - 1, hour: 12, minute: 0, second: 0 };
@@ -405,103 +387,39 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
           .sort((a, b) => a.moonName.localeCompare(b.moonName));
         moonPhases = processMoonPhases(moonPhases);
       }
+      const festivalNameStr = festivalDay ? localize(festivalDay.name) : null;
+      const festivalInfo = festivalDay ? { name: festivalNameStr, description: festivalDay.description || '', color: festivalDay.color || '' } : null;
+      return {
+        day,
+        year,
+        month,
+        isToday: this._isToday(year, month, day),
+        isSelected: this._isSelected(year, month, day),
+        notes: this._getNotesForDay(notes, year, month, day),
+        isFestival: !!festivalDay,
+        festivalName: festivalNameStr,
+        festivalColor: festivalDay?.color || '',
+        festivalIcon: festivalDay?.icon || '',
+        festivalDescription: festivalDay?.description || '',
+        dayTooltip: ViewUtils.generateDayTooltip(calendar, year, month, day, festivalInfo),
+        moonPhases
+      };
+    };
 
-      // Check if this is a non-counting festival (intercalary day)
-      const isIntercalary = festivalDay?.countsForWeekday === false;
-
-      if (isIntercalary) {
-        // Don't add to weekday grid - collect separately
-        const festivalNameStr = festivalDay ? localize(festivalDay.name) : null;
-        const festivalInfo = festivalDay ? { name: festivalNameStr, description: festivalDay.description || '', color: festivalDay.color || '' } : null;
-        intercalaryDays.push({
-          day,
-          year,
-          month,
-          isToday: this._isToday(year, month, day),
-          isSelected: this._isSelected(year, month, day),
-          notes: dayNotes,
-          isFestival: true,
-          festivalName: festivalNameStr,
-          festivalColor: festivalDay?.color || '',
-          festivalIcon: festivalDay?.icon || '',
-          festivalDescription: festivalDay?.description || '',
-          dayTooltip: ViewUtils.generateDayTooltip(calendar, year, month, day, festivalInfo),
-          moonPhases,
-          isIntercalary: true
-        });
-      } else {
-        const weekdayData = calendar.weekdaysArray[currentWeek.length];
-        const festivalNameStr = festivalDay ? localize(festivalDay.name) : null;
-        const festivalInfo = festivalDay ? { name: festivalNameStr, description: festivalDay.description || '', color: festivalDay.color || '' } : null;
-        currentWeek.push({
-          day,
-          year,
-          month,
-          isToday: this._isToday(year, month, day),
-          isSelected: this._isSelected(year, month, day),
-          notes: dayNotes,
-          isOddDay: dayIndex % 2 === 1,
-          isFestival: !!festivalDay,
-          festivalName: festivalNameStr,
-          festivalColor: festivalDay?.color || '',
-          festivalIcon: festivalDay?.icon || '',
-          festivalDescription: festivalDay?.description || '',
-          dayTooltip: ViewUtils.generateDayTooltip(calendar, year, month, day, festivalInfo),
-          isRestDay: weekdayData?.isRestDay || false,
-          moonPhases
-        });
-        dayIndex++;
-        if (currentWeek.length === daysInWeek) {
-          weeks.push(currentWeek);
-          currentWeek = [];
-        }
-      }
-    }
-
-    const lastRegularWeekLength = currentWeek.length;
-    if (currentWeek.length > 0) {
-      weeks.push(currentWeek);
-      currentWeek = [];
-    }
-
-    if (intercalaryDays.length > 0) {
-      weeks.push({ isIntercalaryRow: true, days: intercalaryDays });
-      currentWeek = [];
-    }
-
-    const lastRegularWeek = weeks.filter((w) => !w.isIntercalaryRow).pop();
-    const needsNextMonth = intercalaryDays.length > 0 || (lastRegularWeek && lastRegularWeek.length < daysInWeek);
-    if (needsNextMonth) {
-      const totalMonths = calendar.monthsArray.length ?? 12;
-      const startPosition = intercalaryDays.length > 0 ? lastRegularWeekLength : lastRegularWeek?.length || 0;
-      let remainingSlots = daysInWeek - startPosition;
-      let checkMonth = month;
-      let checkYear = year;
-      let dayInMonth = 1;
-      checkMonth = checkMonth === totalMonths - 1 ? 0 : checkMonth + 1;
-      if (checkMonth === 0) checkYear++;
-      if (intercalaryDays.length > 0 && startPosition > 0) for (let i = 0; i < startPosition; i++) currentWeek.push({ empty: true });
-      while (remainingSlots > 0) {
-        const checkMonthDays = calendar.getDaysInMonth(checkMonth, checkYear - yearZero);
-        const festivalDay = calendar.findFestivalDay({ year: checkYear - yearZero, month: checkMonth, dayOfMonth: dayInMonth - 1 });
-        const isIntercalary = festivalDay?.countsForWeekday === false;
-        if (!isIntercalary) {
-          currentWeek.push({ day: dayInMonth, year: checkYear, month: checkMonth, isFromOtherMonth: true, isToday: this._isToday(checkYear, checkMonth, dayInMonth) });
-          remainingSlots--;
-        }
-
-        dayInMonth++;
-        if (dayInMonth > checkMonthDays && remainingSlots > 0) {
-          checkMonth = checkMonth === totalMonths - 1 ? 0 : checkMonth + 1;
-          if (checkMonth === 0) checkYear++;
-          dayInMonth = 1;
-        }
-      }
-
-      if (intercalaryDays.length > 0) weeks.push(currentWeek);
-      else if (lastRegularWeek) lastRegularWeek.push(...currentWeek);
-    }
-    const allMultiDayEvents = this._findMultiDayEvents(notes, year, month, startDayOfWeek, daysInWeek, daysInMonth);
+    // Intercalary days render as banner rows where they fall; wide weeks wrap onto several rows
+    let dayIndex = layout.startDayOfWeek;
+    const weeks = layout.rows.map((row) => {
+      if (row.type === 'banner') return { isIntercalaryRow: true, placement: row.placement, days: row.days.map(({ day, festival }) => ({ ...buildDay(day, festival), isIntercalary: true })) };
+      const week = row.cells.map((cell) => {
+        if (cell.empty) return { empty: true };
+        if (cell.isFromOtherMonth) return { day: cell.day, year: cell.year, month: cell.month, isFromOtherMonth: true, isToday: this._isToday(cell.year, cell.month, cell.day) };
+        const festivalDay = calendar.findFestivalDay({ year: internalYear, month, dayOfMonth: cell.day - 1 });
+        return { ...buildDay(cell.day, festivalDay), isOddDay: dayIndex++ % 2 === 1, isRestDay: calendar.weekdaysArray[cell.weekday]?.isRestDay || false };
+      });
+      week.weekLabel = row.weekLabel;
+      return week;
+    });
+    const allMultiDayEvents = this._findMultiDayEvents(notes, year, month, layout, daysInMonth);
     weeks.forEach((week, weekIndex) => {
       week.multiDayEvents = allMultiDayEvents.filter((e) => e.weekIndex === weekIndex);
     });
@@ -525,6 +443,7 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
       weeks,
       weekdays: weekdaysData,
       daysInWeek,
+      columns: layout.columns,
       currentSeason,
       currentEra
     };
@@ -813,7 +732,8 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
                 year: displayYear,
                 hasNoDays: daysInMonth === 0
               };
-            }) || []
+            }) || [],
+          festivals: getFestivalStrip(calendar, displayYear)
         });
       }
       yearGrid.push(yearRow);
@@ -888,6 +808,8 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
           repeatInterval: page.system.repeatInterval,
           repeatEndDate: page.system.repeatEndDate,
           maxOccurrences: page.system.maxOccurrences,
+          exceptions: page.system.exceptions,
+          overrides: page.system.overrides,
           moonConditions: page.system.moonConditions,
           randomConfig: page.system.randomConfig,
           cachedRandomOccurrences: page.flags?.[MODULE.ID]?.randomOccurrences,
@@ -899,6 +821,10 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
         };
         return isRecurringMatch(noteData, targetDate);
       })
+      .map((page) => {
+        const override = getOccurrenceOverride(page.system, targetDate);
+        return override?.name ? { id: page.id, name: override.name, system: page.system } : page;
+      })
       .sort((a, b) => a.name.localeCompare(b.name));
   }
 
@@ -931,13 +857,12 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {Array} notes - All note pages
    * @param {number} year - Current year
    * @param {number} month - Current month
-   * @param {number} startDayOfWeek - Offset for first day of month
-   * @param {number} daysInWeek - Number of days in a week
+   * @param {object} layout - Month layout from layoutMonth
    * @param {number} daysInMonth - Number of days in this month
    * @returns {Array} Array of event bar data
    * @private
    */
-  _findMultiDayEvents(notes, year, month, startDayOfWeek, daysInWeek, daysInMonth) {
+  _findMultiDayEvents(notes, year, month, layout, daysInMonth) {
     const events = [];
     const rows = [];
     const multiDayEvents = [];
@@ -965,6 +890,8 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
           repeatInterval: note.system.repeatInterval,
           repeatEndDate: note.system.repeatEndDate,
           maxOccurrences: note.system.maxOccurrences,
+          exceptions: note.system.exceptions,
+          overrides: note.system.overrides,
           moonConditions: note.system.moonConditions,
           randomConfig: note.system.randomConfig,
           cachedRandomOccurrences: note.flags?.[MODULE.ID]?.randomOccurrences,
@@ -1022,16 +949,13 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
 
     multiDayEvents.sort((a, b) => a.priority - b.priority);
 
-    multiDayEvents.forEach(({ note, startDay, endDay, isContinuation }) => {
-      const startPosition = startDay - 1 + startDayOfWeek;
-      const endPosition = endDay - 1 + startDayOfWeek;
-      const startWeekIndex = Math.floor(startPosition / daysInWeek);
-      const endWeekIndex = Math.floor(endPosition / daysInWeek);
+    multiDayEvents.forEach(({ note, start, startDay, endDay, isContinuation }) => {
+      const isRecurring = note.system.repeat && note.system.repeat !== 'never';
       let eventRow = rows.length;
       for (let r = 0; r < rows.length; r++) {
         const rowEvents = rows[r] || [];
         const hasOverlap = rowEvents.some((existing) => {
-          return !(endPosition < existing.start || startPosition > existing.end);
+          return !(endDay < existing.start || startDay > existing.end);
         });
         if (!hasOverlap) {
           eventRow = r;
@@ -1039,50 +963,34 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
         }
       }
       if (eventRow >= rows.length) rows.push([]);
-      rows[eventRow].push({ start: startPosition, end: endPosition });
-      if (startWeekIndex === endWeekIndex) {
-        const startColumn = startPosition % daysInWeek;
-        const endColumn = endPosition % daysInWeek;
-        const left = (startColumn / daysInWeek) * 100;
-        const width = ((endColumn - startColumn + 1) / daysInWeek) * 100;
+      rows[eventRow].push({ start: startDay, end: endDay });
+
+      // Split the bar wherever the grid breaks: week ends, wrapped rows and intercalary banners
+      const segments = [];
+      for (let day = startDay; day <= endDay; day++) {
+        const position = layout.positions[day];
+        if (!position) continue;
+        const last = segments.at(-1);
+        if (last && last.gridRow === position.row && last.endColumn === position.column - 1) last.endColumn = position.column;
+        else segments.push({ gridRow: position.row, startColumn: position.column, endColumn: position.column });
+      }
+      segments.forEach(({ gridRow, startColumn, endColumn }, index) => {
+        const isSegment = segments.length > 1;
         events.push({
-          id: note.id,
-          name: note.name,
+          id: isSegment ? `${note.id}-week-${gridRow}` : note.id,
+          name: (isRecurring && getOccurrenceOverride(note.system, start)?.name) || note.name,
+          occurrence: isRecurring ? { year: start.year, month: start.month, day: start.day } : null,
           color: note.system.color || '#4a86e8',
           icon: note.system.icon,
           iconType: note.system.iconType,
-          weekIndex: startWeekIndex,
-          left,
-          width,
+          weekIndex: gridRow,
+          left: (startColumn / layout.columns) * 100,
+          width: ((endColumn - startColumn + 1) / layout.columns) * 100,
           row: eventRow,
-          isContinuation
+          isSegment,
+          isContinuation: isContinuation && index === 0
         });
-      } else {
-        for (let weekIdx = startWeekIndex; weekIdx <= endWeekIndex; weekIdx++) {
-          const weekStart = weekIdx * daysInWeek;
-          const weekEnd = weekStart + daysInWeek - 1;
-          const segmentStart = Math.max(startPosition, weekStart);
-          const segmentEnd = Math.min(endPosition, weekEnd);
-          const startColumn = segmentStart % daysInWeek;
-          const endColumn = segmentEnd % daysInWeek;
-          const left = (startColumn / daysInWeek) * 100;
-          const width = ((endColumn - startColumn + 1) / daysInWeek) * 100;
-          const showContinuationIcon = isContinuation && weekIdx === startWeekIndex;
-          events.push({
-            id: `${note.id}-week-${weekIdx}`,
-            name: note.name,
-            color: note.system.color || '#4a86e8',
-            icon: note.system.icon,
-            iconType: note.system.iconType,
-            weekIndex: weekIdx,
-            left,
-            width,
-            row: eventRow,
-            isSegment: true,
-            isContinuation: showContinuationIcon
-          });
-        }
-      }
+      });
     });
 
     return events;
@@ -1107,33 +1015,38 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
       const isSameDay = !hasValidEnd || (end.year === start.year && end.month === start.month && end.day === start.day);
 
       if (isSameDay) {
-        const dayMatch = days.find((d) => d.year === start.year && d.month === start.month && d.day === start.day);
-        if (!dayMatch) return;
-        const startHour = allDay ? 0 : (start.hour ?? 0);
-        let hourSpan = 1;
-        if (allDay) {
-          hourSpan = hoursPerDay;
-        } else if (hasValidEnd) {
-          const endHour = end.hour ?? startHour;
-          hourSpan = Math.max(endHour - startHour, 1);
+        // Recurring notes get a block on every occurrence, at the occurrence's own time and title
+        const flagData = note.system.repeat && note.system.repeat !== 'never' ? NoteManager.getNote(note.id)?.flagData : null;
+        const dayMatches = flagData ? days.filter((d) => isRecurringMatch(flagData, d)) : days.filter((d) => d.year === start.year && d.month === start.month && d.day === start.day);
+        for (const dayMatch of dayMatches) {
+          const occurrenceStart = flagData ? getOccurrenceStart(flagData, dayMatch) : start;
+          const isRetimed = occurrenceStart.hour !== start.hour || occurrenceStart.minute !== start.minute;
+          const startHour = allDay ? 0 : (occurrenceStart.hour ?? 0);
+          let hourSpan = 1;
+          if (allDay) {
+            hourSpan = hoursPerDay;
+          } else if (hasValidEnd) {
+            const endHour = end.hour ?? start.hour ?? 0;
+            hourSpan = Math.max(endHour - (start.hour ?? 0), 1);
+          }
+          const startTime = allDay ? 'All Day' : `${startHour.toString().padStart(2, '0')}:${(occurrenceStart.minute ?? 0).toString().padStart(2, '0')}`;
+          const endTime = hasValidEnd && !allDay && !isRetimed ? `${(end.hour ?? 0).toString().padStart(2, '0')}:${(end.minute ?? 0).toString().padStart(2, '0')}` : null;
+          blocks.push({
+            id: note.id,
+            name: (flagData && getOccurrenceOverride(flagData, dayMatch)?.name) || note.name,
+            color: note.system.color || '#4a86e8',
+            icon: note.system.icon,
+            iconType: note.system.iconType,
+            day: dayMatch.day,
+            month: dayMatch.month,
+            year: dayMatch.year,
+            startHour,
+            hourSpan,
+            startTime,
+            endTime,
+            allDay
+          });
         }
-        const startTime = allDay ? 'All Day' : `${startHour.toString().padStart(2, '0')}:${(start.minute ?? 0).toString().padStart(2, '0')}`;
-        const endTime = hasValidEnd && !allDay ? `${(end.hour ?? 0).toString().padStart(2, '0')}:${(end.minute ?? 0).toString().padStart(2, '0')}` : null;
-        blocks.push({
-          id: note.id,
-          name: note.name,
-          color: note.system.color || '#4a86e8',
-          icon: note.system.icon,
-          iconType: note.system.iconType,
-          day: start.day,
-          month: start.month,
-          year: start.year,
-          startHour,
-          hourSpan,
-          startTime,
-          endTime,
-          allDay
-        });
       } else {
         const eventStartHour = allDay ? 0 : (start.hour ?? 0);
         const eventEndHour = allDay ? hoursPerDay : (end.hour ?? eventStartHour);
@@ -1191,11 +1104,11 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   _onRender(context, options) {
     super._onRender(context, options);
-    this.element.classList.remove('view-month', 'view-week', 'view-year');
+    this.element.classList.remove('view-month', 'view-week', 'view-year', 'view-timeline');
     this.element.classList.add(`view-${this._displayMode}`);
     const content = this.element.querySelector('.window-content');
     content?.addEventListener('dblclick', (e) => {
-      if (e.target.closest('button, a, input, select, .note-item, .event-block, .multi-day-event')) return;
+      if (e.target.closest('button, a, input, select, .note-item, .event-block, .multi-day-event, .calendar-timeline-view')) return;
       e.preventDefault();
       this.close();
       MiniCal.show();
@@ -1206,7 +1119,7 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
       if (this._searchOpen) searchInput.focus();
       const debouncedSearch = foundry.utils.debounce((term) => {
         this._searchTerm = term;
-        if (term.length >= 2) this._searchResults = SearchManager.search(term, { searchContent: true });
+        if (!isEmptyQuery(parseSearchQuery(term))) this._searchResults = SearchManager.search(term, { searchContent: true });
         else this._searchResults = null;
         this._updateSearchResults();
       }, 300);
@@ -1231,9 +1144,78 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
       }
     }
 
+    this.#attachChainHighlight();
+    if (this._displayMode === 'timeline') this.#attachTimeline(context);
     WidgetManager.attachWidgetListeners(this.element);
   }
 
+  /**
+   * Scroll the timeline to the viewed date and let users drag notes they can edit to reschedule them.
+   * @param {object} context - Render context
+   * @private
+   */
+  #attachTimeline(context) {
+    const scroller = this.element.querySelector('.timeline-scroll');
+    if (scroller && context.calendarData?.focusX != null) scroller.scrollLeft = Math.max(0, context.calendarData.focusX - scroller.clientWidth / 4);
+    for (const bar of this.element.querySelectorAll('.timeline-bar.draggable')) {
+      let drag = null;
+      bar.addEventListener('pointerdown', (event) => {
+        if (event.button !== 0) return;
+        drag = { x: event.clientX, left: bar.offsetLeft, moved: false };
+        bar.setPointerCapture(event.pointerId);
+      });
+      bar.addEventListener('pointermove', (event) => {
+        if (!drag) return;
+        const dx = event.clientX - drag.x;
+        if (Math.abs(dx) > 3) drag.moved = true;
+        if (!drag.moved) return;
+        bar.classList.add('dragging');
+        bar.style.left = `${drag.left + dx}px`;
+      });
+      bar.addEventListener('pointerup', async (event) => {
+        if (!drag) return;
+        const { left, moved } = drag;
+        drag = null;
+        bar.releasePointerCapture(event.pointerId);
+        if (!moved) return;
+        bar.dataset.dragged = 'true';
+        const page = NoteManager.getFullNote(bar.dataset.noteId);
+        const rescheduled = await rescheduleFromDrag(page, this._timelineScale, left, bar.offsetLeft, this.calendar);
+        if (!rescheduled) this.render();
+      });
+      bar.addEventListener('pointercancel', () => {
+        if (!drag) return;
+        bar.style.left = `${drag.left}px`;
+        bar.classList.remove('dragging');
+        drag = null;
+      });
+      bar.addEventListener(
+        'click',
+        (event) => {
+          if (!bar.dataset.dragged) return;
+          delete bar.dataset.dragged;
+          event.preventDefault();
+          event.stopPropagation();
+        },
+        { capture: true }
+      );
+    }
+  }
+
+  /**
+   * Highlight every entry of an event chain while one of its entries is hovered.
+   * @private
+   */
+  #attachChainHighlight() {
+    for (const entry of this.element.querySelectorAll('[data-chain]')) {
+      const toggle = (active) => {
+        for (const el of this.element.querySelectorAll(`[data-chain="${entry.dataset.chain}"]`)) el.classList.toggle('chain-highlight', active);
+      };
+      entry.addEventListener('mouseenter', () => toggle(true));
+      entry.addEventListener('mouseleave', () => toggle(false));
+    }
+  }
+
   /**
    * Build context menu items for BigCal.
    * @returns {object[]} Array of context menu item definitions
@@ -1290,7 +1272,7 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
         })
         .join('');
       resultsContainer.classList.add('has-results');
-    } else if (this._searchTerm?.length >= 2) {
+    } else if (this._searchResults) {
       resultsContainer.innerHTML = `<div class="no-results"><i class="fas fa-search"></i><span>${localize('CALENDARIA.Search.NoResults')}</span></div>`;
       resultsContainer.classList.add('has-results');
     } else {
@@ -1364,6 +1346,7 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
       })
     });
     this._hooks.push({ name: HOOKS.WEATHER_CHANGE, id: Hooks.on(HOOKS.WEATHER_CHANGE, () => debouncedRender()) });
+    this._hooks.push({ name: 'canvasReady', id: Hooks.on('canvasReady', () => debouncedRender()) });
     this._hooks.push({ name: HOOKS.WIDGETS_REFRESH, id: Hooks.on(HOOKS.WIDGETS_REFRESH, () => debouncedRender()) });
     this._hooks.push({ name: 'calendaria.displayFormatsChanged', id: Hooks.on('calendaria.displayFormatsChanged', () => debouncedRender()) });
     this._hooks.push({ name: HOOKS.WORLD_TIME_UPDATED, id: Hooks.on(HOOKS.WORLD_TIME_UPDATED, this._onUpdateWorldTime.bind(this)) });
@@ -1456,6 +1439,10 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
         this.viewedDate = { ...current, year: current.year + direction * 9 };
         break;
       }
+      case 'timeline': {
+        this.viewedDate = navigateTimeline(current, this._timelineZoom, direction);
+        break;
+      }
       default: {
         if (calendar.isMonthless) {
           const daysInWeek = calendar.daysInWeek;
@@ -1593,7 +1580,7 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
     let pageId = target.dataset.noteId;
     if (pageId.includes('-week-')) pageId = pageId.split('-week-')[0];
     const page = game.journal.find((j) => j.pages.get(pageId))?.pages.get(pageId);
-    if (page) page.sheet.render(true, { mode: 'edit' });
+    if (page) page.sheet.render(true, { mode: 'edit', occurrence: ViewUtils.getElementDate(target) });
   }
 
   /**
@@ -1622,7 +1609,7 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   /**
-   * Change the calendar display mode (month/week/year).
+   * Change the calendar display mode (month/week/year/timeline).
    * @param {PointerEvent} _event - The click event
    * @param {HTMLElement} target - The clicked element with mode data
    */
@@ -1633,6 +1620,16 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
     this._adjustSizeForView();
   }
 
+  /**
+   * Change the timeline zoom level.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element with zoom data
+   */
+  static async _onTimelineZoom(_event, target) {
+    this._timelineZoom = target.dataset.zoom;
+    await this.render();
+  }
+
   /**
    * Select a month from the year view.
    * @param {PointerEvent} _event - The click event
@@ -1682,6 +1679,7 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
   static async _onSetAsCurrentDate(_event, _target) {
     const calendar = this.calendar;
     const dateToSet = this._selectedDate || this.viewedDate;
+    SessionLedger.tagSource(TIME_SOURCES.BIG_CAL);
     await calendar.jumpToDate({ year: dateToSet.year, month: dateToSet.month, day: dateToSet.day });
     this._selectedDate = null;
     await this.render();
@@ -1728,14 +1726,15 @@ export class BigCal extends HandlebarsApplicationMixin(ApplicationV2) {
    * @returns {object|null} Weather context or null if no weather set
    */
   _getWeatherContext() {
-    const weather = WeatherManager.getCurrentWeather();
+    const zoneId = WeatherManager.getViewedZone()?.id;
+    const weather = WeatherManager.getCurrentWeather(zoneId);
     if (!weather) return null;
     return {
       id: weather.id,
       label: localize(weather.label),
       icon: weather.icon,
       color: weather.color,
-      temperature: WeatherManager.formatTemperature(WeatherManager.getTemperature()),
+      temperature: WeatherManager.formatTemperature(WeatherManager.getTemperature(zoneId)),
       tooltip: weather.description ? localize(weather.description) : localize(weather.label)
     };
   }
@@ -5,16 +5,20 @@
  * @author Tyler
  */
 
+import CalendarEngine from '../calendar/calendar-engine.mjs';
 import { isBundledCalendar } from '../calendar/calendar-loader.mjs';
 import CalendarManager from '../calendar/calendar-manager.mjs';
 import CalendarRegistry from '../calendar/calendar-registry.mjs';
+import { validateCalendar } from '../calendar/calendar-validator.mjs';
 import { ASSETS, DEFAULT_MOON_PHASES, TEMPLATES } from '../constants.mjs';
 import { createImporter } from '../importers/index.mjs';
+import TimeHistory from '../time/time-history.mjs';
 import { validateFormatString } from '../utils/format-utils.mjs';
 import { format, localize, preLocalizeCalendar } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { RangeSlider } from '../utils/range-slider.mjs';
 import { CLIMATE_ZONE_TEMPLATES, getClimateTemplateOptions, getDefaultZoneConfig } from '../weather/climate-data.mjs';
+import { layoutMonth } from './calendar-layout.mjs';
 import { ClimateEditor } from './climate-editor.mjs';
 import { TokenReferenceDialog } from './token-reference-dialog.mjs';
 
@@ -82,7 +86,8 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       setActiveZone: CalendarEditor.#onSetActiveZone,
       deleteZone: CalendarEditor.#onDeleteZone,
       createNew: CalendarEditor.#onCreateNew,
-      showTokenReference: CalendarEditor.#onShowTokenReference
+      showTokenReference: CalendarEditor.#onShowTokenReference,
+      focusIssue: CalendarEditor.#onFocusIssue
     }
   };
 
@@ -101,6 +106,7 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     moons: { template: TEMPLATES.EDITOR.TAB_MOONS, scrollable: [''] },
     cycles: { template: TEMPLATES.EDITOR.TAB_CYCLES, scrollable: [''] },
     weather: { template: TEMPLATES.EDITOR.TAB_WEATHER, scrollable: [''] },
+    preview: { template: TEMPLATES.EDITOR.TAB_PREVIEW, scrollable: [''] },
     footer: { template: TEMPLATES.FORM_FOOTER }
   };
 
@@ -117,6 +123,7 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
         // Core (ungrouped)
         { id: 'overview', group: 'primary', icon: 'fas fa-info-circle', label: 'CALENDARIA.Editor.Tab.Overview', color: '#ff144f' },
         { id: 'display', group: 'primary', icon: 'fas fa-eye', label: 'CALENDARIA.Editor.Tab.Display', color: '#ff144f' },
+        { id: 'preview', group: 'primary', icon: 'fas fa-magnifying-glass', label: 'CALENDARIA.Editor.Tab.Preview', color: '#ff144f' },
         // Structure group
         { id: 'months', group: 'primary', icon: 'fas fa-calendar', label: 'CALENDARIA.Common.Months', tabGroup: 'structure' },
         { id: 'weeks', group: 'primary', icon: 'fas fa-calendar-week', label: 'CALENDARIA.Common.Weeks', tabGroup: 'structure' },
@@ -176,6 +183,18 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   #pendingCurrentDate = null;
 
+  /**
+   * Display year shown in the preview tab (null for the calendar's current year)
+   * @type {number|null}
+   */
+  #previewYear = null;
+
+  /**
+   * Validation issues found in the working calendar data
+   * @type {object[]}
+   */
+  #issues = [];
+
   /**
    * Create a new CalendarEditor.
    * @param {object} [options] - Application options
@@ -381,6 +400,8 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     context.namedYears = yearNames.map((entry, idx) => ({ ...entry, index: idx }));
 
     context.monthOptionsZeroIndexed = monthsArr.map(([, month], idx) => ({ value: idx, label: month.name }));
+    const sharedEpoch = this.#calendarData.years.sharedEpoch ?? { year: this.#calendarData.years.yearZero ?? 0, month: 0, day: 1 };
+    context.sharedEpoch = { ...sharedEpoch, monthOptions: context.monthOptionsZeroIndexed.map((opt) => ({ ...opt, selected: opt.value === sharedEpoch.month })) };
 
     const moonsArr = Object.entries(this.#calendarData.moons);
     context.moonsWithNav = moonsArr.map(([moonKey, moon], idx) => {
@@ -528,6 +549,10 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     context.winterSolsticeMonthOptions = context.monthOptions.map((opt) => ({ ...opt, selected: opt.value === winterSolstice.month }));
     context.summerSolsticeMonthOptions = context.monthOptions.map((opt) => ({ ...opt, selected: opt.value === summerSolstice.month }));
     this.#prepareWeatherContext(context);
+    this.#issues = validateCalendar(this.#calendarData);
+    context.validationIssues = this.#issues.map((issue) => ({ ...issue, icon: issue.severity === 'error' ? 'fa-circle-xmark' : 'fa-triangle-exclamation' }));
+    context.validationErrors = this.#issues.filter((issue) => issue.severity === 'error').length;
+    context.validationWarnings = this.#issues.length - context.validationErrors;
     context.buttons = [
       { type: 'button', action: 'deleteCalendar', icon: 'fas fa-trash', label: 'CALENDARIA.Common.Delete', cssClass: 'delete-button' },
       { type: 'button', action: 'resetCalendar', icon: 'fas fa-undo', label: 'CALENDARIA.Common.Reset' },
@@ -562,6 +587,7 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
   async _preparePartContext(partId, context, options) {
     context = await super._preparePartContext(partId, context, options);
     context.tab = context.tabs[partId];
+    if (partId === 'preview') Object.assign(context, this.#preparePreviewContext());
     return context;
   }
 
@@ -573,6 +599,9 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   _onRender(context, options) {
     super._onRender?.(context, options);
+    this.#updateValidationBadge();
+    // The preview re-renders on every edit; the other parts keep their listeners
+    if (options.parts?.length === 1 && options.parts[0] === 'preview') return;
     this.#setupLeapRuleListener();
     this.#setupWeekNumberDuplicateListener();
     for (const colorInput of this.element.querySelectorAll('input[name^="moons."][name$=".color"]')) {
@@ -636,6 +665,22 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     });
   }
 
+  /**
+   * Show the number of validation issues on the preview tab.
+   * @private
+   */
+  #updateValidationBadge() {
+    const tab = this.element.querySelector('nav [data-tab="preview"]');
+    if (!tab) return;
+    tab.querySelector('.validation-badge')?.remove();
+    if (!this.#issues.length) return;
+    const hasErrors = this.#issues.some((issue) => issue.severity === 'error');
+    const badge = document.createElement('span');
+    badge.className = `validation-badge ${hasErrors ? 'error' : 'warning'}`;
+    badge.textContent = this.#issues.length;
+    tab.append(badge);
+  }
+
   /** Live duplicate detection on week number inputs. */
   #setupWeekNumberDuplicateListener() {
     const list = this.element.querySelector('.named-weeks-list');
@@ -860,6 +905,71 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     }));
   }
 
+  /**
+   * Prepare the live preview of the calendar being edited: a sample year of month grids
+   * with festivals and new/full moons marked, and where each month and year starts in the week.
+   * @returns {object} Preview context
+   * @private
+   */
+  #preparePreviewContext() {
+    const data = this.#calendarData;
+    const engine = new CalendarEngine(data);
+    const yearZero = data.years?.yearZero ?? 0;
+    const isActive = this.#calendarId && CalendarRegistry.getActiveId() === this.#calendarId;
+    const previewYear = this.#previewYear ?? (isActive ? game.time.components.year + yearZero : yearZero);
+    const context = { previewYear, previewMonths: [], previewMoons: [], previewError: null };
+    const weekdays = engine.weekdaysArray;
+    if (!engine.monthsArray.length || !weekdays.length) {
+      context.previewError = localize('CALENDARIA.Editor.Preview.Unavailable');
+      return context;
+    }
+    const year = previewYear - yearZero;
+    const weekdayName = (index) => localize(weekdays[index]?.name ?? '');
+    const moonStyles = engine.moonsArray.map((moon) => {
+      const phases = Object.values(moon.phases ?? DEFAULT_MOON_PHASES);
+      return { name: localize(moon.name), color: moon.color || '#b8b8b8', fullIndex: Math.floor(phases.length / 2) };
+    });
+    try {
+      context.previewWeekdays = weekdays.map((weekday) => localize(weekday.abbreviation || weekday.name || '').slice(0, 3));
+      context.previewMonths = engine.monthsArray.map((month, monthIndex) => {
+        const layout = layoutMonth(engine, year, monthIndex);
+        const rows = layout.rows.map((row) => {
+          if (row.type === 'banner') return { isBanner: true, label: row.days.map((entry) => `${entry.day}: ${localize(entry.festival.name)}`).join(', ') };
+          const cells = row.cells.map((cell) => {
+            if (cell.empty || !cell.day) return { empty: true };
+            const components = { year: cell.year, month: cell.month, dayOfMonth: cell.day - 1 };
+            const festival = cell.isFromOtherMonth ? null : engine.findFestivalDay(components);
+            const moons = cell.isFromOtherMonth
+              ? []
+              : moonStyles.flatMap((style, moonIndex) => {
+                  const phase = engine.getMoonPhase(moonIndex, components);
+                  if (!phase || phase.dayWithinPhase !== 0 || (phase.phaseIndex !== 0 && phase.phaseIndex !== style.fullIndex)) return [];
+                  const isFull = phase.phaseIndex === style.fullIndex;
+                  return [{ icon: isFull ? 'fas fa-circle' : 'far fa-circle', color: style.color, tooltip: format(isFull ? 'CALENDARIA.Editor.Preview.FullMoon' : 'CALENDARIA.Editor.Preview.NewMoon', { moon: style.name }) }];
+                });
+            return { day: cell.day, otherMonth: cell.isFromOtherMonth, festival: festival ? localize(festival.name) : null, moons };
+          });
+          return { isBanner: false, cells };
+        });
+        return { name: localize(month.name), days: engine.getDaysInMonth(monthIndex, year), startsOn: format('CALENDARIA.Editor.Preview.StartsOn', { weekday: weekdayName(layout.startDayOfWeek) }), rows };
+      });
+      const nextYearStart = engine.dayOfWeek({ year: year + 1, month: 0, dayOfMonth: 0 });
+      context.previewSummary = format('CALENDARIA.Editor.Preview.YearSummary', {
+        days: engine.getDaysInYear(year),
+        start: weekdayName(engine.dayOfWeek({ year, month: 0, dayOfMonth: 0 })),
+        next: weekdayName(nextYearStart)
+      });
+      context.previewLeap = engine.isLeapYear(year);
+      context.previewMoons = moonStyles;
+      context.previewColumns = weekdays.length;
+    } catch (error) {
+      log(1, 'Failed to build calendar preview:', error);
+      context.previewMonths = [];
+      context.previewError = localize('CALENDARIA.Editor.Preview.Unavailable');
+    }
+    return context;
+  }
+
   /**
    * Handle form submission.
    * @param {Event} _event - Form submit event
@@ -870,10 +980,12 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     const oldSeasonType = this.#calendarData.seasons?.type;
     const oldWeeksType = this.#calendarData.weeks?.type;
     this.#updateFromFormData(formData.object);
-    const newSeasonType = this.#calendarData.seasons?.type;
-    const newWeeksType = this.#calendarData.weeks?.type;
-    if (oldSeasonType !== newSeasonType) this.render({ parts: ['seasons'] });
-    if (oldWeeksType !== newWeeksType) this.render({ parts: ['weeks'] });
+    const previewYear = parseInt(formData.object.previewYear);
+    if (!isNaN(previewYear)) this.#previewYear = previewYear;
+    const parts = ['preview'];
+    if (oldSeasonType !== this.#calendarData.seasons?.type) parts.push('seasons');
+    if (oldWeeksType !== this.#calendarData.weeks?.type) parts.push('weeks');
+    this.render({ parts });
   }
 
   /**
@@ -889,6 +1001,13 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     this.#calendarData.years.firstWeekday = parseInt(data['years.firstWeekday']) || 0;
     this.#calendarData.years.resetWeekdays = data['years.resetWeekdays'] ?? false;
     this.#calendarData.years.allowNegativeYears = data['years.allowNegativeYears'] ?? true;
+    if ('years.sharedEpoch.year' in data) {
+      this.#calendarData.years.sharedEpoch = {
+        year: parseInt(data['years.sharedEpoch.year']) || 0,
+        month: parseInt(data['years.sharedEpoch.month']) || 0,
+        day: Math.max(1, parseInt(data['years.sharedEpoch.day']) || 1)
+      };
+    }
     const leapRule = data['leapYearConfig.rule'] || 'none';
     if (leapRule === 'none') {
       this.#calendarData.leapYearConfig = null;
@@ -1126,6 +1245,18 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     return isNaN(parsed) ? null : parsed;
   }
 
+  /**
+   * Parse an optional decimal value, returning null if empty.
+   * @param {string|number} value - Value to parse
+   * @returns {number|null} Parsed number or null if empty/invalid
+   * @private
+   */
+  #parseOptionalFloat(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
   /**
    * Update moons array from form data.
    * @param {object} data - Form data
@@ -1175,6 +1306,7 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
         cycleLength: parseFloat(data[`moons.${mKey}.cycleLength`]) || 28,
         cycleDayAdjust: this.#parseOptionalInt(data[`moons.${mKey}.cycleDayAdjust`]) ?? existingMoon?.cycleDayAdjust ?? 0,
         referencePhase: this.#parseOptionalInt(data[`moons.${mKey}.referencePhase`]) ?? existingMoon?.referencePhase ?? 0,
+        tidalStrength: this.#parseOptionalFloat(data[`moons.${mKey}.tidalStrength`]),
         color: moonColor,
         phases,
         referenceDate: {
@@ -2157,6 +2289,8 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
         zone.environmentDark = result.environmentDark;
         zone.temperatures = result.temperatures;
         zone.presets = result.presets;
+        zone.markov = result.markov;
+        zone.tides = result.tides;
         editor.render({ parts: ['weather'] });
       }
     });
@@ -2221,6 +2355,23 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     TokenReferenceDialog.open({ contextType });
   }
 
+  /**
+   * Jump to the tab and field a validation issue refers to.
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Issue button with data-target-tab and data-field
+   */
+  static #onFocusIssue(_event, target) {
+    const { targetTab, field } = target.dataset;
+    if (targetTab) this.changeTab(targetTab, 'primary');
+    if (!field) return;
+    const input = this.element.querySelector(`[name="${CSS.escape(field)}"]`);
+    if (!input) return;
+    input.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    input.focus();
+    input.classList.add('validation-focus');
+    setTimeout(() => input.classList.remove('validation-focus'), 2000);
+  }
+
   /**
    * Duplicate the currently loaded calendar.
    * @param {Event} _event - Click event
@@ -2267,6 +2418,7 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       ui.notifications.error('CALENDARIA.Editor.Error.NameRequired', { localize: true });
       return;
     }
+    this.#issues = validateCalendar(this.#calendarData);
 
     const setActive = await this.#showSaveDialog();
     if (setActive === null) return;
@@ -2278,12 +2430,17 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
 
       if (this.#isEditing && this.#calendarId) {
         // Use isBundledCalendar directly to check BUNDLED_CALENDARS array, avoiding legacy data issues
-        if (isBundledCalendar(this.#calendarId) || CalendarManager.hasDefaultOverride(this.#calendarId)) {
+        const hadOverride = CalendarManager.hasDefaultOverride(this.#calendarId);
+        const isOverride = isBundledCalendar(this.#calendarId) || hadOverride;
+        // A bundled calendar saved for the first time is undone by dropping its override
+        const previous = isOverride && !hadOverride ? null : (CalendarManager.getCalendar(this.#calendarId)?.toObject() ?? null);
+        if (isOverride) {
           calendar = await CalendarManager.saveDefaultOverride(this.#calendarId, this.#calendarData);
         } else {
           calendar = await CalendarManager.updateCustomCalendar(this.#calendarId, this.#calendarData);
         }
         calendarId = this.#calendarId;
+        if (calendar) TimeHistory.recordCalendarEdit(calendarId, previous, calendar.toObject());
       } else {
         const id =
           this.#calendarData.metadata?.suggestedId ||
@@ -2344,8 +2501,10 @@ export class CalendarEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     const isAlreadyActive = activeCalendarId === this.#calendarId;
     const showSetActiveOption = isGM && !isAlreadyActive;
 
+    const errorCount = this.#issues.filter((issue) => issue.severity === 'error').length;
     const content = `
       <p>${localize('CALENDARIA.Editor.ConfirmSave')}</p>
+      ${errorCount ? `<p class="validation-warning"><i class="fas fa-triangle-exclamation"></i> ${format('CALENDARIA.Editor.Validation.SaveWithErrors', { count: errorCount })}</p>` : ''}
       ${
         showSetActiveOption
           ? `<div class="form-group">
@@ -0,0 +1,220 @@
+/**
+ * Calendar Grid Layout
+ * Lays out a month as rows for the MiniCal and BigCal grids. Intercalary festival days
+ * (those that do not count for weekdays) become standalone banner rows at the point in
+ * the month where they fall, and weeks wider than the view allows wrap onto several rows.
+ * @module Applications/CalendarLayout
+ * @author Tyler
+ */
+
+import { localize } from '../utils/localization.mjs';
+
+/**
+ * @typedef {object} LayoutCell
+ * @property {number} [year] - Display year
+ * @property {number} [month] - Month index (0-indexed)
+ * @property {number} [day] - Day of month (1-indexed)
+ * @property {number} [weekday] - Weekday column within the full week
+ * @property {boolean} [isFromOtherMonth] - Day belongs to the previous or next month
+ * @property {boolean} [empty] - Placeholder cell
+ */
+
+/**
+ * @typedef {object} LayoutRow
+ * @property {'week'|'banner'} type - Row type
+ * @property {LayoutCell[]} [cells] - Cells of a week row (one wrapped segment)
+ * @property {number} [weekIndex] - Index of the week the row belongs to
+ * @property {number} [segment] - Wrapped segment of the week (0 for the first)
+ * @property {string} [weekLabel] - Named week label, on the first segment only
+ * @property {Array<{year: number, month: number, day: number, festival: object}>} [days] - Intercalary days of a banner row
+ * @property {'start'|'middle'|'end'} [placement] - Where in the month a banner falls
+ */
+
+/**
+ * @typedef {object} MonthLayout
+ * @property {number} daysInWeek - Days in a full week
+ * @property {number} columns - Cells per grid row
+ * @property {number} segments - Grid rows per week
+ * @property {number} startDayOfWeek - Weekday of the first regular day of the month
+ * @property {LayoutRow[]} rows - Grid rows in display order
+ * @property {Object<number, {row: number, column: number}>} positions - Grid position of each regular day of the month
+ */
+
+/**
+ * Get the number of grid columns for a week, splitting wide weeks into even segments.
+ * A ten-day week shown at most seven wide becomes two rows of five.
+ * @param {number} daysInWeek - Days in a week
+ * @param {number} [maxColumns] - Widest row the view allows
+ * @returns {number} Columns per row
+ */
+export function getGridColumns(daysInWeek, maxColumns = Infinity) {
+  if (!daysInWeek || daysInWeek <= maxColumns) return daysInWeek || 1;
+  return Math.ceil(daysInWeek / Math.ceil(daysInWeek / maxColumns));
+}
+
+/**
+ * Whether a day is an intercalary festival that sits outside the weekday grid.
+ * @param {object} calendar - Calendar
+ * @param {number} year - Display year
+ * @param {number} month - Month index
+ * @param {number} day - Day of month (1-indexed)
+ * @returns {object|null} The festival if the day is intercalary
+ */
+function getIntercalaryFestival(calendar, year, month, day) {
+  const festival = calendar.findFestivalDay({ year: year - (calendar.years?.yearZero ?? 0), month, dayOfMonth: day - 1 });
+  return festival?.countsForWeekday === false ? festival : null;
+}
+
+/**
+ * Step a display date by one day, crossing month and year boundaries.
+ * @param {object} calendar - Calendar
+ * @param {{year: number, month: number, day: number}} date - Date to step (mutated)
+ * @param {number} direction - 1 for forward, -1 for backward
+ */
+function stepDay(calendar, date, direction) {
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const totalMonths = calendar.monthsArray.length || 12;
+  date.day += direction;
+  if (date.day >= 1 && date.day <= calendar.getDaysInMonth(date.month, date.year - yearZero)) return;
+  date.month += direction;
+  if (date.month < 0) {
+    date.month = totalMonths - 1;
+    date.year--;
+  } else if (date.month >= totalMonths) {
+    date.month = 0;
+    date.year++;
+  }
+  date.day = direction > 0 ? 1 : calendar.getDaysInMonth(date.month, date.year - yearZero);
+}
+
+/**
+ * Collect regular (weekday-counting) days next to a month to fill the edges of its grid.
+ * @param {object} calendar - Calendar
+ * @param {{year: number, month: number, day: number}} from - Day to start stepping from (exclusive)
+ * @param {number} count - Number of days to collect
+ * @param {number} direction - 1 for following days, -1 for preceding days
+ * @returns {LayoutCell[]} Cells in calendar order
+ */
+function collectAdjacentDays(calendar, from, count, direction) {
+  const cells = [];
+  const cursor = { ...from };
+  let guard = count * 4 + 64;
+  while (cells.length < count && guard-- > 0) {
+    stepDay(calendar, cursor, direction);
+    if (getIntercalaryFestival(calendar, cursor.year, cursor.month, cursor.day)) continue;
+    cells.push({ year: cursor.year, month: cursor.month, day: cursor.day, isFromOtherMonth: true });
+  }
+  return direction > 0 ? cells : cells.reverse();
+}
+
+/**
+ * Get the named week label for a day, if the calendar names its weeks.
+ * @param {object} calendar - Calendar
+ * @param {LayoutCell} cell - First in-month cell of the week
+ * @returns {string} Week label or an empty string
+ */
+function getWeekLabel(calendar, cell) {
+  if (!cell || !calendar.weeks?.enabled || !calendar.getAllNamedWeeks?.().length) return '';
+  const week = calendar.getCurrentWeek({ year: cell.year - (calendar.years?.yearZero ?? 0), month: cell.month, dayOfMonth: cell.day - 1 });
+  return week?.weekName ?? '';
+}
+
+/**
+ * Lay out a month for a grid view.
+ * @param {object} calendar - Calendar, or a calendar engine over unsaved data
+ * @param {number} year - Display year
+ * @param {number} month - Month index (0-indexed)
+ * @param {object} [options] - Layout options
+ * @param {number} [options.maxColumns] - Widest row the view allows; wider weeks wrap
+ * @returns {MonthLayout} Month layout
+ */
+export function layoutMonth(calendar, year, month, { maxColumns = Infinity } = {}) {
+  const daysInWeek = calendar.daysInWeek || 7;
+  const columns = getGridColumns(daysInWeek, maxColumns);
+  const segments = Math.ceil(daysInWeek / columns);
+  const internalYear = year - (calendar.years?.yearZero ?? 0);
+  const daysInMonth = calendar.getDaysInMonth(month, internalYear);
+  const monthData = calendar.monthsArray[month];
+  const startDayOfWeek = monthData?.startingWeekday != null ? monthData.startingWeekday : (calendar.engine ?? calendar).dayOfWeek({ year: internalYear, month, dayOfMonth: 0 });
+  const weeks = [];
+  let week = startDayOfWeek > 0 ? collectAdjacentDays(calendar, { year, month, day: 1 }, startDayOfWeek, -1) : [];
+  let banner = null;
+  let hasRegularDay = false;
+  const pushWeek = () => {
+    while (week.length < daysInWeek) week.push({ empty: true });
+    weeks.push({ type: 'week', cells: week });
+    week = [];
+  };
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const festival = getIntercalaryFestival(calendar, year, month, day);
+    if (festival) {
+      banner ??= { type: 'banner', days: [], placement: hasRegularDay ? 'middle' : 'start' };
+      banner.days.push({ year, month, day, festival });
+      continue;
+    }
+    if (banner) {
+      const position = week.length;
+      if (hasRegularDay && position > 0) pushWeek();
+      weeks.push(banner);
+      if (hasRegularDay) week = Array.from({ length: position }, () => ({ empty: true }));
+      banner = null;
+    }
+    week.push({ year, month, day, weekday: week.length });
+    hasRegularDay = true;
+    if (week.length === daysInWeek) pushWeek();
+  }
+
+  if (week.length && hasRegularDay) {
+    week.push(...collectAdjacentDays(calendar, { year, month, day: daysInMonth }, daysInWeek - week.length, 1));
+    pushWeek();
+  }
+  if (banner) {
+    banner.placement = 'end';
+    weeks.push(banner);
+  }
+
+  const rows = [];
+  const positions = {};
+  let weekIndex = 0;
+  for (const entry of weeks) {
+    if (entry.type === 'banner') {
+      rows.push(entry);
+      continue;
+    }
+    entry.cells.forEach((cell, index) => (cell.weekday ??= index));
+    const firstDay = entry.cells.find((cell) => cell.day && !cell.isFromOtherMonth);
+    for (let segment = 0; segment < segments; segment++) {
+      const cells = entry.cells.slice(segment * columns, (segment + 1) * columns);
+      while (cells.length < columns) cells.push({ empty: true });
+      cells.forEach((cell, column) => {
+        if (cell.day && !cell.isFromOtherMonth && !cell.empty) positions[cell.day] = { row: rows.length, column };
+      });
+      rows.push({ type: 'week', cells, weekIndex, segment, weekLabel: segment === 0 ? getWeekLabel(calendar, firstDay) : '' });
+    }
+    weekIndex++;
+  }
+
+  return { daysInWeek, columns, segments, startDayOfWeek, rows, positions };
+}
+
+/**
+ * Build a compact strip of a year's festivals for the year view, in calendar order.
+ * @param {object} calendar - Calendar
+ * @param {number} year - Display year
+ * @returns {Array<{name: string, month: number, day: number, year: number, icon: string, color: string, isIntercalary: boolean, tooltip: string}>} Festival markers
+ */
+export function getFestivalStrip(calendar, year) {
+  const internalYear = year - (calendar.years?.yearZero ?? 0);
+  const markers = [];
+  calendar.monthsArray.forEach((monthData, month) => {
+    const daysInMonth = calendar.getDaysInMonth(month, internalYear);
+    for (let day = 1; day <= daysInMonth; day++) {
+      const festival = calendar.findFestivalDay({ year: internalYear, month, dayOfMonth: day - 1 });
+      if (!festival) continue;
+      const name = localize(festival.name);
+      markers.push({ name, month, day, year, icon: festival.icon || 'fas fa-star', color: festival.color || '', isIntercalary: festival.countsForWeekday === false, tooltip: `${name} (${day} ${localize(monthData.name)})` });
+    }
+  });
+  return markers;
+}
@@ -0,0 +1,180 @@
+/**
+ * Calendar Merge Application
+ * Reviews the differences between a re-imported calendar and an existing custom calendar,
+ * letting the user accept or reject each change before anything is saved.
+ * @module Applications/CalendarMergeApp
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { TEMPLATES } from '../constants.mjs';
+import { applyCalendarChanges, applyNoteChanges, diffCalendars, diffNotes, MERGE_SECTIONS } from '../importers/calendar-merge.mjs';
+import { createImporter } from '../importers/index.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/** Longest value shown in a review row before truncation. */
+const VALUE_PREVIEW_LENGTH = 80;
+
+/**
+ * Format a changed value for display.
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  let text;
+  if (typeof value === 'string') text = localize(value).replace(/<[^>]*>/g, ' ');
+  else if (typeof value === 'object' && 'month' in value && 'day' in value) text = `${(value.month ?? 0) + 1}/${value.day}`;
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  text = text.replace(/\s+/g, ' ').trim();
+  return text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Merge review dialog for re-imported calendars.
+ */
+export class CalendarMergeApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @type {string} Existing calendar ID */
+  #calendarId;
+
+  /** @type {string|null} Importer used for the incoming data */
+  #importerId;
+
+  /** @type {import('../importers/calendar-merge.mjs').MergeChange[]} Changes under review */
+  #changes;
+
+  /** @type {boolean} Whether the merge is being applied */
+  #applying = false;
+
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.calendarId - Existing custom calendar to merge into
+   * @param {object} options.incoming - Transformed incoming calendar data
+   * @param {object[]} [options.notes] - Incoming notes selected for import
+   * @param {string} [options.importerId] - Importer that produced the incoming data
+   */
+  constructor({ calendarId, incoming, notes = [], importerId = null, ...options } = {}) {
+    super(options);
+    this.#calendarId = calendarId;
+    this.#importerId = importerId;
+    const existing = CalendarManager.getCalendar(calendarId)?.toObject() ?? {};
+    this.#changes = [...diffCalendars(existing, incoming), ...diffNotes(calendarId, notes)];
+    log(3, `Merge into ${calendarId}: ${this.#changes.length} differences`);
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'calendaria-calendar-merge',
+    classes: ['calendaria', 'calendar-merge'],
+    tag: 'form',
+    window: { icon: 'fas fa-code-merge', title: 'CALENDARIA.Importer.Merge.Title', resizable: true },
+    position: { width: 720, height: 600 },
+    form: { handler: CalendarMergeApp.#onSubmit, submitOnChange: false, closeOnSubmit: false },
+    actions: { setAll: CalendarMergeApp.#onSetAll }
+  };
+
+  /** @override */
+  static PARTS = { form: { template: TEMPLATES.IMPORTER.MERGE, scrollable: ['.merge-sections'] } };
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const sectionInfo = { ...MERGE_SECTIONS, notes: { label: 'CALENDARIA.Common.Notes', icon: 'fa-sticky-note' } };
+    context.calendarName = localize(CalendarManager.getCalendar(this.#calendarId)?.name ?? this.#calendarId);
+    context.sections = Object.entries(sectionInfo)
+      .map(([id, { label, icon }]) => ({
+        id,
+        label,
+        icon,
+        changes: this.#changes
+          .map((change, index) => ({ change, index }))
+          .filter(({ change }) => change.section === id)
+          .map(({ change, index }) => ({
+            index,
+            kind: change.kind,
+            kindLabel: `CALENDARIA.Importer.Merge.Kind.${change.kind}`,
+            itemName: change.itemName || '—',
+            field: change.field,
+            current: change.kind === 'changed' ? formatValue(change.current) : '',
+            incoming: change.kind === 'changed' ? formatValue(change.incoming) : '',
+            accepted: change.accepted
+          }))
+      }))
+      .filter((section) => section.changes.length);
+    context.hasChanges = this.#changes.length > 0;
+    context.summary = format('CALENDARIA.Importer.Merge.Summary', { accepted: this.#changes.filter((c) => c.accepted).length, total: this.#changes.length });
+    context.buttons = [{ type: 'submit', icon: 'fas fa-code-merge', label: 'CALENDARIA.Importer.Merge.Apply', disabled: this.#applying }];
+    return context;
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    for (const input of this.element.querySelectorAll('input[data-change-index]')) {
+      input.addEventListener('change', (event) => {
+        const change = this.#changes[Number(event.target.dataset.changeIndex)];
+        if (change) change.accepted = event.target.checked;
+        this.#updateSummary();
+      });
+    }
+  }
+
+  /**
+   * Refresh the accepted count without re-rendering.
+   * @private
+   */
+  #updateSummary() {
+    const summary = this.element.querySelector('.merge-summary');
+    if (summary) summary.textContent = format('CALENDARIA.Importer.Merge.Summary', { accepted: this.#changes.filter((c) => c.accepted).length, total: this.#changes.length });
+  }
+
+  /**
+   * Accept or reject every change, or every change in one section.
+   * @this {CalendarMergeApp}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Button with data-accept and optional data-section
+   */
+  static #onSetAll(_event, target) {
+    const accepted = target.dataset.accept === 'true';
+    const section = target.dataset.section;
+    for (const change of this.#changes) if (!section || change.section === section) change.accepted = accepted;
+    this.render();
+  }
+
+  /**
+   * Apply the accepted changes to the calendar and its notes.
+   * @this {CalendarMergeApp}
+   * @param {SubmitEvent} _event - Submit event
+   * @param {HTMLFormElement} _form - Form element
+   * @param {object} _formData - Form data
+   */
+  static async #onSubmit(_event, _form, _formData) {
+    const accepted = this.#changes.filter((c) => c.accepted);
+    if (!accepted.length) {
+      ui.notifications.info('CALENDARIA.Importer.Merge.NothingAccepted', { localize: true });
+      return;
+    }
+    this.#applying = true;
+    this.render();
+    try {
+      if (accepted.some((c) => c.section !== 'notes')) {
+        const existing = CalendarManager.getCalendar(this.#calendarId)?.toObject();
+        const merged = applyCalendarChanges(existing, this.#changes);
+        if (!(await CalendarManager.updateCustomCalendar(this.#calendarId, merged, { replace: true }))) throw new Error(format('CALENDARIA.Error.CalendarNotFound', { id: this.#calendarId }));
+      }
+      const importer = this.#importerId ? createImporter(this.#importerId) : null;
+      const notes = await applyNoteChanges(this.#calendarId, this.#changes, importer);
+      ui.notifications.info(format('CALENDARIA.Importer.Merge.Applied', { count: accepted.length, ...notes }));
+      await this.close();
+    } catch (error) {
+      log(1, 'Error applying calendar merge:', error);
+      ui.notifications.error(format('CALENDARIA.Importer.Merge.Failed', { message: error.message }));
+      this.#applying = false;
+      this.render();
+    }
+  }
+}
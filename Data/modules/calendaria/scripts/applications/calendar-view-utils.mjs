@@ -5,11 +5,14 @@
  * @author Tyler
  */
 
+import { ASTRONOMY_EVENTS, getAstronomicalEventsInRange } from '../calendar/astronomy.mjs';
 import CalendarManager from '../calendar/calendar-manager.mjs';
-import { MODULE, SOCKET_TYPES } from '../constants.mjs';
+import { MODULE, SETTINGS, SOCKET_TYPES, TIME_SOURCES } from '../constants.mjs';
 import NoteManager from '../notes/note-manager.mjs';
-import { isRecurringMatch } from '../notes/utils/recurrence.mjs';
-import { formatCustom } from '../utils/format-utils.mjs';
+import { addDays } from '../notes/utils/date-utils.mjs';
+import { getOccurrenceOverride, getOriginalOccurrenceDate, isRecurringMatch } from '../notes/utils/recurrence.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
+import { formatCustom, formatInCalendar } from '../utils/format-utils.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
 import WeatherManager from '../weather/weather-manager.mjs';
@@ -110,6 +113,37 @@ export function getVisibleNotes(notes) {
   });
 }
 
+/**
+ * Get read-only stand-ins for the astronomical events around a viewed month.
+ * They have the shape of calendar note pages (id, name, system) so the calendar views render
+ * them like notes, but no journal page exists behind them.
+ * @param {object} date - Viewed date { year, month }
+ * @param {object} [calendar] - Calendar to use (defaults to active)
+ * @returns {object[]} Astronomical event notes from a week before the month to a week after it
+ */
+export function getAstronomyNotes(date, calendar = null) {
+  calendar = calendar || CalendarManager.getActiveCalendar();
+  if (!calendar || !date) return [];
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const daysInMonth = calendar.isMonthless ? calendar.getDaysInYear(date.year - yearZero) : calendar.getDaysInMonth(date.month, date.year - yearZero);
+  const start = addDays({ year: date.year, month: date.month, day: 1 }, -calendar.daysInWeek);
+  const end = addDays({ year: date.year, month: date.month, day: daysInMonth }, calendar.daysInWeek);
+  return getAstronomicalEventsInRange(start, end, calendar).map((event) => {
+    const { year, month, day } = event.date;
+    const { icon, color } = ASTRONOMY_EVENTS[event.type];
+    const eventDate = { year, month, day, hour: 0, minute: 0 };
+    return {
+      id: `astronomy-${event.type}-${event.moons.join('-')}-${year}-${month}-${day}`,
+      name: event.name,
+      isAstronomy: true,
+      isOwner: false,
+      parent: null,
+      flags: {},
+      system: { startDate: eventDate, endDate: eventDate, allDay: true, repeat: 'never', icon, iconType: 'fontawesome', color, categories: [], gmOnly: false, author: { name: localize('CALENDARIA.Astronomy.Title') } }
+    };
+  });
+}
+
 /**
  * Check if a date is today.
  * @param {number} year - Display year (with yearZero applied)
@@ -140,6 +174,22 @@ export function getCurrentViewedDate(calendar = null) {
   return { ...components, year: components.year + yearZero, day: dayOfMonth };
 }
 
+/**
+ * Get a date as it falls in the secondary calendar chosen in settings.
+ * @param {object} calendar - Calendar the date belongs to
+ * @param {number} year - Display year
+ * @param {number} month - Month (0-indexed)
+ * @param {number} day - Day of month (1-indexed)
+ * @returns {{text: string, calendar: string}|null} Formatted date and calendar name, or null if no secondary calendar is set
+ */
+export function getSecondaryDate(calendar, year, month, day) {
+  const secondaryId = game.settings.get(MODULE.ID, SETTINGS.SECONDARY_CALENDAR);
+  const secondary = secondaryId ? CalendarManager.getCalendar(secondaryId) : null;
+  if (!calendar || !secondary || secondaryId === calendar.metadata?.id) return null;
+  const text = formatInCalendar(calendar, { year, month, dayOfMonth: day }, secondaryId);
+  return text ? { text, calendar: localize(secondary.name) } : null;
+}
+
 /**
  * Check if a day has any notes.
  * @param {object[]} notes - Notes to check
@@ -158,6 +208,8 @@ export function hasNotesOnDay(notes, year, month, day) {
       repeatInterval: page.system.repeatInterval,
       repeatEndDate: page.system.repeatEndDate,
       maxOccurrences: page.system.maxOccurrences,
+      exceptions: page.system.exceptions,
+      overrides: page.system.overrides,
       moonConditions: page.system.moonConditions,
       randomConfig: page.system.randomConfig,
       cachedRandomOccurrences: page.flags?.[MODULE.ID]?.randomOccurrences,
@@ -260,6 +312,8 @@ export function getNotesOnDay(year, month, day) {
       repeatInterval: page.system.repeatInterval,
       repeatEndDate: page.system.repeatEndDate,
       maxOccurrences: page.system.maxOccurrences,
+      exceptions: page.system.exceptions,
+      overrides: page.system.overrides,
       moonConditions: page.system.moonConditions,
       randomConfig: page.system.randomConfig,
       cachedRandomOccurrences: page.flags?.[MODULE.ID]?.randomOccurrences,
@@ -273,14 +327,48 @@ export function getNotesOnDay(year, month, day) {
   });
 }
 
+/**
+ * Get the date a calendar view element stands for, from its own or its nearest ancestor's
+ * data-year, data-month and data-day attributes.
+ * @param {HTMLElement} element - Element inside a calendar view
+ * @returns {{year: number, month: number, day: number}|null} Date, or null outside a dated element
+ */
+export function getElementDate(element) {
+  const source = element?.closest('[data-year][data-month][data-day]');
+  if (!source) return null;
+  return { year: parseInt(source.dataset.year), month: parseInt(source.dataset.month), day: parseInt(source.dataset.day) };
+}
+
+/**
+ * Ask whether a change to a recurring note applies to one occurrence or the whole series.
+ * @param {string} title - Dialog title
+ * @param {string} message - Question shown in the dialog
+ * @param {{occurrence: string, series: string}} labels - Localization keys for the two choices
+ * @returns {Promise<'occurrence'|'series'|null>} Chosen scope, or null if dismissed
+ */
+export async function promptOccurrenceScope(title, message, labels) {
+  const result = await foundry.applications.api.DialogV2.wait({
+    window: { title, icon: 'fas fa-arrows-rotate' },
+    content: `<p>${message}</p>`,
+    buttons: [
+      { action: 'occurrence', label: localize(labels.occurrence), icon: 'fas fa-calendar-day', default: true },
+      { action: 'series', label: localize(labels.series), icon: 'fas fa-calendar-week' }
+    ],
+    rejectClose: false,
+    modal: true
+  });
+  return result === 'occurrence' || result === 'series' ? result : null;
+}
+
 /**
  * Set the game time to a specific date.
  * @param {number} year - Display year
  * @param {number} month - Month (0-indexed)
  * @param {number} day - Day (1-indexed)
  * @param {object} [calendar] - Calendar to use
+ * @param {string} [source] - TIME_SOURCES value recorded for the change
  */
-export async function setDateTo(year, month, day, calendar = null) {
+export async function setDateTo(year, month, day, calendar = null, source = TIME_SOURCES.SET_DATE) {
   calendar = calendar || CalendarManager.getActiveCalendar();
   const yearZero = calendar?.years?.yearZero ?? 0;
   const internalYear = year - yearZero;
@@ -292,6 +380,7 @@ export async function setDateTo(year, month, day, calendar = null) {
     CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta });
     return;
   }
+  SessionLedger.tagSource(source);
   await game.time.advance(delta);
 }
 
@@ -352,18 +441,19 @@ export function getDayContextMenuItems({ calendar, onSetDate, onCreateNote, extr
     if (extraItems?.length) items.push(...extraItems);
 
     if (notes.length > 0) {
-      const sortedNotes = [...notes].sort((a, b) => a.name.localeCompare(b.name));
-      for (const note of sortedNotes) {
+      const occurrence = { year, month, day };
+      const named = notes.map((note) => ({ note, name: getOccurrenceOverride(note.system, occurrence)?.name || note.name }));
+      for (const { note, name } of named.sort((a, b) => a.name.localeCompare(b.name))) {
         const isOwner = note.isOwner;
         const noteIcon = note.system?.icon || 'fas fa-sticky-note';
         const noteColor = note.system?.color || '#4a9eff';
         const iconHtml = note.system?.iconType === 'fontawesome' ? `<i class="${noteIcon}" style="color: ${noteColor}"></i>` : `<i class="fas fa-sticky-note" style="color: ${noteColor}"></i>`;
         items.push({
-          name: note.name,
+          name,
           icon: iconHtml,
           group: 'notes',
-          _noteData: { note, isOwner },
-          callback: () => note.sheet.render(true, { mode: isOwner ? 'edit' : 'view' })
+          _noteData: { note, name, isOwner, occurrence },
+          callback: () => note.sheet.render(true, { mode: isOwner ? 'edit' : 'view', occurrence })
         });
       }
     }
@@ -475,6 +565,15 @@ export function generateDayTooltip(calendar, year, month, day, festival = null)
   }
   if (seasonName) rows.push(`<div class="calendaria-day-tooltip-season">${escapeText(seasonName)}</div>`);
   rows.push(`<div class="calendaria-day-tooltip-sun"><i class="fas fa-sun"></i> ${formatTime(sunriseHour)} <i class="fas fa-moon"></i> ${formatTime(sunsetHour)}</div>`);
+  const weatherHistory = WeatherManager.getWeatherHistoryForDate?.(year, month, day) ?? [];
+  if (weatherHistory.length) {
+    const historyRows = weatherHistory.map((record) => {
+      const temp = record.temperature != null ? ` ${WeatherManager.formatTemperature(record.temperature)}` : '';
+      const zone = weatherHistory.length > 1 && record.zoneName ? ` <span class="zone">(${escapeText(record.zoneName)})</span>` : '';
+      return `<div class="calendaria-day-tooltip-weather-row"><i class="fas ${record.icon}" style="color: ${record.color}"></i> ${escapeText(localize(record.label))}${temp}${zone}</div>`;
+    });
+    rows.push(`<div class="calendaria-day-tooltip-history"><div class="calendaria-day-tooltip-history-title">${localize('CALENDARIA.Weather.History.Title')}</div>${historyRows.join('')}</div>`);
+  }
   const rawHtml = `<div class="calendaria-day-tooltip">${rows.join('')}</div>`;
   return encodeHtmlAttribute(rawHtml);
 }
@@ -507,11 +606,11 @@ export function setupDayContextMenu(container, selector, calendar, options = {})
         menuItems.forEach((li, idx) => {
           const item = currentItems[idx];
           if (!item?._noteData) return;
-          const { note, isOwner } = item._noteData;
+          const { note, name, isOwner, occurrence } = item._noteData;
           const nameSpan = li.querySelector('span:not(.note-row)');
           if (!nameSpan) return;
           nameSpan.classList.add('note-row');
-          nameSpan.innerHTML = `<span class="note-name">${note.name}</span>`;
+          nameSpan.innerHTML = `<span class="note-name">${name}</span>`;
           if (isOwner) {
             const actions = document.createElement('span');
             actions.className = 'note-actions';
@@ -521,10 +620,18 @@ export function setupDayContextMenu(container, selector, calendar, options = {})
               e.stopPropagation();
               const action = e.target.closest('[data-action]')?.dataset?.action;
               if (action === 'edit') {
-                note.sheet.render(true, { mode: 'edit' });
+                note.sheet.render(true, { mode: 'edit', occurrence });
                 ui.context?.close();
               } else if (action === 'delete') {
                 ui.context?.close();
+                if (note.system.repeat && note.system.repeat !== 'never') {
+                  const scope = await promptOccurrenceScope(localize('CALENDARIA.ContextMenu.DeleteNote'), format('CALENDARIA.Note.Occurrences.DeletePrompt', { name }), {
+                    occurrence: 'CALENDARIA.Note.Occurrences.SkipThis',
+                    series: 'CALENDARIA.Note.Occurrences.DeleteAll'
+                  });
+                  if (scope === 'occurrence') await NoteManager.skipOccurrence(note.id, getOriginalOccurrenceDate(note.system, occurrence));
+                  if (scope !== 'series') return;
+                }
                 const confirmed = await foundry.applications.api.DialogV2.confirm({
                   window: { title: localize('CALENDARIA.ContextMenu.DeleteNote') },
                   content: `<p>${format('CALENDARIA.ContextMenu.DeleteConfirm', { name: note.name })}</p>`,
@@ -7,6 +7,7 @@
 
 import CalendarManager from '../calendar/calendar-manager.mjs';
 import CalendariaCalendar from '../calendar/data/calendaria-calendar.mjs';
+import { getTideConfig, TIDE_DEFAULTS } from '../calendar/tides.mjs';
 import { MODULE, SETTINGS, TEMPLATES } from '../constants.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { fromDisplayUnit, toDisplayUnit } from '../weather/climate-data.mjs';
@@ -164,6 +165,22 @@ export class ClimateEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       })
       .filter(Boolean);
 
+    // Zone transition matrix (rows: today's preset, columns: tomorrow's preset)
+    let markovMatrix = { columns: [], rows: [] };
+    let markovTempStep = '';
+    if (isZoneMode) {
+      const savedPresets = this.#data.presets ? Object.values(this.#data.presets) : [];
+      const enabledPresets = allPresets.filter((p) => savedPresets.some((saved) => saved.id === p.id && saved.enabled));
+      const transitions = this.#data.markov?.transitions ?? {};
+      const toCell = (preset) => ({ id: preset.id, icon: preset.icon, color: preset.color, label: localize(preset.label) });
+      markovMatrix = {
+        columns: enabledPresets.map(toCell),
+        rows: enabledPresets.map((from) => ({ ...toCell(from), cells: enabledPresets.map((to) => ({ id: to.id, weight: transitions[from.id]?.[to.id] ?? '' })) }))
+      };
+      const tempStep = this.#data.markov?.tempStep;
+      if (tempStep != null) markovTempStep = tempUnit === 'fahrenheit' ? Math.round(tempStep * 18) / 10 : tempStep;
+    }
+
     // Zone daylight preview
     let latitude = this.#data.latitude ?? null;
     let shortestDayHours = '';
@@ -232,6 +249,10 @@ export class ClimateEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       envBase: this.#data.environmentBase ?? {},
       envDark: this.#data.environmentDark ?? {},
       zoneKey: this.#zoneKey,
+      markovEnabled: !!this.#data.markov?.enabled,
+      markovTempStep,
+      markovMatrix,
+      tides: getTideConfig(this.#data),
       // Daylight fields
       latitude: latitude ?? '',
       hasManualDaylight,
@@ -358,9 +379,23 @@ export class ClimateEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       environmentBase: baseHue !== null || baseSat !== null ? { hue: baseHue, saturation: baseSat } : null,
       environmentDark: darkHue !== null || darkSat !== null ? { hue: darkHue, saturation: darkSat } : null,
       temperatures: {},
-      presets: {}
+      presets: {},
+      markov: { enabled: !!data.markovEnabled, tempStep: null, transitions: {} },
+      tides: {
+        enabled: !!data.tidesEnabled,
+        range: Math.max(0, parseFloat(data.tidesRange) || 0),
+        meanLevel: parseFloat(data.tidesMeanLevel) || 0,
+        solarStrength: data.tidesSolarStrength !== '' && data.tidesSolarStrength != null ? Math.max(0, parseFloat(data.tidesSolarStrength) || 0) : TIDE_DEFAULTS.solarStrength,
+        lag: parseFloat(data.tidesLag) || 0,
+        unit: data.tidesUnit?.trim() || TIDE_DEFAULTS.unit
+      }
     };
 
+    if (data.markovTempStep !== '' && data.markovTempStep != null) {
+      const step = Math.max(0, parseFloat(data.markovTempStep) || 0);
+      result.markov.tempStep = game.settings.get(MODULE.ID, SETTINGS.TEMPERATURE_UNIT) === 'fahrenheit' ? (step * 5) / 9 : step;
+    }
+
     for (const season of seasonNames) {
       const minVal = parseInt(data[`temp_${season}_min`]) || 0;
       const maxVal = parseInt(data[`temp_${season}_max`]) || 20;
@@ -379,7 +414,19 @@ export class ClimateEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       result.presets[preset.id] = pData;
     }
 
+    for (const from of allPresets) {
+      for (const to of allPresets) {
+        const weight = parseFloat(data[`markov_${from.id}_${to.id}`]);
+        if (weight > 0) (result.markov.transitions[from.id] ??= {})[to.id] = weight;
+      }
+    }
+
+    // Matrix rows/columns follow the enabled presets, so re-render when that set changes
+    const enabledIds = (presets) => Object.values(presets ?? {}).filter((p) => p.enabled).map((p) => p.id).sort().join();
+    const enabledChanged = enabledIds(this.#data.presets) !== enabledIds(result.presets);
+    Object.assign(this.#data, result);
     this.#onSave(result);
+    if (enabledChanged) this.render();
   }
 
   /**
@@ -6,12 +6,18 @@
  */
 
 import CalendarManager from '../calendar/calendar-manager.mjs';
-import { HOOKS, MODULE, REPLACEABLE_ELEMENTS, SETTINGS, SOCKET_TYPES, TEMPLATES, WIDGET_POINTS } from '../constants.mjs';
+import { describeTides, getTides } from '../calendar/tides.mjs';
+import { HOOKS, MODULE, REPLACEABLE_ELEMENTS, SETTINGS, SOCKET_TYPES, TEMPLATES, TIME_SOURCES, WIDGET_POINTS } from '../constants.mjs';
 import NoteManager from '../notes/note-manager.mjs';
+import { getOccurrenceOverride } from '../notes/utils/recurrence.mjs';
 import SearchManager from '../search/search-manager.mjs';
+import { isEmptyQuery, parseSearchQuery } from '../search/search-query.mjs';
+import PartyTimelines from '../time/party-timelines.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
 import TimeClock, { getTimeIncrements } from '../time/time-clock.mjs';
+import TimeHistory from '../time/time-history.mjs';
 import { formatForLocation, hasMoonIconMarkers, renderMoonIcons, stripMoonIconMarkers, toRomanNumeral } from '../utils/format-utils.mjs';
-import { localize } from '../utils/localization.mjs';
+import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { canChangeDateTime, canChangeWeather, canViewBigCal } from '../utils/permissions.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
@@ -199,7 +205,10 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
     const calendar = this.calendar;
-    const components = game.time.components;
+    const components = PartyTimelines.getComponents();
+    const localTime = PartyTimelines.getTime();
+    const timeline = PartyTimelines.getViewerTimeline();
+    context.timeline = timeline ? { name: timeline.name, color: timeline.color, offsetLabel: PartyTimelines.getOffsetLabel(timeline) } : null;
     context.isGM = game.user.isGM;
     context.canChangeDateTime = canChangeDateTime();
     context.canChangeWeather = canChangeWeather();
@@ -224,25 +233,26 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
     context.dateDisplay = stripMoonIconMarkers(dateFormatted);
     context.dateDisplayHtml = renderMoonIcons(dateFormatted);
     context.dateCompressed = context.dateDisplay.length > 35;
+    context.secondaryDate = calendar ? ViewUtils.getSecondaryDate(calendar, components.year + (calendar.years?.yearZero ?? 0), components.month, (components.dayOfMonth ?? 0) + 1) : null;
     const showWeatherBlock = game.settings.get(MODULE.ID, SETTINGS.HUD_SHOW_WEATHER);
     const showSeasonBlock = game.settings.get(MODULE.ID, SETTINGS.HUD_SHOW_SEASON);
     const showEraBlock = game.settings.get(MODULE.ID, SETTINGS.HUD_SHOW_ERA);
     const isCompact = this.isCompact;
     const weatherDisplayMode = isCompact ? 'icon' : game.settings.get(MODULE.ID, SETTINGS.HUD_WEATHER_DISPLAY_MODE);
     const seasonDisplayMode = isCompact ? 'icon' : game.settings.get(MODULE.ID, SETTINGS.HUD_SEASON_DISPLAY_MODE);
-    const season = calendar?.getCurrentSeason?.();
+    const season = calendar?.getCurrentSeason?.(localTime);
     context.currentSeason = showSeasonBlock && season ? { name: localize(season.name), color: season.color || '#888', icon: season.icon || 'fas fa-sun' } : null;
     context.showSeasonIcon = seasonDisplayMode === 'full' || seasonDisplayMode === 'icon';
     context.showSeasonLabel = seasonDisplayMode === 'full' || seasonDisplayMode === 'text';
     const eraDisplayMode = isCompact ? 'icon' : game.settings.get(MODULE.ID, SETTINGS.HUD_ERA_DISPLAY_MODE);
-    const era = calendar?.getCurrentEra?.();
+    const era = calendar?.getCurrentEra?.(localTime);
     context.currentEra = showEraBlock && era ? { name: localize(era.name), abbreviation: localize(era.abbreviation || era.name), icon: 'fas fa-hourglass-half' } : null;
     context.showEraIcon = eraDisplayMode === 'full' || eraDisplayMode === 'icon';
     context.showEraLabel = eraDisplayMode === 'full' || eraDisplayMode === 'text';
     context.showEraAbbr = eraDisplayMode === 'abbr';
     const showCyclesBlock = game.settings.get(MODULE.ID, SETTINGS.HUD_SHOW_CYCLES);
     const cyclesDisplayMode = isCompact ? 'icon' : game.settings.get(MODULE.ID, SETTINGS.HUD_CYCLES_DISPLAY_MODE);
-    const cycleData = calendar?.getCycleValues?.();
+    const cycleData = calendar?.getCycleValues?.(localTime);
     context.cycleData = showCyclesBlock && cycleData?.values?.length ? cycleData : null;
     context.cycleText = showCyclesBlock ? cycleData?.text || null : null;
     context.cyclesDisplayMode = cyclesDisplayMode;
@@ -405,7 +415,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
     WidgetManager.attachWidgetListeners(this.element);
     if (!this.#timeHookId) this.#timeHookId = Hooks.on(HOOKS.VISUAL_TICK, this.#onVisualTick.bind(this));
     if (!this.#worldTimeHookId) this.#worldTimeHookId = Hooks.on(HOOKS.WORLD_TIME_UPDATED, this.#onWorldTimeUpdated.bind(this));
-    const c = game.time.components;
+    const c = PartyTimelines.getComponents();
     this.#lastDay = `${c.year}-${c.month}-${c.dayOfMonth}`;
   }
 
@@ -413,9 +423,12 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
   async _onFirstRender(context, options) {
     await super._onFirstRender(context, options);
     this.#restoreStickyStates();
+    this.element.addEventListener('keydown', (event) => TimeHistory.onKeyDown(event));
     this.#hooks.push({ name: HOOKS.CLOCK_START_STOP, id: Hooks.on(HOOKS.CLOCK_START_STOP, () => this.#onClockStateChange()) });
     this.#hooks.push({ name: HOOKS.WEATHER_CHANGE, id: Hooks.on(HOOKS.WEATHER_CHANGE, () => this.render({ parts: ['bar'] })) });
+    this.#hooks.push({ name: 'canvasReady', id: Hooks.on('canvasReady', () => this.render({ parts: ['bar'] })) });
     this.#hooks.push({ name: HOOKS.WIDGETS_REFRESH, id: Hooks.on(HOOKS.WIDGETS_REFRESH, () => this.render({ parts: ['bar'] })) });
+    this.#hooks.push({ name: HOOKS.TIMELINES_UPDATED, id: Hooks.on(HOOKS.TIMELINES_UPDATED, () => this.render({ parts: ['bar'] })) });
     const debouncedRender = foundry.utils.debounce(() => this.render({ parts: ['bar'] }), 100);
     this.#hooks.push({
       name: 'updateJournalEntryPage',
@@ -589,7 +602,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
       if (this.#searchOpen) searchInput.focus();
       const debouncedSearch = foundry.utils.debounce((term) => {
         this.#searchTerm = term;
-        if (term.length >= 2) this.#searchResults = SearchManager.search(term, { searchContent: true });
+        if (!isEmptyQuery(parseSearchQuery(term))) this.#searchResults = SearchManager.search(term, { searchContent: true });
         else this.#searchResults = null;
         this.#updateSearchResults();
       }, 300);
@@ -655,6 +668,8 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
           CalendariaSocket.emit(SOCKET_TYPES.HUD_VISIBILITY, { visible: newValue });
         }
       });
+      const lastChange = TimeHistory.getEntries().at(-1);
+      if (lastChange) items.push({ name: format('CALENDARIA.TimeHistory.UndoChange', { change: TimeHistory.describe(lastChange) }), icon: '<i class="fas fa-rotate-left"></i>', callback: () => TimeHistory.promptUndo() });
     }
 
     items.push({ name: 'CALENDARIA.HUD.ContextMenu.ResetPosition', icon: '<i class="fas fa-arrows-to-dot"></i>', callback: () => HUD.resetPosition() });
@@ -1268,16 +1283,16 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   /**
-   * Get predicted time components for UI display.
+   * Get predicted time components for UI display, on the viewer's party timeline.
    * Uses predicted world time when clock is running for smooth updates.
    * @returns {object} Time components
    */
   #getPredictedComponents() {
     if (TimeClock.running) {
       const cal = game.time?.calendar;
-      if (cal) return cal.timeToComponents(TimeClock.predictedWorldTime);
+      if (cal) return cal.timeToComponents(PartyTimelines.toLocalTime(TimeClock.predictedWorldTime));
     }
-    return game.time.components;
+    return PartyTimelines.getComponents();
   }
 
   /**
@@ -1323,7 +1338,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   #onWorldTimeUpdated() {
     if (!this.rendered) return;
-    const components = game.time.components;
+    const components = PartyTimelines.getComponents();
     const currentDay = `${components.year}-${components.month}-${components.dayOfMonth}`;
     const dayChanged = this.#lastDay !== null && this.#lastDay !== currentDay;
     if (dayChanged) {
@@ -1425,21 +1440,25 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
    * @returns {object|null} Weather data object or null if no weather
    */
   #getWeatherContext() {
-    const weather = WeatherManager.getCurrentWeather();
+    const zone = WeatherManager.getViewedZone();
+    const zoneId = zone?.id;
+    const weather = WeatherManager.getCurrentWeather(zoneId);
     if (!weather) return null;
     let icon = weather.icon || 'fa-cloud';
     if (icon && !icon.includes('fa-solid') && !icon.includes('fa-regular') && !icon.includes('fa-light') && !icon.includes('fas ') && !icon.includes('far ')) icon = `fa-solid ${icon}`;
     const calendarId = this.calendar?.metadata?.id;
-    const zoneId = WeatherManager.getActiveZone(null, game.scenes.active)?.id;
     const alias = getPresetAlias(weather.id, calendarId, zoneId);
     const label = alias || localize(weather.label);
+    let tooltip = weather.description ? localize(weather.description) : label;
+    const tides = describeTides(getTides(undefined, zone, this.calendar));
+    if (tides.length) tooltip += `<br><strong>${localize('CALENDARIA.Tides.Title')}</strong><br>${tides.join('<br>')}`;
     return {
       id: weather.id,
       label,
       icon,
       color: weather.color,
-      temp: WeatherManager.formatTemperature(WeatherManager.getTemperature()),
-      tooltip: weather.description ? localize(weather.description) : label
+      temp: WeatherManager.formatTemperature(WeatherManager.getTemperature(zoneId)),
+      tooltip
     };
   }
 
@@ -1449,18 +1468,15 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
    * @returns {Array} Array of event objects with id, name, icon, color, tooltip
    */
   #getLiveEvents() {
-    const components = game.time.components;
-    const calendar = this.calendar;
-    if (!calendar) return [];
-    const yearZero = calendar.years?.yearZero ?? 0;
-    const year = components.year + yearZero;
-    const month = components.month;
-    const day = (components.dayOfMonth ?? 0) + 1;
-    const notes = ViewUtils.getNotesOnDay(year, month, day);
+    const date = this.#getLiveDate();
+    if (!date) return [];
+    const notes = ViewUtils.getNotesOnDay(date.year, date.month, date.day);
     if (!notes.length) return [];
     return notes.slice(0, 5).map((note) => {
-      let tooltip = note.name;
-      const desc = note.text?.content;
+      const override = getOccurrenceOverride(note.system, date);
+      const name = override?.name || note.name;
+      let tooltip = name;
+      const desc = override?.content ?? note.text?.content;
       if (desc) {
         const plainText = desc.replace(/<[^>]*>/g, '').trim();
         if (plainText) {
@@ -1468,10 +1484,21 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
           tooltip += `\n${truncated}`;
         }
       }
-      return { id: note.id, parentId: note.parent.id, name: note.name, icon: note.system.icon || 'fas fa-star', color: note.system.color || '#e88', tooltip };
+      return { id: note.id, parentId: note.parent.id, name, icon: note.system.icon || 'fas fa-star', color: note.system.color || '#e88', tooltip };
     });
   }
 
+  /**
+   * Get the date live events are shown for (the displayed party timeline's today).
+   * @returns {{year: number, month: number, day: number}|null} Display date, or null without a calendar
+   */
+  #getLiveDate() {
+    const calendar = this.calendar;
+    if (!calendar) return null;
+    const components = PartyTimelines.getComponents();
+    return { year: components.year + (calendar.years?.yearZero ?? 0), month: components.month, day: (components.dayOfMonth ?? 0) + 1 };
+  }
+
   /**
    * Open the circular time rotation dial.
    */
@@ -1803,6 +1830,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
         this._dialState.initialTime = initialTime + timeDiff;
         return;
       }
+      SessionLedger.tagSource(TIME_SOURCES.HUD);
       await game.time.advance(timeDiff);
       log(3, `Time adjusted by ${timeDiff} seconds to ${this.#formatDialTime(currentHours, currentMinutes)}`);
     }
@@ -1834,6 +1862,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
         CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: secondsToAdvance });
         return;
       }
+      SessionLedger.tagSource(TIME_SOURCES.HUD);
       await game.time.advance(secondsToAdvance);
     }
   }
@@ -1944,7 +1973,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
           });
         });
       }
-    } else if (this.#searchTerm?.length >= 2) {
+    } else if (this.#searchResults) {
       resultsContainer.innerHTML = `<div class="no-results"><i class="fas fa-search"></i><span>${localize('CALENDARIA.Search.NoResults')}</span></div>`;
       resultsContainer.classList.add('has-results');
     } else {
@@ -1982,7 +2011,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
         searchInput.focus();
         const debouncedSearch = foundry.utils.debounce((term) => {
           this.#searchTerm = term;
-          if (term.length >= 2) this.#searchResults = SearchManager.search(term, { searchContent: true });
+          if (!isEmptyQuery(parseSearchQuery(term))) this.#searchResults = SearchManager.search(term, { searchContent: true });
           else this.#searchResults = null;
           this.#updateSearchResults();
         }, 300);
@@ -2058,7 +2087,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
     const journalId = target.dataset.parentId;
     const journal = game.journal.get(journalId);
     const page = journal?.pages.get(pageId);
-    if (page) page.sheet.render(true, { mode: 'view' });
+    if (page) page.sheet.render(true, { mode: 'view', occurrence: this.#getLiveDate() });
   }
 
   /**
@@ -2160,7 +2189,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} _target - Target element
    */
   static #onReverse(_event, _target) {
-    TimeClock.reverseFor('calendaria-hud');
+    TimeClock.reverseFor('calendaria-hud', TIME_SOURCES.HUD);
   }
 
   /**
@@ -2169,7 +2198,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} _target - Target element
    */
   static #onForward(_event, _target) {
-    TimeClock.forwardFor('calendaria-hud');
+    TimeClock.forwardFor('calendaria-hud', TIME_SOURCES.HUD);
   }
 
   /** Handle custom decrement 2 (larger). */
@@ -2211,6 +2240,7 @@ export class HUD extends HandlebarsApplicationMixin(ApplicationV2) {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: totalSeconds });
       return;
     }
+    SessionLedger.tagSource(TIME_SOURCES.HUD);
     game.time.advance(totalSeconds);
   }
 
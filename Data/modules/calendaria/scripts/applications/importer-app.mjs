@@ -5,11 +5,12 @@
  * @author Tyler
  */
 
-import { TEMPLATES } from '../constants.mjs';
+import { MODULE, SETTINGS, TEMPLATES } from '../constants.mjs';
 import { createImporter, getImporterOptions } from '../importers/index.mjs';
-import { format } from '../utils/localization.mjs';
+import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { CalendarEditor } from './calendar-editor.mjs';
+import { CalendarMergeApp } from './calendar-merge-app.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -87,6 +88,7 @@ export class ImporterApp extends HandlebarsApplicationMixin(ApplicationV2) {
     context.extractedNotes = this.#extractedNotes || [];
     context.loadedFileName = this.#loadedFileName;
     context.loadedFromModule = this.#loadedFromModule;
+    context.mergeTargets = this.#getMergeTargets();
     if (context.selectedImporter) {
       context.canUpload = context.selectedImporter.supportsFileUpload;
       context.canImportFromModule = context.selectedImporter.supportsLiveImport && context.selectedImporter.detected;
@@ -120,6 +122,19 @@ export class ImporterApp extends HandlebarsApplicationMixin(ApplicationV2) {
     return createImporter(this.#selectedImporterId);
   }
 
+  /**
+   * Get custom calendars the loaded data can be merged into, preselecting one with the same name.
+   * @returns {Array<{id: string, name: string, selected: boolean}>} - Merge target options
+   */
+  #getMergeTargets() {
+    const customCalendars = game.settings.get(MODULE.ID, SETTINGS.CUSTOM_CALENDARS) || {};
+    const incomingName = this.#transformedData?.name?.trim().toLowerCase();
+    return Object.entries(customCalendars).map(([id, data]) => {
+      const name = localize(data.name || id);
+      return { id, name, selected: !!incomingName && name.trim().toLowerCase() === incomingName };
+    });
+  }
+
   /**
    * Process loaded data through the importer.
    * @param {object} data - Raw source data
@@ -328,7 +343,8 @@ export class ImporterApp extends HandlebarsApplicationMixin(ApplicationV2) {
 
   /**
    * Handle form submission (import).
-   * Opens the Calendar Editor with the imported data for polishing before saving.
+   * Opens the Calendar Editor with the imported data for polishing before saving,
+   * or the merge review when a calendar to merge into was chosen.
    * @param {Event} _event - Submit event
    * @param {HTMLFormElement} _form - Form element
    * @param {object} formData - Parsed form data
@@ -381,6 +397,12 @@ export class ImporterApp extends HandlebarsApplicationMixin(ApplicationV2) {
       log(3, `Stored ${pendingNotes.length} pending notes with importerId: ${this.#selectedImporterId}`);
     }
 
+    if (data.mergeTargetId) {
+      await this.close();
+      new CalendarMergeApp({ calendarId: data.mergeTargetId, incoming: this.#transformedData, notes: pendingNotes, importerId: this.#selectedImporterId }).render({ force: true });
+      return;
+    }
+
     await this.close();
     CalendarEditor.createFromData(this.#transformedData, { suggestedId: calendarId });
     ui.notifications.info('CALENDARIA.Importer.OpeningEditor', { localize: true });
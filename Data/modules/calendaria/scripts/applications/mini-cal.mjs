@@ -6,11 +6,12 @@
  */
 
 import CalendarManager from '../calendar/calendar-manager.mjs';
-import { HOOKS, MODULE, REPLACEABLE_ELEMENTS, SETTINGS, SOCKET_TYPES, TEMPLATES, WIDGET_POINTS } from '../constants.mjs';
+import { HOOKS, MODULE, REPLACEABLE_ELEMENTS, SETTINGS, SOCKET_TYPES, TEMPLATES, TIME_SOURCES, WIDGET_POINTS } from '../constants.mjs';
 import NoteManager from '../notes/note-manager.mjs';
-import { dayOfWeek } from '../notes/utils/date-utils.mjs';
-import { isRecurringMatch } from '../notes/utils/recurrence.mjs';
+import { getOccurrenceOverride, isRecurringMatch } from '../notes/utils/recurrence.mjs';
 import SearchManager from '../search/search-manager.mjs';
+import { isEmptyQuery, parseSearchQuery } from '../search/search-query.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
 import TimeClock, { getTimeIncrements } from '../time/time-clock.mjs';
 import { formatForLocation, hasMoonIconMarkers, renderMoonIcons, toRomanNumeral } from '../utils/format-utils.mjs';
 import { format, localize } from '../utils/localization.mjs';
@@ -22,12 +23,16 @@ import WeatherManager from '../weather/weather-manager.mjs';
 import { openWeatherPicker } from '../weather/weather-picker.mjs';
 import { getPresetAlias } from '../weather/weather-presets.mjs';
 import { BigCal } from './big-cal.mjs';
+import { layoutMonth } from './calendar-layout.mjs';
 import * as ViewUtils from './calendar-view-utils.mjs';
 import { SettingsPanel } from './settings/settings-panel.mjs';
 import { TimeKeeper } from './time-keeper.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+/** Widest month grid row; longer weeks wrap. */
+const MAX_GRID_COLUMNS = 7;
+
 /**
  * MiniCal widget combining mini month view with time controls.
  */
@@ -193,7 +198,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
     const currentJumps = customJumps[appSettings.incrementKey] || {};
     context.customJumps = { dec2: currentJumps.dec2 ?? null, dec1: currentJumps.dec1 ?? null, inc1: currentJumps.inc1 ?? null, inc2: currentJumps.inc2 ?? null };
     const allNotes = ViewUtils.getCalendarNotes();
-    const visibleNotes = ViewUtils.getVisibleNotes(allNotes);
+    const visibleNotes = [...ViewUtils.getVisibleNotes(allNotes), ...ViewUtils.getAstronomyNotes(viewedDate, calendar)];
     if (calendar) context.calendarData = this._generateMiniCalData(calendar, viewedDate, visibleNotes);
     context.showSetCurrentDate = false;
     if (game.user.isGM && this._selectedDate) {
@@ -365,10 +370,10 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
    * @returns {object|null} Weather context or null if no weather set
    */
   _getWeatherContext() {
-    const weather = WeatherManager.getCurrentWeather();
+    const zoneId = WeatherManager.getViewedZone()?.id;
+    const weather = WeatherManager.getCurrentWeather(zoneId);
     if (!weather) return null;
     const calendarId = this.calendar?.metadata?.id;
-    const zoneId = WeatherManager.getActiveZone(null, game.scenes.active)?.id;
     const alias = getPresetAlias(weather.id, calendarId, zoneId);
     const label = alias || localize(weather.label);
     return {
@@ -376,7 +381,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
       label,
       icon: weather.icon,
       color: weather.color,
-      temperature: WeatherManager.formatTemperature(WeatherManager.getTemperature()),
+      temperature: WeatherManager.formatTemperature(WeatherManager.getTemperature(zoneId)),
       tooltip: weather.description ? localize(weather.description) : label
     };
   }
@@ -397,140 +402,38 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
     const internalYear = year - yearZero;
     const daysInMonth = calendar.getDaysInMonth(month, internalYear);
     const daysInWeek = calendar.daysInWeek;
-    const weeks = [];
-    let currentWeek = [];
     const showMoons = game.settings.get(MODULE.ID, SETTINGS.MINI_CAL_SHOW_MOON_PHASES) && calendar.moonsArray.length;
-    const hasFixedStart = monthData?.startingWeekday != null;
-    const startDayOfWeek = hasFixedStart ? monthData.startingWeekday : dayOfWeek({ year, month, day: 1 });
-    if (startDayOfWeek > 0) {
-      const totalMonths = calendar.monthsArray.length ?? 12;
-      let prevDays = [];
-      let remainingSlots = startDayOfWeek;
-      let checkMonth = month === 0 ? totalMonths - 1 : month - 1;
-      let checkYear = month === 0 ? year - 1 : year;
-      let checkDay = calendar.getDaysInMonth(checkMonth, checkYear - yearZero);
-
-      // Collect previous month days, skipping intercalary days
-      while (remainingSlots > 0 && checkDay > 0) {
-        const festivalDay = calendar.findFestivalDay({ year: checkYear - yearZero, month: checkMonth, dayOfMonth: checkDay - 1 });
-        const isIntercalary = festivalDay?.countsForWeekday === false;
-
-        if (!isIntercalary) {
-          prevDays.unshift({ day: checkDay, year: checkYear, month: checkMonth });
-          remainingSlots--;
-        }
-
-        checkDay--;
-        if (checkDay < 1 && remainingSlots > 0) {
-          checkMonth = checkMonth === 0 ? totalMonths - 1 : checkMonth - 1;
-          if (checkMonth === totalMonths - 1) checkYear--;
-          checkDay = calendar.getDaysInMonth(checkMonth, checkYear - yearZero);
-        }
-      }
-
-      for (const pd of prevDays) currentWeek.push({ day: pd.day, year: pd.year, month: pd.month, isFromOtherMonth: true, isToday: ViewUtils.isToday(pd.year, pd.month, pd.day, calendar) });
-    }
-
-    // Collect intercalary days to insert after regular days
-    const intercalaryDays = [];
-
-    for (let day = 1; day <= daysInMonth; day++) {
+    const layout = layoutMonth(calendar, year, month, { maxColumns: MAX_GRID_COLUMNS });
+    const buildDay = (day, festivalDay) => {
       const noteCount = this._countNotesOnDay(visibleNotes, year, month, day);
-      const festivalDay = calendar.findFestivalDay({ year: internalYear, month, dayOfMonth: day - 1 });
       const moonData = showMoons ? ViewUtils.getFirstMoonPhase(calendar, year, month, day) : null;
+      return {
+        day,
+        year,
+        month,
+        isToday: ViewUtils.isToday(year, month, day, calendar),
+        isSelected: this._isSelected(year, month, day),
+        hasNotes: noteCount > 0,
+        noteCount,
+        isFestival: !!festivalDay,
+        festivalName: festivalDay ? localize(festivalDay.name) : null,
+        festivalColor: festivalDay?.color || '',
+        festivalDescription: festivalDay?.description || '',
+        moonIcon: moonData?.icon ?? null,
+        moonPhase: moonData?.tooltip ?? null,
+        moonColor: moonData?.color ?? null
+      };
+    };
 
-      // Check if this is a non-counting festival (intercalary day)
-      const isIntercalary = festivalDay?.countsForWeekday === false;
-
-      if (isIntercalary) {
-        // Don't add to weekday grid - collect separately
-        intercalaryDays.push({
-          day,
-          year,
-          month,
-          isToday: ViewUtils.isToday(year, month, day, calendar),
-          isSelected: this._isSelected(year, month, day),
-          hasNotes: noteCount > 0,
-          noteCount,
-          isFestival: true,
-          festivalName: festivalDay ? localize(festivalDay.name) : null,
-          festivalColor: festivalDay?.color || '',
-          festivalDescription: festivalDay?.description || '',
-          moonIcon: moonData?.icon ?? null,
-          moonPhase: moonData?.tooltip ?? null,
-          moonColor: moonData?.color ?? null,
-          isIntercalary: true
-        });
-      } else {
-        currentWeek.push({
-          day,
-          year,
-          month,
-          isToday: ViewUtils.isToday(year, month, day, calendar),
-          isSelected: this._isSelected(year, month, day),
-          hasNotes: noteCount > 0,
-          noteCount,
-          isFestival: !!festivalDay,
-          festivalName: festivalDay ? localize(festivalDay.name) : null,
-          festivalColor: festivalDay?.color || '',
-          festivalDescription: festivalDay?.description || '',
-          moonIcon: moonData?.icon ?? null,
-          moonPhase: moonData?.tooltip ?? null,
-          moonColor: moonData?.color ?? null
-        });
-
-        if (currentWeek.length === daysInWeek) {
-          weeks.push(currentWeek);
-          currentWeek = [];
-        }
-      }
-    }
-
-    const lastRegularWeekLength = currentWeek.length;
-    if (currentWeek.length > 0) {
-      weeks.push(currentWeek);
-      currentWeek = [];
-    }
-
-    if (intercalaryDays.length > 0) {
-      weeks.push({ isIntercalaryRow: true, days: intercalaryDays });
-      currentWeek = [];
-    }
-
-    const lastRegularWeek = weeks.filter((w) => !w.isIntercalaryRow).pop();
-    const needsNextMonth = intercalaryDays.length > 0 || (lastRegularWeek && lastRegularWeek.length < daysInWeek);
-    if (needsNextMonth) {
-      const totalMonths = calendar.monthsArray.length ?? 12;
-      const startPosition = intercalaryDays.length > 0 ? lastRegularWeekLength : lastRegularWeek?.length || 0;
-      let remainingSlots = daysInWeek - startPosition;
-      let checkMonth = month;
-      let checkYear = year;
-      let dayInMonth = 1;
-      checkMonth = checkMonth === totalMonths - 1 ? 0 : checkMonth + 1;
-      if (checkMonth === 0) checkYear++;
-      if (intercalaryDays.length > 0 && startPosition > 0) for (let i = 0; i < startPosition; i++) currentWeek.push({ empty: true });
-
-      while (remainingSlots > 0) {
-        const checkMonthDays = calendar.getDaysInMonth(checkMonth, checkYear - yearZero);
-        const festivalDay = calendar.findFestivalDay({ year: checkYear - yearZero, month: checkMonth, dayOfMonth: dayInMonth - 1 });
-        const isIntercalary = festivalDay?.countsForWeekday === false;
-
-        if (!isIntercalary) {
-          currentWeek.push({ day: dayInMonth, year: checkYear, month: checkMonth, isFromOtherMonth: true, isToday: ViewUtils.isToday(checkYear, checkMonth, dayInMonth, calendar) });
-          remainingSlots--;
-        }
-
-        dayInMonth++;
-        if (dayInMonth > checkMonthDays && remainingSlots > 0) {
-          checkMonth = checkMonth === totalMonths - 1 ? 0 : checkMonth + 1;
-          if (checkMonth === 0) checkYear++;
-          dayInMonth = 1;
-        }
-      }
-
-      if (intercalaryDays.length > 0) weeks.push(currentWeek);
-      else if (lastRegularWeek) lastRegularWeek.push(...currentWeek);
-    }
+    // Intercalary days render as banner rows where they fall; wide weeks wrap onto several rows
+    const weeks = layout.rows.map((row) => {
+      if (row.type === 'banner') return { isIntercalaryRow: true, placement: row.placement, days: row.days.map(({ day, festival }) => ({ ...buildDay(day, festival), isIntercalary: true })) };
+      return row.cells.map((cell) => {
+        if (cell.empty) return { empty: true };
+        if (cell.isFromOtherMonth) return { day: cell.day, year: cell.year, month: cell.month, isFromOtherMonth: true, isToday: ViewUtils.isToday(cell.year, cell.month, cell.day, calendar) };
+        return buildDay(cell.day, calendar.findFestivalDay({ year: internalYear, month, dayOfMonth: cell.day - 1 }));
+      });
+    });
     const viewedComponents = { month, dayOfMonth: Math.floor(daysInMonth / 2) };
     const currentSeason = ViewUtils.enrichSeasonData(calendar.getCurrentSeason?.(viewedComponents));
     const currentEra = calendar.getCurrentEra?.();
@@ -547,10 +450,12 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
       monthName: localize(monthData.name),
       yearDisplay: String(year),
       formattedHeader,
+      secondaryDate: ViewUtils.getSecondaryDate(calendar, headerDate.year, headerDate.month, headerDate.day),
       currentSeason,
       currentEra,
       weeks,
       daysInWeek,
+      columns: layout.columns,
       weekdays: monthWeekdays.map((wd) => ({ name: localize(wd.name).substring(0, 2), isRestDay: wd.isRestDay || false }))
     };
   }
@@ -670,6 +575,8 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
         repeatInterval: page.system.repeatInterval,
         repeatEndDate: page.system.repeatEndDate,
         maxOccurrences: page.system.maxOccurrences,
+        exceptions: page.system.exceptions,
+        overrides: page.system.overrides,
         moonConditions: page.system.moonConditions,
         randomConfig: page.system.randomConfig,
         cachedRandomOccurrences: page.flags?.[MODULE.ID]?.randomOccurrences,
@@ -700,6 +607,8 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
         repeatInterval: page.system.repeatInterval,
         repeatEndDate: page.system.repeatEndDate,
         maxOccurrences: page.system.maxOccurrences,
+        exceptions: page.system.exceptions,
+        overrides: page.system.overrides,
         moonConditions: page.system.moonConditions,
         randomConfig: page.system.randomConfig,
         cachedRandomOccurrences: page.flags?.[MODULE.ID]?.randomOccurrences,
@@ -713,7 +622,8 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
     });
     return notes
       .map((page) => {
-        const start = page.system.startDate;
+        const override = getOccurrenceOverride(page.system, targetDate);
+        const start = override?.startDate ?? page.system.startDate;
         const end = page.system.endDate;
         const isAllDay = page.system.allDay;
         const icon = page.system.icon || 'fas fa-sticky-note';
@@ -721,6 +631,8 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
         let timeLabel = '';
         if (isAllDay) {
           timeLabel = localize('CALENDARIA.MiniCal.AllDay');
+        } else if (override?.startDate) {
+          timeLabel = this._formatTime(start.hour, start.minute);
         } else {
           const startTime = this._formatTime(start.hour, start.minute);
           const endTime = this._formatTime(end.hour, end.minute);
@@ -730,8 +642,8 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
         const authorName = page.system.author?.name || localize('CALENDARIA.Common.Unknown');
         return {
           id: page.id,
-          parentId: page.parent.id,
-          name: page.name,
+          parentId: page.parent?.id,
+          name: override?.name || page.name,
           icon,
           isImageIcon: icon.includes('/'),
           color,
@@ -858,7 +770,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
       if (this.#searchOpen) searchInput.focus();
       const debouncedSearch = foundry.utils.debounce((term) => {
         this.#searchTerm = term;
-        if (term.length >= 2) this.#searchResults = SearchManager.search(term, { searchContent: true });
+        if (!isEmptyQuery(parseSearchQuery(term))) this.#searchResults = SearchManager.search(term, { searchContent: true });
         else this.#searchResults = null;
         this.#updateSearchResults();
       }, 300);
@@ -944,6 +856,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
     });
 
     this.#hooks.push({ name: HOOKS.WEATHER_CHANGE, id: Hooks.on(HOOKS.WEATHER_CHANGE, () => debouncedRender()) });
+    this.#hooks.push({ name: 'canvasReady', id: Hooks.on('canvasReady', () => debouncedRender()) });
     this.#hooks.push({ name: HOOKS.WIDGETS_REFRESH, id: Hooks.on(HOOKS.WIDGETS_REFRESH, () => this.render()) });
     this.#hooks.push({ name: 'calendaria.displayFormatsChanged', id: Hooks.on('calendaria.displayFormatsChanged', () => this.render()) });
 
@@ -1485,7 +1398,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} _target - The clicked element
    */
   static _onForward(_event, _target) {
-    TimeClock.forwardFor('mini-calendar');
+    TimeClock.forwardFor('mini-calendar', TIME_SOURCES.MINI_CAL);
   }
 
   /**
@@ -1494,7 +1407,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} _target - The clicked element
    */
   static _onReverse(_event, _target) {
-    TimeClock.reverseFor('mini-calendar');
+    TimeClock.reverseFor('mini-calendar', TIME_SOURCES.MINI_CAL);
   }
 
   /** Handle custom decrement 2 (larger). */
@@ -1536,6 +1449,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: totalSeconds });
       return;
     }
+    SessionLedger.tagSource(TIME_SOURCES.MINI_CAL);
     game.time.advance(totalSeconds);
   }
 
@@ -1560,7 +1474,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
     }
 
     const { year, month, day } = this._selectedDate;
-    await ViewUtils.setDateTo(year, month, day, this.calendar);
+    await ViewUtils.setDateTo(year, month, day, this.calendar, TIME_SOURCES.MINI_CAL);
     this._selectedDate = null;
     await this.render();
   }
@@ -1603,7 +1517,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
     const journalId = target.dataset.journalId;
     const journal = game.journal.get(journalId);
     const page = journal?.pages.get(pageId);
-    if (page) page.sheet.render(true, { mode: 'view' });
+    if (page) page.sheet.render(true, { mode: 'view', occurrence: this._selectedDate });
   }
 
   /**
@@ -1617,7 +1531,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
     const journalId = target.dataset.journalId;
     const journal = game.journal.get(journalId);
     const page = journal?.pages.get(pageId);
-    if (page) page.sheet.render(true, { mode: 'edit' });
+    if (page) page.sheet.render(true, { mode: 'edit', occurrence: this._selectedDate });
   }
 
   /**
@@ -1695,6 +1609,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
         CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: secondsToAdvance });
         return;
       }
+      SessionLedger.tagSource(TIME_SOURCES.MINI_CAL);
       await game.time.advance(secondsToAdvance);
     }
   }
@@ -1784,7 +1699,7 @@ export class MiniCal extends HandlebarsApplicationMixin(ApplicationV2) {
         })
         .join('');
       resultsContainer.classList.add('has-results');
-    } else if (this.#searchTerm?.length >= 2) {
+    } else if (this.#searchResults) {
       resultsContainer.innerHTML = `<div class="no-results"><i class="fas fa-search"></i><span>${localize('CALENDARIA.Search.NoResults')}</span></div>`;
       resultsContainer.classList.add('has-results');
     } else {
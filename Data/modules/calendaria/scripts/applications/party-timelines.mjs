@@ -0,0 +1,211 @@
+/**
+ * Party Timelines Application
+ * Lists party timelines with their local date and members; GMs create timelines,
+ * move them independently of world time and sync them back up.
+ * @module Applications/PartyTimelines
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { HOOKS, TEMPLATES } from '../constants.mjs';
+import PartyTimelines from '../time/party-timelines.mjs';
+import { getTimeIncrements } from '../time/time-clock.mjs';
+import { formatDateTime } from '../utils/format-utils.mjs';
+import { format, localize } from '../utils/localization.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/** Units offered for moving a timeline. */
+const ADVANCE_UNITS = ['minute', 'hour', 'day', 'week', 'month', 'year'];
+
+/**
+ * Party timelines window.
+ */
+export class PartyTimelinesApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @type {{name: string, id: number}[]} Registered hook IDs */
+  #hooks = [];
+
+  /** @type {Function} Debounced re-render for time and timeline changes */
+  #debouncedRender = foundry.utils.debounce(() => this.render(), 250);
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'calendaria-party-timelines',
+    classes: ['calendaria', 'party-timelines'],
+    position: { width: 560, height: 'auto' },
+    window: { title: 'CALENDARIA.PartyTimelines.Title', icon: 'fas fa-code-branch', resizable: true },
+    actions: {
+      createTimeline: PartyTimelinesApp.#onCreateTimeline,
+      deleteTimeline: PartyTimelinesApp.#onDeleteTimeline,
+      advanceTimeline: PartyTimelinesApp.#onAdvanceTimeline,
+      syncTimeline: PartyTimelinesApp.#onSyncTimeline,
+      syncAll: PartyTimelinesApp.#onSyncAll,
+      viewTimeline: PartyTimelinesApp.#onViewTimeline
+    }
+  };
+
+  /** @override */
+  static PARTS = { main: { template: TEMPLATES.PARTY_TIMELINES, scrollable: ['.timeline-list'] } };
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const calendar = CalendarManager.getActiveCalendar();
+    const yearZero = calendar?.years?.yearZero ?? 0;
+    const viewerId = PartyTimelines.getViewerTimeline()?.id ?? null;
+    const ownId = PartyTimelines.getTimelineForUser(game.user)?.id ?? null;
+    const describe = (id) => {
+      const c = PartyTimelines.getComponents(id);
+      return calendar ? formatDateTime(calendar, { ...c, year: c.year + yearZero, dayOfMonth: c.dayOfMonth + 1 }) : '';
+    };
+    const players = game.users.filter((u) => !u.isGM);
+    const actors = game.actors.filter((a) => a.hasPlayerOwner);
+    context.isGM = game.user.isGM;
+    context.worldDate = describe(null);
+    context.viewingWorld = viewerId === null;
+    context.timelines = PartyTimelines.getTimelines().map((t) => ({
+      ...t,
+      localDate: describe(t.id),
+      offsetLabel: PartyTimelines.getOffsetLabel(t),
+      viewing: t.id === viewerId,
+      own: t.id === ownId,
+      members: [...t.userIds.map((id) => game.users.get(id)?.name), ...t.actorIds.map((id) => game.actors.get(id)?.name)].filter(Boolean).join(', '),
+      userOptions: players.map((u) => ({ id: u.id, name: u.name, selected: t.userIds.includes(u.id) })),
+      actorOptions: actors.map((a) => ({ id: a.id, name: a.name, selected: t.actorIds.includes(a.id) }))
+    }));
+    context.unitOptions = ADVANCE_UNITS.map((unit) => ({ value: unit, label: localize(`CALENDARIA.Common.${unit.capitalize()}`), selected: unit === 'day' }));
+    context.summary = format('CALENDARIA.PartyTimelines.Summary', { count: context.timelines.length, date: context.worldDate });
+    return context;
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    for (const name of [HOOKS.WORLD_TIME_UPDATED, HOOKS.TIMELINES_UPDATED]) this.#hooks.push({ name, id: Hooks.on(name, () => this.#debouncedRender()) });
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    if (!game.user.isGM) return;
+    for (const input of this.element.querySelectorAll('[data-timeline-id] [data-field]')) {
+      input.addEventListener('change', (event) => this.#onFieldChange(event));
+    }
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    for (const { name, id } of this.#hooks) Hooks.off(name, id);
+    this.#hooks = [];
+  }
+
+  /**
+   * Save a timeline field edited in place.
+   * @param {Event} event - Change event
+   * @private
+   */
+  async #onFieldChange(event) {
+    const input = event.currentTarget;
+    const id = input.closest('[data-timeline-id]').dataset.timelineId;
+    const field = input.dataset.field;
+    const value = input.tagName === 'MULTI-SELECT' ? [...input.value] : input.value;
+    await PartyTimelines.updateTimeline(id, { [field]: value });
+  }
+
+  /**
+   * Create a timeline.
+   * @this {PartyTimelinesApp}
+   */
+  static async #onCreateTimeline() {
+    const name = this.element.querySelector('input[name="timelineName"]')?.value;
+    await PartyTimelines.createTimeline({ name });
+  }
+
+  /**
+   * Delete a timeline after confirmation.
+   * @this {PartyTimelinesApp}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Clicked element
+   */
+  static async #onDeleteTimeline(_event, target) {
+    const timeline = PartyTimelines.getTimeline(target.closest('[data-timeline-id]')?.dataset.timelineId);
+    if (!timeline) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: localize('CALENDARIA.PartyTimelines.Delete') },
+      content: `<p>${format('CALENDARIA.PartyTimelines.DeleteConfirm', { name: foundry.utils.escapeHTML(timeline.name) })}</p>`
+    });
+    if (confirmed) await PartyTimelines.deleteTimeline(timeline.id);
+  }
+
+  /**
+   * Move a timeline forward or back by the amount entered on its row.
+   * @this {PartyTimelinesApp}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Clicked element (data-direction 1 or -1)
+   */
+  static async #onAdvanceTimeline(_event, target) {
+    const row = target.closest('[data-timeline-id]');
+    const amount = Number(row.querySelector('input[name="advanceAmount"]')?.value) || 0;
+    const unit = row.querySelector('select[name="advanceUnit"]')?.value ?? 'day';
+    const seconds = amount * (getTimeIncrements()[unit] ?? 0) * Number(target.dataset.direction ?? 1);
+    await PartyTimelines.advanceTimeline(row.dataset.timelineId, seconds);
+  }
+
+  /**
+   * Sync one timeline up with world time.
+   * @this {PartyTimelinesApp}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Clicked element
+   */
+  static async #onSyncTimeline(_event, target) {
+    await PartyTimelines.syncUp([target.closest('[data-timeline-id]').dataset.timelineId]);
+  }
+
+  /**
+   * Sync every timeline up to the one furthest ahead.
+   * @this {PartyTimelinesApp}
+   */
+  static async #onSyncAll() {
+    await PartyTimelines.syncUp();
+  }
+
+  /**
+   * View a timeline (or world time) on this client's HUD and chat commands.
+   * @this {PartyTimelinesApp}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Clicked element
+   */
+  static #onViewTimeline(_event, target) {
+    PartyTimelines.setViewTimeline(target.closest('[data-timeline-id]')?.dataset.timelineId ?? null);
+  }
+
+  /**
+   * Get the singleton instance from Foundry's application registry.
+   * @returns {PartyTimelinesApp|undefined} The instance if it exists
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Show the party timelines window.
+   * @returns {PartyTimelinesApp} The instance
+   */
+  static show() {
+    const instance = this.instance ?? new PartyTimelinesApp();
+    instance.render({ force: true });
+    return instance;
+  }
+
+  /** Hide the party timelines window. */
+  static hide() {
+    this.instance?.close();
+  }
+
+  /** Toggle visibility. */
+  static toggle() {
+    if (this.instance?.rendered) this.hide();
+    else this.show();
+  }
+}
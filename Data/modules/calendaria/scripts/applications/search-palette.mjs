@@ -0,0 +1,220 @@
+/**
+ * Search Palette Application
+ * Keyboard-driven note search using the search query language, with results
+ * updating as the user types and as notes change.
+ * @module Applications/SearchPalette
+ * @author Tyler
+ */
+
+import { HOOKS, TEMPLATES } from '../constants.mjs';
+import NoteManager from '../notes/note-manager.mjs';
+import SearchManager from '../search/search-manager.mjs';
+import { isEmptyQuery, parseSearchQuery, SEARCH_FILTERS } from '../search/search-query.mjs';
+import { format, localize } from '../utils/localization.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/** Maximum results shown in the palette. */
+const RESULT_LIMIT = 100;
+
+/**
+ * Search palette window.
+ */
+export class SearchPalette extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @type {string} Current query */
+  #query = '';
+
+  /** @type {object[]} Current results */
+  #results = [];
+
+  /** @type {number} Index of the highlighted result */
+  #selected = 0;
+
+  /** @type {Array<[string, number]>} Note hook registrations */
+  #hookIds = [];
+
+  /** @type {Function} Debounced search for typing and note changes */
+  #debouncedSearch = foundry.utils.debounce(() => this.#runSearch(), 100);
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'calendaria-search-palette',
+    classes: ['calendaria', 'search-palette'],
+    position: { width: 560, height: 'auto', top: 120 },
+    window: { title: 'CALENDARIA.SearchPalette.Title', icon: 'fas fa-magnifying-glass' },
+    actions: {
+      insertFilter: SearchPalette.#onInsertFilter,
+      openResult: SearchPalette.#onOpenResult
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    query: { template: TEMPLATES.SEARCH.PALETTE_QUERY },
+    results: { template: TEMPLATES.SEARCH.PALETTE_RESULTS, scrollable: ['.search-palette-results'] }
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    context.query = this.#query;
+    context.filters = SEARCH_FILTERS.map((key) => ({ key, hint: localize(`CALENDARIA.SearchPalette.Filter.${key}`) }));
+    context.results = this.#results.map((result, index) => ({ ...result, index, selected: index === this.#selected }));
+    const parsed = parseSearchQuery(this.#query);
+    context.hasQuery = !isEmptyQuery(parsed);
+    context.invalid = parsed.invalid.join(', ');
+    context.countLabel = format('CALENDARIA.SearchPalette.Count', { count: this.#results.length });
+    return context;
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    for (const hook of [HOOKS.NOTE_CREATED, HOOKS.NOTE_UPDATED, HOOKS.NOTE_DELETED]) this.#hookIds.push([hook, Hooks.on(hook, () => this.#query && this.#debouncedSearch())]);
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const input = this.element.querySelector('input[name="query"]');
+    if (!input || input.dataset.bound) return;
+    input.dataset.bound = 'true';
+    input.addEventListener('input', (event) => {
+      this.#query = event.target.value;
+      this.#debouncedSearch();
+    });
+    input.addEventListener('keydown', (event) => this.#onKeyDown(event));
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of this.#hookIds) Hooks.off(hook, id);
+    this.#hookIds = [];
+  }
+
+  /**
+   * Run the current query and re-render the results.
+   * @private
+   */
+  #runSearch() {
+    this.#results = !isEmptyQuery(parseSearchQuery(this.#query)) ? SearchManager.search(this.#query, { limit: RESULT_LIMIT }) : [];
+    this.#selected = 0;
+    if (this.rendered) this.render({ parts: ['results'] });
+  }
+
+  /**
+   * Handle navigation keys in the query input.
+   * @param {KeyboardEvent} event - Keydown event
+   * @private
+   */
+  #onKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        event.preventDefault();
+        if (!this.#results.length) return;
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        this.#selected = (this.#selected + step + this.#results.length) % this.#results.length;
+        this.#highlightSelected();
+        break;
+      }
+      case 'Enter':
+        event.preventDefault();
+        this.#openResult(this.#selected);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        event.stopPropagation();
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Move the highlight to the selected result without re-rendering.
+   * @private
+   */
+  #highlightSelected() {
+    const items = this.element.querySelectorAll('.search-palette-result');
+    items.forEach((item, index) => item.classList.toggle('selected', index === this.#selected));
+    items[this.#selected]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Open a result's note and close the palette.
+   * @param {number} index - Result index
+   * @private
+   */
+  #openResult(index) {
+    const result = this.#results[index];
+    if (!result) return;
+    const page = NoteManager.getFullNote(result.id);
+    if (page) page.sheet.render(true, { mode: 'view' });
+    else game.journal.get(result.data?.journalId)?.sheet.render(true, { pageId: result.id });
+    this.close();
+  }
+
+  /**
+   * Append a filter key to the query.
+   * @this {SearchPalette}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Clicked filter button
+   */
+  static #onInsertFilter(_event, target) {
+    const input = this.element.querySelector('input[name="query"]');
+    if (!input) return;
+    const prefix = input.value && !input.value.endsWith(' ') ? `${input.value} ` : input.value;
+    input.value = `${prefix}${target.dataset.filter}:`;
+    this.#query = input.value;
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  }
+
+  /**
+   * Open a clicked result.
+   * @this {SearchPalette}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Clicked result
+   */
+  static #onOpenResult(_event, target) {
+    this.#openResult(Number(target.dataset.index));
+  }
+
+  /**
+   * Get the singleton instance from Foundry's application registry.
+   * @returns {SearchPalette|undefined} The instance if it exists
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Show the search palette.
+   * @param {string} [query] - Query to start with
+   * @returns {SearchPalette} The instance
+   */
+  static show(query) {
+    const instance = this.instance ?? new SearchPalette();
+    if (typeof query === 'string') {
+      instance.#query = query;
+      instance.#results = !isEmptyQuery(parseSearchQuery(query)) ? SearchManager.search(query, { limit: RESULT_LIMIT }) : [];
+      instance.#selected = 0;
+    }
+    instance.render({ force: true });
+    return instance;
+  }
+
+  /** Hide the search palette. */
+  static hide() {
+    this.instance?.close();
+  }
+
+  /** Toggle visibility. */
+  static toggle() {
+    if (this.instance?.rendered) this.hide();
+    else this.show();
+  }
+}
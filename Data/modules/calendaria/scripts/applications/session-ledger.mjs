@@ -0,0 +1,133 @@
+/**
+ * Session Ledger Application
+ * Lists recorded game sessions with real-world and in-game durations, time change
+ * sources and notes created, plus campaign pacing totals.
+ * @module Applications/SessionLedger
+ * @author Tyler
+ */
+
+import { HOOKS, TEMPLATES } from '../constants.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
+import { format, localize } from '../utils/localization.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Session ledger window.
+ */
+export class SessionLedgerApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @type {number|null} World time hook ID */
+  #timeHookId = null;
+
+  /** @type {Function} Debounced re-render for world time changes */
+  #debouncedRender = foundry.utils.debounce(() => this.render(), 250);
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'calendaria-session-ledger',
+    classes: ['calendaria', 'session-ledger'],
+    position: { width: 560, height: 'auto' },
+    window: { title: 'CALENDARIA.SessionLedger.Title', icon: 'fas fa-book-journal-whills', resizable: true },
+    actions: {
+      startSession: SessionLedgerApp.#onStartSession,
+      endSession: SessionLedgerApp.#onEndSession,
+      deleteSession: SessionLedgerApp.#onDeleteSession
+    }
+  };
+
+  /** @override */
+  static PARTS = { main: { template: TEMPLATES.SESSION_LEDGER, scrollable: ['.session-list'] } };
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const report = SessionLedger.getCampaignReport();
+    context.isGM = game.user.isGM;
+    context.sessions = report.sessions.reverse().map((s) => ({
+      ...s,
+      startedLabel: new Date(s.startedAt).toLocaleString(),
+      notesLabel: format('CALENDARIA.SessionLedger.NoteCount', { count: s.noteCount })
+    }));
+    context.active = context.sessions.find((s) => s.active) ?? null;
+    context.totals = report.totals;
+    context.pacing = format('CALENDARIA.SessionLedger.Pacing', { hours: report.totals.gameHoursPerRealHour.toFixed(1) });
+    context.summary = format('CALENDARIA.SessionLedger.Summary', { game: report.totals.gameLabel, count: report.totals.count });
+    return context;
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this.#timeHookId = Hooks.on(HOOKS.WORLD_TIME_UPDATED, () => this.#debouncedRender());
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    if (this.#timeHookId) Hooks.off(HOOKS.WORLD_TIME_UPDATED, this.#timeHookId);
+    this.#timeHookId = null;
+  }
+
+  /**
+   * Start a new session.
+   * @this {SessionLedgerApp}
+   */
+  static async #onStartSession() {
+    const name = this.element.querySelector('input[name="sessionName"]')?.value;
+    await SessionLedger.startSession(name);
+  }
+
+  /**
+   * End the session in progress.
+   * @this {SessionLedgerApp}
+   */
+  static async #onEndSession() {
+    await SessionLedger.endSession();
+  }
+
+  /**
+   * Delete a session after confirmation.
+   * @this {SessionLedgerApp}
+   * @param {PointerEvent} _event - Click event
+   * @param {HTMLElement} target - Clicked element
+   */
+  static async #onDeleteSession(_event, target) {
+    const id = target.closest('[data-session-id]')?.dataset.sessionId;
+    const session = SessionLedger.getSessions().find((s) => s.id === id);
+    if (!session) return;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: localize('CALENDARIA.SessionLedger.Delete') },
+      content: `<p>${format('CALENDARIA.SessionLedger.DeleteConfirm', { name: foundry.utils.escapeHTML(session.name) })}</p>`
+    });
+    if (confirmed) await SessionLedger.deleteSession(id);
+  }
+
+  /**
+   * Get the singleton instance from Foundry's application registry.
+   * @returns {SessionLedgerApp|undefined} The instance if it exists
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Show the session ledger.
+   * @returns {SessionLedgerApp} The instance
+   */
+  static show() {
+    const instance = this.instance ?? new SessionLedgerApp();
+    instance.render({ force: true });
+    return instance;
+  }
+
+  /** Hide the session ledger. */
+  static hide() {
+    this.instance?.close();
+  }
+
+  /** Toggle visibility. */
+  static toggle() {
+    if (this.instance?.rendered) this.hide();
+    else this.show();
+  }
+}
@@ -5,7 +5,8 @@
  */
 
 import CalendarManager from '../calendar/calendar-manager.mjs';
-import { MODULE, SETTINGS, SOCKET_TYPES, TEMPLATES } from '../constants.mjs';
+import { MODULE, SETTINGS, SOCKET_TYPES, TEMPLATES, TIME_SOURCES } from '../constants.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
 import TimeTracker from '../time/time-tracker.mjs';
 import { formatForLocation } from '../utils/format-utils.mjs';
 import { localize } from '../utils/localization.mjs';
@@ -241,6 +242,7 @@ export class SetDateDialog extends HandlebarsApplicationMixin(ApplicationV2) {
       this.close();
       return;
     }
+    SessionLedger.tagSource(TIME_SOURCES.SET_DATE);
     await game.time.advance(delta);
     log(3, `Jumped to timepoint: ${timepoint.name} (skip triggers: ${skipTriggers})`);
     this.close();
@@ -309,6 +311,7 @@ export class SetDateDialog extends HandlebarsApplicationMixin(ApplicationV2) {
         CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta });
         return;
       }
+      SessionLedger.tagSource(TIME_SOURCES.SET_DATE);
       await game.time.advance(delta);
       log(3, `Set date to ${year + yearZero}/${month + 1}/${day} ${hour}:${minute} (skip triggers: ${skipTriggers})`);
     }
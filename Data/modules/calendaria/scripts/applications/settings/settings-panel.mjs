@@ -8,15 +8,18 @@
 import { BUNDLED_CALENDARS } from '../../calendar/calendar-loader.mjs';
 import CalendarManager from '../../calendar/calendar-manager.mjs';
 import { MODULE, SETTINGS, TEMPLATES } from '../../constants.mjs';
+import { downloadNotesICS, uploadNotesICS } from '../../importers/ics-notes.mjs';
+import { getAllCategories } from '../../notes/note-data.mjs';
 import TimeClock, { getTimeIncrements } from '../../time/time-clock.mjs';
-import { DEFAULT_FORMAT_PRESETS, LOCATION_DEFAULTS, validateFormatString } from '../../utils/format-utils.mjs';
+import { DEFAULT_FORMAT_PRESETS, LOCATION_DEFAULTS, formatLong, validateFormatString } from '../../utils/format-utils.mjs';
 import { format, localize } from '../../utils/localization.mjs';
 import { log } from '../../utils/logger.mjs';
-import { canChangeActiveCalendar, canViewMiniCal, canViewTimeKeeper } from '../../utils/permissions.mjs';
+import { CALENDAR_PERMISSIONS, CATEGORY_PERMISSIONS, PERMISSION_KEYS, canChangeActiveCalendar, canViewMiniCal, canViewTimeKeeper } from '../../utils/permissions.mjs';
 import { exportSettings, importSettings } from '../../utils/settings-io.mjs';
 import { COLOR_CATEGORIES, COLOR_DEFINITIONS, COMPONENT_CATEGORIES, DEFAULT_COLORS, applyCustomColors, applyPreset } from '../../utils/theme-utils.mjs';
 import { fromDisplayUnit, getTemperatureUnit, toDisplayUnit } from '../../weather/climate-data.mjs';
 import WeatherManager from '../../weather/weather-manager.mjs';
+import { getWeatherMechanics } from '../../weather/weather-presets.mjs';
 import { BigCal } from '../big-cal.mjs';
 import { CalendarEditor } from '../calendar-editor.mjs';
 import { HUD } from '../hud.mjs';
@@ -28,6 +31,38 @@ import { TokenReferenceDialog } from '../token-reference-dialog.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+/** Most recent days listed in the Weather History tab. */
+const HISTORY_LOG_LIMIT = 100;
+
+/** Minimum-role choices for category and calendar permission rules, lowest first. */
+const RULE_ROLES = [
+  { value: 'player', label: 'USER.RolePlayer' },
+  { value: 'trusted', label: 'USER.RoleTrusted' },
+  { value: 'assistant', label: 'USER.RoleAssistant' },
+  { value: 'gm', label: 'USER.RoleGamemaster' }
+];
+
+/**
+ * Convert a stored role rule to the lowest role it admits.
+ * @param {object} [rule] - Role rule ({player, trusted, assistant})
+ * @returns {string} Role value, or '' when no rule is set
+ */
+function ruleToRole(rule) {
+  if (!rule) return '';
+  return RULE_ROLES.find((role) => rule[role.value])?.value ?? 'gm';
+}
+
+/**
+ * Convert a minimum role to a stored role rule.
+ * @param {string} role - Role value
+ * @returns {object|null} Role rule, or null for "use the default"
+ */
+function roleToRule(role) {
+  const index = RULE_ROLES.findIndex((r) => r.value === role);
+  if (index === -1) return null;
+  return { player: index <= 0, trusted: index <= 1, assistant: index <= 2 };
+}
+
 /**
  * Unified Settings Panel for Calendaria module configuration.
  * @extends ApplicationV2
@@ -76,7 +111,12 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       showTokenReference: SettingsPanel.#onShowTokenReference,
       resetSection: SettingsPanel.#onResetSection,
       exportSettings: SettingsPanel.#onExportSettings,
-      importSettings: SettingsPanel.#onImportSettings
+      importSettings: SettingsPanel.#onImportSettings,
+      clearWeatherHistory: SettingsPanel.#onClearWeatherHistory,
+      exportNotesICS: SettingsPanel.#onExportNotesICS,
+      importNotesICS: SettingsPanel.#onImportNotesICS,
+      addPermissionOverride: SettingsPanel.#onAddPermissionOverride,
+      removePermissionOverride: SettingsPanel.#onRemovePermissionOverride
     }
   };
 
@@ -87,6 +127,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     notes: { template: TEMPLATES.SETTINGS.PANEL_NOTES, scrollable: [''] },
     time: { template: TEMPLATES.SETTINGS.PANEL_TIME, scrollable: [''] },
     weather: { template: TEMPLATES.SETTINGS.PANEL_WEATHER, scrollable: [''] },
+    weatherHistory: { template: TEMPLATES.SETTINGS.PANEL_WEATHER_HISTORY, scrollable: [''] },
     theme: { template: TEMPLATES.SETTINGS.PANEL_THEME, scrollable: [''] },
     macros: { template: TEMPLATES.SETTINGS.PANEL_MACROS, scrollable: [''] },
     chat: { template: TEMPLATES.SETTINGS.PANEL_CHAT, scrollable: [''] },
@@ -116,6 +157,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
         { id: 'notes', group: 'primary', icon: 'fas fa-sticky-note', label: 'CALENDARIA.Common.Notes', tabGroup: 'calendar', gmOnly: true },
         { id: 'time', group: 'primary', icon: 'fas fa-clock', label: 'CALENDARIA.Common.Time', tabGroup: 'calendar', gmOnly: true },
         { id: 'weather', group: 'primary', icon: 'fas fa-cloud-sun', label: 'CALENDARIA.Common.Weather', tabGroup: 'calendar', gmOnly: true },
+        { id: 'weatherHistory', group: 'primary', icon: 'fas fa-clock-rotate-left', label: 'CALENDARIA.Weather.History.Title', tabGroup: 'calendar', gmOnly: true },
         { id: 'theme', group: 'primary', icon: 'fas fa-palette', label: 'CALENDARIA.SettingsPanel.Tab.Theme', tabGroup: 'calendar' },
         { id: 'macros', group: 'primary', icon: 'fas fa-bolt', label: 'CALENDARIA.SettingsPanel.Tab.Macros', tabGroup: 'technical', gmOnly: true },
         { id: 'chat', group: 'primary', icon: 'fas fa-comments', label: 'CALENDARIA.SettingsPanel.Tab.Chat', tabGroup: 'technical', gmOnly: true },
@@ -206,6 +248,16 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       this.element.addEventListener('change', () => this.#setSaveIndicator('saving'));
     }
 
+    const historyZoneSelect = this.element.querySelector('select[data-history-zone]');
+    if (historyZoneSelect && !historyZoneSelect.dataset.listenerAttached) {
+      historyZoneSelect.dataset.listenerAttached = 'true';
+      historyZoneSelect.addEventListener('change', (e) => {
+        e.stopPropagation();
+        this.#historyZone = e.target.value;
+        this.render({ parts: ['weatherHistory'] });
+      });
+    }
+
     this.#setupSearchListeners();
   }
 
@@ -218,6 +270,9 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
   /** Track save indicator state across re-renders */
   #saveState = 'saved';
 
+  /** @type {string|null} Climate zone shown in the Weather History tab */
+  #historyZone = null;
+
   /** Timeout ID for resetting save indicator */
   #saveTimeout = null;
 
@@ -470,6 +525,9 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       case 'weather':
         await this.#prepareWeatherContext(context);
         break;
+      case 'weatherHistory':
+        await this.#prepareWeatherHistoryContext(context);
+        break;
       case 'theme':
         await this.#prepareThemeContext(context);
         break;
@@ -531,7 +589,10 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     }
     for (const [id, data] of Object.entries(customCalendars))
       context.calendarOptions.push({ value: id, label: localize(data.name) || data.name || id, selected: id === activeCalendarId, isCustom: true });
+    for (const option of context.calendarOptions) option.disabled = !option.selected && !canChangeActiveCalendar({ calendarId: option.value });
     context.calendarOptions.sort((a, b) => a.label.localeCompare(b.label, game.i18n.lang));
+    const secondaryCalendarId = game.settings.get(MODULE.ID, SETTINGS.SECONDARY_CALENDAR);
+    context.secondaryCalendarOptions = context.calendarOptions.filter((option) => option.value !== activeCalendarId).map((option) => ({ ...option, selected: option.value === secondaryCalendarId, disabled: false }));
     context.recentSettings = this.#prepareRecentSettings();
   }
 
@@ -542,16 +603,19 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
   static SETTING_METADATA = {
     [SETTINGS.ACTIVE_CALENDAR]: { tab: 'home', label: 'CALENDARIA.Settings.ActiveCalendar.Name' },
     [SETTINGS.SHOW_ACTIVE_CALENDAR_TO_PLAYERS]: { tab: 'home', label: 'CALENDARIA.Settings.ShowActiveCalendarToPlayers.Name' },
+    [SETTINGS.SECONDARY_CALENDAR]: { tab: 'home', label: 'CALENDARIA.Settings.SecondaryCalendar.Name' },
     [SETTINGS.ADVANCE_TIME_ON_REST]: { tab: 'time', label: 'CALENDARIA.Settings.AdvanceTimeOnRest.Name' },
     [SETTINGS.SYNC_CLOCK_PAUSE]: { tab: 'time', label: 'CALENDARIA.Settings.SyncClockPause.Name' },
     [SETTINGS.TIME_SPEED_MULTIPLIER]: { tab: 'time', label: 'CALENDARIA.Settings.TimeSpeedMultiplier.Name' },
     [SETTINGS.TIME_SPEED_INCREMENT]: { tab: 'time', label: 'CALENDARIA.Settings.TimeSpeedIncrement.Name' },
     [SETTINGS.TEMPERATURE_UNIT]: { tab: 'weather', label: 'CALENDARIA.Settings.TemperatureUnit.Name' },
+    [SETTINGS.WEATHER_HISTORY_DAYS]: { tab: 'weatherHistory', label: 'CALENDARIA.Settings.WeatherHistoryDays.Name' },
     [SETTINGS.THEME_MODE]: { tab: 'theme', label: 'CALENDARIA.ThemeEditor.PresetSelect' },
     [SETTINGS.CUSTOM_THEME_COLORS]: { tab: 'theme', label: 'CALENDARIA.SettingsPanel.Section.Theme' },
     [SETTINGS.CHAT_TIMESTAMP_MODE]: { tab: 'chat', label: 'CALENDARIA.Settings.ChatTimestampMode.Name' },
     [SETTINGS.CHAT_TIMESTAMP_SHOW_TIME]: { tab: 'chat', label: 'CALENDARIA.Settings.ChatTimestampShowTime.Name' },
     [SETTINGS.PERMISSIONS]: { tab: 'permissions', label: 'CALENDARIA.SettingsPanel.Tab.Permissions' },
+    [SETTINGS.PERMISSION_RULES]: { tab: 'permissions', label: 'CALENDARIA.SettingsPanel.Section.PermissionRules' },
     [SETTINGS.HUD_STICKY_ZONES_ENABLED]: { tab: 'canvas', label: 'CALENDARIA.Settings.StickyZones.Name' },
     [SETTINGS.ALLOW_SIDEBAR_OVERLAP]: { tab: 'canvas', label: 'CALENDARIA.Settings.AllowSidebarOverlap.Name' },
     [SETTINGS.DARKNESS_SYNC]: { tab: 'canvas', label: 'CALENDARIA.Settings.DarknessSync.Name' },
@@ -565,6 +629,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     [SETTINGS.SHOW_TOOLBAR_BUTTON]: { tab: 'module', label: 'CALENDARIA.Settings.ShowToolbarButton.Name' },
     [SETTINGS.TOOLBAR_APPS]: { tab: 'module', label: 'CALENDARIA.Settings.ToolbarApps.Name' },
     [SETTINGS.SHOW_JOURNAL_FOOTER]: { tab: 'module', label: 'CALENDARIA.Settings.ShowJournalFooter.Name' },
+    [SETTINGS.EXTERNAL_BRIDGE]: { tab: 'module', label: 'CALENDARIA.Settings.ExternalBridge.Name' },
     [SETTINGS.SHOW_CALENDAR_HUD]: { tab: 'hud', label: 'CALENDARIA.Settings.ShowCalendarHUD.Name' },
     [SETTINGS.FORCE_HUD]: { tab: 'hud', label: 'CALENDARIA.Settings.ForceHUD.Name' },
     [SETTINGS.CALENDAR_HUD_LOCKED]: { tab: 'hud', label: 'CALENDARIA.Settings.CalendarHUDLocked.Name' },
@@ -706,12 +771,14 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     'canvas-scene-integration': [SETTINGS.DARKNESS_SYNC, SETTINGS.DARKNESS_WEATHER_SYNC, SETTINGS.AMBIENCE_SYNC, SETTINGS.DEFAULT_BRIGHTNESS_MULTIPLIER],
     // Weather tab sections
     'weather-temperature': [SETTINGS.TEMPERATURE_UNIT],
+    'weather-history': [SETTINGS.WEATHER_HISTORY_DAYS],
     // Module tab sections
     'module-sync': [SETTINGS.PRIMARY_GM],
-    'module-integration': [SETTINGS.SHOW_TOOLBAR_BUTTON, SETTINGS.TOOLBAR_APPS, SETTINGS.SHOW_JOURNAL_FOOTER],
+    'module-integration': [SETTINGS.SHOW_TOOLBAR_BUTTON, SETTINGS.TOOLBAR_APPS, SETTINGS.SHOW_JOURNAL_FOOTER, SETTINGS.EXTERNAL_BRIDGE],
     'module-debugging': [SETTINGS.DEV_MODE, SETTINGS.LOGGING_LEVEL],
     // Permissions tab sections
     permissions: [SETTINGS.PERMISSIONS],
+    'permission-rules': [SETTINGS.PERMISSION_RULES],
     // Theme tab sections
     theme: [SETTINGS.CUSTOM_THEME_COLORS, SETTINGS.THEME_MODE]
   };
@@ -1271,6 +1338,30 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     context.zoneOptions.sort((a, b) => a.label.localeCompare(b.label, game.i18n.lang));
   }
 
+  /**
+   * Prepare context for the Weather History tab.
+   * @param {object} context - The context object
+   */
+  async #prepareWeatherHistoryContext(context) {
+    context.weatherHistoryDays = game.settings.get(MODULE.ID, SETTINGS.WEATHER_HISTORY_DAYS);
+    const calendar = CalendarManager.getActiveCalendar();
+    const zones = WeatherManager.getCalendarZones() || [];
+    const zoneId = zones.some((z) => z.id === this.#historyZone) ? this.#historyZone : (WeatherManager.getActiveZone()?.id ?? null);
+    context.historyZoneOptions = zones.map((z) => ({ value: z.id, label: localize(z.name), selected: z.id === zoneId }));
+    context.historyZoneOptions.sort((a, b) => a.label.localeCompare(b.label, game.i18n.lang));
+    const records = WeatherManager.getWeatherHistory({ zone: zoneId }).reverse();
+    context.historyTotal = records.length;
+    context.historyRecords = records.slice(0, HISTORY_LOG_LIMIT).map((record) => ({
+      date: formatLong(calendar, { year: record.year, month: record.month, dayOfMonth: record.day }),
+      label: localize(record.label ?? ''),
+      icon: record.icon,
+      color: record.color,
+      temperature: record.temperature != null ? WeatherManager.formatTemperature(record.temperature) : '',
+      backfilled: !!record.backfilled
+    }));
+    context.historyTruncated = records.length > HISTORY_LOG_LIMIT;
+  }
+
   /**
    * Prepare context for the Theme tab.
    * @param {object} context - The context object
@@ -1412,9 +1503,13 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       { id: 'minical', icon: 'fa-compress', label: localize('CALENDARIA.SettingsPanel.Tab.MiniCal'), checked: toolbarApps.has('minical') },
       { id: 'hud', icon: 'fa-sun', label: localize('CALENDARIA.SettingsPanel.Tab.HUD'), checked: toolbarApps.has('hud') },
       { id: 'timekeeper', icon: 'fa-gauge', label: localize('CALENDARIA.SettingsPanel.Tab.TimeKeeper'), checked: toolbarApps.has('timekeeper') },
-      { id: 'stopwatch', icon: 'fa-stopwatch', label: localize('CALENDARIA.SettingsPanel.Tab.Stopwatch'), checked: toolbarApps.has('stopwatch') }
+      { id: 'stopwatch', icon: 'fa-stopwatch', label: localize('CALENDARIA.SettingsPanel.Tab.Stopwatch'), checked: toolbarApps.has('stopwatch') },
+      { id: 'sessions', icon: 'fa-book-journal-whills', label: localize('CALENDARIA.SessionLedger.Title'), checked: toolbarApps.has('sessions') },
+      { id: 'timelines', icon: 'fa-code-branch', label: localize('CALENDARIA.PartyTimelines.Title'), checked: toolbarApps.has('timelines') },
+      { id: 'search', icon: 'fa-magnifying-glass', label: localize('CALENDARIA.SearchPalette.Title'), checked: toolbarApps.has('search') }
     ];
     context.showJournalFooter = game.settings.get(MODULE.ID, SETTINGS.SHOW_JOURNAL_FOOTER);
+    context.externalBridge = game.settings.get(MODULE.ID, SETTINGS.EXTERNAL_BRIDGE);
   }
 
   /**
@@ -1443,6 +1538,31 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
         assistant: saved[key]?.assistant ?? defaultVal.assistant
       };
     }
+    const rules = game.settings.get(MODULE.ID, SETTINGS.PERMISSION_RULES) || {};
+    const permissionLabel = (key) => localize(`CALENDARIA.Permissions.${key.charAt(0).toUpperCase()}${key.slice(1)}`);
+    const roleOptions = (rule) => {
+      const selected = ruleToRole(rule);
+      return [{ value: '', label: localize('CALENDARIA.Permissions.Rules.Default'), selected: !selected }, ...RULE_ROLES.map((r) => ({ value: r.value, label: localize(r.label), selected: r.value === selected }))];
+    };
+    context.categoryPermissionKeys = CATEGORY_PERMISSIONS.map((key) => ({ key, label: permissionLabel(key) }));
+    context.categoryRules = getAllCategories().map((cat) => ({
+      id: cat.id,
+      label: cat.label,
+      actions: CATEGORY_PERMISSIONS.map((key) => ({ key, options: roleOptions(rules.categories?.[cat.id]?.[key]) }))
+    }));
+    context.calendarPermissionKeys = CALENDAR_PERMISSIONS.map((key) => ({ key, label: permissionLabel(key) }));
+    context.calendarRules = CalendarManager.getAllCalendarMetadata().map((meta) => ({
+      id: meta.id,
+      label: localize(meta.name) || meta.id,
+      actions: CALENDAR_PERMISSIONS.map((key) => ({ key, options: roleOptions(rules.calendars?.[meta.id]?.[key]) }))
+    }));
+    context.userOverrides = Object.entries(rules.users ?? {}).flatMap(([userId, overrides]) => {
+      const user = game.users.get(userId);
+      if (!user) return [];
+      return Object.entries(overrides).map(([key, allowed]) => ({ userId, userName: user.name, key, label: permissionLabel(key), allowed }));
+    });
+    context.overrideUserOptions = game.users.filter((u) => !u.isGM).map((u) => ({ value: u.id, label: u.name }));
+    context.overridePermissionOptions = PERMISSION_KEYS.map((key) => ({ value: key, label: permissionLabel(key) }));
   }
 
   /**
@@ -1471,6 +1591,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       await game.settings.set(MODULE.ID, SETTINGS.TOOLBAR_APPS, new Set(apps));
     }
     if ('showJournalFooter' in data) await game.settings.set(MODULE.ID, SETTINGS.SHOW_JOURNAL_FOOTER, data.showJournalFooter);
+    if ('externalBridge' in data) await game.settings.set(MODULE.ID, SETTINGS.EXTERNAL_BRIDGE, data.externalBridge);
     if ('showMiniCal' in data) await game.settings.set(MODULE.ID, SETTINGS.SHOW_MINI_CAL, data.showMiniCal);
     if ('showCalendarHUD' in data) await game.settings.set(MODULE.ID, SETTINGS.SHOW_CALENDAR_HUD, data.showCalendarHUD);
     if ('forceHUD' in data) await game.settings.set(MODULE.ID, SETTINGS.FORCE_HUD, data.forceHUD);
@@ -1513,7 +1634,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     if ('chatTimestampShowTime' in data) await game.settings.set(MODULE.ID, SETTINGS.CHAT_TIMESTAMP_SHOW_TIME, data.chatTimestampShowTime);
     if ('activeCalendar' in data) {
       const current = game.settings.get(MODULE.ID, SETTINGS.ACTIVE_CALENDAR);
-      if (data.activeCalendar !== current) {
+      if (data.activeCalendar !== current && canChangeActiveCalendar({ calendarId: data.activeCalendar })) {
         await game.settings.set(MODULE.ID, SETTINGS.ACTIVE_CALENDAR, data.activeCalendar);
         const confirmed = await foundry.applications.api.DialogV2.confirm({
           window: { title: localize('CALENDARIA.SettingsPanel.ReloadRequired.Title') },
@@ -1525,8 +1646,10 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       }
     }
 
+    if ('secondaryCalendar' in data) await game.settings.set(MODULE.ID, SETTINGS.SECONDARY_CALENDAR, data.secondaryCalendar);
     if ('showActiveCalendarToPlayers' in data) await game.settings.set(MODULE.ID, SETTINGS.SHOW_ACTIVE_CALENDAR_TO_PLAYERS, data.showActiveCalendarToPlayers);
     if ('temperatureUnit' in data) await game.settings.set(MODULE.ID, SETTINGS.TEMPERATURE_UNIT, data.temperatureUnit);
+    if ('weatherHistoryDays' in data) await game.settings.set(MODULE.ID, SETTINGS.WEATHER_HISTORY_DAYS, Math.max(0, Math.floor(Number(data.weatherHistoryDays) || 0)));
     if ('climateZone' in data) await WeatherManager.setActiveZone(data.climateZone);
     if ('miniCalStickySection' in data) {
       const current = game.settings.get(MODULE.ID, SETTINGS.MINI_CAL_STICKY_STATES) || {};
@@ -1644,6 +1767,26 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       }
       await game.settings.set(MODULE.ID, SETTINGS.PERMISSIONS, permissions);
     }
+    if (data.permissionRules) {
+      const rules = { categories: {}, calendars: {}, users: {} };
+      for (const [scope, keys] of [
+        ['categories', CATEGORY_PERMISSIONS],
+        ['calendars', CALENDAR_PERMISSIONS]
+      ]) {
+        for (const [id, actions] of Object.entries(data.permissionRules[scope] ?? {})) {
+          for (const key of keys) {
+            const rule = roleToRule(actions[key]);
+            if (rule) (rules[scope][id] ??= {})[key] = rule;
+          }
+        }
+      }
+      for (const [userId, overrides] of Object.entries(data.permissionRules.users ?? {})) {
+        for (const key of PERMISSION_KEYS) {
+          if (overrides[key] === 'allow' || overrides[key] === 'deny') (rules.users[userId] ??= {})[key] = overrides[key] === 'allow';
+        }
+      }
+      await game.settings.set(MODULE.ID, SETTINGS.PERMISSION_RULES, rules);
+    }
 
     if (data.colors) {
       const customColors = {};
@@ -1929,6 +2072,38 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     this.render();
   }
 
+  /**
+   * Add a per-user permission override from the Permissions tab.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async #onAddPermissionOverride(_event, _target) {
+    const userId = this.element.querySelector('select[name="newOverrideUser"]')?.value;
+    const key = this.element.querySelector('select[name="newOverridePermission"]')?.value;
+    const value = this.element.querySelector('select[name="newOverrideValue"]')?.value;
+    if (!game.users.get(userId) || !PERMISSION_KEYS.includes(key)) return;
+    const rules = foundry.utils.deepClone(game.settings.get(MODULE.ID, SETTINGS.PERMISSION_RULES) || {});
+    rules.users ??= {};
+    (rules.users[userId] ??= {})[key] = value === 'allow';
+    await game.settings.set(MODULE.ID, SETTINGS.PERMISSION_RULES, rules);
+    this.render({ parts: ['permissions'] });
+  }
+
+  /**
+   * Remove a per-user permission override.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element (data-user-id, data-permission)
+   */
+  static async #onRemovePermissionOverride(_event, target) {
+    const { userId, permission } = target.dataset;
+    const rules = foundry.utils.deepClone(game.settings.get(MODULE.ID, SETTINGS.PERMISSION_RULES) || {});
+    if (!rules.users?.[userId]) return;
+    delete rules.users[userId][permission];
+    if (!Object.keys(rules.users[userId]).length) delete rules.users[userId];
+    await game.settings.set(MODULE.ID, SETTINGS.PERMISSION_RULES, rules);
+    this.render({ parts: ['permissions'] });
+  }
+
   /**
    * Export current theme as JSON.
    * @param {PointerEvent} _event - The click event
@@ -1999,6 +2174,24 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     await importSettings(() => this?.render({ force: true }));
   }
 
+  /**
+   * Export the active calendar's notes to an .ics file.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async #onExportNotesICS(_event, _target) {
+    await downloadNotesICS();
+  }
+
+  /**
+   * Import notes from an .ics file into the active calendar.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async #onImportNotesICS(_event, _target) {
+    await uploadNotesICS();
+  }
+
   /**
    * Open the Calendar HUD.
    * @param {PointerEvent} _event - The click event
@@ -2189,6 +2382,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     const data = preset || { label: '', icon: 'fa-cloud', color: '#888888', tempMin: 10, tempMax: 25, darknessPenalty: 0, environmentBase: null, environmentDark: null };
     const envBase = data.environmentBase ?? {};
     const envDark = data.environmentDark ?? {};
+    const mechanics = getWeatherMechanics(data);
     const unitSymbol = getTemperatureUnit() === 'fahrenheit' ? '°F' : '°C';
     const displayMin = toDisplayUnit(data.tempMin);
     const displayMax = toDisplayUnit(data.tempMax);
@@ -2252,6 +2446,40 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
             </div>
           </div>
         </fieldset>
+        <fieldset>
+          <legend>${localize('CALENDARIA.SettingsPanel.WeatherPresets.Mechanics')}</legend>
+          <p class="hint">${localize('CALENDARIA.SettingsPanel.WeatherPresets.MechanicsHint')}</p>
+          <div class="form-group">
+            <label>${localize('CALENDARIA.SettingsPanel.WeatherPresets.TravelMultiplier')}</label>
+            <div class="form-fields">
+              <input type="number" name="travelMultiplier" min="0" step="0.05" value="${mechanics.travelMultiplier}">
+              <span>×</span>
+            </div>
+          </div>
+          <div class="form-group">
+            <label>${localize('CALENDARIA.SettingsPanel.WeatherPresets.Visibility')}</label>
+            <div class="form-fields">
+              <input type="number" name="visibility" min="0" step="5" value="${mechanics.visibility ?? ''}" placeholder="${localize('CALENDARIA.SettingsPanel.WeatherPresets.VisibilityUnlimited')}">
+              <span>ft</span>
+            </div>
+          </div>
+          <div class="form-group">
+            <label>${localize('CALENDARIA.SettingsPanel.WeatherPresets.LightPenalty')}</label>
+            <input type="number" name="lightPenalty" min="-1" max="1" step="0.05" value="${mechanics.lightPenalty}">
+            <p class="hint">${localize('CALENDARIA.SettingsPanel.WeatherPresets.LightPenaltyTooltip')}</p>
+          </div>
+          <div class="form-group">
+            <label>${localize('CALENDARIA.SettingsPanel.WeatherPresets.GetLostChance')}</label>
+            <div class="form-fields">
+              <input type="number" name="getLostChance" min="-100" max="100" step="1" value="${mechanics.getLostChance}">
+              <span>%</span>
+            </div>
+          </div>
+          <div class="form-group">
+            <label>${localize('CALENDARIA.SettingsPanel.WeatherPresets.ForageModifier')}</label>
+            <input type="number" name="forageModifier" step="1" value="${mechanics.forageModifier}">
+          </div>
+        </fieldset>
       </form>
     `;
 
@@ -2275,7 +2503,14 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
             tempMax: fromDisplayUnit(Number(form.elements.tempMax.value) || 25),
             darknessPenalty: Number(form.elements.darknessPenalty.value) || 0,
             environmentBase: baseHue !== null || baseSat !== null ? { hue: baseHue, saturation: baseSat } : null,
-            environmentDark: darkHue !== null || darkSat !== null ? { hue: darkHue, saturation: darkSat } : null
+            environmentDark: darkHue !== null || darkSat !== null ? { hue: darkHue, saturation: darkSat } : null,
+            mechanics: {
+              travelMultiplier: Math.max(0, Number(form.elements.travelMultiplier.value || 1)),
+              visibility: form.elements.visibility.value ? Math.max(0, Number(form.elements.visibility.value)) : null,
+              lightPenalty: Number(form.elements.lightPenalty.value) || 0,
+              getLostChance: Number(form.elements.getLostChance.value) || 0,
+              forageModifier: Number(form.elements.forageModifier.value) || 0
+            }
           };
         }
       }
@@ -2303,6 +2538,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
       darknessPenalty: result.darknessPenalty,
       environmentBase: result.environmentBase,
       environmentDark: result.environmentDark,
+      mechanics: result.mechanics,
       description: ''
     });
     await game.settings.set(MODULE.ID, SETTINGS.CUSTOM_WEATHER_PRESETS, currentPresets);
@@ -2333,6 +2569,7 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     preset.darknessPenalty = result.darknessPenalty;
     preset.environmentBase = result.environmentBase;
     preset.environmentDark = result.environmentDark;
+    preset.mechanics = result.mechanics;
 
     await game.settings.set(MODULE.ID, SETTINGS.CUSTOM_WEATHER_PRESETS, currentPresets);
     this.render({ parts: ['weather'] });
@@ -2352,6 +2589,23 @@ export class SettingsPanel extends HandlebarsApplicationMixin(ApplicationV2) {
     this.render({ parts: ['weather'] });
   }
 
+  /**
+   * Clear recorded weather history for the active calendar after confirmation.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async #onClearWeatherHistory(_event, _target) {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: localize('CALENDARIA.SettingsPanel.WeatherHistory.ClearTitle') },
+      content: `<p>${localize('CALENDARIA.SettingsPanel.WeatherHistory.ClearContent')}</p>`,
+      yes: { label: localize('CALENDARIA.SettingsPanel.WeatherHistory.Clear'), icon: 'fas fa-trash' },
+      no: { label: localize('CALENDARIA.Common.Cancel'), icon: 'fas fa-times' }
+    });
+    if (!confirmed) return;
+    await WeatherManager.clearWeatherHistory();
+    this.render({ parts: ['weatherHistory'] });
+  }
+
   /**
    * Navigate to a specific setting's tab and fieldset.
    * @param {PointerEvent} _event - The click event
@@ -8,8 +8,9 @@
 import CalendarManager from '../calendar/calendar-manager.mjs';
 import { HOOKS, MODULE, SETTINGS, SOCKET_TYPES, TEMPLATES } from '../constants.mjs';
 import TimeClock, { getTimeIncrements } from '../time/time-clock.mjs';
+import TimeHistory from '../time/time-history.mjs';
 import { formatForLocation, getDisplayFormat, hasMoonIconMarkers, renderMoonIcons } from '../utils/format-utils.mjs';
-import { localize } from '../utils/localization.mjs';
+import { format, localize } from '../utils/localization.mjs';
 import { canChangeDateTime, canViewTimeKeeper } from '../utils/permissions.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
 import * as StickyZones from '../utils/sticky-zones.mjs';
@@ -92,7 +93,10 @@ export class TimeKeeper extends HandlebarsApplicationMixin(ApplicationV2) {
   /** @override */
   _onRender(context, options) {
     super._onRender(context, options);
-    if (options.isFirstRender) this.#restorePosition();
+    if (options.isFirstRender) {
+      this.#restorePosition();
+      this.element.addEventListener('keydown', (event) => TimeHistory.onKeyDown(event));
+    }
     this.#enableDragging();
     const incrementSelect = this.element.querySelector('[data-action="increment"]');
     incrementSelect?.addEventListener('change', (e) => {
@@ -294,6 +298,8 @@ export class TimeKeeper extends HandlebarsApplicationMixin(ApplicationV2) {
         icon: `<i class="fas fa-${isVisible ? 'eye-slash' : 'eye'}"></i>`,
         callback: () => CalendariaSocket.emit(SOCKET_TYPES.TIME_KEEPER_VISIBILITY, { visible: !isVisible })
       });
+      const lastChange = TimeHistory.getEntries().at(-1);
+      if (lastChange) items.push({ name: format('CALENDARIA.TimeHistory.UndoChange', { change: TimeHistory.describe(lastChange) }), icon: '<i class="fas fa-rotate-left"></i>', callback: () => TimeHistory.promptUndo() });
     }
     items.push({
       name: 'CALENDARIA.TimeKeeper.ContextMenu.ResetPosition',
@@ -0,0 +1,360 @@
+/**
+ * Timeline View Utilities
+ * Builds BigCal's timeline view: a horizontally scrolling range, zoomable from days to
+ * centuries, with eras, seasons, festivals and notes drawn as bars along a time axis.
+ * @module Applications/TimelineUtils
+ * @author Tyler
+ */
+
+import { shiftNoteDates } from '../notes/note-data.mjs';
+import NoteManager from '../notes/note-manager.mjs';
+import { addDays, addMonths, addYears, dateToWorldTime } from '../notes/utils/date-utils.mjs';
+import { format, localize } from '../utils/localization.mjs';
+
+/**
+ * Zoom levels. Each one shows `count` ticks of `step` days, months or years, `width` pixels apart,
+ * starting `lead` ticks before the viewed date.
+ * @type {Object<string, {tick: string, step: number, count: number, width: number, lead: number}>}
+ */
+export const TIMELINE_ZOOMS = {
+  days: { tick: 'day', step: 1, count: 42, width: 32, lead: 7 },
+  months: { tick: 'month', step: 1, count: 24, width: 64, lead: 3 },
+  years: { tick: 'year', step: 1, count: 30, width: 56, lead: 5 },
+  decades: { tick: 'year', step: 10, count: 30, width: 56, lead: 5 },
+  centuries: { tick: 'year', step: 100, count: 30, width: 56, lead: 5 }
+};
+
+/** Minimum bar width in pixels, so single-day entries stay clickable when zoomed out. */
+const MIN_BAR_WIDTH = 6;
+
+/**
+ * Get seconds per day for a calendar.
+ * @param {object} calendar - Calendar
+ * @returns {number} Seconds per day
+ */
+function getSecondsPerDay(calendar) {
+  return (calendar.days?.hoursPerDay ?? 24) * (calendar.days?.minutesPerHour ?? 60) * (calendar.days?.secondsPerMinute ?? 60);
+}
+
+/**
+ * Get the zoom levels a calendar supports.
+ * @param {object} calendar - Calendar
+ * @returns {string[]} Zoom IDs
+ */
+export function getTimelineZooms(calendar) {
+  return Object.keys(TIMELINE_ZOOMS).filter((id) => !(calendar?.isMonthless && TIMELINE_ZOOMS[id].tick === 'month'));
+}
+
+/**
+ * Move a viewed date by half a timeline screen.
+ * @param {object} date - Viewed date
+ * @param {string} zoomId - Zoom ID
+ * @param {number} direction - 1 for later, -1 for earlier
+ * @returns {object} New viewed date
+ */
+export function navigateTimeline(date, zoomId, direction) {
+  const zoom = TIMELINE_ZOOMS[zoomId] ?? TIMELINE_ZOOMS.months;
+  const amount = direction * Math.floor(zoom.count / 2) * zoom.step;
+  if (zoom.tick === 'day') return addDays(date, amount);
+  if (zoom.tick === 'month') return addMonths(date, amount);
+  return addYears(date, amount);
+}
+
+/**
+ * Build the axis ticks for a zoom level around a viewed date.
+ * Tick times are accumulated from the first tick so wide ranges need a single componentsToTime call.
+ * @param {object} calendar - Calendar
+ * @param {object} date - Viewed date (display year)
+ * @param {object} zoom - Zoom level
+ * @returns {object[]} Ticks with world time, label and optional major label; one extra tick closes the range
+ */
+function buildTicks(calendar, date, zoom) {
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const secondsPerDay = getSecondsPerDay(calendar);
+  const months = calendar.monthsArray ?? [];
+  const monthName = (index) => {
+    const month = months[index];
+    return month ? localize(month.abbreviation || month.name) : '';
+  };
+  const ticks = [];
+  if (zoom.tick === 'day') {
+    let time = dateToWorldTime(date, { startOfDay: true, calendar }) - zoom.lead * secondsPerDay;
+    let { year, month, dayOfMonth } = calendar.timeToComponents(time);
+    for (let i = 0; i <= zoom.count; i++) {
+      const major = dayOfMonth === 0 ? `${monthName(month)} ${year + yearZero}` : null;
+      ticks.push({ time, label: String(dayOfMonth + 1), major });
+      time += secondsPerDay;
+      dayOfMonth++;
+      while (dayOfMonth >= (calendar.isMonthless ? calendar.getDaysInYear(year) : calendar.getDaysInMonth(month, year))) {
+        dayOfMonth = 0;
+        month++;
+        if (month >= (months.length || 1)) {
+          month = 0;
+          year++;
+        }
+      }
+    }
+    return ticks;
+  }
+
+  if (zoom.tick === 'month') {
+    let total = (date.year - yearZero) * months.length + date.month - zoom.lead;
+    let year = Math.floor(total / months.length);
+    let time = calendar.componentsToTime({ year, month: total - year * months.length, dayOfMonth: 0, hour: 0, minute: 0, second: 0 });
+    while (ticks.length <= zoom.count) {
+      year = Math.floor(total / months.length);
+      const month = total - year * months.length;
+      const days = calendar.getDaysInMonth(month, year);
+      if (days > 0) ticks.push({ time, label: monthName(month), major: month === 0 || !ticks.length ? String(year + yearZero) : null });
+      time += days * secondsPerDay;
+      total++;
+    }
+    return ticks;
+  }
+
+  const firstYear = Math.floor(date.year / zoom.step) * zoom.step - zoom.lead * zoom.step;
+  let time = calendar.componentsToTime({ year: firstYear - yearZero, month: 0, dayOfMonth: 0, hour: 0, minute: 0, second: 0 });
+  for (let i = 0; i <= zoom.count; i++) {
+    const displayYear = firstYear + i * zoom.step;
+    ticks.push({ time, label: String(displayYear), major: displayYear % (zoom.step * 10) === 0 ? String(displayYear) : null });
+    for (let y = 0; y < zoom.step; y++) time += calendar.getDaysInYear(displayYear + y - yearZero) * secondsPerDay;
+  }
+  return ticks;
+}
+
+/**
+ * Create the pixel/time mapping for a list of ticks.
+ * Time is linear within each tick, so months of different lengths share the same width.
+ * @param {object[]} ticks - Axis ticks
+ * @param {number} width - Tick width in pixels
+ * @returns {{xAt: Function, timeAt: Function}} Converters
+ */
+function createScale(ticks, width) {
+  const last = ticks.length - 1;
+  const xAt = (time) => {
+    if (time <= ticks[0].time) return 0;
+    if (time >= ticks[last].time) return last * width;
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (ticks[mid].time <= time) lo = mid;
+      else hi = mid;
+    }
+    const span = ticks[lo + 1].time - ticks[lo].time || 1;
+    return (lo + (time - ticks[lo].time) / span) * width;
+  };
+  const timeAt = (x) => {
+    const index = Math.max(0, Math.min(last - 1, Math.floor(x / width)));
+    const fraction = x / width - index;
+    return ticks[index].time + fraction * (ticks[index + 1].time - ticks[index].time);
+  };
+  return { xAt, timeAt };
+}
+
+/**
+ * Place a bar on the scale, or return null if it is outside the range.
+ * @param {object} scale - Pixel/time mapping
+ * @param {number} rangeStart - Range start world time
+ * @param {number} rangeEnd - Range end world time
+ * @param {number} start - Bar start world time
+ * @param {number} end - Bar end world time
+ * @param {object} data - Extra bar data
+ * @returns {object|null} Bar with left and width in pixels
+ */
+function placeBar(scale, rangeStart, rangeEnd, start, end, data) {
+  if (end < rangeStart || start > rangeEnd) return null;
+  const left = scale.xAt(start);
+  const width = Math.max(MIN_BAR_WIDTH, scale.xAt(end) - left);
+  return { ...data, left: Math.round(left), width: Math.round(width), clippedStart: start < rangeStart, clippedEnd: end > rangeEnd };
+}
+
+/**
+ * Assign bars to rows so they do not overlap.
+ * @param {object[]} bars - Bars sorted by left edge
+ * @returns {number} Number of rows used
+ */
+function assignRows(bars) {
+  const rowEnds = [];
+  for (const bar of bars) {
+    let row = rowEnds.findIndex((end) => end <= bar.left);
+    if (row === -1) row = rowEnds.length;
+    rowEnds[row] = bar.left + bar.width + 2;
+    bar.row = row;
+  }
+  return Math.max(1, rowEnds.length);
+}
+
+/**
+ * Get era bars.
+ * @param {object} calendar - Calendar
+ * @param {object} scale - Pixel/time mapping
+ * @param {number} rangeStart - Range start world time
+ * @param {number} rangeEnd - Range end world time
+ * @returns {object[]} Bars
+ */
+function getEraBars(calendar, scale, rangeStart, rangeEnd) {
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const yearStart = (displayYear) => calendar.componentsToTime({ year: displayYear - yearZero, month: 0, dayOfMonth: 0, hour: 0, minute: 0, second: 0 });
+  const bars = [];
+  for (const era of calendar.getAllEras?.() ?? []) {
+    const start = yearStart(era.startYear);
+    const end = era.endYear != null ? yearStart(era.endYear + 1) : rangeEnd;
+    const name = localize(era.name);
+    const years = era.endYear != null ? `${era.startYear}–${era.endYear}` : `${era.startYear}–`;
+    const bar = placeBar(scale, rangeStart, rangeEnd, start, end, { name, tooltip: `${name} (${years})`, color: null });
+    if (bar) bars.push(bar);
+  }
+  return bars;
+}
+
+/**
+ * Get season and festival bars for every year the range touches.
+ * @param {object} calendar - Calendar
+ * @param {object} scale - Pixel/time mapping
+ * @param {number} rangeStart - Range start world time
+ * @param {number} rangeEnd - Range end world time
+ * @returns {{seasons: object[], festivals: object[]}} Bars
+ */
+function getYearlyBars(calendar, scale, rangeStart, rangeEnd) {
+  const secondsPerDay = getSecondsPerDay(calendar);
+  const seasons = [];
+  const festivals = [];
+  const months = calendar.monthsArray ?? [];
+  const firstYear = calendar.timeToComponents(rangeStart).year;
+  let yearStart = calendar.componentsToTime({ year: firstYear, month: 0, dayOfMonth: 0, hour: 0, minute: 0, second: 0 });
+  for (let year = firstYear; yearStart <= rangeEnd; year++) {
+    const daysInYear = calendar.getDaysInYear(year);
+    if (calendar.seasonsArray?.length) {
+      let run = null;
+      let dayOfYear = 0;
+      const closeRun = () => {
+        const name = localize(run.season.name);
+        const bar = placeBar(scale, rangeStart, rangeEnd, yearStart + run.from * secondsPerDay, yearStart + dayOfYear * secondsPerDay, { name, tooltip: name, color: run.season.color || null });
+        if (bar) seasons.push(bar);
+      };
+      const monthCount = calendar.isMonthless ? 1 : months.length;
+      for (let month = 0; month < monthCount; month++) {
+        const days = calendar.isMonthless ? daysInYear : calendar.getDaysInMonth(month, year);
+        for (let dayOfMonth = 0; dayOfMonth < days; dayOfMonth++, dayOfYear++) {
+          const season = calendar.getCurrentSeason({ year, month, dayOfMonth });
+          if (run?.season === season) continue;
+          if (run) closeRun();
+          run = season ? { season, from: dayOfYear } : null;
+        }
+      }
+      if (run) closeRun();
+    }
+    const isLeap = calendar.isLeapYear(year);
+    for (const festival of calendar.festivalsArray ?? []) {
+      if (festival.leapYearOnly && !isLeap) continue;
+      let dayOfYear;
+      if (festival.dayOfYear != null) dayOfYear = festival.dayOfYear - 1;
+      else if (festival.month != null && festival.day != null) dayOfYear = calendar._calculateDayOfYearFromMonthDay(festival.month - 1, festival.day - 1, year);
+      else continue;
+      const duration = isLeap && festival.leapDuration != null ? festival.leapDuration : (festival.duration ?? 1);
+      const start = yearStart + dayOfYear * secondsPerDay;
+      const name = localize(festival.name);
+      const bar = placeBar(scale, rangeStart, rangeEnd, start, start + duration * secondsPerDay, { name, tooltip: name, color: festival.color || null, icon: festival.icon || null });
+      if (bar) festivals.push(bar);
+    }
+    yearStart += daysInYear * secondsPerDay;
+  }
+  return { seasons, festivals };
+}
+
+/**
+ * Get note bars. Recurring notes are left out; the timeline shows one-off events and arcs.
+ * @param {object} calendar - Calendar
+ * @param {object[]} notes - Visible note pages
+ * @param {object} scale - Pixel/time mapping
+ * @param {number} rangeStart - Range start world time
+ * @param {number} rangeEnd - Range end world time
+ * @returns {object[]} Bars
+ */
+function getNoteBars(calendar, notes, scale, rangeStart, rangeEnd) {
+  const secondsPerDay = getSecondsPerDay(calendar);
+  const bars = [];
+  for (const page of notes) {
+    const { startDate, endDate, allDay, repeat, color, icon, iconType } = page.system;
+    if (repeat && repeat !== 'never') continue;
+    const start = dateToWorldTime(startDate, { startOfDay: allDay, calendar });
+    if (start === null) continue;
+    let end = endDate?.year != null ? dateToWorldTime(endDate, { startOfDay: allDay, calendar }) : start;
+    if (allDay || end === start) end += allDay ? secondsPerDay : 0;
+    const bar = placeBar(scale, rangeStart, rangeEnd, start, Math.max(start, end), {
+      id: page.id,
+      name: page.name,
+      tooltip: page.name,
+      color,
+      icon,
+      iconType,
+      draggable: NoteManager.canChangeNote(page)
+    });
+    if (bar) bars.push(bar);
+  }
+  return bars;
+}
+
+/**
+ * Build timeline view data.
+ * @param {object} calendar - Calendar
+ * @param {object} date - Viewed date (display year)
+ * @param {object[]} notes - Visible note pages
+ * @param {string} zoomId - Zoom ID
+ * @returns {object} Timeline data for rendering
+ */
+export function buildTimelineData(calendar, date, notes, zoomId) {
+  const zooms = getTimelineZooms(calendar);
+  if (!zooms.includes(zoomId)) zoomId = zooms.includes('months') ? 'months' : 'years';
+  const zoom = TIMELINE_ZOOMS[zoomId];
+  const ticks = buildTicks(calendar, date, zoom);
+  const scale = createScale(ticks, zoom.width);
+  const rangeStart = ticks[0].time;
+  const rangeEnd = ticks.at(-1).time;
+  const tracks = [];
+  const eras = getEraBars(calendar, scale, rangeStart, rangeEnd);
+  if (eras.length) tracks.push({ id: 'eras', label: localize('CALENDARIA.Common.Eras'), bars: eras });
+  if (zoom.tick !== 'year') {
+    const { seasons, festivals } = getYearlyBars(calendar, scale, rangeStart, rangeEnd);
+    if (seasons.length) tracks.push({ id: 'seasons', label: localize('CALENDARIA.Common.Seasons'), bars: seasons });
+    if (festivals.length) tracks.push({ id: 'festivals', label: localize('CALENDARIA.Common.Festivals'), bars: festivals });
+  }
+  tracks.push({ id: 'notes', label: localize('CALENDARIA.Timeline.Notes'), bars: getNoteBars(calendar, notes, scale, rangeStart, rangeEnd) });
+  for (const track of tracks) {
+    track.bars.sort((a, b) => a.left - b.left);
+    track.rows = assignRows(track.bars);
+  }
+  const now = game.time.worldTime;
+  return {
+    zoom: zoomId,
+    zoomOptions: zooms.map((id) => ({ id, label: localize(`CALENDARIA.Timeline.Zoom.${id.capitalize()}`), active: id === zoomId })),
+    tickWidth: zoom.width,
+    width: (ticks.length - 1) * zoom.width,
+    ticks: ticks.slice(0, -1).map((tick, i) => ({ x: i * zoom.width, label: tick.label, major: tick.major })),
+    tracks,
+    todayX: now >= rangeStart && now <= rangeEnd ? Math.round(scale.xAt(now)) : null,
+    focusX: Math.round(scale.xAt(dateToWorldTime(date, { startOfDay: true, calendar }))),
+    rangeLabel: format('CALENDARIA.Timeline.Range', { start: ticks[0].major ?? ticks[0].label, end: ticks.at(-1).label }),
+    scale
+  };
+}
+
+/**
+ * Move a note by a drag on the timeline, snapped to whole days.
+ * @param {object} page - Calendar note page
+ * @param {object} scale - Pixel/time mapping from buildTimelineData
+ * @param {number} fromX - Bar left edge before the drag (px)
+ * @param {number} toX - Bar left edge after the drag (px)
+ * @param {object} calendar - Calendar
+ * @returns {Promise<boolean>} True if the note moved
+ */
+export async function rescheduleFromDrag(page, scale, fromX, toX, calendar) {
+  if (!page || !NoteManager.canChangeNote(page)) return false;
+  const secondsPerDay = getSecondsPerDay(calendar);
+  const shift = Math.round((scale.timeAt(toX) - scale.timeAt(fromX)) / secondsPerDay) * secondsPerDay;
+  if (!shift) return false;
+  const shifted = shiftNoteDates(page.system, shift);
+  if (!shifted) return false;
+  return !!(await NoteManager.updateNote(page.id, { noteData: shifted }));
+}
@@ -38,7 +38,8 @@ const TOKEN_CATEGORIES = {
     '[cycleName]',
     '[cycleRoman]',
     '[approxTime]',
-    '[approxDate]'
+    '[approxDate]',
+    '[cal=id]'
   ],
   time: ['H', 'HH', 'h', 'hh', 'm', 'mm', 's', 'ss', 'A', 'a', '[meridiemFull]'],
   stopwatch: ['HH', 'mm', 'ss', 'SSS']
@@ -149,7 +150,8 @@ export class TokenReferenceDialog extends HandlebarsApplicationMixin(Application
       '[cycleName]': 'fantasy',
       '[cycleRoman]': 'fantasy',
       '[approxTime]': 'fantasy',
-      '[approxDate]': 'fantasy'
+      '[approxDate]': 'fantasy',
+      '[cal=id]': 'fantasy'
     };
 
     const highlightedTokens = this.#getHighlightedTokens();
@@ -0,0 +1,325 @@
+/**
+ * Astronomy
+ * Derives eclipses, moon conjunctions, solstices and equinoxes for the active calendar.
+ *
+ * Eclipses happen at a new moon (solar) or full moon (lunar) that falls close enough to one of
+ * the moon's orbital nodes. Node passages recur every `moon.nodalPeriod` days (default: the
+ * eclipse-season spacing of Earth's moon scaled to the calendar's year), counted from the
+ * moon's reference date. Conjunctions are the days two moons' phase positions come closest.
+ * Solstices and equinoxes come from the calendar's daylight model when it has one and from
+ * season bounds otherwise.
+ * @module Calendar/Astronomy
+ * @author Tyler
+ */
+
+import { DEFAULT_MOON_PHASES } from '../constants.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import CalendarManager from './calendar-manager.mjs';
+import CalendariaCalendar from './data/calendaria-calendar.mjs';
+
+/** Event types with their display label, icon and color. */
+export const ASTRONOMY_EVENTS = {
+  solarEclipse: { label: 'CALENDARIA.Astronomy.SolarEclipse', icon: 'fas fa-circle-half-stroke', color: '#d4a017' },
+  lunarEclipse: { label: 'CALENDARIA.Astronomy.LunarEclipse', icon: 'fas fa-moon', color: '#b33a3a' },
+  moonConjunction: { label: 'CALENDARIA.Astronomy.MoonConjunction', icon: 'fas fa-circle-nodes', color: '#7b68ee' },
+  springEquinox: { label: 'CALENDARIA.Astronomy.SpringEquinox', icon: 'fas fa-seedling', color: '#6abf69' },
+  summerSolstice: { label: 'CALENDARIA.Astronomy.SummerSolstice', icon: 'fas fa-sun', color: '#f5a623' },
+  autumnEquinox: { label: 'CALENDARIA.Astronomy.AutumnEquinox', icon: 'fas fa-leaf', color: '#d35400' },
+  winterSolstice: { label: 'CALENDARIA.Astronomy.WinterSolstice', icon: 'fas fa-snowflake', color: '#5dade2' }
+};
+
+/** Days between node passages as a fraction of the year (Earth: 173.3 / 365.25). */
+const NODAL_PERIOD_FRACTION = 0.4745;
+
+/** Largest distance from a node, as a fraction of the nodal period, at which a new moon eclipses the sun (18.5° of 180°). */
+const SOLAR_ECLIPSE_LIMIT = 18.5 / 180;
+
+/** Largest distance from a node, as a fraction of the nodal period, at which a full moon is eclipsed (12.2° of 180°). */
+const LUNAR_ECLIPSE_LIMIT = 12.2 / 180;
+
+/** Eclipses within this fraction of their limit are total rather than partial. */
+const TOTAL_ECLIPSE_FRACTION = 1 / 3;
+
+/** Largest phase separation, as a fraction of a cycle, that still counts as a conjunction. */
+const CONJUNCTION_LIMIT = 0.03;
+
+/** Latitude the daylight model is sampled at to place equinoxes. */
+const REFERENCE_LATITUDE = 45;
+
+/** Years of events kept in the cache. */
+const CACHE_SIZE = 20;
+
+/** @type {Map<string, Array<object[]>>} Events per day of year, keyed by calendar and year */
+const cache = new Map();
+
+/**
+ * @typedef {object} AstronomicalEvent
+ * @property {string} type - Key of ASTRONOMY_EVENTS
+ * @property {string} name - Localized event name
+ * @property {number[]} moons - Indices of the moons involved
+ * @property {string|null} magnitude - 'total' or 'partial' for eclipses, otherwise null
+ */
+
+/**
+ * Clear cached events. Called when the active calendar is switched or edited.
+ */
+export function clearAstronomyCache() {
+  cache.clear();
+}
+
+/**
+ * Get the astronomical events on a date.
+ * @param {object} date - Date { year, month, day } (display year, 0-indexed month, 1-indexed day)
+ * @param {object} [calendar] - Calendar (defaults to active)
+ * @returns {AstronomicalEvent[]} Events on the date
+ */
+export function getAstronomicalEvents(date, calendar = CalendarManager.getActiveCalendar()) {
+  if (!calendar || !date) return [];
+  const internalYear = date.year - (calendar.years?.yearZero ?? 0);
+  const dayOfYear = calendar.engine.dayOfYearFromMonthDay(date.month, (date.day ?? 1) - 1, internalYear);
+  return getYearEvents(calendar, date.year)[dayOfYear] ?? [];
+}
+
+/**
+ * Get the astronomical events between two dates, inclusive.
+ * @param {object} startDate - Range start { year, month, day }
+ * @param {object} endDate - Range end { year, month, day }
+ * @param {object} [calendar] - Calendar (defaults to active)
+ * @returns {Array<AstronomicalEvent & {date: object}>} Events in date order
+ */
+export function getAstronomicalEventsInRange(startDate, endDate, calendar = CalendarManager.getActiveCalendar()) {
+  if (!calendar || !startDate || !endDate) return [];
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const months = calendar.monthsArray;
+  const results = [];
+  for (let year = startDate.year; year <= endDate.year; year++) {
+    const yearEvents = getYearEvents(calendar, year);
+    const monthCount = calendar.isMonthless ? 1 : months.length;
+    let dayOfYear = 0;
+    for (let month = 0; month < monthCount; month++) {
+      const daysInMonth = calendar.isMonthless ? calendar.getDaysInYear(year - yearZero) : calendar.getDaysInMonth(month, year - yearZero);
+      for (let day = 1; day <= daysInMonth; day++, dayOfYear++) {
+        if (!yearEvents[dayOfYear]) continue;
+        const date = { year, month, day };
+        if (compareDates(date, startDate) < 0 || compareDates(date, endDate) > 0) continue;
+        for (const event of yearEvents[dayOfYear]) results.push({ ...event, date });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Check whether a date has an astronomical event.
+ * @param {object} date - Date { year, month, day }
+ * @param {string} kind - 'solarEclipse', 'lunarEclipse', 'moonConjunction', 'solstice' or 'equinox'
+ * @param {number|string|null} [qualifier] - Moon index for moon events, 'summer'/'winter' for solstices, 'spring'/'autumn' for equinoxes
+ * @returns {boolean} True if a matching event falls on the date
+ */
+export function hasAstronomicalEvent(date, kind, qualifier = null) {
+  const anyQualifier = qualifier === null || qualifier === undefined || qualifier === '';
+  return getAstronomicalEvents(date).some((event) => {
+    if (kind === 'solstice' || kind === 'equinox') return event.type.endsWith(kind === 'solstice' ? 'Solstice' : 'Equinox') && (anyQualifier || event.type.startsWith(qualifier));
+    return event.type === kind && (anyQualifier || event.moons.includes(Number(qualifier)));
+  });
+}
+
+/**
+ * Compare two dates.
+ * @param {object} a - First date
+ * @param {object} b - Second date
+ * @returns {number} Negative if a is earlier, positive if later, 0 if the same day
+ */
+function compareDates(a, b) {
+  return a.year - b.year || a.month - b.month || a.day - b.day;
+}
+
+/**
+ * Get a year's events, computing and caching them on first use.
+ * @param {object} calendar - Calendar
+ * @param {number} year - Display year
+ * @returns {Array<AstronomicalEvent[]>} Events indexed by 0-based day of year
+ */
+function getYearEvents(calendar, year) {
+  const key = `${calendar.metadata?.id}:${year}`;
+  let events = cache.get(key);
+  if (events) return events;
+  events = computeYearEvents(calendar, year);
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(key, events);
+  return events;
+}
+
+/**
+ * Compute every event in a year.
+ * @param {object} calendar - Calendar
+ * @param {number} year - Display year
+ * @returns {Array<AstronomicalEvent[]>} Events indexed by 0-based day of year
+ */
+function computeYearEvents(calendar, year) {
+  const internalYear = year - (calendar.years?.yearZero ?? 0);
+  const totalDays = calendar.getDaysInYear(internalYear);
+  const events = [];
+  const add = (dayOfYear, type, { moons = [], magnitude = null, name } = {}) => {
+    (events[dayOfYear] ??= []).push({ type, name: name ?? localize(ASTRONOMY_EVENTS[type].label), moons, magnitude });
+  };
+  for (const [type, dayOfYear] of Object.entries(getSolarEventDays(calendar, internalYear, totalDays))) if (dayOfYear !== null && dayOfYear < totalDays) add(dayOfYear, type);
+  const moons = getMoonModels(calendar);
+  if (!moons.length) return events;
+  const firstDay = calendar.engine.componentsToDays({ year: internalYear, month: 0, dayOfMonth: 0, hour: 12, minute: 0, second: 0 });
+  for (let dayOfYear = 0; dayOfYear < totalDays; dayOfYear++) {
+    const dayNumber = firstDay + dayOfYear;
+    for (const moon of moons) {
+      const cycleDay = Math.floor(getCycleDay(moon, dayNumber));
+      const isNew = cycleDay === 0;
+      const isFull = cycleDay === Math.floor(moon.cycleLength / 2);
+      if (!isNew && !isFull) continue;
+      const limit = (isNew ? SOLAR_ECLIPSE_LIMIT : LUNAR_ECLIPSE_LIMIT) * moon.nodalPeriod;
+      const distance = getNodeDistance(moon, dayNumber);
+      if (distance > limit) continue;
+      const type = isNew ? 'solarEclipse' : 'lunarEclipse';
+      const magnitude = distance <= limit * TOTAL_ECLIPSE_FRACTION ? 'total' : 'partial';
+      const label = format(`CALENDARIA.Astronomy.${magnitude === 'total' ? 'Total' : 'Partial'}`, { event: localize(ASTRONOMY_EVENTS[type].label) });
+      add(dayOfYear, type, { moons: [moon.index], magnitude, name: moons.length > 1 ? format('CALENDARIA.Astronomy.WithMoon', { event: label, moon: moon.name }) : label });
+    }
+    for (let a = 0; a < moons.length; a++) {
+      for (let b = a + 1; b < moons.length; b++) {
+        if (!isConjunction(moons[a], moons[b], dayNumber)) continue;
+        add(dayOfYear, 'moonConjunction', { moons: [moons[a].index, moons[b].index], name: format('CALENDARIA.Astronomy.ConjunctionOf', { first: moons[a].name, second: moons[b].name }) });
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * Prepare the per-moon values the event checks need.
+ * @param {object} calendar - Calendar
+ * @returns {object[]} Moon models for moons with a usable cycle
+ */
+function getMoonModels(calendar) {
+  const daysPerYear = calendar.days?.daysPerYear ?? 365;
+  return calendar.moonsArray
+    .map((moon, index) => {
+      if (!Number.isFinite(moon.cycleLength) || moon.cycleLength <= 0) return null;
+      const phases = Object.values(moon.phases ?? DEFAULT_MOON_PHASES);
+      const phaseOffset = (phases[moon.referencePhase ?? 0]?.start ?? 0) * moon.cycleLength;
+      const cycleDayAdjust = Number.isFinite(moon.cycleDayAdjust) ? moon.cycleDayAdjust : 0;
+      const nodalPeriod = moon.nodalPeriod > 0 ? moon.nodalPeriod : daysPerYear * NODAL_PERIOD_FRACTION;
+      return { index, name: localize(moon.name), cycleLength: moon.cycleLength, referenceDay: calendar.engine.componentsToDays(moon.referenceDate), offset: phaseOffset + cycleDayAdjust, nodalPeriod };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get how far into its cycle a moon is, matching the calendar's phase calculation.
+ * @param {object} moon - Moon model
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {number} Days into the cycle (fractional)
+ */
+function getCycleDay(moon, dayNumber) {
+  const length = moon.cycleLength;
+  const raw = ((((dayNumber - moon.referenceDay) % length) + length) % length) + moon.offset;
+  return ((raw % length) + length) % length;
+}
+
+/**
+ * Get the number of days between a date and the moon's nearest node passage.
+ * @param {object} moon - Moon model
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {number} Days to the nearest node
+ */
+function getNodeDistance(moon, dayNumber) {
+  const period = moon.nodalPeriod;
+  const sinceNode = (((dayNumber - moon.referenceDay) % period) + period) % period;
+  return Math.min(sinceNode, period - sinceNode);
+}
+
+/**
+ * Check whether two moons are in conjunction: their phase separation is at a local minimum
+ * and small enough. The limit widens for fast-drifting pairs so every close pass lands on a day.
+ * @param {object} first - First moon model
+ * @param {object} second - Second moon model
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {boolean} True if the moons are in conjunction on this day
+ */
+function isConjunction(first, second, dayNumber) {
+  const separation = (day) => {
+    const difference = Math.abs(getCycleDay(first, day) / first.cycleLength - getCycleDay(second, day) / second.cycleLength);
+    return Math.min(difference, 1 - difference);
+  };
+  const drift = Math.abs(1 / first.cycleLength - 1 / second.cycleLength);
+  if (!drift) return false;
+  const current = separation(dayNumber);
+  if (current > Math.max(CONJUNCTION_LIMIT, drift / 2)) return false;
+  return current <= separation(dayNumber - 1) && current < separation(dayNumber + 1);
+}
+
+/**
+ * Get the days of year of the solstices and equinoxes.
+ * Calendars with a daylight curve use its summer solstice (and winter solstice if set) and place
+ * the equinoxes where the latitude daylight model crosses half a day. Other calendars use the
+ * middle of summer and winter and the first days of spring and autumn.
+ * @param {object} calendar - Calendar
+ * @param {number} internalYear - Internal year
+ * @param {number} totalDays - Days in the year
+ * @returns {{springEquinox: number|null, summerSolstice: number|null, autumnEquinox: number|null, winterSolstice: number|null}} 0-indexed days of year
+ */
+function getSolarEventDays(calendar, internalYear, totalDays) {
+  const daylight = calendar.daylight ?? {};
+  if (daylight.enabled || daylight.summerSolstice != null) {
+    const daysPerYear = calendar.days?.daysPerYear ?? totalDays;
+    const hoursPerDay = calendar.days?.hoursPerDay ?? 24;
+    const summer = daylight.summerSolstice ?? Math.round(daysPerYear * 0.47);
+    const winter = daylight.winterSolstice ?? (summer + Math.round(daysPerYear / 2)) % daysPerYear;
+    const hours = (day) => CalendariaCalendar.computeDaylightFromLatitude(REFERENCE_LATITUDE, day, daysPerYear, hoursPerDay, summer);
+    const firstCrossing = (from, lengthening) => {
+      for (let step = 1; step < daysPerYear; step++) {
+        const day = (from + step) % daysPerYear;
+        if (lengthening ? hours(day) >= hoursPerDay / 2 : hours(day) <= hoursPerDay / 2) return day;
+      }
+      return null;
+    };
+    return { springEquinox: firstCrossing(winter, true), summerSolstice: summer, autumnEquinox: firstCrossing(summer, false), winterSolstice: winter };
+  }
+  const seasons = calendar.seasonsArray ?? [];
+  const findSeason = (pattern, fallbackIndex) => {
+    const index = seasons.findIndex((s) => pattern.test(localize(s.name)) || pattern.test(s.name));
+    if (index !== -1) return getSeasonBounds(calendar, index, internalYear, totalDays);
+    return seasons.length >= 4 ? getSeasonBounds(calendar, fallbackIndex, internalYear, totalDays) : null;
+  };
+  const midpoint = (bounds) => {
+    if (!bounds) return null;
+    const { start, end } = bounds;
+    const length = start <= end ? end - start + 1 : totalDays - start + end + 1;
+    return (start + Math.floor(length / 2)) % totalDays;
+  };
+  const spring = findSeason(/spring/i, 0);
+  const autumn = findSeason(/autumn|fall/i, 2);
+  return { springEquinox: spring?.start ?? null, summerSolstice: midpoint(findSeason(/summer/i, 1)), autumnEquinox: autumn?.start ?? null, winterSolstice: midpoint(findSeason(/winter/i, 3)) };
+}
+
+/**
+ * Get a season's first and last day of year, the way the engine's season lookup reads them:
+ * periodic seasons by duration, dated seasons by `monthStart`/`monthEnd` with `dayStart`/`dayEnd`
+ * as days of those months, and otherwise `dayStart`/`dayEnd` as days of year.
+ * @param {object} calendar - Calendar
+ * @param {number} index - Season index
+ * @param {number} internalYear - Internal year
+ * @param {number} totalDays - Days in the year
+ * @returns {{start: number, end: number}} 0-indexed days of year
+ */
+function getSeasonBounds(calendar, index, internalYear, totalDays) {
+  const engine = calendar.engine;
+  const season = engine.seasonsArray[index];
+  if (calendar.seasons?.type === 'periodic') {
+    const { dayStart, dayEnd } = engine.periodicSeasonBounds(index, totalDays);
+    return { start: dayStart, end: dayEnd };
+  }
+  if (season.monthStart != null && season.monthEnd != null) {
+    const endDay = season.dayEnd ?? engine.getDaysInMonth(season.monthEnd - 1, internalYear);
+    return { start: engine.dayOfYearFromMonthDay(season.monthStart - 1, (season.dayStart ?? 1) - 1, internalYear), end: engine.dayOfYearFromMonthDay(season.monthEnd - 1, endDay - 1, internalYear) };
+  }
+  const start = season.dayStart ?? 0;
+  return { start, end: season.dayEnd ?? start };
+}
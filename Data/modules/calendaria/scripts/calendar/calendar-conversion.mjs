@@ -0,0 +1,67 @@
+/**
+ * Calendar Conversion
+ * Maps a moment between installed calendars. Each calendar names the date on which a
+ * shared epoch falls (`years.sharedEpoch`, set in the editor's Years tab); a moment lies the
+ * same number of seconds past that epoch in every calendar. A calendar without a shared epoch
+ * anchors on the first day of its year zero.
+ * @module Calendar/CalendarConversion
+ * @author Tyler
+ */
+
+import CalendarEngine from './calendar-engine.mjs';
+import CalendarRegistry from './calendar-registry.mjs';
+
+/**
+ * Look up a calendar by ID, passing calendar objects through.
+ * @param {object|string} calendar - Calendar or calendar ID
+ * @returns {object|null} Calendar, or null if no calendar has that ID
+ */
+function resolveCalendar(calendar) {
+  if (typeof calendar === 'string') return CalendarRegistry.get(calendar) ?? null;
+  return calendar ?? null;
+}
+
+/**
+ * Get the time at which a calendar's shared epoch falls.
+ * Uses a fresh engine so world-time offsets (such as PF2e sync) do not shift the anchor.
+ * @param {object} calendar - Calendar or plain calendar data
+ * @returns {number} Seconds from the calendar's internal time zero to its shared epoch
+ */
+export function getSharedEpochTime(calendar) {
+  const epoch = calendar.years?.sharedEpoch;
+  if (!epoch) return 0;
+  const yearZero = calendar.years?.yearZero ?? 0;
+  return new CalendarEngine(calendar).componentsToTime({ year: (epoch.year ?? yearZero) - yearZero, month: epoch.month ?? 0, dayOfMonth: (epoch.day ?? 1) - 1, hour: 0, minute: 0, second: 0 });
+}
+
+/**
+ * Convert internal date components from one calendar to another.
+ * @param {object} components - Components in the source calendar (internal year, 0-indexed month and day)
+ * @param {object|string} from - Source calendar or calendar ID
+ * @param {object|string} to - Target calendar or calendar ID
+ * @returns {{year: number, month: number, dayOfMonth: number, hour: number, minute: number, second: number}|null} Components in the target calendar, or null if either calendar is missing
+ */
+export function convertComponents(components, from, to) {
+  const source = resolveCalendar(from);
+  const target = resolveCalendar(to);
+  if (!source || !target) return null;
+  const time = new CalendarEngine(source).componentsToTime({ hour: 0, minute: 0, second: 0, ...components });
+  return new CalendarEngine(target).timeToComponents(time - getSharedEpochTime(source) + getSharedEpochTime(target));
+}
+
+/**
+ * Convert a date from one calendar to another.
+ * @param {object} date - Date { year, month, day, hour?, minute?, second? } (display year, 0-indexed month, 1-indexed day)
+ * @param {object|string} from - Source calendar or calendar ID
+ * @param {object|string} to - Target calendar or calendar ID
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}|null} Date in the target calendar, or null if either calendar is missing
+ */
+export function convertDate(date, from, to) {
+  const source = resolveCalendar(from);
+  const target = resolveCalendar(to);
+  if (!source || !target || !date) return null;
+  const sourceZero = source.years?.yearZero ?? 0;
+  const components = { year: date.year - sourceZero, month: date.month ?? 0, dayOfMonth: (date.day ?? 1) - 1, hour: date.hour ?? 0, minute: date.minute ?? 0, second: date.second ?? 0 };
+  const converted = convertComponents(components, source, target);
+  return { year: converted.year + (target.years?.yearZero ?? 0), month: converted.month, day: converted.dayOfMonth + 1, hour: converted.hour, minute: converted.minute, second: converted.second };
+}
@@ -0,0 +1,635 @@
+/**
+ * Calendar Engine
+ * Pure date math for Calendaria calendars: time/component conversion, leap years,
+ * intercalary days, festivals, weekdays, seasons, eras and moon phases.
+ * Works on plain calendar data in the bundled `calendars/*.json` format and has no
+ * Foundry dependencies, so it also runs in Node for validation and tooling.
+ * @module Calendar/CalendarEngine
+ * @author Tyler
+ */
+
+import { DEFAULT_MOON_PHASES } from '../constants.mjs';
+import * as LeapYearUtils from './leap-year-utils.mjs';
+
+/**
+ * Date engine over a calendar definition.
+ * Data is read live, so changes to the definition apply immediately.
+ */
+export default class CalendarEngine {
+  /**
+   * @param {object} data - Calendar definition (bundled JSON format or a CalendariaCalendar)
+   * @param {object} [options] - Engine options
+   * @param {number} [options.epochOffset] - Seconds added to world time before conversion
+   */
+  constructor(data, { epochOffset = 0 } = {}) {
+    /** @type {object} Calendar definition */
+    this.data = data;
+
+    /** @type {number} Seconds added to world time before conversion */
+    this.epochOffset = epochOffset;
+  }
+
+  /** @returns {Array<object>} Months in calendar order */
+  get monthsArray() {
+    return this.data.months?.values ? Object.values(this.data.months.values) : [];
+  }
+
+  /** @returns {Array<object>} Weekdays in calendar order */
+  get weekdaysArray() {
+    return this.data.days?.values ? Object.values(this.data.days.values) : [];
+  }
+
+  /** @returns {Array<object>} Seasons in calendar order */
+  get seasonsArray() {
+    return this.data.seasons?.values ? Object.values(this.data.seasons.values) : [];
+  }
+
+  /** @returns {Array<object>} Moons in calendar order */
+  get moonsArray() {
+    return this.data.moons ? Object.values(this.data.moons) : [];
+  }
+
+  /** @returns {Array<object>} Eras in calendar order */
+  get erasArray() {
+    return this.data.eras ? Object.values(this.data.eras) : [];
+  }
+
+  /** @returns {Array<object>} Festivals in calendar order */
+  get festivalsArray() {
+    return this.data.festivals ? Object.values(this.data.festivals) : [];
+  }
+
+  /** @returns {number} Number of days in a week (weekday count, defaults to 7) */
+  get daysInWeek() {
+    return this.weekdaysArray.length || 7;
+  }
+
+  /**
+   * Whether the calendar has no named months and numbers days within the year instead.
+   * @returns {boolean} True if the calendar has no named months
+   */
+  get isMonthless() {
+    const months = this.monthsArray;
+    if (months.length === 0) return true;
+    if (months.length === 1 && (!months[0].name || months[0].name === '')) return true;
+    return false;
+  }
+
+  /**
+   * Convert world time to date components.
+   * @param {number} time - World time in seconds
+   * @returns {{year: number, month: number, dayOfMonth: number, hour: number, minute: number, second: number}} Components (internal year, 0-based month and day)
+   */
+  timeToComponents(time) {
+    const adjustedTime = time + this.epochOffset;
+    const secondsPerMinute = this.data.days?.secondsPerMinute ?? 60;
+    const minutesPerHour = this.data.days?.minutesPerHour ?? 60;
+    const hoursPerDay = this.data.days?.hoursPerDay ?? 24;
+    const secondsPerHour = secondsPerMinute * minutesPerHour;
+    const secondsPerDay = secondsPerHour * hoursPerDay;
+
+    let totalDays = Math.floor(adjustedTime / secondsPerDay);
+    const daySeconds = adjustedTime - totalDays * secondsPerDay;
+    const hour = Math.floor(daySeconds / secondsPerHour);
+    const minute = Math.floor((daySeconds % secondsPerHour) / secondsPerMinute);
+    const second = Math.floor(daySeconds % secondsPerMinute);
+
+    let year = 0;
+    if (totalDays >= 0) {
+      while (totalDays >= this.getDaysInYear(year)) {
+        totalDays -= this.getDaysInYear(year);
+        year++;
+      }
+    } else {
+      while (totalDays < 0) {
+        year--;
+        totalDays += this.getDaysInYear(year);
+      }
+    }
+
+    let month = 0;
+    const months = this.monthsArray;
+    while (month < months.length && totalDays >= this.getDaysInMonth(month, year)) {
+      totalDays -= this.getDaysInMonth(month, year);
+      month++;
+    }
+
+    return { year, month, dayOfMonth: totalDays, hour, minute, second };
+  }
+
+  /**
+   * Convert date components to world time.
+   * @param {object} components - Components (internal year, 0-based month and day)
+   * @returns {number} World time in seconds
+   */
+  componentsToTime(components) {
+    const { year = 0, month = 0, dayOfMonth = 0, hour = 0, minute = 0, second = 0 } = components;
+    const secondsPerMinute = this.data.days?.secondsPerMinute ?? 60;
+    const minutesPerHour = this.data.days?.minutesPerHour ?? 60;
+    const hoursPerDay = this.data.days?.hoursPerDay ?? 24;
+    const secondsPerHour = secondsPerMinute * minutesPerHour;
+    const secondsPerDay = secondsPerHour * hoursPerDay;
+
+    let totalDays = 0;
+    if (year >= 0) {
+      for (let y = 0; y < year; y++) totalDays += this.getDaysInYear(y);
+    } else {
+      for (let y = -1; y >= year; y--) totalDays -= this.getDaysInYear(y);
+    }
+
+    for (let m = 0; m < month; m++) totalDays += this.getDaysInMonth(m, year);
+    totalDays += dayOfMonth;
+
+    const totalSeconds = totalDays * secondsPerDay + hour * secondsPerHour + minute * secondsPerMinute + second;
+    return totalSeconds - this.epochOffset;
+  }
+
+  /**
+   * Resolve time input to components.
+   * @param {number|object} time - World time or components
+   * @returns {object} Components
+   * @private
+   */
+  _toComponents(time) {
+    return typeof time === 'number' ? this.timeToComponents(time) : time;
+  }
+
+  /**
+   * Check if a given year is a leap year.
+   * Supports complex leap year patterns (e.g., "400,!100,4" for Gregorian).
+   * @param {number} year - The internal year to check (0-based from calendar epoch)
+   * @returns {boolean} True if the year is a leap year
+   */
+  isLeapYear(year) {
+    const yearZero = this.data.years?.yearZero ?? 0;
+    const displayYear = year + yearZero;
+    const advancedConfig = this.data.leapYearConfig;
+    if (advancedConfig?.rule && advancedConfig.rule !== 'none') return LeapYearUtils.isLeapYear(advancedConfig, displayYear, true);
+    const leapConfig = this.data.years?.leapYear;
+    if (!leapConfig) return false;
+    const interval = leapConfig.leapInterval;
+    const start = leapConfig.leapStart ?? 0;
+    if (!interval || interval <= 0) return false;
+    return LeapYearUtils.isLeapYear({ rule: 'simple', interval, start }, displayYear, true);
+  }
+
+  /**
+   * Get the number of days in a month, accounting for leap years.
+   * @param {number} monthIndex - The 0-indexed month
+   * @param {number} year - The internal year (0-based from calendar epoch)
+   * @returns {number} Number of days in the month
+   */
+  getDaysInMonth(monthIndex, year) {
+    const month = this.monthsArray[monthIndex];
+    if (!month) return 0;
+    if (this.isLeapYear(year) && month.leapDays != null) return month.leapDays;
+    return month.days;
+  }
+
+  /**
+   * Get total days in a year, accounting for leap years.
+   * @param {number} year - The internal year (0-based from calendar epoch)
+   * @returns {number} - Total days in the year
+   */
+  getDaysInYear(year) {
+    if (this.isMonthless) {
+      const base = this.data.days?.daysPerYear ?? 365;
+      return this.isLeapYear(year) ? base + 1 : base;
+    }
+    const isLeap = this.isLeapYear(year);
+    return this.monthsArray.reduce((sum, month) => {
+      const days = isLeap && month.leapDays != null ? month.leapDays : month.days;
+      return sum + days;
+    }, 0);
+  }
+
+  /**
+   * Calculate day of year (0-indexed) from month and day.
+   * @param {number} month - Month index (0-indexed)
+   * @param {number} day - Day of month (0-indexed)
+   * @param {number} [year] - Year for leap year calculation
+   * @returns {number} Day of year (0-indexed)
+   */
+  dayOfYearFromMonthDay(month, day, year) {
+    if (this.isMonthless) return day;
+    let dayOfYear = day;
+    const months = this.monthsArray;
+    for (let i = 0; i < month; i++) dayOfYear += year !== undefined ? this.getDaysInMonth(i, year) : (months[i]?.days ?? 0);
+    return dayOfYear;
+  }
+
+  /**
+   * Calculate day of year (0-indexed) from components.
+   * @param {object} components - Time components
+   * @returns {number} Day of year (0-indexed)
+   */
+  dayOfYear(components) {
+    return this.dayOfYearFromMonthDay(components.month, components.dayOfMonth, components.year);
+  }
+
+  /**
+   * Convert components to whole days since the epoch.
+   * @param {object} components - Time components (can have 'day' or 'dayOfMonth')
+   * @returns {number} Total days since epoch
+   */
+  componentsToDays(components) {
+    if (!components) return 0;
+    const year = Number(components.year) || 0;
+    const month = Number(components.month) || 0;
+    const dayOfMonth = components.dayOfMonth ?? (Number(components.day) || 1) - 1;
+    const normalized = { year, month, dayOfMonth, hour: Number(components.hour) || 0, minute: Number(components.minute) || 0, second: Number(components.second) || 0 };
+    const worldTime = this.componentsToTime(normalized);
+    const secondsPerDay = (this.data.days?.hoursPerDay || 24) * (this.data.days?.minutesPerHour || 60) * (this.data.days?.secondsPerMinute || 60);
+    return Math.floor(worldTime / secondsPerDay);
+  }
+
+  /**
+   * Get a festival's length in days for a year.
+   * @param {object} festival - Festival definition
+   * @param {boolean} isLeap - Whether the year is a leap year
+   * @returns {number} Duration in days
+   * @private
+   */
+  _festivalDuration(festival, isLeap) {
+    return isLeap && festival.leapDuration != null ? festival.leapDuration : (festival.duration ?? 1);
+  }
+
+  /**
+   * Find the festival on a date.
+   * @param {number|object} time - World time or components
+   * @returns {object|null} Festival definition or null
+   */
+  findFestivalDay(time) {
+    const components = this._toComponents(time);
+    const isLeap = this.isLeapYear(components.year);
+    const currentDayOfYear = this.dayOfYear(components) + 1;
+    return (
+      this.festivalsArray.find((f) => {
+        if (f.leapYearOnly && !isLeap) return false;
+        const duration = this._festivalDuration(f, isLeap);
+        if (f.dayOfYear != null) return currentDayOfYear >= f.dayOfYear && currentDayOfYear < f.dayOfYear + duration;
+        if (f.month != null && f.day != null) {
+          const festivalDayOfYear = this.dayOfYearFromMonthDay(f.month - 1, f.day - 1, components.year) + 1;
+          return currentDayOfYear >= festivalDayOfYear && currentDayOfYear < festivalDayOfYear + duration;
+        }
+        return false;
+      }) ?? null
+    );
+  }
+
+  /**
+   * Count festival days that don't count for weekday calculation before a given date in the same year.
+   * @param {number|object} time - World time or components to check up to
+   * @returns {number} Number of non-counting festival days before this date in the year
+   */
+  countNonWeekdayFestivalsBefore(time) {
+    const festivals = this.festivalsArray;
+    if (!festivals.length) return 0;
+    const components = this._toComponents(time);
+    const isLeap = this.isLeapYear(components.year);
+    const currentDayOfYear = this.dayOfYear(components) + 1;
+    let count = 0;
+    for (const festival of festivals) {
+      if (festival.countsForWeekday !== false) continue;
+      if (festival.leapYearOnly && !isLeap) continue;
+      const duration = this._festivalDuration(festival, isLeap);
+      let festivalStart;
+      if (festival.dayOfYear != null) festivalStart = festival.dayOfYear;
+      else if (festival.month != null && festival.day != null) festivalStart = this.dayOfYearFromMonthDay(festival.month - 1, festival.day - 1, components.year) + 1;
+      else continue;
+      const festivalEnd = festivalStart + duration;
+      if (festivalEnd <= currentDayOfYear) count += duration;
+      else if (festivalStart < currentDayOfYear) count += currentDayOfYear - festivalStart;
+    }
+    return count;
+  }
+
+  /**
+   * Count total festival days that don't count for weekday calculation in a full year.
+   * @param {boolean} [isLeap] - Whether to calculate for a leap year
+   * @returns {number} Number of non-counting festival days per year
+   */
+  countNonWeekdayFestivalsInYear(isLeap = false) {
+    let count = 0;
+    for (const festival of this.festivalsArray) {
+      if (festival.countsForWeekday !== false) continue;
+      if (festival.leapYearOnly && !isLeap) continue;
+      count += this._festivalDuration(festival, isLeap);
+    }
+    return count;
+  }
+
+  /**
+   * Count all non-counting festival days between the epoch (year 0) and the given year.
+   * @param {number} year - Internal year (0-based from calendar epoch)
+   * @returns {number} Total non-counting festival days (negative for years before epoch)
+   */
+  countNonWeekdayFestivalsBeforeYear(year) {
+    if (!this.festivalsArray.length || year === 0) return 0;
+    return this._sumBeforeYear(year, this.countNonWeekdayFestivalsInYear(false), this.countNonWeekdayFestivalsInYear(true));
+  }
+
+  /**
+   * Count days in intercalary months before a given date in the same year.
+   * @param {number|object} time - World time or components to check up to
+   * @returns {number} Number of intercalary days before this date in the year
+   */
+  countIntercalaryDaysBefore(time) {
+    const months = this.monthsArray;
+    if (!months.length) return 0;
+    const components = this._toComponents(time);
+    const isLeap = this.isLeapYear(components.year);
+    let count = 0;
+    for (let i = 0; i < components.month; i++) {
+      const month = months[i];
+      if (month.type !== 'intercalary') continue;
+      count += isLeap && month.leapDays != null ? month.leapDays : month.days;
+    }
+    if (months[components.month]?.type === 'intercalary') count += components.dayOfMonth;
+    return count;
+  }
+
+  /**
+   * Count intercalary days in a year.
+   * @param {boolean} [isLeap] - Whether to count for a leap year
+   * @returns {number} Total intercalary days
+   */
+  countIntercalaryDaysInYear(isLeap = false) {
+    let count = 0;
+    for (const month of this.monthsArray) {
+      if (month.type !== 'intercalary') continue;
+      count += (isLeap ? month.leapDays : null) ?? month.days ?? 0;
+    }
+    return count;
+  }
+
+  /**
+   * Count all intercalary days between the epoch (year 0) and the given year.
+   * @param {number} year - Internal year (0-based from calendar epoch)
+   * @returns {number} Total intercalary days (negative for years before epoch)
+   */
+  countIntercalaryDaysBeforeYear(year) {
+    if (!this.monthsArray.length || year === 0) return 0;
+    return this._sumBeforeYear(year, this.countIntercalaryDaysInYear(false), this.countIntercalaryDaysInYear(true));
+  }
+
+  /**
+   * Sum a per-year count over the years between the epoch and a year.
+   * @param {number} year - Internal year
+   * @param {number} regularCount - Count in a regular year
+   * @param {number} leapCount - Count in a leap year
+   * @returns {number} Total (negative for years before epoch)
+   * @private
+   */
+  _sumBeforeYear(year, regularCount, leapCount) {
+    let leapYears = 0;
+    if (year > 0) {
+      for (let y = 0; y < year; y++) if (this.isLeapYear(y)) leapYears++;
+      return (year - leapYears) * regularCount + leapYears * leapCount;
+    }
+    for (let y = -1; y >= year; y--) if (this.isLeapYear(y)) leapYears++;
+    return -((-year - leapYears) * regularCount + leapYears * leapCount);
+  }
+
+  /**
+   * Get weekday data for a specific month, falling back to calendar-level weekdays.
+   * @param {number} monthIndex - 0-indexed month
+   * @returns {Array<object>} Weekdays in month
+   */
+  getWeekdaysForMonth(monthIndex) {
+    const month = this.monthsArray[monthIndex];
+    const monthWeekdays = month?.weekdays ? Object.values(month.weekdays) : [];
+    if (monthWeekdays.length) return monthWeekdays;
+    return this.weekdaysArray;
+  }
+
+  /**
+   * Compute the day-of-week index for date components.
+   * Festivals that don't count for weekdays and intercalary months are skipped.
+   * @param {object} components - Components ({year, month, dayOfMonth})
+   * @returns {number} 0-based weekday index
+   */
+  dayOfWeek(components) {
+    const daysInWeek = this.daysInWeek;
+    const ctx = { year: components.year, month: components.month, dayOfMonth: components.dayOfMonth ?? 0 };
+    const monthData = this.monthsArray[components.month];
+    if (monthData?.startingWeekday != null) {
+      const nonCounting = this.countNonWeekdayFestivalsBefore(ctx) + this.countIntercalaryDaysBefore(ctx);
+      return (monthData.startingWeekday + ctx.dayOfMonth - nonCounting + daysInWeek * 100) % daysInWeek;
+    }
+    let dayOfYear = ctx.dayOfMonth;
+    for (let m = 0; m < components.month; m++) dayOfYear += this.getDaysInMonth(m, components.year);
+    let totalDaysFromPriorYears = 0;
+    if (components.year > 0) for (let y = 0; y < components.year; y++) totalDaysFromPriorYears += this.getDaysInYear(y);
+    else if (components.year < 0) for (let y = -1; y >= components.year; y--) totalDaysFromPriorYears -= this.getDaysInYear(y);
+    const totalDays = totalDaysFromPriorYears + dayOfYear;
+    const totalNonCounting = this.countNonWeekdayFestivalsBeforeYear(components.year) + this.countNonWeekdayFestivalsBefore(ctx) + this.countIntercalaryDaysBeforeYear(components.year) + this.countIntercalaryDaysBefore(ctx);
+    const firstWeekday = this.data.years?.firstWeekday ?? 0;
+    const countingDays = totalDays - totalNonCounting;
+    return (((countingDays + firstWeekday) % daysInWeek) + daysInWeek) % daysInWeek;
+  }
+
+  /**
+   * Calculate the day-of-year bounds for a periodic season.
+   * @param {number} seasonIndex - Index of the season in values array
+   * @param {number} [totalDays] - Total days in the year (optional, calculated if not provided)
+   * @returns {{dayStart: number, dayEnd: number}} 0-indexed day bounds
+   */
+  periodicSeasonBounds(seasonIndex, totalDays) {
+    const seasons = this.seasonsArray;
+    if (!seasons.length || seasonIndex < 0 || seasonIndex >= seasons.length) return { dayStart: 0, dayEnd: 0 };
+    totalDays ??= this.getDaysInYear(1);
+    const offset = this.data.seasons?.offset ?? 0;
+    let dayStart = offset;
+    for (let i = 0; i < seasonIndex; i++) dayStart += seasons[i].duration ?? Math.floor(totalDays / seasons.length);
+    dayStart = dayStart % totalDays;
+    const duration = seasons[seasonIndex].duration ?? Math.floor(totalDays / seasons.length);
+    const dayEnd = (dayStart + duration - 1) % totalDays;
+    return { dayStart, dayEnd };
+  }
+
+  /**
+   * Get the season on a date.
+   * @param {number|object} time - World time or components
+   * @returns {object|null} Season definition
+   */
+  getSeason(time) {
+    const seasons = this.seasonsArray;
+    if (!seasons.length) return null;
+    const components = this._toComponents(time);
+    const months = this.monthsArray;
+    let dayOfYear = components.dayOfMonth;
+    for (let i = 0; i < components.month; i++) dayOfYear += months[i]?.days ?? 0;
+    if (this.data.seasons.type === 'periodic') {
+      const totalDays = this.getDaysInYear(components.year);
+      for (let i = 0; i < seasons.length; i++) {
+        const { dayStart, dayEnd } = this.periodicSeasonBounds(i, totalDays);
+        if (dayStart <= dayEnd) {
+          if (dayOfYear >= dayStart && dayOfYear <= dayEnd) return seasons[i];
+        } else if (dayOfYear >= dayStart || dayOfYear <= dayEnd) return seasons[i];
+      }
+      return seasons[0] ?? null;
+    }
+
+    for (const season of seasons) {
+      if (season.monthStart != null && season.monthEnd != null) {
+        const currentMonth = components.month + 1;
+        const startDay = season.dayStart ?? 1;
+        const endDay = season.dayEnd ?? months[season.monthEnd - 1]?.days ?? 30;
+        if (season.monthStart <= season.monthEnd) {
+          if (currentMonth > season.monthStart && currentMonth < season.monthEnd) return season;
+        } else if (currentMonth > season.monthStart || currentMonth < season.monthEnd) return season;
+        if (currentMonth === season.monthStart && components.dayOfMonth + 1 >= startDay) return season;
+        if (currentMonth === season.monthEnd && components.dayOfMonth + 1 <= endDay) return season;
+      } else if (season.dayStart != null && season.dayEnd != null) {
+        if (season.dayStart <= season.dayEnd) {
+          if (dayOfYear >= season.dayStart && dayOfYear <= season.dayEnd) return season;
+        } else if (dayOfYear >= season.dayStart || dayOfYear <= season.dayEnd) return season;
+      }
+    }
+    return seasons[0] ?? null;
+  }
+
+  /**
+   * Get the era for a date.
+   * @param {number|object} time - World time or components
+   * @returns {{name: string, abbreviation: string, yearInEra: number}|null} Era data or null
+   */
+  getEra(time) {
+    const eras = this.erasArray;
+    if (!eras.length) return null;
+    const components = this._toComponents(time);
+    const displayYear = components.year + (this.data.years?.yearZero ?? 0);
+    const sortedEras = [...eras].sort((a, b) => b.startYear - a.startYear);
+    for (const era of sortedEras) {
+      if (displayYear >= era.startYear && (era.endYear == null || displayYear <= era.endYear)) return { name: era.name, abbreviation: era.abbreviation, yearInEra: displayYear - era.startYear + 1 };
+    }
+    return { name: eras[0].name, abbreviation: eras[0].abbreviation, yearInEra: displayYear };
+  }
+
+  /**
+   * Get a moon's phase on a date.
+   * Phases with start/end ranges use those; otherwise primary phases (new/full moon)
+   * get floor(cycleLength/8) days each and the rest split the leftover days evenly.
+   * @param {number} moonIndex - Index of the moon
+   * @param {number|object} time - World time or components
+   * @returns {{name: string, icon: string, position: number, dayInCycle: number, phaseIndex: number, dayWithinPhase: number, phaseDuration: number, subPhase: string|null, phase: object}|null} Phase data, `subPhase` being 'rising', 'fading' or null
+   */
+  getMoonPhase(moonIndex, time) {
+    const moon = this.moonsArray[moonIndex];
+    if (!moon) return null;
+    const phases = Object.values(moon.phases ?? DEFAULT_MOON_PHASES);
+    if (!phases.length) return null;
+    const daysSinceReference = this.componentsToDays(this._toComponents(time)) - this.componentsToDays(moon.referenceDate);
+    if (!Number.isFinite(daysSinceReference) || !Number.isFinite(moon.cycleLength) || moon.cycleLength <= 0) {
+      return { name: phases[0].name, icon: phases[0].icon || '', position: 0, dayInCycle: 0, phaseIndex: 0, dayWithinPhase: 0, phaseDuration: 1, subPhase: null, phase: phases[0] };
+    }
+    const refPhase = phases[moon.referencePhase ?? 0];
+    const phaseOffset = (refPhase?.start ?? 0) * moon.cycleLength;
+    const cycleDayAdjust = Number.isFinite(moon.cycleDayAdjust) ? moon.cycleDayAdjust : 0;
+    const daysIntoCycleRaw = (((daysSinceReference % moon.cycleLength) + moon.cycleLength) % moon.cycleLength) + phaseOffset + cycleDayAdjust;
+    const daysIntoCycle = ((daysIntoCycleRaw % moon.cycleLength) + moon.cycleLength) % moon.cycleLength;
+    const dayIndex = Math.floor(daysIntoCycle);
+    const hasRanges = phases[0].start !== undefined && phases[0].end !== undefined;
+
+    let phaseIndex = 0;
+    let dayWithinPhase = 0;
+    let phaseDuration = 1;
+    if (hasRanges) {
+      // Convert fractional start/end to integer day boundaries to avoid floating-point precision issues
+      const totalCycleDays = Math.round(moon.cycleLength);
+      for (let i = 0; i < phases.length; i++) {
+        const startDay = Math.round((phases[i].start ?? 0) * moon.cycleLength);
+        const endDay = Math.round((phases[i].end ?? 1) * moon.cycleLength);
+        // Handle wrap-around (e.g., startDay=25, endDay=3 in a 28-day cycle)
+        const inRange = endDay > startDay ? dayIndex >= startDay && dayIndex < endDay : dayIndex >= startDay || dayIndex < endDay;
+        if (!inRange) continue;
+        phaseIndex = i;
+        phaseDuration = Math.max(1, endDay > startDay ? endDay - startDay : totalCycleDays - startDay + endDay);
+        dayWithinPhase = dayIndex >= startDay ? dayIndex - startDay : dayIndex + totalCycleDays - startDay;
+        break;
+      }
+    } else {
+      const phaseDays = CalendarEngine.#buildPhaseDayDistribution(moon.cycleLength, phases.length);
+      let cumulativeDays = 0;
+      for (let i = 0; i < phaseDays.length; i++) {
+        if (dayIndex < cumulativeDays + phaseDays[i]) {
+          phaseIndex = i;
+          dayWithinPhase = dayIndex - cumulativeDays;
+          phaseDuration = phaseDays[i];
+          break;
+        }
+        cumulativeDays += phaseDays[i];
+      }
+    }
+
+    const phase = phases[phaseIndex] || phases[0];
+    let subPhase = null;
+    if (phaseDuration > 1) {
+      const third = phaseDuration / 3;
+      if (dayWithinPhase < third) subPhase = 'rising';
+      else if (dayWithinPhase >= phaseDuration - third) subPhase = 'fading';
+    }
+    return { name: phase.name, icon: phase.icon || '', position: daysIntoCycle / moon.cycleLength, dayInCycle: dayIndex, phaseIndex, dayWithinPhase, phaseDuration, subPhase, phase };
+  }
+
+  /**
+   * Build the even phase day distribution used when phases have no ranges.
+   * @param {number} cycleLength - Total days in moon cycle
+   * @param {number} numPhases - Number of phases
+   * @returns {number[]} Days per phase
+   * @private
+   */
+  static #buildPhaseDayDistribution(cycleLength, numPhases = 8) {
+    if (numPhases !== 8) {
+      const baseDays = Math.floor(cycleLength / numPhases);
+      const remainder = cycleLength % numPhases;
+      return Array.from({ length: numPhases }, (_, i) => baseDays + (i < remainder ? 1 : 0));
+    }
+    const primaryDays = Math.floor(cycleLength / 8);
+    const remainingDays = cycleLength - primaryDays * 2;
+    const secondaryDays = Math.floor(remainingDays / 6);
+    const extraDays = remainingDays % 6;
+    const distribution = [];
+    let extraAssigned = 0;
+    for (let i = 0; i < 8; i++) {
+      if (i === 0 || i === 4) {
+        distribution.push(primaryDays);
+      } else {
+        distribution.push(secondaryDays + (extraAssigned < extraDays ? 1 : 0));
+        extraAssigned++;
+      }
+    }
+    return distribution;
+  }
+
+  /**
+   * Check a calendar definition for problems that break date math.
+   * @returns {string[]} Problems found; empty when the definition is usable
+   */
+  validate() {
+    const problems = [];
+    const days = this.data.days ?? {};
+    for (const key of ['hoursPerDay', 'minutesPerHour', 'secondsPerMinute']) if (days[key] != null && !(days[key] > 0)) problems.push(`days.${key} must be positive`);
+    const months = this.monthsArray;
+    months.forEach((month, i) => {
+      if (!Number.isInteger(month.days) || month.days < 0) problems.push(`month ${i + 1} has invalid days: ${month.days}`);
+      if (month.leapDays != null && (!Number.isInteger(month.leapDays) || month.leapDays < 0)) problems.push(`month ${i + 1} has invalid leapDays: ${month.leapDays}`);
+      if (month.startingWeekday != null && (month.startingWeekday < 0 || month.startingWeekday >= this.daysInWeek)) problems.push(`month ${i + 1} startingWeekday is outside the week`);
+    });
+    if (this.getDaysInYear(0) <= 0 || this.getDaysInYear(1) <= 0) problems.push('year has no days');
+    for (const festival of this.festivalsArray) {
+      if (festival.dayOfYear == null && festival.month != null && !months[festival.month - 1]) problems.push(`festival ${festival.name} is in unknown month ${festival.month}`);
+    }
+    for (const moon of this.moonsArray) {
+      if (!(moon.cycleLength > 0)) problems.push(`moon ${moon.name} has invalid cycleLength: ${moon.cycleLength}`);
+    }
+    if (problems.length) return problems;
+    for (const year of [-1, 0, 1, 4, 100]) {
+      const start = this.componentsToTime({ year });
+      const roundTrip = this.timeToComponents(start);
+      if (roundTrip.year !== year || this.dayOfYear(roundTrip) !== 0) problems.push(`year ${year} does not round-trip through world time`);
+    }
+    return problems;
+  }
+}
@@ -756,9 +756,11 @@ export default class CalendarManager {
    * Update an existing custom calendar.
    * @param {string} id - Calendar ID to update
    * @param {object} changes - Partial definition with changes to apply
+   * @param {object} [options] - Update options
+   * @param {boolean} [options.replace] - Treat changes as the complete definition instead of merging, so removed keys stay removed
    * @returns {Promise<CalendariaCalendar|null>} The updated calendar or null on error
    */
-  static async updateCustomCalendar(id, changes) {
+  static async updateCustomCalendar(id, changes, { replace = false } = {}) {
     const calendar = CalendarRegistry.get(id);
     if (!calendar) {
       log(1, `Cannot update calendar: ${id} not found`);
@@ -774,7 +776,7 @@ export default class CalendarManager {
 
     try {
       const existingData = calendar.toObject();
-      const updatedData = foundry.utils.mergeObject(existingData, changes, { inplace: false });
+      const updatedData = replace ? changes : foundry.utils.mergeObject(existingData, changes, { inplace: false });
       const updatedCalendar = new CalendariaCalendar(updatedData);
       customCalendars[id] = updatedCalendar.toObject();
       await game.settings.set(MODULE.ID, SETTINGS.CUSTOM_CALENDARS, customCalendars);
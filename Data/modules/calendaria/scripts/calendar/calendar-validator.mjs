@@ -0,0 +1,328 @@
+/**
+ * Calendar Validator
+ * Checks a calendar definition for mistakes the editor would otherwise only surface after
+ * saving, or never: dates that do not exist, seasons that overlap or leave gaps, leap rules
+ * that never fire, eras and canonical hours that collide. Works on the same plain data the
+ * calendar editor holds, through the Foundry-free calendar engine.
+ * @module Calendar/CalendarValidator
+ * @author Tyler
+ */
+
+import { format } from '../utils/localization.mjs';
+import CalendarEngine from './calendar-engine.mjs';
+
+/** Years scanned when checking whether a leap rule ever produces a leap year. */
+const LEAP_SCAN_YEARS = 1000;
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {'error'|'warning'} severity - Errors make dates unreachable or wrong; warnings are probably unintended
+ * @property {string} tab - Editor tab holding the offending field
+ * @property {string|null} field - Form field name to focus, if the issue belongs to one
+ * @property {string} message - Localized description
+ */
+
+/**
+ * Validate a calendar definition.
+ * @param {object} data - Calendar data in the editor's keyed format
+ * @returns {ValidationIssue[]} Issues, errors first
+ */
+export function validateCalendar(data) {
+  const issues = [];
+  const add = (severity, tab, field, key, values = {}) => issues.push({ severity, tab, field, message: format(`CALENDARIA.Editor.Validation.${key}`, values) });
+  const engine = new CalendarEngine(data);
+  const months = Object.entries(data.months?.values ?? {});
+  const weekdays = Object.values(data.days?.values ?? {});
+
+  if (!data.name?.trim()) add('error', 'overview', 'name', 'NameRequired');
+  checkTime(data, add);
+  if (!weekdays.length) add('error', 'weeks', null, 'NoWeekdays');
+  checkMonths(months, weekdays.length, add);
+  checkLeapRule(data, engine, months, add);
+  checkFestivals(data, months, add);
+  checkSeasons(data, engine, months, add);
+  checkMoons(data, months, add);
+  checkSharedEpoch(data, months, add);
+  checkEras(data, add);
+  checkCanonicalHours(data, add);
+  checkCycles(data, add);
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * Get a month's display name for messages.
+ * @param {object} month - Month definition
+ * @param {number} index - Month index
+ * @returns {string} Name, or its position if unnamed
+ */
+function monthLabel(month, index) {
+  return month?.name || `#${index + 1}`;
+}
+
+/**
+ * Check time units.
+ * @param {object} data - Calendar data
+ * @param {Function} add - Issue collector
+ */
+function checkTime(data, add) {
+  for (const unit of ['hoursPerDay', 'minutesPerHour', 'secondsPerMinute']) {
+    const value = data.days?.[unit];
+    if (value != null && !(value >= 1)) add('error', 'time', `days.${unit}`, 'TimeUnit', { value });
+  }
+}
+
+/**
+ * Check month lengths, starting weekdays and duplicate names.
+ * @param {Array<[string, object]>} months - Keyed months
+ * @param {number} weekdayCount - Weekdays in the calendar's week
+ * @param {Function} add - Issue collector
+ */
+function checkMonths(months, weekdayCount, add) {
+  const names = new Map();
+  months.forEach(([key, month], index) => {
+    const name = monthLabel(month, index);
+    if (!(month.days >= 0)) add('error', 'months', `months.${key}.days`, 'MonthDaysNegative', { month: name });
+    else if (month.days === 0 && !(month.leapDays > 0)) add('error', 'months', `months.${key}.days`, 'MonthNoDays', { month: name });
+    else if (month.days === 0) add('warning', 'months', `months.${key}.days`, 'MonthLeapOnly', { month: name });
+    if (month.leapDays != null && month.leapDays < 0) add('error', 'months', `months.${key}.leapDays`, 'MonthDaysNegative', { month: name });
+    if (month.startingWeekday != null && weekdayCount && month.startingWeekday >= weekdayCount) add('error', 'months', `months.${key}.startingWeekday`, 'MonthStartingWeekday', { month: name, count: weekdayCount });
+    if (month.name) names.set(month.name, (names.get(month.name) ?? 0) + 1);
+  });
+  for (const [name, count] of names) if (count > 1) add('warning', 'months', null, 'MonthDuplicateName', { month: name });
+}
+
+/**
+ * Check that the leap rule is well formed, fires, and changes something when it does.
+ * @param {object} data - Calendar data
+ * @param {CalendarEngine} engine - Engine over the data
+ * @param {Array<[string, object]>} months - Keyed months
+ * @param {Function} add - Issue collector
+ */
+function checkLeapRule(data, engine, months, add) {
+  const rule = data.leapYearConfig?.rule ?? (data.years?.leapYear?.leapInterval ? 'simple' : 'none');
+  const hasLeapMonths = months.some(([, month]) => month.leapDays != null && month.leapDays !== month.days);
+  const hasLeapFestivals = Object.values(data.festivals ?? {}).some((f) => f.leapYearOnly || (f.leapDuration != null && f.leapDuration !== (f.duration ?? 1)));
+  if (rule === 'none') {
+    if (hasLeapMonths) add('warning', 'years', 'leapYearConfig.rule', 'LeapDaysWithoutRule');
+    return;
+  }
+  if (rule === 'custom') {
+    const pattern = data.leapYearConfig?.pattern?.trim() ?? '';
+    const tokens = pattern.split(',').map((s) => s.trim()).filter(Boolean);
+    if (!tokens.length) return add('error', 'years', 'leapYearConfig.pattern', 'LeapPatternEmpty');
+    const invalid = tokens.filter((token) => !/^[!+]*\d+$/.test(token));
+    if (invalid.length) return add('error', 'years', 'leapYearConfig.pattern', 'LeapPatternInvalid', { tokens: invalid.join(', ') });
+  }
+  let fires = false;
+  for (let year = 0; year < LEAP_SCAN_YEARS && !fires; year++) fires = engine.isLeapYear(year);
+  if (!fires) add('error', 'years', rule === 'custom' ? 'leapYearConfig.pattern' : 'leapYearConfig.rule', 'LeapNeverFires', { years: LEAP_SCAN_YEARS });
+  else if (!hasLeapMonths && !hasLeapFestivals && !engine.isMonthless) add('warning', 'years', 'leapYearConfig.rule', 'LeapNoEffect');
+}
+
+/**
+ * Check that festivals land on days that exist and do not collide.
+ * @param {object} data - Calendar data
+ * @param {Array<[string, object]>} months - Keyed months
+ * @param {Function} add - Issue collector
+ */
+function checkFestivals(data, months, add) {
+  const taken = new Map();
+  for (const [key, festival] of Object.entries(data.festivals ?? {})) {
+    const name = festival.name || key;
+    if (festival.dayOfYear != null) {
+      const daysPerYear = months.reduce((sum, [, month]) => sum + Math.max(month.days ?? 0, month.leapDays ?? 0), 0) || data.days?.daysPerYear || 365;
+      if (festival.dayOfYear > daysPerYear) add('error', 'festivals', `festivals.${key}.dayOfYear`, 'FestivalDayOfYear', { festival: name, day: festival.dayOfYear, days: daysPerYear });
+      continue;
+    }
+    if (festival.month == null || festival.day == null) continue;
+    const month = months[festival.month - 1]?.[1];
+    if (!month) {
+      add('error', 'festivals', `festivals.${key}.month`, 'FestivalMonth', { festival: name });
+      continue;
+    }
+    const monthName = monthLabel(month, festival.month - 1);
+    const leapDays = month.leapDays ?? month.days;
+    if (festival.day > Math.max(month.days, leapDays)) add('error', 'festivals', `festivals.${key}.day`, 'FestivalDay', { festival: name, month: monthName, day: festival.day, days: Math.max(month.days, leapDays) });
+    else if (festival.day > month.days && !festival.leapYearOnly) add('warning', 'festivals', `festivals.${key}.day`, 'FestivalLeapDay', { festival: name, month: monthName, day: festival.day });
+    const dateKey = `${festival.month}-${festival.day}`;
+    if (taken.has(dateKey)) add('warning', 'festivals', `festivals.${key}.day`, 'FestivalSameDay', { festival: name, other: taken.get(dateKey), month: monthName, day: festival.day });
+    else taken.set(dateKey, name);
+  }
+}
+
+/**
+ * Check season bounds, and that seasons neither overlap nor leave days uncovered.
+ * @param {object} data - Calendar data
+ * @param {CalendarEngine} engine - Engine over the data
+ * @param {Array<[string, object]>} months - Keyed months
+ * @param {Function} add - Issue collector
+ */
+function checkSeasons(data, engine, months, add) {
+  const seasons = Object.entries(data.seasons?.values ?? {});
+  if (!seasons.length || !months.length) return;
+  const daysPerYear = months.reduce((sum, [, month]) => sum + Math.max(0, month.days ?? 0), 0);
+  if (data.seasons?.type === 'periodic') {
+    const total = seasons.reduce((sum, [, season]) => sum + (season.duration ?? Math.floor(daysPerYear / seasons.length)), 0);
+    if (total !== daysPerYear) add('warning', 'seasons', null, 'SeasonDurations', { total, days: daysPerYear });
+    return;
+  }
+  let boundsValid = true;
+  for (const [key, season] of seasons) {
+    const name = season.name || key;
+    for (const [monthField, dayField] of [
+      ['monthStart', 'dayStart'],
+      ['monthEnd', 'dayEnd']
+    ]) {
+      if (season[monthField] == null) continue;
+      const month = months[season[monthField] - 1]?.[1];
+      if (!month) {
+        add('error', 'seasons', `seasons.${key}.${monthField}`, 'SeasonMonth', { season: name });
+        boundsValid = false;
+      } else if (season[dayField] != null && (season[dayField] < 1 || season[dayField] > Math.max(month.days, month.leapDays ?? 0))) {
+        add('error', 'seasons', `seasons.${key}.${dayField}`, 'SeasonDay', { season: name, month: monthLabel(month, season[monthField] - 1), day: season[dayField] });
+        boundsValid = false;
+      }
+    }
+  }
+  if (!boundsValid) return;
+
+  const overlaps = new Map();
+  let gapStart = null;
+  const gaps = [];
+  months.forEach(([, month], monthIndex) => {
+    for (let day = 1; day <= month.days; day++) {
+      const covering = seasons.filter(([, season]) => seasonCovers(season, monthIndex, day, engine, months));
+      const label = `${monthLabel(month, monthIndex)} ${day}`;
+      if (covering.length > 1) {
+        const pair = covering.map(([key, season]) => season.name || key).join(' / ');
+        if (!overlaps.has(pair)) overlaps.set(pair, label);
+      }
+      if (!covering.length) gapStart ??= label;
+      else if (gapStart) {
+        gaps.push(gapStart);
+        gapStart = null;
+      }
+    }
+  });
+  if (gapStart) gaps.push(gapStart);
+  for (const [names, date] of overlaps) add('warning', 'seasons', null, 'SeasonOverlap', { seasons: names, date });
+  for (const date of gaps) add('warning', 'seasons', null, 'SeasonGap', { date });
+}
+
+/**
+ * Whether a dated season covers a day, following the engine's season lookup.
+ * @param {object} season - Season definition
+ * @param {number} monthIndex - Month index (0-indexed)
+ * @param {number} day - Day of month (1-indexed)
+ * @param {CalendarEngine} engine - Engine over the data
+ * @param {Array<[string, object]>} months - Keyed months
+ * @returns {boolean} True if the season covers the day
+ */
+function seasonCovers(season, monthIndex, day, engine, months) {
+  if (season.monthStart != null && season.monthEnd != null) {
+    const month = monthIndex + 1;
+    const startDay = season.dayStart ?? 1;
+    const endDay = season.dayEnd ?? months[season.monthEnd - 1]?.[1]?.days ?? 30;
+    if (season.monthStart === season.monthEnd) return month === season.monthStart && (startDay <= endDay ? day >= startDay && day <= endDay : day >= startDay || day <= endDay);
+    if (season.monthStart < season.monthEnd ? month > season.monthStart && month < season.monthEnd : month > season.monthStart || month < season.monthEnd) return true;
+    return (month === season.monthStart && day >= startDay) || (month === season.monthEnd && day <= endDay);
+  }
+  if (season.dayStart != null && season.dayEnd != null) {
+    const dayOfYear = engine.dayOfYearFromMonthDay(monthIndex, day - 1);
+    return season.dayStart <= season.dayEnd ? dayOfYear >= season.dayStart && dayOfYear <= season.dayEnd : dayOfYear >= season.dayStart || dayOfYear <= season.dayEnd;
+  }
+  return false;
+}
+
+/**
+ * Check moon cycles, reference dates and phase ranges.
+ * @param {object} data - Calendar data
+ * @param {Array<[string, object]>} months - Keyed months
+ * @param {Function} add - Issue collector
+ */
+function checkMoons(data, months, add) {
+  for (const [key, moon] of Object.entries(data.moons ?? {})) {
+    const name = moon.name || key;
+    if (!(moon.cycleLength > 0)) add('error', 'moons', `moons.${key}.cycleLength`, 'MoonCycle', { moon: name });
+    const ref = moon.referenceDate ?? {};
+    const month = months[ref.month]?.[1];
+    if (months.length && !month) add('error', 'moons', `moons.${key}.referenceDate.month`, 'MoonReferenceMonth', { moon: name });
+    else if (month && (ref.day < 1 || ref.day > Math.max(month.days, month.leapDays ?? 0))) add('error', 'moons', `moons.${key}.referenceDate.day`, 'MoonReferenceDay', { moon: name, month: monthLabel(month, ref.month), day: ref.day, days: month.days });
+    const phases = Object.values(moon.phases ?? {});
+    if (!phases.length || phases.some((phase) => phase.start == null || phase.end == null)) continue;
+    const sorted = [...phases].sort((a, b) => a.start - b.start);
+    const tolerance = 0.0005;
+    let covered = sorted[0].start <= tolerance;
+    for (let i = 1; i < sorted.length && covered; i++) covered = Math.abs(sorted[i].start - sorted[i - 1].end) <= tolerance;
+    if (!covered || Math.abs(sorted.at(-1).end - 1) > tolerance) add('warning', 'moons', null, 'MoonPhaseRanges', { moon: name });
+  }
+}
+
+/**
+ * Check that the shared epoch used for calendar conversion falls on a real day.
+ * @param {object} data - Calendar data
+ * @param {Array<[string, object]>} months - Month entries
+ * @param {Function} add - Issue collector
+ */
+function checkSharedEpoch(data, months, add) {
+  const epoch = data.years?.sharedEpoch;
+  const month = months[epoch?.month]?.[1];
+  if (!epoch || !month) return;
+  const days = Math.max(month.days, month.leapDays ?? 0);
+  if (epoch.day < 1 || epoch.day > days) add('error', 'years', 'years.sharedEpoch.day', 'SharedEpochDay', { month: monthLabel(month, epoch.month), day: epoch.day, days });
+}
+
+/**
+ * Check era year ranges.
+ * @param {object} data - Calendar data
+ * @param {Function} add - Issue collector
+ */
+function checkEras(data, add) {
+  const eras = Object.entries(data.eras ?? {});
+  for (const [key, era] of eras) if (era.endYear != null && era.endYear < era.startYear) add('error', 'eras', `eras.${key}.endYear`, 'EraEndBeforeStart', { era: era.name || key });
+  const sorted = eras.map(([, era]) => era).sort((a, b) => a.startYear - b.startYear);
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    if (previous.endYear != null && previous.endYear >= sorted[i].startYear) add('warning', 'eras', null, 'EraOverlap', { first: previous.name, second: sorted[i].name });
+  }
+}
+
+/**
+ * Check canonical hours fit the day and do not overlap.
+ * @param {object} data - Calendar data
+ * @param {Function} add - Issue collector
+ */
+function checkCanonicalHours(data, add) {
+  const hoursPerDay = data.days?.hoursPerDay ?? 24;
+  const hours = Object.entries(data.canonicalHours ?? {});
+  const owner = new Array(hoursPerDay).fill(null);
+  const reported = new Set();
+  for (const [key, hour] of hours) {
+    const name = hour.name || key;
+    const startValid = Number.isInteger(hour.startHour) && hour.startHour >= 0 && hour.startHour < hoursPerDay;
+    const endValid = Number.isInteger(hour.endHour) && hour.endHour >= 0 && hour.endHour <= hoursPerDay;
+    if (!startValid) add('error', 'time', `canonicalHours.${key}.startHour`, 'CanonicalHourRange', { hour: name, hours: hoursPerDay });
+    if (!endValid) add('error', 'time', `canonicalHours.${key}.endHour`, 'CanonicalHourRange', { hour: name, hours: hoursPerDay });
+    const end = hour.endHour % hoursPerDay;
+    if (!startValid || !endValid || hour.startHour === end) continue;
+    for (let h = hour.startHour; h !== end; h = (h + 1) % hoursPerDay) {
+      const other = owner[h];
+      if (other && !reported.has(`${other}|${name}`)) {
+        reported.add(`${other}|${name}`);
+        add('warning', 'time', `canonicalHours.${key}.startHour`, 'CanonicalHourOverlap', { first: other, second: name });
+      }
+      owner[h] = name;
+    }
+  }
+}
+
+/**
+ * Check cycles have stages to step through.
+ * @param {object} data - Calendar data
+ * @param {Function} add - Issue collector
+ */
+function checkCycles(data, add) {
+  for (const [key, cycle] of Object.entries(data.cycles ?? {})) {
+    if (!Object.keys(cycle.stages ?? {}).length) add('warning', 'cycles', `cycles.${key}.name`, 'CycleNoStages', { cycle: cycle.name || key });
+  }
+}
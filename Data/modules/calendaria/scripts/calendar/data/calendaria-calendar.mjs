@@ -8,6 +8,7 @@
 
 import { DEFAULT_MOON_PHASES } from '../../constants.mjs';
 import { format, localize } from '../../utils/localization.mjs';
+import CalendarEngine from '../calendar-engine.mjs';
 import CalendarRegistry from '../calendar-registry.mjs';
 import * as LeapYearUtils from '../leap-year-utils.mjs';
 
@@ -20,6 +21,9 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
   /** @type {number} Epoch offset in seconds */
   static #epochOffset = 0;
 
+  /** @type {CalendarEngine|null} Date engine over this calendar's data */
+  #engine = null;
+
   /**
    * Whether PF2e sync is currently active.
    * @returns {boolean} Is calendar golarian and pf2e system in play
@@ -95,6 +99,17 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
     return this.#epochOffset;
   }
 
+  /**
+   * Date engine doing this calendar's date math. It reads this model's data directly,
+   * so it is the same engine headless tooling builds from the calendar JSON.
+   * @returns {CalendarEngine} Engine with the current epoch offset applied
+   */
+  get engine() {
+    this.#engine ??= new CalendarEngine(this);
+    this.#engine.epochOffset = CalendariaCalendar.epochOffset;
+    return this.#engine;
+  }
+
   /**
    * Get the current date components based on world time.
    * Computed dynamically for API consistency.
@@ -116,22 +131,22 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
 
   /** @returns {Array<object>} Months in calendar order (from keyed `months.values` collection) */
   get monthsArray() {
-    return this.months?.values ? Object.values(this.months.values) : [];
+    return this.engine.monthsArray;
   }
 
   /** @returns {Array<object>} Weekdays in calendar order (from keyed `days.values` collection) */
   get weekdaysArray() {
-    return this.days?.values ? Object.values(this.days.values) : [];
+    return this.engine.weekdaysArray;
   }
 
   /** @returns {Array<object>} Seasons in calendar order (from keyed `seasons.values` collection) */
   get seasonsArray() {
-    return this.seasons?.values ? Object.values(this.seasons.values) : [];
+    return this.engine.seasonsArray;
   }
 
   /** @returns {Array<object>} Moons in calendar order (from keyed `moons` collection) */
   get moonsArray() {
-    return this.moons ? Object.values(this.moons) : [];
+    return this.engine.moonsArray;
   }
 
   /** @returns {Array<object>} Cycles in calendar order (from keyed `cycles` collection) */
@@ -141,12 +156,12 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
 
   /** @returns {Array<object>} Eras in calendar order (from keyed `eras` collection) */
   get erasArray() {
-    return this.eras ? Object.values(this.eras) : [];
+    return this.engine.erasArray;
   }
 
   /** @returns {Array<object>} Festivals in calendar order (from keyed `festivals` collection) */
   get festivalsArray() {
-    return this.festivals ? Object.values(this.festivals) : [];
+    return this.engine.festivalsArray;
   }
 
   /** @returns {Array<object>} Canonical hours in calendar order (from keyed `canonicalHours` collection) */
@@ -166,7 +181,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
 
   /** @returns {number} Number of days in a week (weekday count, defaults to 7) */
   get daysInWeek() {
-    return this.weekdaysArray.length || 7;
+    return this.engine.daysInWeek;
   }
 
   /**
@@ -175,71 +190,17 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {boolean} True if the calendar has no named months
    */
   get isMonthless() {
-    const months = this.monthsArray;
-    if (months.length === 0) return true;
-    if (months.length === 1 && (!months[0].name || months[0].name === '')) return true;
-    return false;
+    return this.engine.isMonthless;
   }
 
   /** @override */
   timeToComponents(time) {
-    const adjustedTime = time + CalendariaCalendar.epochOffset;
-    const secondsPerMinute = this.days?.secondsPerMinute ?? 60;
-    const minutesPerHour = this.days?.minutesPerHour ?? 60;
-    const hoursPerDay = this.days?.hoursPerDay ?? 24;
-    const secondsPerHour = secondsPerMinute * minutesPerHour;
-    const secondsPerDay = secondsPerHour * hoursPerDay;
-
-    let totalDays = Math.floor(adjustedTime / secondsPerDay);
-    const daySeconds = adjustedTime - totalDays * secondsPerDay;
-    const hour = Math.floor(daySeconds / secondsPerHour);
-    const minute = Math.floor((daySeconds % secondsPerHour) / secondsPerMinute);
-    const second = Math.floor(daySeconds % secondsPerMinute);
-
-    let year = 0;
-    if (totalDays >= 0) {
-      while (totalDays >= this.getDaysInYear(year)) {
-        totalDays -= this.getDaysInYear(year);
-        year++;
-      }
-    } else {
-      while (totalDays < 0) {
-        year--;
-        totalDays += this.getDaysInYear(year);
-      }
-    }
-
-    let month = 0;
-    const months = this.monthsArray;
-    while (month < months.length && totalDays >= this.getDaysInMonth(month, year)) {
-      totalDays -= this.getDaysInMonth(month, year);
-      month++;
-    }
-
-    return { year, month, dayOfMonth: totalDays, hour, minute, second };
+    return this.engine.timeToComponents(time);
   }
 
   /** @override */
   componentsToTime(components) {
-    const { year = 0, month = 0, dayOfMonth = 0, hour = 0, minute = 0, second = 0 } = components;
-    const secondsPerMinute = this.days?.secondsPerMinute ?? 60;
-    const minutesPerHour = this.days?.minutesPerHour ?? 60;
-    const hoursPerDay = this.days?.hoursPerDay ?? 24;
-    const secondsPerHour = secondsPerMinute * minutesPerHour;
-    const secondsPerDay = secondsPerHour * hoursPerDay;
-
-    let totalDays = 0;
-    if (year >= 0) {
-      for (let y = 0; y < year; y++) totalDays += this.getDaysInYear(y);
-    } else {
-      for (let y = -1; y >= year; y--) totalDays -= this.getDaysInYear(y);
-    }
-
-    for (let m = 0; m < month; m++) totalDays += this.getDaysInMonth(m, year);
-    totalDays += dayOfMonth;
-
-    const totalSeconds = totalDays * secondsPerDay + hour * secondsPerHour + minute * secondsPerMinute + second;
-    return totalSeconds - CalendariaCalendar.epochOffset;
+    return this.engine.componentsToTime(components);
   }
 
   /**
@@ -444,6 +405,14 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
         },
         { required: true, nullable: true, initial: null }
       ),
+      sharedEpoch: new SchemaField(
+        {
+          year: new NumberField({ required: true, nullable: false, integer: true, initial: 0 }),
+          month: new NumberField({ required: true, nullable: false, integer: true, min: 0, initial: 0 }),
+          day: new NumberField({ required: true, nullable: false, integer: true, min: 1, initial: 1 })
+        },
+        { required: false, nullable: true, initial: null }
+      ),
       names: new ArrayField(
         new SchemaField({
           year: new NumberField({ required: true, integer: true }),
@@ -559,6 +528,8 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
           cycleLength: new NumberField({ required: true, nullable: false, min: 1 }),
           cycleDayAdjust: new NumberField({ required: false, nullable: false, initial: 0 }),
           referencePhase: new NumberField({ required: false, nullable: false, initial: 0, integer: true, min: 0 }),
+          nodalPeriod: new NumberField({ required: false, nullable: true, min: 1 }),
+          tidalStrength: new NumberField({ required: false, nullable: true, min: 0 }),
           color: new StringField({ required: false, initial: '' }),
           phases: new TypedObjectField(
             new SchemaField({
@@ -684,7 +655,26 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
                   description: new StringField({ required: false })
                 })
               ),
-              seasonOverrides: new foundry.data.fields.ObjectField({ required: false, initial: {} })
+              seasonOverrides: new foundry.data.fields.ObjectField({ required: false, initial: {} }),
+              markov: new SchemaField(
+                {
+                  enabled: new BooleanField({ required: false, initial: false }),
+                  tempStep: new NumberField({ required: false, nullable: true, initial: null, min: 0 }),
+                  transitions: new foundry.data.fields.ObjectField({ required: false, initial: {} })
+                },
+                { required: false }
+              ),
+              tides: new SchemaField(
+                {
+                  enabled: new BooleanField({ required: false, initial: false }),
+                  range: new NumberField({ required: false, nullable: false, initial: 2, min: 0 }),
+                  meanLevel: new NumberField({ required: false, nullable: false, initial: 0 }),
+                  solarStrength: new NumberField({ required: false, nullable: false, initial: 0.46, min: 0 }),
+                  lag: new NumberField({ required: false, nullable: false, initial: 0 }),
+                  unit: new StringField({ required: false, initial: 'ft' })
+                },
+                { required: false }
+              )
             })
           )
         },
@@ -712,16 +702,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {boolean} True if the year is a leap year
    */
   isLeapYear(year) {
-    const yearZero = this.years?.yearZero ?? 0;
-    const displayYear = year + yearZero;
-    const advancedConfig = this.leapYearConfig;
-    if (advancedConfig?.rule && advancedConfig.rule !== 'none') return LeapYearUtils.isLeapYear(advancedConfig, displayYear, true);
-    const leapConfig = this.years?.leapYear;
-    if (!leapConfig) return false;
-    const interval = leapConfig.leapInterval;
-    const start = leapConfig.leapStart ?? 0;
-    if (!interval || interval <= 0) return false;
-    return LeapYearUtils.isLeapYear({ rule: 'simple', interval, start }, displayYear, true);
+    return this.engine.isLeapYear(year);
   }
 
   /**
@@ -741,10 +722,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Number of days in the month
    */
   getDaysInMonth(monthIndex, year) {
-    const month = this.monthsArray[monthIndex];
-    if (!month) return 0;
-    if (this.isLeapYear(year) && month.leapDays != null) return month.leapDays;
-    return month.days;
+    return this.engine.getDaysInMonth(monthIndex, year);
   }
 
   /**
@@ -753,15 +731,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} - Total days in the year
    */
   getDaysInYear(year) {
-    if (this.isMonthless) {
-      const base = this.days?.daysPerYear ?? 365;
-      return this.isLeapYear(year) ? base + 1 : base;
-    }
-    const isLeap = this.isLeapYear(year);
-    return this.monthsArray.reduce((sum, month) => {
-      const days = isLeap && month.leapDays != null ? month.leapDays : month.days;
-      return sum + days;
-    }, 0);
+    return this.engine.getDaysInYear(year);
   }
 
   /**
@@ -974,23 +944,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {{name: string, month: number, day: number, dayOfYear: number, duration: number, leapYearOnly: boolean}|null} - Festival or null
    */
   findFestivalDay(time = game.time.worldTime) {
-    const components = typeof time === 'number' ? this.timeToComponents(time) : time;
-    const isLeap = this.isLeapYear(components.year);
-    const currentDayOfYear = this._calculateDayOfYear(components) + 1;
-    return (
-      this.festivalsArray.find((f) => {
-        if (f.leapYearOnly && !isLeap) return false;
-        const duration = isLeap && f.leapDuration != null ? f.leapDuration : (f.duration ?? 1);
-        if (f.dayOfYear != null) {
-          return currentDayOfYear >= f.dayOfYear && currentDayOfYear < f.dayOfYear + duration;
-        }
-        if (f.month != null && f.day != null) {
-          const festivalDayOfYear = this._calculateDayOfYearFromMonthDay(f.month - 1, f.day - 1, components.year) + 1;
-          return currentDayOfYear >= festivalDayOfYear && currentDayOfYear < festivalDayOfYear + duration;
-        }
-        return false;
-      }) ?? null
-    );
+    return this.engine.findFestivalDay(time);
   }
 
   /**
@@ -1002,11 +956,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @private
    */
   _calculateDayOfYearFromMonthDay(month, day, year) {
-    if (this.isMonthless) return day;
-    let dayOfYear = day;
-    const months = this.monthsArray;
-    for (let i = 0; i < month; i++) dayOfYear += year !== undefined ? this.getDaysInMonth(i, year) : (months[i]?.days ?? 0);
-    return dayOfYear;
+    return this.engine.dayOfYearFromMonthDay(month, day, year);
   }
 
   /**
@@ -1016,11 +966,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @private
    */
   _calculateDayOfYear(components) {
-    if (this.isMonthless) return components.dayOfMonth;
-    let dayOfYear = components.dayOfMonth;
-    const months = this.monthsArray;
-    for (let i = 0; i < components.month; i++) dayOfYear += components.year !== undefined ? this.getDaysInMonth(i, components.year) : (months[i]?.days ?? 0);
-    return dayOfYear;
+    return this.engine.dayOfYear(components);
   }
 
   /**
@@ -1038,32 +984,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Number of non-counting festival days before this date in the year.
    */
   countNonWeekdayFestivalsBefore(time) {
-    const festivals = this.festivalsArray;
-    if (!festivals.length) return 0;
-    const components = typeof time === 'number' ? this.timeToComponents(time) : time;
-    const isLeap = this.isLeapYear(components.year);
-    const currentDayOfYear = this._calculateDayOfYear(components) + 1;
-    let count = 0;
-    for (const festival of festivals) {
-      if (festival.countsForWeekday !== false) continue;
-      if (festival.leapYearOnly && !isLeap) continue;
-      const duration = isLeap && festival.leapDuration != null ? festival.leapDuration : (festival.duration ?? 1);
-      let festivalStart;
-      if (festival.dayOfYear != null) {
-        festivalStart = festival.dayOfYear;
-      } else if (festival.month != null && festival.day != null) {
-        festivalStart = this._calculateDayOfYearFromMonthDay(festival.month - 1, festival.day - 1, components.year) + 1;
-      } else {
-        continue;
-      }
-      const festivalEnd = festivalStart + duration;
-      if (festivalEnd <= currentDayOfYear) {
-        count += duration;
-      } else if (festivalStart < currentDayOfYear) {
-        count += currentDayOfYear - festivalStart;
-      }
-    }
-    return count;
+    return this.engine.countNonWeekdayFestivalsBefore(time);
   }
 
   /**
@@ -1083,16 +1004,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Number of non-counting festival days per year.
    */
   countNonWeekdayFestivalsInYear(isLeap = false) {
-    const festivals = this.festivalsArray;
-    if (!festivals.length) return 0;
-    let count = 0;
-    for (const festival of festivals) {
-      if (festival.countsForWeekday !== false) continue;
-      if (festival.leapYearOnly && !isLeap) continue;
-      const duration = isLeap && festival.leapDuration != null ? festival.leapDuration : (festival.duration ?? 1);
-      count += duration;
-    }
-    return count;
+    return this.engine.countNonWeekdayFestivalsInYear(isLeap);
   }
 
   /**
@@ -1104,22 +1016,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Total non-counting festival days (negative for years before epoch).
    */
   countNonWeekdayFestivalsBeforeYear(year) {
-    if (!this.festivalsArray.length || year === 0) return 0;
-    const regularYearDays = this.countNonWeekdayFestivalsInYear(false);
-    const leapYearDays = this.countNonWeekdayFestivalsInYear(true);
-
-    if (year > 0) {
-      let leapYears = 0;
-      for (let y = 0; y < year; y++) if (this.isLeapYear(y)) leapYears++;
-      const regularYears = year - leapYears;
-      return regularYears * regularYearDays + leapYears * leapYearDays;
-    } else {
-      let leapYears = 0;
-      for (let y = -1; y >= year; y--) if (this.isLeapYear(y)) leapYears++;
-      const totalYears = -year;
-      const regularYears = totalYears - leapYears;
-      return -(regularYears * regularYearDays + leapYears * leapYearDays);
-    }
+    return this.engine.countNonWeekdayFestivalsBeforeYear(year);
   }
 
   /**
@@ -1128,20 +1025,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Number of intercalary days before this date in the year.
    */
   countIntercalaryDaysBefore(time) {
-    const months = this.monthsArray;
-    if (!months.length) return 0;
-    const components = typeof time === 'number' ? this.timeToComponents(time) : time;
-    const isLeap = this.isLeapYear(components.year);
-    let count = 0;
-    for (let i = 0; i < components.month; i++) {
-      const month = months[i];
-      if (month.type !== 'intercalary') continue;
-      const days = isLeap && month.leapDays != null ? month.leapDays : month.days;
-      count += days;
-    }
-    const currentMonth = months[components.month];
-    if (currentMonth?.type === 'intercalary') count += components.dayOfMonth;
-    return count;
+    return this.engine.countIntercalaryDaysBefore(time);
   }
 
   /**
@@ -1149,14 +1033,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Total intercalary days in a regular year.
    */
   countIntercalaryDaysInYear() {
-    const months = this.monthsArray;
-    if (!months.length) return 0;
-    let count = 0;
-    for (const month of months) {
-      if (month.type !== 'intercalary') continue;
-      count += month.days ?? 0;
-    }
-    return count;
+    return this.engine.countIntercalaryDaysInYear(false);
   }
 
   /**
@@ -1164,14 +1041,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Total intercalary days in a leap year.
    */
   countIntercalaryDaysInLeapYear() {
-    const months = this.monthsArray;
-    if (!months.length) return 0;
-    let count = 0;
-    for (const month of months) {
-      if (month.type !== 'intercalary') continue;
-      count += month.leapDays ?? month.days ?? 0;
-    }
-    return count;
+    return this.engine.countIntercalaryDaysInYear(true);
   }
 
   /**
@@ -1180,151 +1050,35 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} Total intercalary days (negative for years before epoch).
    */
   countIntercalaryDaysBeforeYear(year) {
-    if (!this.monthsArray.length || year === 0) return 0;
-    const regularCount = this.countIntercalaryDaysInYear();
-    const leapCount = this.countIntercalaryDaysInLeapYear();
-    if (year > 0) {
-      let leapYears = 0;
-      for (let y = 0; y < year; y++) if (this.isLeapYear(y)) leapYears++;
-      const regularYears = year - leapYears;
-      return regularYears * regularCount + leapYears * leapCount;
-    } else {
-      let leapYears = 0;
-      for (let y = -1; y >= year; y--) if (this.isLeapYear(y)) leapYears++;
-      const totalYears = -year;
-      const regularYears = totalYears - leapYears;
-      return -(regularYears * regularCount + leapYears * leapCount);
-    }
+    return this.engine.countIntercalaryDaysBeforeYear(year);
   }
 
   /**
    * Get the current phase of a moon using FC-style distribution.
-   * Primary phases (new/full moon) get floor(cycleLength/8) days each,
-   * remaining phases split the leftover days evenly.
+   * See {@link CalendarEngine#getMoonPhase} for how phases are distributed.
    * @param {number} [moonIndex]  Index of the moon (0 for primary moon).
    * @param {number|object} [time]  Time to use, by default the current world time.
    * @returns {{name: string, subPhaseName: string, icon: string, position: number}|null} - Moon phase data or null
    */
   getMoonPhase(moonIndex = 0, time = game.time.worldTime) {
-    const moon = this.moonsArray[moonIndex];
-    if (!moon) return null;
-    const components = typeof time === 'number' ? this.timeToComponents(time) : time;
-    const currentDays = this._componentsToDays(components);
-    const referenceDays = this._componentsToDays(moon.referenceDate);
-    const daysSinceReference = currentDays - referenceDays;
-    const phases = moon.phases ? Object.values(moon.phases) : [];
-    if (!phases.length) return null;
-    if (!Number.isFinite(daysSinceReference) || !Number.isFinite(moon.cycleLength) || moon.cycleLength <= 0) {
-      return { name: phases[0].name, subPhaseName: phases[0].name, icon: phases[0].icon || '', position: 0, dayInCycle: 0 };
-    }
-    const refPhase = phases[moon.referencePhase ?? 0];
-    const phaseOffset = (refPhase?.start ?? 0) * moon.cycleLength;
-    const cycleDayAdjust = Number.isFinite(moon.cycleDayAdjust) ? moon.cycleDayAdjust : 0;
-    const daysIntoCycleRaw = (((daysSinceReference % moon.cycleLength) + moon.cycleLength) % moon.cycleLength) + phaseOffset + cycleDayAdjust;
-    const daysIntoCycle = ((daysIntoCycleRaw % moon.cycleLength) + moon.cycleLength) % moon.cycleLength;
-    const normalizedPosition = daysIntoCycle / moon.cycleLength;
-    const dayIndex = Math.floor(daysIntoCycle);
-    const hasRanges = phases.length > 0 && phases[0].start !== undefined && phases[0].end !== undefined;
-
-    let phaseArrayIndex = 0;
-    let dayWithinPhase = 0;
-    let phaseDuration = 1;
-
-    if (hasRanges) {
-      // Convert fractional start/end to integer day boundaries to avoid floating-point precision issues
-      const totalCycleDays = Math.round(moon.cycleLength);
-      for (let i = 0; i < phases.length; i++) {
-        const phase = phases[i];
-        const startDay = Math.round((phase.start ?? 0) * moon.cycleLength);
-        const endDay = Math.round((phase.end ?? 1) * moon.cycleLength);
-        // Handle wrap-around (e.g., startDay=25, endDay=3 in a 28-day cycle)
-        const inRange = endDay > startDay ? dayIndex >= startDay && dayIndex < endDay : dayIndex >= startDay || dayIndex < endDay;
-        if (inRange) {
-          phaseArrayIndex = i;
-          phaseDuration = Math.max(1, endDay > startDay ? endDay - startDay : totalCycleDays - startDay + endDay);
-          dayWithinPhase = dayIndex >= startDay ? dayIndex - startDay : dayIndex + totalCycleDays - startDay;
-          break;
-        }
-      }
-    } else {
-      // Fall back to even distribution
-      const numPhases = phases.length || 8;
-      const phaseDays = CalendariaCalendar.#buildPhaseDayDistribution(moon.cycleLength, numPhases);
-      let cumulativeDays = 0;
-      for (let i = 0; i < phaseDays.length; i++) {
-        if (dayIndex < cumulativeDays + phaseDays[i]) {
-          phaseArrayIndex = i;
-          dayWithinPhase = dayIndex - cumulativeDays;
-          phaseDuration = phaseDays[i];
-          break;
-        }
-        cumulativeDays += phaseDays[i];
-      }
-    }
-
-    const matchedPhase = phases[phaseArrayIndex] || phases[0];
-    if (!matchedPhase) return null;
-    const subPhaseName = CalendariaCalendar.#getSubPhaseName(matchedPhase, dayWithinPhase, phaseDuration);
-    return { name: matchedPhase.name, subPhaseName, icon: matchedPhase.icon || '', position: normalizedPosition, dayInCycle: dayIndex, phaseIndex: phaseArrayIndex, dayWithinPhase, phaseDuration };
-  }
-
-  /**
-   * Build FC-style phase day distribution.
-   * Primary phases (new moon at 0, full moon at 4) get floor(cycleLength/8) days,
-   * remaining phases split leftover days evenly.
-   * @param {number} cycleLength  Total days in moon cycle.
-   * @param {number} numPhases  Number of phases (typically 8).
-   * @returns {number[]}  Array of days per phase.
-   * @private
-   */
-  static #buildPhaseDayDistribution(cycleLength, numPhases = 8) {
-    if (numPhases !== 8) {
-      const baseDays = Math.floor(cycleLength / numPhases);
-      const remainder = cycleLength % numPhases;
-      return Array.from({ length: numPhases }, (_, i) => baseDays + (i < remainder ? 1 : 0));
-    }
-    const primaryDays = Math.floor(cycleLength / 8);
-    const totalPrimaryDays = primaryDays * 2;
-    const remainingDays = cycleLength - totalPrimaryDays;
-    const secondaryDays = Math.floor(remainingDays / 6);
-    const extraDays = remainingDays % 6;
-    const distribution = [];
-    let extraAssigned = 0;
-    for (let i = 0; i < 8; i++) {
-      if (i === 0 || i === 4) {
-        distribution.push(primaryDays);
-      } else {
-        const extra = extraAssigned < extraDays ? 1 : 0;
-        distribution.push(secondaryDays + extra);
-        extraAssigned++;
-      }
-    }
-
-    return distribution;
+    const result = this.engine.getMoonPhase(moonIndex, time);
+    if (!result) return null;
+    const { phase, subPhase, ...data } = result;
+    return { ...data, subPhaseName: CalendariaCalendar.#getSubPhaseName(phase, subPhase) };
   }
 
   /**
-   * Get sub-phase name based on position within phase.
+   * Get the localized sub-phase name.
    * Uses stored rising/fading if available, otherwise generates from localization.
    * @param {object} phase  Phase object with name, rising, fading.
-   * @param {number} dayWithinPhase  Current day within this phase (0-indexed).
-   * @param {number} phaseDuration  Total days in this phase.
+   * @param {string|null} subPhase  'rising', 'fading' or null from the engine.
    * @returns {string}  Sub-phase name.
    * @private
    */
-  static #getSubPhaseName(phase, dayWithinPhase, phaseDuration) {
-    const phaseName = phase.name;
-    if (phaseDuration <= 1) return localize(phaseName);
-    const third = phaseDuration / 3;
-
-    if (dayWithinPhase < third) {
-      if (phase.rising) return localize(phase.rising);
-      return format('CALENDARIA.MoonPhase.SubPhase.Rising', { phase: localize(phaseName) });
-    } else if (dayWithinPhase >= phaseDuration - third) {
-      if (phase.fading) return localize(phase.fading);
-      return format('CALENDARIA.MoonPhase.SubPhase.Fading', { phase: localize(phaseName) });
-    }
-    return localize(phaseName);
+  static #getSubPhaseName(phase, subPhase) {
+    if (subPhase === 'rising') return phase.rising ? localize(phase.rising) : format('CALENDARIA.MoonPhase.SubPhase.Rising', { phase: localize(phase.name) });
+    if (subPhase === 'fading') return phase.fading ? localize(phase.fading) : format('CALENDARIA.MoonPhase.SubPhase.Fading', { phase: localize(phase.name) });
+    return localize(phase.name);
   }
 
   /**
@@ -1343,14 +1097,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @private
    */
   _componentsToDays(components) {
-    if (!components) return 0;
-    const year = Number(components.year) || 0;
-    const month = Number(components.month) || 0;
-    const dayOfMonth = components.dayOfMonth ?? (Number(components.day) || 1) - 1;
-    const normalized = { year, month, dayOfMonth, hour: Number(components.hour) || 0, minute: Number(components.minute) || 0, second: Number(components.second) || 0 };
-    const worldTime = this.componentsToTime(normalized);
-    const secondsPerDay = (this.days?.hoursPerDay || 24) * (this.days?.minutesPerHour || 60) * (this.days?.secondsPerMinute || 60);
-    return Math.floor(worldTime / secondsPerDay);
+    return this.engine.componentsToDays(components);
   }
 
   /**
@@ -1360,16 +1107,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {{dayStart: number, dayEnd: number}} 0-indexed day bounds
    */
   _calculatePeriodicSeasonBounds(seasonIndex, totalDays) {
-    const seasons = this.seasonsArray;
-    if (!seasons.length || seasonIndex < 0 || seasonIndex >= seasons.length) return { dayStart: 0, dayEnd: 0 };
-    totalDays ??= this.getDaysInYear(1);
-    const offset = this.seasons?.offset ?? 0;
-    let dayStart = offset;
-    for (let i = 0; i < seasonIndex; i++) dayStart += seasons[i].duration ?? Math.floor(totalDays / seasons.length);
-    dayStart = dayStart % totalDays;
-    const duration = seasons[seasonIndex].duration ?? Math.floor(totalDays / seasons.length);
-    let dayEnd = (dayStart + duration - 1) % totalDays;
-    return { dayStart, dayEnd };
+    return this.engine.periodicSeasonBounds(seasonIndex, totalDays);
   }
 
   /**
@@ -1378,50 +1116,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {object|null} Current season.
    */
   getCurrentSeason(time = game.time.worldTime) {
-    const seasons = this.seasonsArray;
-    if (!seasons.length) return null;
-    const components = typeof time === 'number' ? this.timeToComponents(time) : time;
-    const months = this.monthsArray;
-    let dayOfYear = components.dayOfMonth;
-    for (let i = 0; i < components.month; i++) dayOfYear += months[i]?.days ?? 0;
-    if (this.seasons.type === 'periodic') {
-      const totalDays = this.getDaysInYear(components.year);
-      for (let i = 0; i < seasons.length; i++) {
-        const { dayStart, dayEnd } = this._calculatePeriodicSeasonBounds(i, totalDays);
-        if (dayStart <= dayEnd) {
-          if (dayOfYear >= dayStart && dayOfYear <= dayEnd) return seasons[i];
-        } else {
-          if (dayOfYear >= dayStart || dayOfYear <= dayEnd) return seasons[i];
-        }
-      }
-
-      return seasons[0] ?? null;
-    }
-
-    for (const season of seasons) {
-      if (season.monthStart != null && season.monthEnd != null) {
-        const currentMonth = components.month + 1;
-        const startDay = season.dayStart ?? 1;
-        const endDay = season.dayEnd ?? months[season.monthEnd - 1]?.days ?? 30;
-        if (season.monthStart <= season.monthEnd) {
-          if (currentMonth > season.monthStart && currentMonth < season.monthEnd) return season;
-          if (currentMonth === season.monthStart && components.dayOfMonth + 1 >= startDay) return season;
-          if (currentMonth === season.monthEnd && components.dayOfMonth + 1 <= endDay) return season;
-        } else {
-          if (currentMonth > season.monthStart || currentMonth < season.monthEnd) return season;
-          if (currentMonth === season.monthStart && components.dayOfMonth + 1 >= startDay) return season;
-          if (currentMonth === season.monthEnd && components.dayOfMonth + 1 <= endDay) return season;
-        }
-      } else if (season.dayStart != null && season.dayEnd != null) {
-        if (season.dayStart <= season.dayEnd) {
-          if (dayOfYear >= season.dayStart && dayOfYear <= season.dayEnd) return season;
-        } else {
-          if (dayOfYear >= season.dayStart || dayOfYear <= season.dayEnd) return season;
-        }
-      }
-    }
-
-    return seasons[0] ?? null;
+    return this.engine.getSeason(time);
   }
 
   /**
@@ -1438,10 +1133,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {Array<object>} Weekdays in month
    */
   getWeekdaysForMonth(monthIndex) {
-    const month = this.monthsArray[monthIndex];
-    const monthWeekdays = month?.weekdays ? Object.values(month.weekdays) : [];
-    if (monthWeekdays.length) return monthWeekdays;
-    return this.weekdaysArray;
+    return this.engine.getWeekdaysForMonth(monthIndex);
   }
 
   /**
@@ -1464,29 +1156,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {number} 0-based weekday index
    */
   _computeDayOfWeek(components) {
-    const daysInWeek = this.daysInWeek;
-    const monthData = this.monthsArray[components.month];
-    if (monthData?.startingWeekday != null) {
-      const dayIndex = components.dayOfMonth ?? 0;
-      const ctx = { year: components.year, month: components.month, dayOfMonth: dayIndex };
-      const nonCounting = (this.countNonWeekdayFestivalsBefore?.(ctx) ?? 0) + (this.countIntercalaryDaysBefore?.(ctx) ?? 0);
-      return (monthData.startingWeekday + dayIndex - nonCounting + daysInWeek * 100) % daysInWeek;
-    }
-    let dayOfYear = components.dayOfMonth ?? 0;
-    for (let m = 0; m < components.month; m++) dayOfYear += this.getDaysInMonth(m, components.year);
-    let totalDaysFromPriorYears = 0;
-    if (components.year > 0) for (let y = 0; y < components.year; y++) totalDaysFromPriorYears += this.getDaysInYear(y);
-    else if (components.year < 0) for (let y = -1; y >= components.year; y--) totalDaysFromPriorYears -= this.getDaysInYear(y);
-    const totalDays = totalDaysFromPriorYears + dayOfYear;
-    const ctx = { year: components.year, month: components.month, dayOfMonth: components.dayOfMonth ?? 0 };
-    const totalNonCounting =
-      (this.countNonWeekdayFestivalsBeforeYear?.(components.year) ?? 0) +
-      (this.countNonWeekdayFestivalsBefore?.(ctx) ?? 0) +
-      (this.countIntercalaryDaysBeforeYear?.(components.year) ?? 0) +
-      (this.countIntercalaryDaysBefore?.(ctx) ?? 0);
-    const firstWeekday = this.years?.firstWeekday ?? 0;
-    const countingDays = totalDays - totalNonCounting;
-    return (((countingDays + firstWeekday) % daysInWeek) + daysInWeek) % daysInWeek;
+    return this.engine.dayOfWeek(components);
   }
 
   /**
@@ -1495,23 +1165,7 @@ export default class CalendariaCalendar extends foundry.data.CalendarData {
    * @returns {{name: string, abbreviation: string, yearInEra: number}|null} - Era data or null
    */
   getCurrentEra(time = game.time.worldTime) {
-    const eras = this.erasArray;
-    if (!eras.length) return null;
-    const components = typeof time === 'number' ? this.timeToComponents(time) : time;
-    const displayYear = components.year + (this.years?.yearZero ?? 0);
-    const sortedEras = [...eras].sort((a, b) => b.startYear - a.startYear);
-    for (const era of sortedEras) {
-      if (displayYear >= era.startYear && (era.endYear == null || displayYear <= era.endYear)) {
-        return { name: era.name, abbreviation: era.abbreviation, yearInEra: displayYear - era.startYear + 1 };
-      }
-    }
-
-    if (eras.length > 0) {
-      const era = eras[0];
-      return { name: era.name, abbreviation: era.abbreviation, yearInEra: displayYear };
-    }
-
-    return null;
+    return this.engine.getEra(time);
   }
 
   /**
@@ -0,0 +1,137 @@
+/**
+ * Tides
+ * Derives high and low tides for a climate zone from its moons and its sun.
+ *
+ * Each body raises two tidal bulges, so it contributes a semidiurnal wave peaking when it
+ * crosses the meridian and again half a day later. The sun crosses at solar midday; a moon
+ * crosses later by the fraction of its cycle it has moved past new, so a full moon crosses at
+ * midnight. A moon's pull is its `tidalStrength` (default 1, Earth's moon) and the sun's is the
+ * zone's `solarStrength` (default 0.46, Earth's sun). The zone's `range` is the spread between
+ * high and low water when every body lines up (a spring tide) and `lag` delays the tides behind
+ * the bodies by that many hours.
+ * @module Calendar/Tides
+ * @author Tyler
+ */
+
+import { localize } from '../utils/localization.mjs';
+import CalendarManager from './calendar-manager.mjs';
+
+/** Zone tide settings used where a zone leaves them unset. */
+export const TIDE_DEFAULTS = { enabled: false, range: 2, meanLevel: 0, solarStrength: 0.46, lag: 0, unit: 'ft' };
+
+/** Game minutes between samples when searching a day for turning points. */
+const SAMPLE_MINUTES = 15;
+
+/** Alignment above which the day's tides count as springs, and below which as neaps. */
+const SPRING_ALIGNMENT = 0.8;
+const NEAP_ALIGNMENT = 0.4;
+
+/**
+ * @typedef {object} TideEntry
+ * @property {'high'|'low'} type - High or low water
+ * @property {number} hours - Time of day in decimal hours
+ * @property {number} hour - Hour of the day
+ * @property {number} minute - Minute of the hour
+ * @property {string} time - Time as "HH:MM"
+ * @property {number} height - Water height in the zone's unit
+ */
+
+/**
+ * @typedef {object} TideDay
+ * @property {{id: string, name: string}} zone - Climate zone
+ * @property {object} date - Date { year, month, day }
+ * @property {string} unit - Height unit
+ * @property {TideEntry[]} tides - Highs and lows in time order
+ * @property {Array<{name: string, strength: number, share: number}>} influences - Each body's share of the tidal pull, sun last
+ * @property {number} alignment - How closely the bodies line up, 0 (opposed) to 1 (aligned)
+ * @property {'spring'|'neap'|null} kind - Spring or neap tides, or null in between
+ */
+
+/**
+ * Get a zone's tide settings with defaults filled in.
+ * @param {object} [zone] - Climate zone
+ * @returns {object} Tide settings
+ */
+export function getTideConfig(zone) {
+  return { ...TIDE_DEFAULTS, ...(zone?.tides ?? {}) };
+}
+
+/**
+ * Get the high and low tides on a date.
+ * @param {object} [date] - Date { year, month, day } (display year, 0-indexed month, 1-indexed day); defaults to today
+ * @param {object|string} [zone] - Climate zone or zone ID (defaults to the calendar's active zone)
+ * @param {object} [calendar] - Calendar (defaults to active)
+ * @returns {TideDay|null} Tides, or null if the zone does not model tides
+ */
+export function getTides(date, zone, calendar = CalendarManager.getActiveCalendar()) {
+  if (!calendar) return null;
+  const zones = calendar.weatherZonesArray;
+  if (typeof zone === 'string' || !zone) zone = zones.find((z) => z.id === (zone || calendar.weather?.activeZone)) ?? null;
+  const config = getTideConfig(zone);
+  if (!zone || !config.enabled) return null;
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const today = game.time.components;
+  date ??= { year: today.year + yearZero, month: today.month, day: today.dayOfMonth + 1 };
+  const hoursPerDay = calendar.days?.hoursPerDay ?? 24;
+  const minutesPerHour = calendar.days?.minutesPerHour ?? 60;
+  const components = { year: date.year - yearZero, month: date.month, dayOfMonth: (date.day ?? 1) - 1, hour: 0, minute: 0, second: 0 };
+  const dayStart = calendar.componentsToTime(components);
+  const noon = calendar.solarMidday(components, zone) / hoursPerDay;
+  const lag = config.lag / hoursPerDay;
+  const bodies = calendar.moonsArray
+    .map((moon, index) => {
+      const strength = moon.tidalStrength ?? 1;
+      const phase = calendar.getMoonPhase(index, dayStart);
+      if (!phase || !(strength > 0) || !(moon.cycleLength > 0)) return null;
+      return { name: localize(moon.name), strength, position: phase.position, drift: 1 / moon.cycleLength };
+    })
+    .filter(Boolean);
+  if (config.solarStrength > 0) bodies.push({ name: localize('CALENDARIA.Tides.Sun'), strength: config.solarStrength, position: 0, drift: 0 });
+  const total = bodies.reduce((sum, body) => sum + body.strength, 0);
+  const result = { zone: { id: zone.id, name: localize(zone.name) }, date: { year: date.year, month: date.month, day: date.day ?? 1 }, unit: config.unit, tides: [], influences: [], alignment: 0, kind: null };
+  if (!total) return result;
+  result.influences = bodies.map((body) => ({ name: body.name, strength: body.strength, share: Math.round((body.strength / total) * 1000) / 1000 }));
+
+  const heightAt = (f) => {
+    let sum = 0;
+    for (const body of bodies) sum += body.strength * Math.cos(4 * Math.PI * (f - noon - lag - body.position - body.drift * f));
+    return config.meanLevel + (config.range / 2) * (sum / total);
+  };
+  const step = SAMPLE_MINUTES / (minutesPerHour * hoursPerDay);
+  const samples = [];
+  for (let f = -step; f <= 1 + step; f += step) samples.push({ f, height: heightAt(f) });
+  for (let i = 1; i < samples.length - 1; i++) {
+    const [prev, current, next] = [samples[i - 1].height, samples[i].height, samples[i + 1].height];
+    const type = current > prev && current >= next ? 'high' : current < prev && current <= next ? 'low' : null;
+    if (!type) continue;
+    const curvature = prev - 2 * current + next;
+    const f = samples[i].f + (curvature ? (0.5 * (prev - next)) / curvature : 0) * step;
+    const minuteOfDay = Math.round(f * hoursPerDay * minutesPerHour);
+    if (minuteOfDay < 0 || minuteOfDay >= hoursPerDay * minutesPerHour) continue;
+    const hour = Math.floor(minuteOfDay / minutesPerHour);
+    const minute = minuteOfDay % minutesPerHour;
+    result.tides.push({ type, hours: minuteOfDay / minutesPerHour, hour, minute, time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, height: Math.round(heightAt(f) * 100) / 100 });
+  }
+
+  const midday = 0.5;
+  let x = 0;
+  let y = 0;
+  for (const body of bodies) {
+    const angle = 4 * Math.PI * (body.position + body.drift * midday);
+    x += body.strength * Math.cos(angle);
+    y += body.strength * Math.sin(angle);
+  }
+  result.alignment = Math.round((Math.hypot(x, y) / total) * 1000) / 1000;
+  result.kind = result.alignment >= SPRING_ALIGNMENT ? 'spring' : result.alignment <= NEAP_ALIGNMENT ? 'neap' : null;
+  return result;
+}
+
+/**
+ * Describe a day's tides in one line per turning point.
+ * @param {TideDay} day - Tides from getTides()
+ * @returns {string[]} Lines such as "High 06:12 (3.4 ft)"
+ */
+export function describeTides(day) {
+  if (!day) return [];
+  return day.tides.map((tide) => `${localize(`CALENDARIA.Tides.${tide.type === 'high' ? 'High' : 'Low'}`)} ${tide.time} (${tide.height} ${day.unit})`);
+}
@@ -6,6 +6,12 @@
  */
 
 import { CalendariaAPI } from '../api.mjs';
+import { describeTides } from '../calendar/tides.mjs';
+import { TIME_SOURCES } from '../constants.mjs';
+import { findActivity } from '../integrations/activities/index.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
+import TimeHistory from '../time/time-history.mjs';
+import { formatGameSpan } from '../utils/format-utils.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { canChangeActiveCalendar, canChangeDateTime } from '../utils/permissions.mjs';
@@ -23,7 +29,10 @@ const COMMAND_PATTERNS = {
   today: /^\/today$/i,
   sunrise: /^\/sunrise(?:\s+(.*))?$/i,
   sunset: /^\/sunset(?:\s+(.*))?$/i,
+  tide: /^\/tides?(?:\s+(.*))?$/i,
   advance: /^\/(?:advance|adv)\s+(.+)$/i,
+  undotime: /^\/undo-time$/i,
+  redotime: /^\/redo-time$/i,
   setdate: /^\/setdate\s+(.+)$/i,
   settime: /^\/settime\s+(.+)$/i,
   calendar: /^\/(?:calendar|cal)$/i,
@@ -31,7 +40,8 @@ const COMMAND_PATTERNS = {
   switchcal: /^\/switchcal\s+(.+)$/i,
   festival: /^\/festival$/i,
   weekday: /^\/weekday$/i,
-  cycle: /^\/(?:cycle|zodiac)$/i
+  cycle: /^\/(?:cycle|zodiac)$/i,
+  activity: /^\/(?:activity|act)(?:\s+(.*))?$/i
 };
 
 /** Time unit aliases mapping to component fields. */
@@ -106,7 +116,10 @@ function handleCommand(cmd, match) {
     today: cmdToday,
     sunrise: () => cmdSunrise(match[1]?.trim() || ''),
     sunset: () => cmdSunset(match[1]?.trim() || ''),
+    tide: () => cmdTide(match[1]?.trim() || ''),
     advance: () => cmdAdvance(match[1]),
+    undotime: cmdUndoTime,
+    redotime: cmdRedoTime,
     setdate: () => cmdSetDate(match[1]),
     settime: () => cmdSetTime(match[1]),
     calendar: cmdCalendar,
@@ -114,7 +127,8 @@ function handleCommand(cmd, match) {
     switchcal: () => cmdSwitchCal(match[1]),
     festival: cmdFestival,
     weekday: cmdWeekday,
-    cycle: cmdCycle
+    cycle: cmdCycle,
+    activity: () => cmdActivity(match[1]?.trim() || '')
   };
   handlers[cmd]?.();
 }
@@ -146,7 +160,7 @@ function formatHours(hours) {
 async function cmdDate(formatStr) {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoCalendar'));
-  const formatted = CalendariaAPI.formatDate(null, formatStr || 'dateLong');
+  const formatted = CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), formatStr || 'dateLong');
   await sendChat(formatted);
 }
 
@@ -158,7 +172,7 @@ async function cmdDate(formatStr) {
 async function cmdTime(formatStr) {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoCalendar'));
-  const formatted = CalendariaAPI.formatDate(null, formatStr || 'time24');
+  const formatted = CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), formatStr || 'time24');
   await sendChat(formatted);
 }
 
@@ -201,9 +215,10 @@ async function cmdNote(args) {
 async function cmdWeather() {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoCalendar'));
-  const weather = WeatherManager.getCurrentWeather();
+  const zoneId = WeatherManager.getViewedZone()?.id;
+  const weather = WeatherManager.getCurrentWeather(zoneId);
   if (!weather) return sendChat(localize('CALENDARIA.ChatCommand.NoWeather'));
-  const temp = WeatherManager.getTemperature();
+  const temp = WeatherManager.getTemperature(zoneId);
   const unit = game.settings.get('calendaria', 'temperatureUnit');
   const tempStr = temp != null ? ` (${Math.round(temp)}°${unit === 'fahrenheit' ? 'F' : 'C'})` : '';
   await sendChat(`<i class="${weather.icon || 'fas fa-cloud'}"></i> ${localize(weather.label)}${tempStr}`);
@@ -239,6 +254,27 @@ async function cmdMoon(args) {
   await sendChat(lines.join('<br>'));
 }
 
+/**
+ * Handle /tide command - output today's high and low tides.
+ * @param {string} args - Optional climate zone name or ID
+ * @returns {Promise<void>}
+ */
+async function cmdTide(args) {
+  const calendar = CalendariaAPI.getActiveCalendar();
+  if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoCalendar'));
+  let zone;
+  if (args) {
+    const search = args.toLowerCase();
+    zone = WeatherManager.getCalendarZones().find((z) => z.id.toLowerCase() === search || localize(z.name).toLowerCase() === search);
+    if (!zone) return ui.notifications.warn(format('CALENDARIA.ChatCommand.ZoneNotFound', { zone: args }));
+  }
+  const day = CalendariaAPI.getTides(undefined, zone);
+  if (!day) return sendChat(localize('CALENDARIA.ChatCommand.NoTides'));
+  const kind = day.kind ? ` (${localize(`CALENDARIA.Tides.${day.kind === 'spring' ? 'Spring' : 'Neap'}`)})` : '';
+  const lines = describeTides(day);
+  await sendChat(`<i class="fas fa-water"></i> <strong>${format('CALENDARIA.ChatCommand.TidesHeader', { zone: day.zone.name })}</strong>${kind}<br>${lines.join('<br>')}`);
+}
+
 /**
  * Handle /season command - output current season.
  * @returns {Promise<void>}
@@ -263,7 +299,8 @@ async function cmdToday() {
   const notes = CalendariaAPI.getNotesForDate(dt.year, dt.month, (dt.dayOfMonth ?? 0) + 1);
   if (!notes?.length) return sendChat(localize('CALENDARIA.ChatCommand.NoNotesToday'));
   const lines = notes.map((n) => {
-    const time = n.flagData.allDay ? '' : ` (${String(n.flagData.startDate.hour).padStart(2, '0')}:${String(n.flagData.startDate.minute).padStart(2, '0')})`;
+    const start = n.occurrence?.startDate ?? n.flagData.startDate;
+    const time = n.flagData.allDay ? '' : ` (${String(start.hour).padStart(2, '0')}:${String(start.minute).padStart(2, '0')})`;
     return `• ${n.name}${time}`;
   });
   await sendChat(`<strong>${localize('CALENDARIA.ChatCommand.TodayHeader')}</strong><br>${lines.join('<br>')}`);
@@ -334,15 +371,36 @@ async function cmdAdvance(args) {
   };
 
   try {
+    SessionLedger.tagSource(TIME_SOURCES.CHAT);
     await CalendariaAPI.setDateTime({ ...dt, ...updates[baseUnit] });
     ui.notifications.info(format('CALENDARIA.ChatCommand.TimeAdvanced', { value, unit: unitInput }));
     log(3, `Advanced time by ${value} ${unitInput}`);
   } catch (error) {
     log(1, 'Error advancing time:', error);
     ui.notifications.error(localize('CALENDARIA.ChatCommand.AdvanceError'));
+  } finally {
+    SessionLedger.clearSource(TIME_SOURCES.CHAT);
   }
 }
 
+/**
+ * Handle /undo-time command - undo the most recent time change.
+ * @returns {Promise<void>}
+ */
+async function cmdUndoTime() {
+  if (!game.user.isGM) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoPermission'));
+  await TimeHistory.promptUndo();
+}
+
+/**
+ * Handle /redo-time command - redo the most recently undone time change.
+ * @returns {Promise<void>}
+ */
+async function cmdRedoTime() {
+  if (!game.user.isGM) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoPermission'));
+  await TimeHistory.redo();
+}
+
 /**
  * Handle /calendar command - output full calendar summary.
  * @returns {Promise<void>}
@@ -351,13 +409,14 @@ async function cmdCalendar() {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoCalendar'));
   const lines = [];
-  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Date')}:</strong> ${CalendariaAPI.formatDate(null, 'dateLong')}`);
-  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Time')}:</strong> ${CalendariaAPI.formatDate(null, 'time24')}`);
+  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Date')}:</strong> ${CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), 'dateLong')}`);
+  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Time')}:</strong> ${CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), 'time24')}`);
   const season = CalendariaAPI.getCurrentSeason();
   if (season) lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Season')}:</strong> ${localize(season.name)}`);
-  const weather = WeatherManager.getCurrentWeather();
+  const zoneId = WeatherManager.getViewedZone()?.id;
+  const weather = WeatherManager.getCurrentWeather(zoneId);
   if (weather) {
-    const temp = WeatherManager.getTemperature();
+    const temp = WeatherManager.getTemperature(zoneId);
     const unit = game.settings.get('calendaria', 'temperatureUnit');
     const tempStr = temp != null ? ` (${Math.round(temp)}°${unit === 'fahrenheit' ? 'F' : 'C'})` : '';
     lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Weather')}:</strong> <i class="${weather.icon || 'fas fa-cloud'}"></i> ${localize(weather.label)}${tempStr}`);
@@ -388,7 +447,7 @@ async function cmdCalendar() {
 async function cmdDateTime(formatStr) {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoCalendar'));
-  const formatted = CalendariaAPI.formatDate(null, formatStr || 'dateTimeLong');
+  const formatted = CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), formatStr || 'dateTimeLong');
   await sendChat(formatted);
 }
 
@@ -407,12 +466,15 @@ async function cmdSetDate(args) {
   const month = parseInt(match[2], 10) - 1;
   const day = parseInt(match[3], 10);
   try {
+    SessionLedger.tagSource(TIME_SOURCES.CHAT);
     await CalendariaAPI.jumpToDate({ year, month, day });
     ui.notifications.info(localize('CALENDARIA.ChatCommand.DateSet'));
     log(3, `Set date to ${year}-${month + 1}-${day}`);
   } catch (error) {
     log(1, 'Error setting date:', error);
     ui.notifications.error(localize('CALENDARIA.ChatCommand.SetDateError'));
+  } finally {
+    SessionLedger.clearSource(TIME_SOURCES.CHAT);
   }
 }
 
@@ -432,12 +494,15 @@ async function cmdSetTime(args) {
   const second = match[3] ? parseInt(match[3], 10) : 0;
   const dt = CalendariaAPI.getCurrentDateTime();
   try {
+    SessionLedger.tagSource(TIME_SOURCES.CHAT);
     await CalendariaAPI.setDateTime({ ...dt, hour, minute, second });
     ui.notifications.info(localize('CALENDARIA.ChatCommand.TimeSet'));
     log(3, `Set time to ${hour}:${minute}:${second}`);
   } catch (error) {
     log(1, 'Error setting time:', error);
     ui.notifications.error(localize('CALENDARIA.ChatCommand.SetTimeError'));
+  } finally {
+    SessionLedger.clearSource(TIME_SOURCES.CHAT);
   }
 }
 
@@ -468,6 +533,7 @@ async function cmdSwitchCal(args) {
   if (!calendarId) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.CalendarIdRequired'));
   const calendar = CalendariaAPI.getCalendar(calendarId);
   if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.CalendarNotFound'));
+  if (!canChangeActiveCalendar({ calendarId })) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoPermission'));
   try {
     await CalendariaAPI.switchCalendar(calendarId);
     ui.notifications.info(format('CALENDARIA.ChatCommand.CalendarSwitched', { name: calendar.name }));
@@ -516,3 +582,24 @@ async function cmdCycle() {
   const lines = cycleData.values.map((cycle) => `• <strong>${cycle.cycleName}:</strong> ${cycle.entryName}`);
   await sendChat(lines.join('<br>'));
 }
+
+/**
+ * Handle /activity command - perform a rest, travel or dungeon activity, or list them.
+ * @param {string} args - Activity ID, optionally prefixed with its adapter ID (e.g. ose.nightRest)
+ * @returns {Promise<void>}
+ */
+async function cmdActivity(args) {
+  const calendar = CalendariaAPI.getActiveCalendar();
+  if (!calendar) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoCalendar'));
+  const activities = CalendariaAPI.getActivities();
+  if (!activities.length) return sendChat(localize('CALENDARIA.ChatCommand.NoActivities'));
+  if (!args) {
+    const lines = activities.map((a) => `• <strong>${a.label}:</strong> ${a.adapterId}.${a.activityId}`);
+    return sendChat(`<strong>${localize('CALENDARIA.ChatCommand.Activities')}</strong><br>${lines.join('<br>')}`);
+  }
+  if (!canChangeDateTime()) return ui.notifications.warn(localize('CALENDARIA.ChatCommand.NoPermission'));
+  const activity = findActivity(args);
+  if (!activity) return ui.notifications.warn(format('CALENDARIA.ChatCommand.ActivityNotFound', { activity: args }));
+  const seconds = await CalendariaAPI.performActivity(activity.adapterId, activity.activityId);
+  if (seconds) ui.notifications.info(format('CALENDARIA.ChatCommand.ActivityPerformed', { activity: activity.label, span: formatGameSpan(0, seconds, calendar) }));
+}
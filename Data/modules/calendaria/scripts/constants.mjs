@@ -47,6 +47,7 @@ export const SETTINGS = {
   DEFAULT_OVERRIDES: 'defaultOverrides',
   DEV_MODE: 'devMode',
   DISPLAY_FORMATS: 'displayFormats',
+  EXTERNAL_BRIDGE: 'externalBridge',
   FORCE_HUD: 'forceHUD',
   FORCE_MINI_CAL: 'forceMiniCal',
   HUD_AUTO_FADE: 'hudAutoFade',
@@ -86,10 +87,14 @@ export const SETTINGS = {
   MINI_CAL_STICKY_STATES: 'miniCalStickyStates',
   MINI_CAL_TIME_JUMPS: 'miniCalTimeJumps',
   MINI_CAL_WEATHER_DISPLAY_MODE: 'miniCalWeatherDisplayMode',
+  PARTY_TIMELINES: 'partyTimelines',
   PERMISSIONS: 'permissions',
+  PERMISSION_RULES: 'permissionRules',
   POSITION_LOCKED: 'positionLocked',
   PRIMARY_GM: 'primaryGM',
   SAVED_TIMEPOINTS: 'savedTimepoints',
+  SECONDARY_CALENDAR: 'secondaryCalendar',
+  SESSION_LEDGER: 'sessionLedger',
   SHOW_ACTIVE_CALENDAR_TO_PLAYERS: 'showActiveCalendarToPlayers',
   SHOW_CALENDAR_HUD: 'showCalendarHUD',
   SHOW_JOURNAL_FOOTER: 'showJournalFooter',
@@ -103,6 +108,7 @@ export const SETTINGS = {
   SYNC_CLOCK_PAUSE: 'syncClockPause',
   TEMPERATURE_UNIT: 'temperatureUnit',
   THEME_MODE: 'themeMode',
+  TIME_HISTORY: 'timeHistory',
   TIME_KEEPER_POSITION: 'timeKeeperPosition',
   TIME_SPEED_INCREMENT: 'timeSpeedIncrement',
   TIME_SPEED_MULTIPLIER: 'timeSpeedMultiplier',
@@ -111,7 +117,10 @@ export const SETTINGS = {
   TIMEKEEPER_STICKY_STATES: 'timeKeeperStickyStates',
   TIMEKEEPER_TIME_JUMPS: 'timeKeeperTimeJumps',
   TOOLBAR_APPS: 'toolbarApps',
-  WEATHER_PRESET_ALIASES: 'weatherPresetAliases'
+  WEATHER_HISTORY: 'weatherHistory',
+  WEATHER_HISTORY_DAYS: 'weatherHistoryDays',
+  WEATHER_PRESET_ALIASES: 'weatherPresetAliases',
+  ZONE_WEATHER: 'zoneWeather'
 };
 
 /**
@@ -137,7 +146,8 @@ export const SCENE_FLAGS = {
   BRIGHTNESS_MULTIPLIER: 'brightnessMultiplier',
   CLIMATE_ZONE_OVERRIDE: 'climateZoneOverride',
   DARKNESS_SYNC: 'darknessSync',
-  HUD_HIDE_FOR_PLAYERS: 'hudHideForPlayers'
+  HUD_HIDE_FOR_PLAYERS: 'hudHideForPlayers',
+  LIGHTING_PROFILE: 'lightingProfile'
 };
 
 /** Template file paths for UI components */
@@ -149,6 +159,7 @@ export const TEMPLATES = {
     PANEL_NOTES: `modules/${MODULE.ID}/templates/settings/tab-notes.hbs`,
     PANEL_TIME: `modules/${MODULE.ID}/templates/settings/tab-time.hbs`,
     PANEL_WEATHER: `modules/${MODULE.ID}/templates/settings/tab-weather.hbs`,
+    PANEL_WEATHER_HISTORY: `modules/${MODULE.ID}/templates/settings/tab-weather-history.hbs`,
     PANEL_THEME: `modules/${MODULE.ID}/templates/settings/tab-theme.hbs`,
     PANEL_MACROS: `modules/${MODULE.ID}/templates/settings/tab-macros.hbs`,
     PANEL_CHAT: `modules/${MODULE.ID}/templates/settings/tab-chat.hbs`,
@@ -164,6 +175,7 @@ export const TEMPLATES = {
   },
   PARTIALS: {
     SCENE_DARKNESS_SYNC: `modules/${MODULE.ID}/templates/partials/scene-darkness-sync.hbs`,
+    SCENE_LIGHTING_PROFILE: `modules/${MODULE.ID}/templates/partials/scene-lighting-profile.hbs`,
     DATE_PICKER: `modules/${MODULE.ID}/templates/partials/dialog-date-picker.hbs`,
     CHAT_ANNOUNCEMENT: `modules/${MODULE.ID}/templates/partials/chat-announcement.hbs`
   },
@@ -180,6 +192,7 @@ export const TEMPLATES = {
     CALENDAR_CONTENT: `modules/${MODULE.ID}/templates/sheets/calendar-content.hbs`,
     CALENDAR_WEEK: `modules/${MODULE.ID}/templates/sheets/calendar-week.hbs`,
     CALENDAR_YEAR: `modules/${MODULE.ID}/templates/sheets/calendar-year.hbs`,
+    CALENDAR_TIMELINE: `modules/${MODULE.ID}/templates/sheets/calendar-timeline.hbs`,
     CALENDAR_NOTE_FORM: `modules/${MODULE.ID}/templates/sheets/calendar-note-form.hbs`,
     CALENDAR_NOTE_VIEW: `modules/${MODULE.ID}/templates/sheets/calendar-note-view.hbs`
   },
@@ -195,14 +208,24 @@ export const TEMPLATES = {
     TAB_MOONS: `modules/${MODULE.ID}/templates/editor/tab-moons.hbs`,
     TAB_FESTIVALS: `modules/${MODULE.ID}/templates/editor/tab-festivals.hbs`,
     TAB_CYCLES: `modules/${MODULE.ID}/templates/editor/tab-cycles.hbs`,
+    TAB_PREVIEW: `modules/${MODULE.ID}/templates/editor/tab-preview.hbs`,
     TAB_WEATHER: `modules/${MODULE.ID}/templates/editor/tab-weather.hbs`
   },
-  IMPORTER: { APP: `modules/${MODULE.ID}/templates/importers/importer-app.hbs` },
+  IMPORTER: {
+    APP: `modules/${MODULE.ID}/templates/importers/importer-app.hbs`,
+    MERGE: `modules/${MODULE.ID}/templates/importers/calendar-merge.hbs`
+  },
   WEATHER: {
     PICKER: `modules/${MODULE.ID}/templates/weather/weather-picker.hbs`,
     CLIMATE_EDITOR: `modules/${MODULE.ID}/templates/weather/climate-editor.hbs`
   },
-  SEARCH: { PANEL: `modules/${MODULE.ID}/templates/search/search-panel.hbs` },
+  SEARCH: {
+    PANEL: `modules/${MODULE.ID}/templates/search/search-panel.hbs`,
+    PALETTE_QUERY: `modules/${MODULE.ID}/templates/search/search-palette-query.hbs`,
+    PALETTE_RESULTS: `modules/${MODULE.ID}/templates/search/search-palette-results.hbs`
+  },
+  PARTY_TIMELINES: `modules/${MODULE.ID}/templates/applications/party-timelines.hbs`,
+  SESSION_LEDGER: `modules/${MODULE.ID}/templates/applications/session-ledger.hbs`,
   SET_DATE_DIALOG: `modules/${MODULE.ID}/templates/set-date-dialog.hbs`
 };
 
@@ -225,6 +248,7 @@ export const DEFAULT_MOON_PHASES = {
 
 /** @enum {string} Custom hook names fired by the module */
 export const HOOKS = {
+  ACTIVITY_PERFORMED: 'calendaria.activityPerformed',
   CALENDAR_ADDED: 'calendaria.calendarAdded',
   CALENDAR_REMOVED: 'calendaria.calendarRemoved',
   CALENDAR_SWITCHED: 'calendaria.calendarSwitched',
@@ -233,6 +257,7 @@ export const HOOKS = {
   CLOCK_UPDATE: 'calendaria.clockUpdate',
   DATE_TIME_CHANGE: 'calendaria.dateTimeChange',
   DAY_CHANGE: 'calendaria.dayChange',
+  EVENT_CHAIN_RESOLVED: 'calendaria.eventChainResolved',
   EVENT_DAY_CHANGED: 'calendaria.eventDayChanged',
   EVENT_TRIGGERED: 'calendaria.eventTriggered',
   IMPORT_COMPLETE: 'calendaria.importComplete',
@@ -253,15 +278,24 @@ export const HOOKS = {
   REMOTE_DATE_CHANGE: 'calendaria.remoteDateChange',
   RENDER_CALENDAR: 'calendaria.renderCalendar',
   REST_DAY_CHANGE: 'calendaria.restDayChange',
+  SCHEDULE_CONFIRMED: 'calendaria.scheduleConfirmed',
+  SCHEDULE_RESPONSE: 'calendaria.scheduleResponse',
   SEASON_CHANGE: 'calendaria.seasonChange',
+  SESSION_END: 'calendaria.sessionEnd',
+  SESSION_START: 'calendaria.sessionStart',
   STOPWATCH_LAP: 'calendaria.stopwatchLap',
   STOPWATCH_PAUSE: 'calendaria.stopwatchPause',
   STOPWATCH_RESET: 'calendaria.stopwatchReset',
   STOPWATCH_START: 'calendaria.stopwatchStart',
   SUNRISE: 'calendaria.sunrise',
   SUNSET: 'calendaria.sunset',
+  TIME_REDO: 'calendaria.timeRedo',
+  TIME_UNDO: 'calendaria.timeUndo',
+  TIMELINES_SYNCED: 'calendaria.timelinesSynced',
+  TIMELINES_UPDATED: 'calendaria.timelinesUpdated',
   VISUAL_TICK: 'calendaria.visualTick',
   WEATHER_CHANGE: 'calendaria.weatherChange',
+  WEATHER_MECHANICS: 'calendaria.weatherMechanics',
   WIDGET_REGISTERED: 'calendaria.widgetRegistered',
   WIDGETS_REFRESH: 'calendaria.widgetsRefresh',
   WORLD_TIME_UPDATED: 'calendaria.worldTimeUpdated',
@@ -280,6 +314,11 @@ export const SHEETS = {
 
 /** @enum {string} Socket message types for multiplayer sync */
 export const SOCKET_TYPES = {
+  BRIDGE_EVENT: 'bridgeEvent',
+  BRIDGE_JOIN: 'bridgeJoin',
+  BRIDGE_LEAVE: 'bridgeLeave',
+  BRIDGE_REQUEST: 'bridgeRequest',
+  BRIDGE_RESPONSE: 'bridgeResponse',
   CALENDAR_REQUEST: 'calendarRequest',
   CALENDAR_SWITCH: 'calendarSwitch',
   CLOCK_UPDATE: 'clockUpdate',
@@ -290,12 +329,33 @@ export const SOCKET_TYPES = {
   MINI_CAL_VISIBILITY: 'miniCalVisibility',
   NOTE_UPDATE: 'noteUpdate',
   REMINDER_NOTIFY: 'reminderNotify',
+  SCHEDULE_RESPONSE: 'scheduleResponse',
   TIME_KEEPER_VISIBILITY: 'timeKeeperVisibility',
+  TIME_REPLAY: 'timeReplay',
   TIME_REQUEST: 'timeRequest',
   WEATHER_CHANGE: 'weatherChange',
   WEATHER_REQUEST: 'weatherRequest'
 };
 
+/** @enum {string} Where a world time change came from, as recorded in the session ledger */
+export const TIME_SOURCES = {
+  API: 'api',
+  BIG_CAL: 'bigCal',
+  CHAT: 'chat',
+  DUNGEON: 'dungeon',
+  HUD: 'hud',
+  MINI_CAL: 'miniCal',
+  REDO: 'redo',
+  REQUEST: 'request',
+  REST: 'rest',
+  SET_DATE: 'setDate',
+  TIME_CLOCK: 'timeClock',
+  TIMELINE_SYNC: 'timelineSync',
+  TRAVEL: 'travel',
+  UNDO: 'undo',
+  UNKNOWN: 'unknown'
+};
+
 /** @enum {string} Widget insertion points for external modules */
 export const WIDGET_POINTS = {
   BIGCAL_ACTIONS: 'bigcal.actions',
@@ -5,12 +5,16 @@
  */
 
 import { MODULE, SCENE_FLAGS, SETTINGS, SOCKET_TYPES, TEMPLATES } from './constants.mjs';
+import { calculateProfileLighting, getActiveLightingProfile, getLightingProfile, getMoonIllumination, getProfileUpdateData, LIGHTING_PHASES } from './lighting-profiles.mjs';
 import { log } from './utils/logger.mjs';
 import { CalendariaSocket } from './utils/socket.mjs';
 import WeatherManager from './weather/weather-manager.mjs';
 
-/** @type {number|null} Last hour we calculated darkness for */
-let lastHour = null;
+/** Smallest change in time-of-day darkness that is worth a scene update. */
+const DARKNESS_STEP = 0.005;
+
+/** @type {Map<string, number>} Time-of-day darkness last applied to each scene, by scene ID */
+const lastDarkness = new Map();
 
 /**
  * Calculate darkness level based on time of day, shaped by sunrise and sunset.
@@ -63,6 +67,7 @@ export function getCurrentDarkness(scene = null) {
 
 /**
  * Calculate adjusted darkness with scene, climate, and weather modifiers.
+ * Scenes with a lighting profile apply weather dimming through the profile instead.
  * @param {number} baseDarkness - Base darkness from time of day (0-1)
  * @param {object} scene - The scene to get modifiers from
  * @returns {number} Adjusted darkness level (0-1)
@@ -77,8 +82,8 @@ export function calculateAdjustedDarkness(baseDarkness, scene) {
   const adjustedBrightness = brightness * sceneBrightnessMult * climateBrightnessMult;
   let adjustedDarkness = 1 - adjustedBrightness;
   const weatherSync = game.settings.get(MODULE.ID, SETTINGS.DARKNESS_WEATHER_SYNC);
-  if (weatherSync) {
-    const currentWeather = WeatherManager.getCurrentWeather?.();
+  if (weatherSync && !getActiveLightingProfile(scene)) {
+    const currentWeather = WeatherManager.getCurrentWeather?.(activeZone?.id);
     const weatherDarknessPenalty = currentWeather?.darknessPenalty ?? 0;
     adjustedDarkness += weatherDarknessPenalty;
   }
@@ -92,7 +97,7 @@ export function calculateAdjustedDarkness(baseDarkness, scene) {
  */
 export function calculateEnvironmentLighting(scene) {
   const activeZone = WeatherManager.getActiveZone?.(null, scene);
-  const currentWeather = WeatherManager.getCurrentWeather?.();
+  const currentWeather = WeatherManager.getCurrentWeather?.(activeZone?.id);
   let baseHue = activeZone?.environmentBase?.hue ?? null;
   let baseSaturation = activeZone?.environmentBase?.saturation ?? null;
   let darkHue = activeZone?.environmentDark?.hue ?? null;
@@ -138,7 +143,37 @@ async function applyEnvironmentLighting(scene, lighting) {
 }
 
 /**
- * Inject the darkness sync override setting into the scene configuration sheet.
+ * Apply a scene's lighting profile in place of the plain darkness and ambience update.
+ * @param {object} scene - The scene to update
+ * @param {number} baseDarkness - Darkness from time of day alone (0-1)
+ * @param {object} timing - Time of day inputs
+ * @param {number} timing.hour - Current hour (decimal)
+ * @param {number|null} timing.sunrise - Sunrise hour (decimal)
+ * @param {number|null} timing.sunset - Sunset hour (decimal)
+ * @param {number} timing.hoursPerDay - Hours per day
+ * @returns {Promise<boolean>} True if the scene has an enabled profile and it was applied
+ */
+async function applySceneLightingProfile(scene, baseDarkness, { hour, sunrise, sunset, hoursPerDay }) {
+  const profile = getActiveLightingProfile(scene);
+  if (!profile) return false;
+  const zone = WeatherManager.getActiveZone?.(null, scene);
+  const lighting = calculateProfileLighting(profile, {
+    darkness: calculateAdjustedDarkness(baseDarkness, scene),
+    baseDarkness,
+    hour,
+    sunrise,
+    sunset,
+    hoursPerDay,
+    moonIllumination: getMoonIllumination(),
+    weather: WeatherManager.getCurrentWeather?.(zone?.id)
+  });
+  await scene.update(getProfileUpdateData(lighting), { animateDarkness: true });
+  log(3, `Applied lighting profile to ${scene.name}:`, lighting);
+  return true;
+}
+
+/**
+ * Inject the darkness sync override setting and lighting profile into the scene configuration sheet.
  * @param {object} app - The scene configuration application
  * @param {HTMLElement} html - The rendered HTML element
  * @param {object} _data - The scene data
@@ -164,8 +199,14 @@ export async function onRenderSceneConfig(app, html, _data) {
     climateZoneOverride,
     climateZones
   });
+  const profile = getLightingProfile(app.document);
+  const profileGroup = await foundry.applications.handlebars.renderTemplate(TEMPLATES.PARTIALS.SCENE_LIGHTING_PROFILE, {
+    name: `flags.${MODULE.ID}.${SCENE_FLAGS.LIGHTING_PROFILE}`,
+    profile,
+    phases: LIGHTING_PHASES.map((id) => ({ id, label: `CALENDARIA.Scene.LightingProfile.Phase.${id.capitalize()}`, ...profile.keyframes[id] }))
+  });
   const ambientLightField = html.querySelector('[name="environment.globalLight.enabled"]')?.closest('.form-group');
-  if (ambientLightField) ambientLightField.insertAdjacentHTML('afterend', formGroup);
+  if (ambientLightField) ambientLightField.insertAdjacentHTML('afterend', formGroup + profileGroup);
   else log(2, 'Could not find ambiance section to inject darkness sync setting');
   const rangeInput = html.querySelector(`[name="flags.${MODULE.ID}.${SCENE_FLAGS.BRIGHTNESS_MULTIPLIER}"]`);
   if (rangeInput) {
@@ -178,7 +219,8 @@ export async function onRenderSceneConfig(app, html, _data) {
 
 /**
  * Update scene darkness when world time changes.
- * Computes per-scene darkness based on each scene's active climate zone.
+ * Computes per-scene darkness based on each scene's active climate zone, to the minute so dawn
+ * and dusk ramp smoothly. A scene is only updated once its darkness has moved by DARKNESS_STEP.
  * @param {number} worldTime - The new world time
  * @param {number} _dt - The time delta
  */
@@ -187,19 +229,23 @@ export async function updateDarknessFromWorldTime(worldTime, _dt) {
   const calendar = game.time.calendar;
   const components = game.time.components ?? calendar?.timeToComponents(worldTime);
   const currentHour = components?.hour ?? 0;
-  if (lastHour !== null && lastHour === currentHour) return;
-  lastHour = currentHour;
+  const currentMinute = components?.minute ?? 0;
   const hoursPerDay = calendar?.days?.hoursPerDay ?? 24;
   const minutesPerHour = calendar?.days?.minutesPerHour ?? 60;
+  const hour = currentHour + currentMinute / minutesPerHour;
   for (const scene of getDarknessScenes()) {
     const zone = WeatherManager.getActiveZone?.(null, scene);
     const sunrise = calendar?.sunrise?.(components, zone) ?? null;
     const sunset = calendar?.sunset?.(components, zone) ?? null;
-    const baseDarkness = calculateDarknessFromTime(currentHour, 0, hoursPerDay, minutesPerHour, sunrise, sunset);
+    const baseDarkness = calculateDarknessFromTime(currentHour, currentMinute, hoursPerDay, minutesPerHour, sunrise, sunset);
+    const previous = lastDarkness.get(scene.id);
+    if (previous !== undefined && Math.abs(baseDarkness - previous) < DARKNESS_STEP) continue;
+    lastDarkness.set(scene.id, baseDarkness);
+    if (await applySceneLightingProfile(scene, baseDarkness, { hour, sunrise, sunset, hoursPerDay })) continue;
     const darkness = calculateAdjustedDarkness(baseDarkness, scene);
     scene.update({ 'environment.darknessLevel': darkness }, { animateDarkness: true });
+    log(3, `Time of day changed, transitioning ${scene.name} darkness to ${darkness.toFixed(3)}`);
   }
-  log(3, `Hour changed: ${lastHour} → ${currentHour}`);
 }
 
 /**
@@ -230,19 +276,27 @@ function getDarknessScenes() {
 
 /**
  * Handle weather change to update scene darkness and environment lighting.
+ * Only scenes in the climate zone whose weather changed are updated.
+ * @param {object} [data] - Weather change hook data
+ * @param {string} [data.zone] - Zone the weather changed in
  */
-export async function onWeatherChange() {
+export async function onWeatherChange({ zone } = {}) {
   if (!CalendariaSocket.isPrimaryGM()) return;
   const calendar = game.time.calendar;
   const components = game.time.components;
   const currentHour = components?.hour ?? 0;
+  const currentMinute = components?.minute ?? 0;
   const hoursPerDay = calendar?.days?.hoursPerDay ?? 24;
   const minutesPerHour = calendar?.days?.minutesPerHour ?? 60;
+  const hour = currentHour + currentMinute / minutesPerHour;
   for (const scene of getDarknessScenes()) {
-    const zone = WeatherManager.getActiveZone?.(null, scene);
-    const sunrise = calendar?.sunrise?.(components, zone) ?? null;
-    const sunset = calendar?.sunset?.(components, zone) ?? null;
-    const baseDarkness = calculateDarknessFromTime(currentHour, 0, hoursPerDay, minutesPerHour, sunrise, sunset);
+    const sceneZone = WeatherManager.getActiveZone?.(null, scene);
+    if (zone && (sceneZone?.id ?? zone) !== zone) continue;
+    const sunrise = calendar?.sunrise?.(components, sceneZone) ?? null;
+    const sunset = calendar?.sunset?.(components, sceneZone) ?? null;
+    const baseDarkness = calculateDarknessFromTime(currentHour, currentMinute, hoursPerDay, minutesPerHour, sunrise, sunset);
+    lastDarkness.set(scene.id, baseDarkness);
+    if (await applySceneLightingProfile(scene, baseDarkness, { hour, sunrise, sunset, hoursPerDay })) continue;
     const darkness = calculateAdjustedDarkness(baseDarkness, scene);
     scene.update({ 'environment.darknessLevel': darkness }, { animateDarkness: true });
     const lighting = calculateEnvironmentLighting(scene);
@@ -252,26 +306,32 @@ export async function onWeatherChange() {
 }
 
 /**
- * Handle scene update to sync darkness when a scene becomes active.
+ * Handle scene update to sync darkness when a scene becomes active or its lighting profile changes.
  * @param {object} scene - The scene that was updated
  * @param {object} change - The change data
  */
 export async function onUpdateScene(scene, change) {
   if (!CalendariaSocket.isPrimaryGM()) return;
-  if (!change.active) return;
-  if (scene.getFlag(MODULE.ID, SCENE_FLAGS.HUD_HIDE_FOR_PLAYERS)) CalendariaSocket.emit(SOCKET_TYPES.HUD_VISIBILITY, { visible: false });
-  else CalendariaSocket.emit(SOCKET_TYPES.HUD_VISIBILITY, { visible: true });
+  const profileChanged = foundry.utils.hasProperty(change, `flags.${MODULE.ID}.${SCENE_FLAGS.LIGHTING_PROFILE}`);
+  if (!change.active && !profileChanged) return;
+  if (change.active) {
+    if (scene.getFlag(MODULE.ID, SCENE_FLAGS.HUD_HIDE_FOR_PLAYERS)) CalendariaSocket.emit(SOCKET_TYPES.HUD_VISIBILITY, { visible: false });
+    else CalendariaSocket.emit(SOCKET_TYPES.HUD_VISIBILITY, { visible: true });
+  }
   if (!shouldSyncSceneDarkness(scene)) return;
-  lastHour = null;
+  if (!change.active && !getDarknessScenes().includes(scene)) return;
   const calendar = game.time.calendar;
   const components = game.time.components;
   const currentHour = components?.hour ?? 0;
+  const currentMinute = components?.minute ?? 0;
   const hoursPerDay = calendar?.days?.hoursPerDay ?? 24;
   const minutesPerHour = calendar?.days?.minutesPerHour ?? 60;
   const zone = WeatherManager.getActiveZone?.(null, scene);
   const sunrise = calendar?.sunrise?.(components, zone) ?? null;
   const sunset = calendar?.sunset?.(components, zone) ?? null;
-  const baseDarkness = calculateDarknessFromTime(currentHour, 0, hoursPerDay, minutesPerHour, sunrise, sunset);
+  const baseDarkness = calculateDarknessFromTime(currentHour, currentMinute, hoursPerDay, minutesPerHour, sunrise, sunset);
+  lastDarkness.set(scene.id, baseDarkness);
+  if (await applySceneLightingProfile(scene, baseDarkness, { hour: currentHour + currentMinute / minutesPerHour, sunrise, sunset, hoursPerDay })) return;
   const darkness = calculateAdjustedDarkness(baseDarkness, scene);
   scene.update({ 'environment.darknessLevel': darkness }, { animateDarkness: true });
   const lighting = calculateEnvironmentLighting(scene);
@@ -8,17 +8,24 @@
 import { BigCal } from './applications/big-cal.mjs';
 import { HUD } from './applications/hud.mjs';
 import { MiniCal } from './applications/mini-cal.mjs';
+import { PartyTimelinesApp } from './applications/party-timelines.mjs';
+import { SearchPalette } from './applications/search-palette.mjs';
+import { SessionLedgerApp } from './applications/session-ledger.mjs';
 import { Stopwatch } from './applications/stopwatch.mjs';
 import { TimeKeeper } from './applications/time-keeper.mjs';
+import { clearAstronomyCache } from './calendar/astronomy.mjs';
 import CalendarManager from './calendar/calendar-manager.mjs';
 import { onChatMessage } from './chat/chat-commands.mjs';
 import { onPreCreateChatMessage, onRenderAnnouncementMessage, onRenderChatMessageHTML } from './chat/chat-timestamp.mjs';
 import { HOOKS, MODULE, SETTINGS } from './constants.mjs';
 import { onRenderSceneConfig, onUpdateScene, onWeatherChange, updateDarknessFromWorldTime } from './darkness.mjs';
-import { onLongRest, onPreRest } from './integrations/rest-time.mjs';
+import ExternalBridge from './integrations/external-bridge.mjs';
+import ChainManager from './notes/chain-manager.mjs';
 import NoteManager from './notes/note-manager.mjs';
+import SearchIndex from './search/search-index.mjs';
 import EventScheduler from './time/event-scheduler.mjs';
 import ReminderScheduler from './time/reminder-scheduler.mjs';
+import TimeHistory from './time/time-history.mjs';
 import TimeTracker from './time/time-tracker.mjs';
 import { onRenderDocumentDirectory } from './utils/journal-button.mjs';
 import { localize } from './utils/localization.mjs';
@@ -32,24 +39,36 @@ export function registerHooks() {
   Hooks.on('chatMessage', onChatMessage);
   Hooks.on('closeGame', CalendarManager.onCloseGame.bind(CalendarManager));
   Hooks.on('createJournalEntryPage', NoteManager.onCreateJournalEntryPage.bind(NoteManager));
+  Hooks.on('createJournalEntryPage', TimeHistory.onCreateJournalEntryPage.bind(TimeHistory));
   Hooks.on('deleteJournalEntry', NoteManager.onDeleteJournalEntry.bind(NoteManager));
   Hooks.on('deleteJournalEntryPage', NoteManager.onDeleteJournalEntryPage.bind(NoteManager));
-  Hooks.on('dnd5e.longRest', onLongRest);
-  Hooks.on('dnd5e.preLongRest', onPreRest);
-  Hooks.on('dnd5e.preShortRest', onPreRest);
   Hooks.on('preCreateChatMessage', onPreCreateChatMessage);
   Hooks.on('preDeleteFolder', NoteManager.onPreDeleteFolder.bind(NoteManager));
   Hooks.on('preDeleteJournalEntry', NoteManager.onPreDeleteJournalEntry.bind(NoteManager));
+  Hooks.on('preUpdateJournalEntryPage', NoteManager.onPreUpdateJournalEntryPage.bind(NoteManager));
   Hooks.on('renderChatMessageHTML', onRenderAnnouncementMessage);
   Hooks.on('renderChatMessageHTML', onRenderChatMessageHTML);
   Hooks.on('renderDocumentDirectory', onRenderDocumentDirectory);
   Hooks.on('renderSceneConfig', onRenderSceneConfig);
   Hooks.on('updateJournalEntryPage', NoteManager.onUpdateJournalEntryPage.bind(NoteManager));
+  Hooks.on('updateJournalEntryPage', ChainManager.onUpdateJournalEntryPage.bind(ChainManager));
   Hooks.on('updateScene', onUpdateScene);
   Hooks.on('updateSetting', CalendarManager.onUpdateSetting.bind(CalendarManager));
   Hooks.on('updateWorldTime', onUpdateWorldTime);
   Hooks.on('getSceneControlButtons', onGetSceneControlButtons);
+  Hooks.on(HOOKS.CALENDAR_SWITCHED, clearAstronomyCache);
+  Hooks.on(HOOKS.CALENDAR_UPDATED, clearAstronomyCache);
+  Hooks.on(HOOKS.CALENDAR_SWITCHED, SearchIndex.onCalendarChanged.bind(SearchIndex));
+  Hooks.on(HOOKS.CALENDAR_UPDATED, SearchIndex.onCalendarChanged.bind(SearchIndex));
+  Hooks.on(HOOKS.NOTE_CREATED, SearchIndex.onNoteChanged.bind(SearchIndex));
+  Hooks.on(HOOKS.NOTE_DELETED, SearchIndex.onNoteDeleted.bind(SearchIndex));
+  Hooks.on(HOOKS.NOTE_UPDATED, SearchIndex.onNoteChanged.bind(SearchIndex));
+  Hooks.on(HOOKS.TIMELINES_UPDATED, onTimelinesUpdated);
   Hooks.on(HOOKS.WEATHER_CHANGE, onWeatherChange);
+  Hooks.on(HOOKS.CALENDAR_SWITCHED, ExternalBridge.onCalendarSwitched.bind(ExternalBridge));
+  Hooks.on(HOOKS.EVENT_TRIGGERED, ExternalBridge.onEventTriggered.bind(ExternalBridge));
+  Hooks.on(HOOKS.WEATHER_CHANGE, ExternalBridge.onWeatherChange.bind(ExternalBridge));
+  Hooks.on('userConnected', ExternalBridge.onUserConnected.bind(ExternalBridge));
   Hooks.once('ready', () => Stopwatch.restore());
   HUD.registerCombatHooks();
   log(3, 'Hooks registered');
@@ -60,22 +79,42 @@ export function registerHooks() {
  * then fires calendaria.worldTimeUpdated for UI apps.
  * @param {number} worldTime - The new world time
  * @param {number} dt - The delta time in seconds
+ * @param {object} _options - Update options
+ * @param {string} userId - ID of the user who changed the time
  */
-function onUpdateWorldTime(worldTime, dt) {
-  EventScheduler.onUpdateWorldTime(worldTime, dt);
+function onUpdateWorldTime(worldTime, dt, _options, userId) {
+  const replay = TimeHistory.consumeReplay(worldTime);
+  if (replay) {
+    EventScheduler.resync(worldTime);
+    ReminderScheduler.resync(worldTime);
+  } else {
+    EventScheduler.onUpdateWorldTime(worldTime, dt);
+    ReminderScheduler.onUpdateWorldTime(worldTime, dt);
+  }
   updateDarknessFromWorldTime(worldTime, dt);
-  ReminderScheduler.onUpdateWorldTime(worldTime, dt);
-  TimeTracker.onUpdateWorldTime(worldTime, dt);
+  TimeTracker.onUpdateWorldTime(worldTime, dt, userId, { replay });
+  ExternalBridge.onUpdateWorldTime();
   Hooks.callAll(HOOKS.WORLD_TIME_UPDATED, worldTime, dt);
 }
 
+/**
+ * Check notes and reminders on party timelines after timelines change.
+ */
+function onTimelinesUpdated() {
+  EventScheduler.checkTimelines();
+  ReminderScheduler.checkTimelines();
+}
+
 /** App definitions for toolbar buttons. */
 const TOOLBAR_APP_DEFS = {
   bigcal: { icon: 'fa-calendar-days', label: 'CALENDARIA.SettingsPanel.Tab.BigCal', toggle: () => BigCal.toggle() },
   minical: { icon: 'fa-compress', label: 'CALENDARIA.SettingsPanel.Tab.MiniCal', toggle: () => MiniCal.toggle() },
   hud: { icon: 'fa-sun', label: 'CALENDARIA.SettingsPanel.Tab.HUD', toggle: () => HUD.toggle() },
   timekeeper: { icon: 'fa-gauge', label: 'CALENDARIA.SettingsPanel.Tab.TimeKeeper', toggle: () => TimeKeeper.toggle() },
-  stopwatch: { icon: 'fa-stopwatch', label: 'CALENDARIA.SettingsPanel.Tab.Stopwatch', toggle: () => Stopwatch.toggle() }
+  stopwatch: { icon: 'fa-stopwatch', label: 'CALENDARIA.SettingsPanel.Tab.Stopwatch', toggle: () => Stopwatch.toggle() },
+  sessions: { icon: 'fa-book-journal-whills', label: 'CALENDARIA.SessionLedger.Title', toggle: () => SessionLedgerApp.toggle() },
+  timelines: { icon: 'fa-code-branch', label: 'CALENDARIA.PartyTimelines.Title', toggle: () => PartyTimelinesApp.toggle() },
+  search: { icon: 'fa-magnifying-glass', label: 'CALENDARIA.SearchPalette.Title', toggle: () => SearchPalette.toggle() }
 };
 
 /**
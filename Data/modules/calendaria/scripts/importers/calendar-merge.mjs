@@ -0,0 +1,227 @@
+/**
+ * Calendar Merge
+ * Diffs an incoming imported calendar against an existing custom calendar and applies
+ * only the changes the user accepted, so re-importing an updated source keeps local edits.
+ * @module Importers/CalendarMerge
+ * @author Tyler
+ */
+
+import NoteManager from '../notes/note-manager.mjs';
+import { localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+
+/**
+ * Collections compared during a merge.
+ * Months and weekdays are matched by position since their names are what users rename;
+ * moons, festivals and eras are matched by name since sources add and reorder them freely.
+ */
+export const MERGE_SECTIONS = {
+  months: { path: 'months.values', match: 'position', label: 'CALENDARIA.Common.Months', icon: 'fa-calendar-days' },
+  weekdays: { path: 'days.values', match: 'position', label: 'CALENDARIA.Common.Weekdays', icon: 'fa-calendar-week' },
+  moons: { path: 'moons', match: 'name', label: 'CALENDARIA.Common.Moons', icon: 'fa-moon' },
+  festivals: { path: 'festivals', match: 'name', label: 'CALENDARIA.Common.Festivals', icon: 'fa-star' },
+  eras: { path: 'eras', match: 'name', label: 'CALENDARIA.Common.Eras', icon: 'fa-hourglass' }
+};
+
+/** Item properties never compared: positions are implied by order and IDs are local. */
+const IGNORED_FIELDS = new Set(['ordinal', 'id', '_id']);
+
+/**
+ * @typedef {object} MergeChange
+ * @property {string} id - Unique change ID
+ * @property {string} section - Section key (months, weekdays, moons, festivals, eras, notes)
+ * @property {'added'|'removed'|'changed'} kind - Change kind
+ * @property {string|null} key - Key of the existing item (collection key or note page ID)
+ * @property {string} itemName - Display name of the item
+ * @property {string|null} field - Changed field for 'changed' changes
+ * @property {*} current - Existing value (item for 'removed')
+ * @property {*} incoming - Incoming value (item for 'added')
+ * @property {boolean} accepted - Whether the change will be applied
+ */
+
+/**
+ * Get a collection's entries in display order, whether stored as a keyed object or an array.
+ * @param {object|Array|undefined} collection - Collection
+ * @returns {Array<[string|null, object]>} Key and item pairs (key is null for arrays)
+ */
+function getEntries(collection) {
+  if (!collection) return [];
+  if (Array.isArray(collection)) return collection.map((item) => [null, item]);
+  const entries = Object.entries(collection);
+  if (entries.some(([, item]) => item?.ordinal != null)) entries.sort(([, a], [, b]) => (a.ordinal ?? 0) - (b.ordinal ?? 0));
+  return entries;
+}
+
+/**
+ * Normalize an item name for matching, resolving localization keys.
+ * @param {string} name - Name or localization key
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return localize(name ?? '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Whether two field values are equivalent. Strings compare by their localized text.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return a === b || localize(a) === localize(b);
+  if (a && b && typeof a === 'object' && typeof b === 'object') return foundry.utils.objectsEqual(a, b);
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Diff one collection.
+ * @param {string} section - Section key
+ * @param {object|Array} existing - Existing collection
+ * @param {object|Array} incoming - Incoming collection
+ * @returns {MergeChange[]} Changes
+ */
+function diffSection(section, existing, incoming) {
+  const { match } = MERGE_SECTIONS[section];
+  const existingEntries = getEntries(existing);
+  const incomingEntries = getEntries(incoming);
+  const unmatched = new Set(existingEntries.map((_, index) => index));
+  const changes = [];
+  incomingEntries.forEach(([, item], index) => {
+    const matchIndex = match === 'position' ? (index < existingEntries.length ? index : -1) : existingEntries.findIndex(([, e], i) => unmatched.has(i) && normalizeName(e.name) === normalizeName(item.name));
+    if (matchIndex === -1) {
+      changes.push({ id: `${section}.added.${index}`, section, kind: 'added', key: null, itemName: localize(item.name ?? ''), field: null, current: null, incoming: item, accepted: true });
+      return;
+    }
+    unmatched.delete(matchIndex);
+    const [key, current] = existingEntries[matchIndex];
+    for (const [field, value] of Object.entries(item)) {
+      if (IGNORED_FIELDS.has(field) || value === undefined || valuesEqual(current[field], value)) continue;
+      changes.push({ id: `${section}.${key}.${field}`, section, kind: 'changed', key, itemName: localize(current.name ?? ''), field, current: current[field], incoming: value, accepted: true });
+    }
+  });
+  for (const index of unmatched) {
+    const [key, item] = existingEntries[index];
+    changes.push({ id: `${section}.${key}.removed`, section, kind: 'removed', key, itemName: localize(item.name ?? ''), field: null, current: item, incoming: null, accepted: false });
+  }
+  return changes;
+}
+
+/**
+ * Convert note HTML to comparable plain text.
+ * @param {string} html - Note content
+ * @returns {string} Plain text
+ */
+function plainText(html) {
+  return (html ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Diff incoming notes against the notes already on a calendar, matched by name.
+ * Dates compare month and day only, as importers differ in how they store years.
+ * @param {string} calendarId - Existing calendar ID
+ * @param {object[]} incomingNotes - Notes extracted by the importer
+ * @returns {MergeChange[]} Changes
+ */
+export function diffNotes(calendarId, incomingNotes = []) {
+  const existing = NoteManager.getAllNotes().filter((note) => note.calendarId === calendarId);
+  const unmatched = new Set(existing.map((note) => note.id));
+  const changes = [];
+  incomingNotes.forEach((note, index) => {
+    const stub = existing.find((n) => unmatched.has(n.id) && normalizeName(n.name) === normalizeName(note.name));
+    if (!stub) {
+      changes.push({ id: `notes.added.${index}`, section: 'notes', kind: 'added', key: null, itemName: note.name, field: null, current: null, incoming: note, accepted: true });
+      return;
+    }
+    unmatched.delete(stub.id);
+    const currentDate = stub.flagData?.startDate ?? {};
+    const incomingDate = note.startDate ?? {};
+    if (incomingDate.month !== undefined && (currentDate.month !== incomingDate.month || currentDate.day !== incomingDate.day)) {
+      changes.push({ id: `notes.${stub.id}.startDate`, section: 'notes', kind: 'changed', key: stub.id, itemName: stub.name, field: 'startDate', current: { month: currentDate.month, day: currentDate.day }, incoming: { month: incomingDate.month, day: incomingDate.day }, accepted: true });
+    }
+    if (note.repeat && note.repeat !== (stub.flagData?.repeat ?? 'never')) {
+      changes.push({ id: `notes.${stub.id}.repeat`, section: 'notes', kind: 'changed', key: stub.id, itemName: stub.name, field: 'repeat', current: stub.flagData?.repeat ?? 'never', incoming: note.repeat, accepted: true });
+    }
+    const currentContent = NoteManager.getFullNote(stub.id)?.text?.content ?? '';
+    if (note.content !== undefined && plainText(currentContent) !== plainText(note.content)) {
+      changes.push({ id: `notes.${stub.id}.content`, section: 'notes', kind: 'changed', key: stub.id, itemName: stub.name, field: 'content', current: currentContent, incoming: note.content, accepted: true });
+    }
+  });
+  for (const stub of existing) {
+    if (!unmatched.has(stub.id)) continue;
+    changes.push({ id: `notes.${stub.id}.removed`, section: 'notes', kind: 'removed', key: stub.id, itemName: stub.name, field: null, current: stub, incoming: null, accepted: false });
+  }
+  return changes;
+}
+
+/**
+ * Diff an incoming calendar definition against an existing one.
+ * Additions and field changes default to accepted; removals default to rejected so
+ * items that only exist locally survive a re-import.
+ * @param {object} existing - Existing calendar data (from toObject())
+ * @param {object} incoming - Incoming transformed calendar data
+ * @returns {MergeChange[]} Changes across all calendar sections
+ */
+export function diffCalendars(existing, incoming) {
+  const changes = [];
+  for (const [section, { path }] of Object.entries(MERGE_SECTIONS)) {
+    changes.push(...diffSection(section, foundry.utils.getProperty(existing, path), foundry.utils.getProperty(incoming, path)));
+  }
+  return changes;
+}
+
+/**
+ * Build the merged calendar definition from the accepted calendar changes.
+ * @param {object} existing - Existing calendar data (from toObject())
+ * @param {MergeChange[]} changes - Changes, with acceptance decided
+ * @returns {object} Complete merged calendar definition
+ */
+export function applyCalendarChanges(existing, changes) {
+  const merged = foundry.utils.deepClone(existing);
+  for (const change of changes) {
+    if (!change.accepted || !MERGE_SECTIONS[change.section]) continue;
+    const { path, match } = MERGE_SECTIONS[change.section];
+    let collection = foundry.utils.getProperty(merged, path);
+    if (Array.isArray(collection)) collection = Object.fromEntries(collection.map((item) => [foundry.utils.randomID(), item]));
+    collection ??= {};
+    if (change.kind === 'changed') collection[change.key][change.field] = foundry.utils.deepClone(change.incoming);
+    else if (change.kind === 'removed') delete collection[change.key];
+    else if (change.kind === 'added') {
+      const item = foundry.utils.deepClone(change.incoming);
+      if (match === 'position') item.ordinal = Object.keys(collection).length + 1;
+      collection[foundry.utils.randomID()] = item;
+    }
+    foundry.utils.setProperty(merged, path, collection);
+  }
+  return merged;
+}
+
+/**
+ * Apply the accepted note changes.
+ * @param {string} calendarId - Calendar the notes belong to
+ * @param {MergeChange[]} changes - Changes, with acceptance decided
+ * @param {object|null} importer - Importer instance used to create added notes
+ * @returns {Promise<{created: number, updated: number, deleted: number}>} Counts of applied changes
+ */
+export async function applyNoteChanges(calendarId, changes, importer) {
+  const accepted = changes.filter((c) => c.section === 'notes' && c.accepted);
+  const result = { created: 0, updated: 0, deleted: 0 };
+  const added = accepted.filter((c) => c.kind === 'added').map((c) => c.incoming);
+  if (added.length && importer) result.created = (await importer.importNotes(added, { calendarId })).count;
+  const updates = new Map();
+  for (const change of accepted.filter((c) => c.kind === 'changed')) {
+    const update = updates.get(change.key) ?? {};
+    if (change.field === 'content') update.content = change.incoming;
+    else if (change.field === 'startDate') update.noteData = { ...update.noteData, startDate: { ...NoteManager.getNote(change.key)?.flagData?.startDate, ...change.incoming } };
+    else update.noteData = { ...update.noteData, [change.field]: change.incoming };
+    updates.set(change.key, update);
+  }
+  for (const [pageId, update] of updates) if (await NoteManager.updateNote(pageId, update)) result.updated++;
+  for (const change of accepted.filter((c) => c.kind === 'removed')) if (await NoteManager.deleteNote(change.key)) result.deleted++;
+  log(3, `Merged notes into ${calendarId}:`, result);
+  return result;
+}
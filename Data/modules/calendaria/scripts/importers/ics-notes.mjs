@@ -0,0 +1,649 @@
+/**
+ * iCalendar (.ics) Note Exchange
+ * Exports calendar notes as VEVENTs and imports VEVENTs back into notes.
+ *
+ * Dates are written twice so that both other tools and Calendaria can read them:
+ * - `DTSTART`/`DTEND`/`RRULE`/`RDATE` carry a Gregorian projection other applications understand.
+ *   Calendars whose months match the Gregorian ones are written literally; any other calendar is
+ *   projected by day-of-year (day 40 of a fantasy year becomes Feb 9 of the same year number).
+ * - `X-CALENDARIA-*` properties carry the exact in-world values and always win on re-import:
+ *   - `X-CALENDARIA-CALENDAR` - Source calendar ID
+ *   - `X-CALENDARIA-DTSTART` / `X-CALENDARIA-DTEND` - `year-month-day[Thour:minute]` (display year, 1-based month and day)
+ *   - `X-CALENDARIA-RDATE` - Comma-separated expanded occurrences in the same format
+ *   - `X-CALENDARIA-RECURRENCE` - JSON of the note's recurrence fields (repeat, interval, moon conditions, ...); other keys are ignored on import
+ *   - `X-CALENDARIA-COLOR` / `X-CALENDARIA-ICON` - Note appearance
+ *
+ * Rules with an RRULE equivalent (daily, weekly, monthly, yearly, nth weekday of month) are written
+ * as RRULE on Gregorian-compatible calendars. Everything else (moon phases, seasons, random, computed,
+ * linked notes, condition filters, or any rule on a non-Gregorian calendar) is expanded to RDATE.
+ * Skipped and moved occurrences of an RRULE note are written as EXDATE, with moved ones re-added as RDATE.
+ * On import EXDATE values become recurrence exceptions, and a weekly RRULE on several weekdays
+ * (`BYDAY=MO,WE,FR`) becomes one weekly note per weekday.
+ * @module Importers/ICSNotes
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { MODULE } from '../constants.mjs';
+import NoteManager from '../notes/note-manager.mjs';
+import { dayOfWeek, getCurrentDate } from '../notes/utils/date-utils.mjs';
+import { getOccurrencesInRange } from '../notes/utils/recurrence.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+
+/** Gregorian month lengths (non-leap). */
+const GREGORIAN_MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/** iCalendar weekday codes, Sunday first (matches Date#getUTCDay). */
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/** Repeat types with a direct RRULE frequency. */
+const RRULE_FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', weekOfMonth: 'MONTHLY' };
+
+/** Note fields that describe recurrence, preserved verbatim in X-CALENDARIA-RECURRENCE. */
+const RECURRENCE_FIELDS = ['repeat', 'repeatInterval', 'repeatEndDate', 'maxOccurrences', 'weekday', 'weekNumber', 'moonConditions', 'randomConfig', 'seasonalConfig', 'rangePattern', 'computedConfig', 'conditions', 'exceptions', 'overrides'];
+
+/** Maximum expanded occurrences written per note. */
+const MAX_EXPANDED_OCCURRENCES = 500;
+
+/**
+ * Check whether a calendar's months line up with the Gregorian calendar.
+ * Such calendars can be written literally and use RRULE without drift.
+ * @param {object} calendar - Calendar to check
+ * @returns {boolean} True if dates map 1:1 onto Gregorian dates
+ */
+export function isGregorianCompatible(calendar) {
+  if (!calendar || calendar.isMonthless) return false;
+  const months = calendar.monthsArray ?? [];
+  if (months.length !== 12) return false;
+  if ((calendar.days?.hoursPerDay ?? 24) !== 24 || (calendar.days?.minutesPerHour ?? 60) !== 60) return false;
+  return months.every((month, i) => month.days === GREGORIAN_MONTH_DAYS[i] && (month.leapDays == null || month.leapDays === (i === 1 ? 29 : month.days)));
+}
+
+/**
+ * Escape a text value per RFC 5545 section 3.3.11.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a text value per RFC 5545 section 3.3.11.
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeText(text) {
+  return String(text ?? '').replace(/\\([\\;,nN])/g, (_m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * Fold a content line to 75 characters per RFC 5545 section 3.1.
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(` ${line.slice(i, i + 74)}`);
+  return parts.join('\r\n');
+}
+
+/**
+ * Strip HTML to plain text for DESCRIPTION.
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return String(html ?? '')
+    .replace(/<\/(p|div|h\d|li)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert plain text to simple paragraph HTML.
+ * @param {string} text - Plain text
+ * @returns {string} HTML content
+ */
+function textToHtml(text) {
+  if (!text) return '';
+  return text
+    .split(/\n{2,}/)
+    .map((para) => `<p>${foundry.utils.escapeHTML(para).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Format a note date as an X-CALENDARIA date value.
+ * @param {object} date - Note date {year, month, day, hour?, minute?}
+ * @param {boolean} withTime - Whether to include the time portion
+ * @returns {string} Value like `1492-13-01T12:00`
+ */
+function formatCalendariaDate(date, withTime) {
+  const pad = (n) => String(n ?? 0).padStart(2, '0');
+  const base = `${date.year}-${pad(date.month + 1)}-${pad(date.day)}`;
+  return withTime ? `${base}T${pad(date.hour)}:${pad(date.minute)}` : base;
+}
+
+/**
+ * Parse an X-CALENDARIA date value.
+ * @param {string} value - Value like `1492-13-01T12:00`
+ * @returns {object|null} Note date or null if malformed
+ */
+function parseCalendariaDate(value) {
+  const match = /^(-?\d+)-(\d+)-(\d+)(?:T(\d+):(\d+))?$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match;
+  return { year: Number(year), month: Number(month) - 1, day: Number(day), hour: hour ? Number(hour) : 0, minute: minute ? Number(minute) : 0, hasTime: hour !== undefined };
+}
+
+/**
+ * Get the 1-based day of year for a note date.
+ * @param {object} calendar - Calendar
+ * @param {object} date - Note date (display year)
+ * @returns {number} Day of year
+ */
+function getDayOfYear(calendar, date) {
+  const internalYear = date.year - (calendar.years?.yearZero ?? 0);
+  let dayOfYear = date.day;
+  for (let m = 0; m < date.month; m++) dayOfYear += calendar.getDaysInMonth(m, internalYear);
+  return dayOfYear;
+}
+
+/**
+ * Project a note date onto a Gregorian UTC Date.
+ * @param {object} calendar - Source calendar
+ * @param {object} date - Note date (display year)
+ * @param {boolean} literal - Whether the calendar is Gregorian-compatible
+ * @returns {Date} Projected date (UTC fields hold the projected values)
+ */
+function toGregorian(calendar, date, literal) {
+  const year = Math.min(9999, Math.max(1, date.year));
+  const result = new Date(0);
+  const hoursPerDay = calendar.days?.hoursPerDay ?? 24;
+  const minutesPerHour = calendar.days?.minutesPerHour ?? 60;
+  const dayFraction = ((date.hour ?? 0) + (date.minute ?? 0) / minutesPerHour) / hoursPerDay;
+  const totalMinutes = Math.floor(dayFraction * 24 * 60);
+  if (literal) {
+    result.setUTCFullYear(year, date.month, date.day);
+  } else {
+    const isLeap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+    const dayOfYear = Math.min(getDayOfYear(calendar, date), isLeap ? 366 : 365);
+    result.setUTCFullYear(year, 0, dayOfYear);
+  }
+  result.setUTCHours(Math.floor(totalMinutes / 60), totalMinutes % 60, 0, 0);
+  return result;
+}
+
+/**
+ * Convert a projected Gregorian value back to a note date on a calendar.
+ * @param {object} calendar - Target calendar
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} greg - Gregorian components (month 0-indexed)
+ * @param {boolean} literal - Whether the calendar is Gregorian-compatible
+ * @returns {object} Note date clamped to the calendar
+ */
+function fromGregorian(calendar, greg, literal) {
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const internalYear = greg.year - yearZero;
+  const hoursPerDay = calendar.days?.hoursPerDay ?? 24;
+  const minutesPerHour = calendar.days?.minutesPerHour ?? 60;
+  const dayMinutes = Math.floor((((greg.hour ?? 0) * 60 + (greg.minute ?? 0)) / (24 * 60)) * hoursPerDay * minutesPerHour);
+  const hour = Math.floor(dayMinutes / minutesPerHour);
+  const minute = dayMinutes % minutesPerHour;
+  const monthCount = calendar.monthsArray?.length ?? 0;
+  if (calendar.isMonthless || !monthCount) {
+    const dayOfYear = Math.floor((Date.UTC(2001, greg.month, greg.day) - Date.UTC(2001, 0, 1)) / 86400000) + 1;
+    return { year: greg.year, month: 0, day: Math.min(dayOfYear, calendar.getDaysInYear(internalYear)), hour, minute };
+  }
+  if (literal) {
+    const month = Math.min(greg.month, monthCount - 1);
+    return { year: greg.year, month, day: Math.min(greg.day, calendar.getDaysInMonth(month, internalYear)), hour, minute };
+  }
+  const probe = new Date(0);
+  probe.setUTCFullYear(greg.year, greg.month, greg.day);
+  const jan1 = new Date(0);
+  jan1.setUTCFullYear(greg.year, 0, 1);
+  let remaining = Math.min(Math.round((probe - jan1) / 86400000) + 1, calendar.getDaysInYear(internalYear));
+  let month = 0;
+  while (month < monthCount - 1 && remaining > calendar.getDaysInMonth(month, internalYear)) {
+    remaining -= calendar.getDaysInMonth(month, internalYear);
+    month++;
+  }
+  return { year: greg.year, month, day: Math.max(1, remaining), hour, minute };
+}
+
+/**
+ * Format a projected date as an iCalendar DATE or DATE-TIME value.
+ * @param {Date} date - Projected date
+ * @param {boolean} allDay - Whether to emit a DATE value
+ * @returns {string} iCalendar value
+ */
+function formatICSValue(date, allDay) {
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  const datePart = `${pad(date.getUTCFullYear(), 4)}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+  if (allDay) return datePart;
+  return `${datePart}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value into Gregorian components.
+ * Time zones are not converted; the wall-clock digits are used as written.
+ * @param {string} value - iCalendar value
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, hasTime: boolean}|null} Components or null
+ */
+function parseICSValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?Z?)?$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match;
+  return { year: Number(year), month: Number(month) - 1, day: Number(day), hour: hour ? Number(hour) : 0, minute: minute ? Number(minute) : 0, hasTime: hour !== undefined };
+}
+
+/**
+ * Add days to Gregorian components.
+ * @param {object} greg - Gregorian components (month 0-indexed)
+ * @param {number} days - Days to add
+ * @returns {object} Shifted components
+ */
+function addGregorianDays(greg, days) {
+  const date = new Date(0);
+  date.setUTCFullYear(greg.year, greg.month, greg.day + days);
+  return { ...greg, year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+/**
+ * Build the RRULE value for a note, if its recurrence has an exact equivalent.
+ * @param {object} calendar - Source calendar
+ * @param {object} noteData - Note system data
+ * @param {boolean} literal - Whether the calendar is Gregorian-compatible
+ * @returns {string|null} RRULE value or null when occurrences must be expanded
+ */
+function buildRRule(calendar, noteData, literal) {
+  const freq = RRULE_FREQUENCIES[noteData.repeat];
+  if (!freq || !literal) return null;
+  if (noteData.linkedEvent?.noteId || noteData.moonConditions?.length || noteData.conditions?.length) return null;
+  if (noteData.repeat === 'weekly' && calendar.daysInWeek !== 7) return null;
+  const parts = [`FREQ=${freq}`];
+  if ((noteData.repeatInterval ?? 1) > 1) parts.push(`INTERVAL=${noteData.repeatInterval}`);
+  if (noteData.repeat === 'weekOfMonth') {
+    if (calendar.daysInWeek !== 7) return null;
+    const startWeekday = dayOfWeek(noteData.startDate);
+    const targetWeekday = noteData.weekday ?? startWeekday;
+    const gregWeekday = toGregorian(calendar, noteData.startDate, literal).getUTCDay();
+    const code = ICS_WEEKDAYS[(((gregWeekday + targetWeekday - startWeekday) % 7) + 7) % 7];
+    const ordinal = noteData.weekNumber ?? Math.ceil(noteData.startDate.day / 7);
+    parts.push(`BYDAY=${ordinal}${code}`);
+  }
+  if (noteData.maxOccurrences > 0) parts.push(`COUNT=${noteData.maxOccurrences}`);
+  else if (noteData.repeatEndDate) parts.push(`UNTIL=${formatICSValue(toGregorian(calendar, { ...noteData.repeatEndDate, hour: 23, minute: 59 }, literal), true)}`);
+  return parts.join(';');
+}
+
+/**
+ * Build the VEVENT lines for a single note.
+ * @param {object} page - Note journal entry page
+ * @param {object} calendar - Note's calendar
+ * @param {object} range - Expansion range {start, end} as note dates
+ * @returns {string[]} Content lines (unfolded)
+ */
+function buildEvent(page, calendar, range) {
+  const noteData = page.system;
+  const literal = isGregorianCompatible(calendar);
+  const allDay = !!noteData.allDay;
+  const lines = ['BEGIN:VEVENT', `UID:${page.id}@${MODULE.ID}`, `DTSTAMP:${formatICSValue(new Date(), false)}Z`, `SUMMARY:${escapeText(page.name)}`];
+  const start = toGregorian(calendar, noteData.startDate, literal);
+  lines.push(allDay ? `DTSTART;VALUE=DATE:${formatICSValue(start, true)}` : `DTSTART:${formatICSValue(start, false)}`);
+  if (noteData.endDate?.year != null) {
+    const end = toGregorian(calendar, noteData.endDate, literal);
+    if (allDay) end.setUTCDate(end.getUTCDate() + 1);
+    lines.push(allDay ? `DTEND;VALUE=DATE:${formatICSValue(end, true)}` : `DTEND:${formatICSValue(end, false)}`);
+  }
+  const content = page.text?.content ?? '';
+  if (content) {
+    lines.push(`DESCRIPTION:${escapeText(htmlToText(content))}`);
+    lines.push(`X-ALT-DESC;FMTTYPE=text/html:${escapeText(content)}`);
+  }
+  if (noteData.categories?.length) lines.push(`CATEGORIES:${noteData.categories.map(escapeText).join(',')}`);
+  lines.push(`CLASS:${noteData.gmOnly ? 'PRIVATE' : 'PUBLIC'}`);
+  lines.push(`X-CALENDARIA-CALENDAR:${escapeText(calendar.metadata?.id ?? '')}`);
+  lines.push(`X-CALENDARIA-DTSTART:${formatCalendariaDate(noteData.startDate, !allDay)}`);
+  if (noteData.endDate?.year != null) lines.push(`X-CALENDARIA-DTEND:${formatCalendariaDate(noteData.endDate, !allDay)}`);
+  if (noteData.color) lines.push(`X-CALENDARIA-COLOR:${noteData.color}`);
+  if (noteData.icon) lines.push(`X-CALENDARIA-ICON:${escapeText(noteData.icon)}`);
+  const repeat = noteData.repeat ?? 'never';
+  if (repeat === 'never' && !noteData.linkedEvent?.noteId) {
+    lines.push('END:VEVENT');
+    return lines;
+  }
+  if (!noteData.linkedEvent?.noteId && repeat !== 'linked') {
+    const recurrence = Object.fromEntries(RECURRENCE_FIELDS.filter((key) => noteData[key] != null).map((key) => [key, noteData[key]]));
+    lines.push(`X-CALENDARIA-RECURRENCE:${escapeText(JSON.stringify(recurrence))}`);
+  }
+  const rrule = buildRRule(calendar, noteData, literal);
+  if (rrule) {
+    lines.push(`RRULE:${rrule}`);
+    const time = { hour: noteData.startDate.hour, minute: noteData.startDate.minute };
+    const moved = (noteData.overrides ?? []).filter((override) => override.startDate);
+    const skipped = [...(noteData.exceptions ?? []), ...moved.map((override) => override.date)].map((date) => formatICSValue(toGregorian(calendar, { ...date, ...time }, literal), allDay));
+    if (skipped.length) lines.push(allDay ? `EXDATE;VALUE=DATE:${skipped.join(',')}` : `EXDATE:${skipped.join(',')}`);
+    const added = moved.map((override) => formatICSValue(toGregorian(calendar, override.startDate, literal), allDay));
+    if (added.length) lines.push(allDay ? `RDATE;VALUE=DATE:${added.join(',')}` : `RDATE:${added.join(',')}`);
+  } else {
+    const occurrences = getOccurrencesInRange(noteData, range.start, range.end, MAX_EXPANDED_OCCURRENCES).filter((occ) => occ.year !== noteData.startDate.year || occ.month !== noteData.startDate.month || occ.day !== noteData.startDate.day);
+    if (occurrences.length) {
+      const time = { hour: noteData.startDate.hour, minute: noteData.startDate.minute };
+      const projected = occurrences.map((occ) => formatICSValue(toGregorian(calendar, { ...occ, ...time }, literal), allDay));
+      lines.push(allDay ? `RDATE;VALUE=DATE:${projected.join(',')}` : `RDATE:${projected.join(',')}`);
+      lines.push(`X-CALENDARIA-RDATE:${occurrences.map((occ) => formatCalendariaDate({ ...occ, ...time }, !allDay)).join(',')}`);
+    }
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Export calendar notes to an iCalendar string.
+ * @param {object} [options] - Export options
+ * @param {string} [options.calendarId] - Calendar to export (defaults to active calendar)
+ * @param {string[]} [options.noteIds] - Only export these note page IDs
+ * @param {number} [options.expandYears] - Years before and after the current year to expand non-RRULE recurrences over
+ * @returns {string} iCalendar document
+ */
+export function exportNotesToICS({ calendarId, noteIds, expandYears = 1 } = {}) {
+  const calendar = calendarId ? CalendarManager.getCalendar(calendarId) : CalendarManager.getActiveCalendar();
+  if (!calendar) throw new Error(localize('CALENDARIA.Error.NoActiveCalendar'));
+  const targetId = calendarId ?? calendar.metadata?.id;
+  const { year } = getCurrentDate();
+  const lastMonth = Math.max(0, (calendar.monthsArray?.length ?? 1) - 1);
+  const lastDay = calendar.getDaysInMonth(lastMonth, year + expandYears - (calendar.years?.yearZero ?? 0)) || 1;
+  const range = { start: { year: year - expandYears, month: 0, day: 1 }, end: { year: year + expandYears, month: lastMonth, day: lastDay } };
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:-//${MODULE.TITLE}//${game.modules.get(MODULE.ID)?.version ?? ''}//EN`, 'CALSCALE:GREGORIAN', `X-WR-CALNAME:${escapeText(localize(calendar.name ?? targetId))}`];
+  let count = 0;
+  for (const stub of NoteManager.getAllNotes()) {
+    if (stub.calendarId !== targetId) continue;
+    if (noteIds && !noteIds.includes(stub.id)) continue;
+    const page = NoteManager.getFullNote(stub.id);
+    if (!page) continue;
+    lines.push(...buildEvent(page, calendar, range));
+    count++;
+  }
+  lines.push('END:VCALENDAR');
+  log(3, `Exported ${count} notes to iCalendar`);
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse an iCalendar document into VEVENT property maps.
+ * @param {string} text - iCalendar document
+ * @returns {Array<Map<string, {value: string, params: object}[]>>} One map per VEVENT
+ */
+export function parseICS(text) {
+  const unfolded = String(text ?? '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '');
+  const events = [];
+  let current = null;
+  for (const line of unfolded.split('\n')) {
+    if (!line.trim()) continue;
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon === -1) continue;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const value = line.slice(colon + 1);
+    const key = name.toUpperCase();
+    if (key === 'BEGIN' && value.toUpperCase() === 'VEVENT') current = new Map();
+    else if (key === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const params = Object.fromEntries(paramParts.map((p) => p.split('=')).map(([k, v]) => [k.toUpperCase(), (v ?? '').replace(/^"|"$/g, '')]));
+      if (!current.has(key)) current.set(key, []);
+      current.get(key).push({ value, params });
+    }
+  }
+  return events;
+}
+
+/**
+ * Parse an RRULE value into note recurrence fields.
+ * @param {string} rrule - RRULE value
+ * @param {object} calendar - Target calendar
+ * @param {object} startDate - Note start date
+ * @param {object} gregStart - Gregorian DTSTART components
+ * @param {boolean} literal - Whether the calendar is Gregorian-compatible
+ * @returns {object|null} Recurrence fields or null if unsupported; weekly rules on several weekdays carry `byDay` as {code, shift} pairs (days after DTSTART)
+ */
+function parseRRule(rrule, calendar, startDate, gregStart, literal) {
+  const rule = Object.fromEntries(rrule.split(';').map((part) => part.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+  const freqMap = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' };
+  let repeat = freqMap[rule.FREQ];
+  if (!repeat) return null;
+  const result = { repeat, repeatInterval: Math.max(1, Number(rule.INTERVAL) || 1) };
+  const byDay = /^([+-]?\d)(SU|MO|TU|WE|TH|FR|SA)$/.exec(rule.BYDAY ?? '');
+  if (repeat === 'monthly' && byDay) {
+    repeat = 'weekOfMonth';
+    const startWeekday = dayOfWeek(startDate);
+    const gregDate = new Date(0);
+    gregDate.setUTCFullYear(gregStart.year, gregStart.month, gregStart.day);
+    const daysInWeek = calendar.daysInWeek || 7;
+    const shift = ICS_WEEKDAYS.indexOf(byDay[2]) - gregDate.getUTCDay();
+    Object.assign(result, { repeat, weekNumber: Number(byDay[1]), weekday: (((startWeekday + shift) % daysInWeek) + daysInWeek) % daysInWeek });
+  }
+  if (repeat === 'weekly' && rule.BYDAY) {
+    const gregDate = new Date(0);
+    gregDate.setUTCFullYear(gregStart.year, gregStart.month, gregStart.day);
+    const codes = [...new Set(rule.BYDAY.toUpperCase().split(',').map((code) => code.trim()))].filter((code) => ICS_WEEKDAYS.includes(code));
+    const byDay = codes.map((code) => ({ code, shift: (((ICS_WEEKDAYS.indexOf(code) - gregDate.getUTCDay()) % 7) + 7) % 7 })).sort((a, b) => a.shift - b.shift);
+    if (byDay.length) result.byDay = byDay;
+  }
+  if (rule.COUNT) result.maxOccurrences = Math.max(0, Number(rule.COUNT) || 0);
+  const until = parseICSValue(rule.UNTIL);
+  if (until) {
+    const { year, month, day } = fromGregorian(calendar, until, literal);
+    result.repeatEndDate = { year, month, day };
+  }
+  return result;
+}
+
+/**
+ * Read an event's EXDATE values as note recurrence exceptions.
+ * @param {Map<string, object[]>} event - Parsed VEVENT
+ * @param {object} calendar - Target calendar
+ * @param {boolean} literal - Whether the calendar is Gregorian-compatible
+ * @returns {object[]} Exception dates { year, month, day }
+ */
+function parseExceptions(event, calendar, literal) {
+  return (event.get('EXDATE') ?? [])
+    .flatMap((p) => p.value.split(','))
+    .map(parseICSValue)
+    .filter(Boolean)
+    .map((greg) => {
+      const { year, month, day } = fromGregorian(calendar, greg, literal);
+      return { year, month, day };
+    });
+}
+
+/**
+ * Convert one parsed VEVENT into note creation payloads.
+ * Returns several payloads when the event carries expanded occurrences without a Calendaria rule,
+ * or a weekly RRULE on several weekdays (one weekly note per weekday).
+ * @param {Map<string, object[]>} event - Parsed VEVENT
+ * @param {object} calendar - Target calendar
+ * @returns {object[]} Array of {uid, name, content, noteData}
+ */
+function eventToNotes(event, calendar) {
+  const literal = isGregorianCompatible(calendar);
+  const prop = (key) => event.get(key)?.[0];
+  const uid = prop('UID')?.value ?? null;
+  const name = unescapeText(prop('SUMMARY')?.value ?? '') || localize('CALENDARIA.ICS.UntitledEvent');
+  const htmlDesc = event.get('X-ALT-DESC')?.find((p) => p.params.FMTTYPE === 'text/html');
+  const content = htmlDesc ? unescapeText(htmlDesc.value) : textToHtml(unescapeText(prop('DESCRIPTION')?.value ?? ''));
+  const exactStart = parseCalendariaDate(prop('X-CALENDARIA-DTSTART')?.value);
+  const gregStart = parseICSValue(prop('DTSTART')?.value);
+  if (!exactStart && !gregStart) return [];
+  const startDate = exactStart ? { ...exactStart } : fromGregorian(calendar, gregStart, literal);
+  const allDay = exactStart ? !exactStart.hasTime : !gregStart.hasTime;
+  delete startDate.hasTime;
+  let endDate = null;
+  let endGreg = null;
+  const exactEnd = parseCalendariaDate(prop('X-CALENDARIA-DTEND')?.value);
+  const gregEnd = parseICSValue(prop('DTEND')?.value);
+  if (exactEnd) {
+    delete exactEnd.hasTime;
+    endDate = exactEnd;
+  } else if (gregEnd) {
+    const end = new Date(0);
+    end.setUTCFullYear(gregEnd.year, gregEnd.month, gregEnd.day);
+    end.setUTCHours(gregEnd.hour, gregEnd.minute);
+    if (!gregEnd.hasTime) end.setUTCDate(end.getUTCDate() - 1);
+    endGreg = { year: end.getUTCFullYear(), month: end.getUTCMonth(), day: end.getUTCDate(), hour: end.getUTCHours(), minute: end.getUTCMinutes() };
+    endDate = fromGregorian(calendar, endGreg, literal);
+    if (endDate.year === startDate.year && endDate.month === startDate.month && endDate.day === startDate.day && allDay) endDate = null;
+  }
+  const categories = (event.get('CATEGORIES') ?? []).flatMap((p) => p.value.split(/(?<!\\),/)).map((c) => unescapeText(c).trim()).filter(Boolean);
+  const noteData = { startDate, endDate, allDay, repeat: 'never', categories, gmOnly: prop('CLASS')?.value?.toUpperCase() === 'PRIVATE' };
+  const color = prop('X-CALENDARIA-COLOR')?.value;
+  if (/^#[\dA-Fa-f]{6}$/.test(color ?? '')) noteData.color = color;
+  const icon = prop('X-CALENDARIA-ICON')?.value;
+  if (icon) noteData.icon = unescapeText(icon);
+  const recurrence = prop('X-CALENDARIA-RECURRENCE')?.value;
+  if (recurrence) {
+    try {
+      const fields = JSON.parse(unescapeText(recurrence)) ?? {};
+      Object.assign(noteData, Object.fromEntries(RECURRENCE_FIELDS.filter((key) => fields[key] !== undefined).map((key) => [key, fields[key]])));
+      return [{ uid, name, content, noteData }];
+    } catch (error) {
+      log(2, `Ignoring malformed X-CALENDARIA-RECURRENCE on "${name}":`, error);
+    }
+  }
+  const rrule = prop('RRULE')?.value;
+  if (rrule && gregStart) {
+    const parsed = parseRRule(rrule, calendar, startDate, gregStart, literal);
+    if (parsed) {
+      const { byDay = [{ code: null, shift: 0 }], ...fields } = parsed;
+      const exceptions = parseExceptions(event, calendar, literal);
+      if (exceptions.length) fields.exceptions = exceptions;
+      const count = fields.maxOccurrences ?? 0;
+      return byDay
+        .map(({ code, shift }, index) => {
+          const data = { ...noteData, ...fields };
+          if (shift) {
+            data.startDate = fromGregorian(calendar, addGregorianDays(gregStart, shift), literal);
+            data.endDate = endDate && endGreg ? fromGregorian(calendar, addGregorianDays(endGreg, shift), literal) : null;
+          }
+          if (count > 0) data.maxOccurrences = Math.floor(count / byDay.length) + (index < count % byDay.length ? 1 : 0);
+          return { uid: uid && index ? `${uid}#${code}` : uid, name, content, noteData: data };
+        })
+        .filter((note) => !(count > 0) || note.noteData.maxOccurrences > 0);
+    }
+  }
+  const notes = [{ uid, name, content, noteData }];
+  const exactDates = prop('X-CALENDARIA-RDATE')?.value;
+  const extraDates = exactDates
+    ? exactDates.split(',').map(parseCalendariaDate).filter(Boolean)
+    : (event.get('RDATE') ?? []).flatMap((p) => p.value.split(',')).map(parseICSValue).filter(Boolean).map((greg) => fromGregorian(calendar, greg, literal));
+  extraDates.forEach((date, index) => {
+    delete date.hasTime;
+    notes.push({ uid: uid ? `${uid}#${index + 1}` : null, name, content, noteData: { ...noteData, startDate: date, endDate: null } });
+  });
+  return notes;
+}
+
+/**
+ * Import notes from an iCalendar document.
+ * Events whose UID was already imported into the calendar are skipped.
+ * @param {string} text - iCalendar document
+ * @param {object} [options] - Import options
+ * @param {string} [options.calendarId] - Target calendar (defaults to active calendar)
+ * @returns {Promise<{success: boolean, count: number, skipped: number, errors: string[]}>} Import result
+ */
+export async function importNotesFromICS(text, { calendarId } = {}) {
+  const calendar = calendarId ? CalendarManager.getCalendar(calendarId) : CalendarManager.getActiveCalendar();
+  if (!calendar) throw new Error(localize('CALENDARIA.Error.NoActiveCalendar'));
+  const targetId = calendarId ?? calendar.metadata?.id;
+  const knownUids = new Set();
+  for (const stub of NoteManager.getAllNotes()) {
+    if (stub.calendarId !== targetId) continue;
+    knownUids.add(`${stub.id}@${MODULE.ID}`);
+    const icsUid = NoteManager.getFullNote(stub.id)?.getFlag(MODULE.ID, 'icsUid');
+    if (icsUid) knownUids.add(icsUid);
+  }
+  const errors = [];
+  let count = 0;
+  let skipped = 0;
+  for (const event of parseICS(text)) {
+    for (const { uid, name, content, noteData } of eventToNotes(event, calendar)) {
+      if (uid && knownUids.has(uid)) {
+        skipped++;
+        continue;
+      }
+      try {
+        const page = await NoteManager.createNote({ name, content, noteData, calendarId: targetId });
+        if (!page) {
+          errors.push(format('CALENDARIA.ICS.Error.CreateFailed', { name }));
+          continue;
+        }
+        if (uid) {
+          await page.setFlag(MODULE.ID, 'icsUid', uid);
+          knownUids.add(uid);
+        }
+        count++;
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+        log(1, `Error importing iCalendar event "${name}":`, error);
+      }
+    }
+  }
+  log(3, `iCalendar import complete: ${count} created, ${skipped} skipped, ${errors.length} errors`);
+  return { success: errors.length === 0, count, skipped, errors };
+}
+
+/**
+ * Export the active calendar's notes and download them as an .ics file.
+ */
+export async function downloadNotesICS() {
+  try {
+    const calendar = CalendarManager.getActiveCalendar();
+    const ics = exportNotesToICS();
+    const slug = (calendar?.metadata?.id ?? 'calendar').replace(/[^\da-z-]+/gi, '-');
+    foundry.utils.saveDataToFile(ics, 'text/calendar', `calendaria-notes-${slug}.ics`);
+    ui.notifications.info('CALENDARIA.ICS.ExportSuccess', { localize: true });
+  } catch (error) {
+    log(1, 'iCalendar export failed:', error);
+    ui.notifications.error(format('CALENDARIA.ICS.Error.ExportFailed', { error: error.message }));
+  }
+}
+
+/**
+ * Prompt for an .ics file and import its events into the active calendar.
+ * @param {Function} [onComplete] - Callback after a successful import
+ */
+export async function uploadNotesICS(onComplete) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.ics,text/calendar';
+  input.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const text = await foundry.utils.readTextFromFile(file);
+      const result = await importNotesFromICS(text);
+      ui.notifications.info(format('CALENDARIA.ICS.ImportSuccess', { count: result.count, skipped: result.skipped }));
+      if (result.errors.length) log(1, 'iCalendar import errors:', result.errors);
+      if (onComplete) onComplete(result);
+    } catch (error) {
+      log(1, 'iCalendar import failed:', error);
+      ui.notifications.error(format('CALENDARIA.ICS.Error.ImportFailed', { error: error.message }));
+    }
+  });
+  input.click();
+}
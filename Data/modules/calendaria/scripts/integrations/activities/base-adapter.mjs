@@ -0,0 +1,51 @@
+/**
+ * Base Activity Adapter
+ * Abstract foundation for rest/travel time adapters.
+ * Subclasses declare their activities and hook into the system or module that performs them.
+ * @module Integrations/Activities/BaseAdapter
+ * @author Tyler
+ */
+
+/**
+ * @typedef {object} ActivityDefinition
+ * @property {string} kind - TIME_SOURCES value the time change is recorded under (REST, TRAVEL or DUNGEON)
+ * @property {string} label - Localization key for the activity name
+ * @property {object|Function} duration - Time units ({hour: 8}) or a function of the activity context returning seconds
+ * @property {boolean|Function} [snapToDawn] - Whether the activity ends at the next sunrise after its duration
+ */
+
+/**
+ * Abstract base class for activity adapters.
+ */
+export default class BaseActivityAdapter {
+  /** @type {string} Unique adapter identifier */
+  static id = 'base';
+
+  /** @type {string} Localization key for adapter name */
+  static label = 'CALENDARIA.Activity.Adapter.Base';
+
+  /** @type {string|null} Game system this adapter supports */
+  static systemId = null;
+
+  /** @type {string|null} Module this adapter supports */
+  static moduleId = null;
+
+  /** @type {Object<string, ActivityDefinition>} Activities keyed by ID */
+  static activities = {};
+
+  /**
+   * Check if the adapter's system or module is in use.
+   * @returns {boolean} True if the adapter should be activated
+   */
+  static detect() {
+    if (this.systemId && game.system.id !== this.systemId) return false;
+    if (this.moduleId && !game.modules.get(this.moduleId)?.active) return false;
+    return !!(this.systemId || this.moduleId);
+  }
+
+  /**
+   * Hook into the system or module. Called once during init when detect() passes.
+   * Adapters for activities that are only performed through the API need not override this.
+   */
+  static activate() {}
+}
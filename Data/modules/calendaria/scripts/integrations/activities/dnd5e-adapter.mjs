@@ -0,0 +1,87 @@
+/**
+ * D&D 5e Activity Adapter
+ * Hooks into dnd5e rest mechanics to advance world time based on rest duration.
+ * dnd5e advances time itself, so long rests that start a new day are stretched to end at dawn.
+ * @module Integrations/Activities/Dnd5eAdapter
+ * @author Tyler
+ */
+
+import { TIME_SOURCES } from '../../constants.mjs';
+import SessionLedger from '../../time/session-ledger.mjs';
+import { getTimeIncrements } from '../../time/time-clock.mjs';
+import { log } from '../../utils/logger.mjs';
+import BaseActivityAdapter from './base-adapter.mjs';
+import { getActivityDuration, isActivityTimeEnabled } from './index.mjs';
+
+/**
+ * Convert a dnd5e rest duration (minutes) to seconds.
+ * @param {object} context - Activity context
+ * @param {object} context.config - Rest configuration
+ * @returns {number} Seconds
+ */
+function restSeconds({ config }) {
+  return (config.duration ?? 0) * getTimeIncrements().minute;
+}
+
+/**
+ * Adapter for the dnd5e system's short and long rests.
+ */
+export default class Dnd5eActivityAdapter extends BaseActivityAdapter {
+  static id = 'dnd5e';
+  static label = 'CALENDARIA.Activity.Adapter.Dnd5e';
+  static systemId = 'dnd5e';
+  static activities = {
+    shortRest: { kind: TIME_SOURCES.REST, label: 'CALENDARIA.Activity.ShortRest', duration: restSeconds, snapToDawn: false },
+    longRest: { kind: TIME_SOURCES.REST, label: 'CALENDARIA.Activity.LongRest', duration: restSeconds, snapToDawn: ({ config }) => !!config.newDay || game.settings.get('dnd5e', 'restVariant') === 'gritty' }
+  };
+
+  /** @override */
+  static activate() {
+    Hooks.on('dnd5e.preLongRest', this.#onPreRest.bind(this));
+    Hooks.on('dnd5e.preShortRest', this.#onPreRest.bind(this));
+    Hooks.on('dnd5e.longRest', this.#onLongRest.bind(this));
+    Hooks.on('dnd5e.shortRest', this.#onShortRest.bind(this));
+  }
+
+  /**
+   * Handle pre-rest hook to enable time advancement.
+   * Fires before dialog, just enables the advanceTime flag.
+   * @param {object} _actor - The actor taking the rest
+   * @param {object} config - Rest configuration
+   * @private
+   */
+  static #onPreRest(_actor, config) {
+    if (!isActivityTimeEnabled()) return;
+    config.advanceTime = true;
+    log(3, `Rest time advancement enabled for ${config.type} rest`);
+  }
+
+  /**
+   * Handle long rest after dialog completes.
+   * Rests that start a new day (always, for gritty realism) are stretched to end at the next dawn.
+   * @param {object} _actor - The actor taking the rest
+   * @param {object} config - Rest configuration (with user's dialog choices)
+   * @private
+   */
+  static #onLongRest(_actor, config) {
+    if (!isActivityTimeEnabled() || config.advanceTime === false) return;
+    if (config.type !== 'long' && config.longRest !== true) return;
+    if (game.user.isGM) SessionLedger.tagSource(TIME_SOURCES.REST);
+    const seconds = getActivityDuration(this.id, 'longRest', { config });
+    const minutes = Math.ceil(seconds / getTimeIncrements().minute);
+    if (minutes !== config.duration) log(3, `Long rest extended from ${config.duration} to ${minutes} minutes to end at dawn`);
+    config.duration = minutes;
+  }
+
+  /**
+   * Handle short rest after dialog completes.
+   * Short rests use the system duration; this only tags the time change for the session ledger.
+   * @param {object} _actor - The actor taking the rest
+   * @param {object} config - Rest configuration (with user's dialog choices)
+   * @private
+   */
+  static #onShortRest(_actor, config) {
+    if (!isActivityTimeEnabled() || config.advanceTime === false || !game.user.isGM) return;
+    SessionLedger.tagSource(TIME_SOURCES.REST);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Activity Time Registry
+ * Central registry for adapters that turn rests, overland travel and dungeon turns into world time.
+ * @module Integrations/Activities
+ * @author Tyler
+ */
+
+import CalendarManager from '../../calendar/calendar-manager.mjs';
+import { HOOKS, MODULE, SETTINGS } from '../../constants.mjs';
+import SessionLedger from '../../time/session-ledger.mjs';
+import TimeClock, { getTimeIncrements } from '../../time/time-clock.mjs';
+import { localize } from '../../utils/localization.mjs';
+import { log } from '../../utils/logger.mjs';
+import WeatherManager from '../../weather/weather-manager.mjs';
+import Dnd5eActivityAdapter from './dnd5e-adapter.mjs';
+import OseActivityAdapter from './ose-adapter.mjs';
+import OsrHelperActivityAdapter from './osr-helper-adapter.mjs';
+
+/**
+ * Registry of all available adapters.
+ */
+const ADAPTERS = new Map();
+
+/**
+ * IDs of adapters that detected their system or module and were activated.
+ */
+const ACTIVE = new Set();
+
+/** @type {boolean} Whether built-in adapters have been registered and activated */
+let initialized = false;
+
+/**
+ * Register an adapter class. Adapters registered after init are activated immediately if detected.
+ * @param {object} AdapterClass - The adapter class to register
+ * @throws {Error} If adapter is invalid
+ */
+export function registerActivityAdapter(AdapterClass) {
+  if (!AdapterClass?.id) throw new Error('Activity adapter class must have a static id property');
+  if (ADAPTERS.has(AdapterClass.id)) return;
+  ADAPTERS.set(AdapterClass.id, AdapterClass);
+  log(3, `Registered activity adapter: ${AdapterClass.id}`);
+  if (initialized) activateAdapter(AdapterClass);
+}
+
+/**
+ * Activate an adapter if its system or module is in use.
+ * @param {object} AdapterClass - The adapter class
+ */
+function activateAdapter(AdapterClass) {
+  if (ACTIVE.has(AdapterClass.id) || !AdapterClass.detect()) return;
+  AdapterClass.activate();
+  ACTIVE.add(AdapterClass.id);
+  log(3, `Activated activity adapter: ${AdapterClass.id}`);
+}
+
+/**
+ * Get an adapter class by ID.
+ * @param {string} id - Adapter ID
+ * @returns {object|undefined} - Adapter class
+ */
+export function getActivityAdapter(id) {
+  return ADAPTERS.get(id);
+}
+
+/**
+ * Get all registered adapters.
+ * @returns {Array<object>} - All adapter classes
+ */
+export function getActivityAdapters() {
+  return [...ADAPTERS.values()];
+}
+
+/**
+ * Get adapters whose system or module is in use.
+ * @returns {Array<object>} - Active adapter classes
+ */
+export function getActiveActivityAdapters() {
+  return getActivityAdapters().filter((adapter) => ACTIVE.has(adapter.id));
+}
+
+/**
+ * Get the activities of every active adapter.
+ * @returns {Array<{adapterId: string, activityId: string, kind: string, label: string}>} - Activity options
+ */
+export function getActivityOptions() {
+  return getActiveActivityAdapters().flatMap((adapter) =>
+    Object.entries(adapter.activities).map(([activityId, activity]) => ({ adapterId: adapter.id, activityId, kind: activity.kind, label: localize(activity.label) }))
+  );
+}
+
+/**
+ * Find an active activity by ID, optionally prefixed with its adapter ID ("ose.nightRest").
+ * @param {string} query - Activity ID or adapterId.activityId
+ * @returns {{adapterId: string, activityId: string, kind: string, label: string}|undefined} - Activity option
+ */
+export function findActivity(query) {
+  const term = query?.trim().toLowerCase();
+  if (!term) return undefined;
+  const options = getActivityOptions();
+  return options.find((o) => `${o.adapterId}.${o.activityId}`.toLowerCase() === term) ?? options.find((o) => o.activityId.toLowerCase() === term);
+}
+
+/**
+ * Whether rest and travel activities reported by systems and modules should advance world time.
+ * @returns {boolean} True if enabled
+ */
+export function isActivityTimeEnabled() {
+  return game.settings.get(MODULE.ID, SETTINGS.ADVANCE_TIME_ON_REST);
+}
+
+/**
+ * Get the world time of the first sunrise at or after a time.
+ * @param {number} time - World time in seconds
+ * @returns {number} World time of the next sunrise (the input time if the calendar has no sunrise)
+ */
+export function getNextDawn(time) {
+  const calendar = CalendarManager.getActiveCalendar();
+  if (!calendar?.sunrise) return time;
+  const zone = WeatherManager.getActiveZone?.(null, game.scenes?.active);
+  const { minute, hour, day } = getTimeIncrements();
+  const components = calendar.timeToComponents(time);
+  const dayStart = time - (components.hour * hour + components.minute * minute + components.second);
+  const dawn = dayStart + Math.round(calendar.sunrise(components, zone) * hour);
+  if (dawn >= time) return dawn;
+  return dayStart + day + Math.round(calendar.sunrise(calendar.timeToComponents(dayStart + day), zone) * hour);
+}
+
+/**
+ * Work out how much world time an activity consumes.
+ * @param {string} adapterId - Adapter ID
+ * @param {string} activityId - Activity ID
+ * @param {object} [context] - Adapter-specific context passed to duration and snapToDawn functions
+ * @param {number} [context.startTime] - World time the activity starts at (defaults to now)
+ * @returns {number} Seconds to advance, or 0 for an unknown activity
+ */
+export function getActivityDuration(adapterId, activityId, context = {}) {
+  const activity = ADAPTERS.get(adapterId)?.activities[activityId];
+  if (!activity) {
+    log(2, `Unknown activity: ${adapterId}.${activityId}`);
+    return 0;
+  }
+  const increments = getTimeIncrements();
+  let seconds = activity.duration;
+  if (typeof seconds === 'function') seconds = seconds(context);
+  else if (typeof seconds === 'object') seconds = Object.entries(seconds).reduce((total, [unit, amount]) => total + amount * (increments[unit] ?? 0), 0);
+  seconds = Math.max(0, Number(seconds) || 0);
+  const snap = typeof activity.snapToDawn === 'function' ? activity.snapToDawn(context) : activity.snapToDawn;
+  if (!snap) return seconds;
+  const start = context.startTime ?? game.time.worldTime;
+  return getNextDawn(start + seconds) - start;
+}
+
+/**
+ * Perform an activity, advancing world time by its duration.
+ * @param {string} adapterId - Adapter ID
+ * @param {string} activityId - Activity ID
+ * @param {object} [context] - Adapter-specific context passed to duration and snapToDawn functions
+ * @returns {Promise<number>} Seconds advanced
+ */
+export async function performActivity(adapterId, activityId, context = {}) {
+  if (!TimeClock.canAdjustTime()) return 0;
+  const seconds = getActivityDuration(adapterId, activityId, context);
+  if (!seconds) return 0;
+  const kind = ADAPTERS.get(adapterId).activities[activityId].kind;
+  SessionLedger.tagSource(kind);
+  await TimeClock.advance(seconds);
+  SessionLedger.clearSource(kind);
+  log(3, `Activity ${adapterId}.${activityId} advanced time by ${seconds}s`);
+  Hooks.callAll(HOOKS.ACTIVITY_PERFORMED, { adapterId, activityId, kind, seconds });
+  return seconds;
+}
+
+/**
+ * Register the built-in adapters and activate those whose system or module is in use.
+ * Called during module initialization.
+ */
+export function initializeActivityAdapters() {
+  registerActivityAdapter(Dnd5eActivityAdapter);
+  registerActivityAdapter(OseActivityAdapter);
+  registerActivityAdapter(OsrHelperActivityAdapter);
+  for (const adapter of ADAPTERS.values()) activateAdapter(adapter);
+  initialized = true;
+  log(3, `Activity adapters initialized: ${ACTIVE.size} active of ${ADAPTERS.size}`);
+}
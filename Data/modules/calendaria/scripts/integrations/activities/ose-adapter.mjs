@@ -0,0 +1,25 @@
+/**
+ * Old-School Essentials Activity Adapter
+ * Declares the OSE exploration and travel time scale. The system has no rest or turn hooks,
+ * so these activities are performed through the API or the /activity chat command.
+ * @module Integrations/Activities/OseAdapter
+ * @author Tyler
+ */
+
+import { TIME_SOURCES } from '../../constants.mjs';
+import BaseActivityAdapter from './base-adapter.mjs';
+
+/**
+ * Adapter for the Old-School Essentials system.
+ */
+export default class OseActivityAdapter extends BaseActivityAdapter {
+  static id = 'ose';
+  static label = 'CALENDARIA.Activity.Adapter.Ose';
+  static systemId = 'ose';
+  static activities = {
+    dungeonTurn: { kind: TIME_SOURCES.DUNGEON, label: 'CALENDARIA.Activity.DungeonTurn', duration: { minute: 10 } },
+    dungeonRest: { kind: TIME_SOURCES.REST, label: 'CALENDARIA.Activity.DungeonRest', duration: { minute: 10 } },
+    travelDay: { kind: TIME_SOURCES.TRAVEL, label: 'CALENDARIA.Activity.TravelDay', duration: { day: 1 } },
+    nightRest: { kind: TIME_SOURCES.REST, label: 'CALENDARIA.Activity.NightRest', duration: { hour: 8 }, snapToDawn: true }
+  };
+}
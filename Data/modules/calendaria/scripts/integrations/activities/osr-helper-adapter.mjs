@@ -0,0 +1,83 @@
+/**
+ * OSR Helper Activity Adapter
+ * Routes osr-helper's dungeon turns, travel turns and rests through Calendaria so they
+ * use the calendar's time units and are recorded in the session ledger.
+ * @module Integrations/Activities/OsrHelperAdapter
+ * @author Tyler
+ */
+
+import { TIME_SOURCES } from '../../constants.mjs';
+import SessionLedger from '../../time/session-ledger.mjs';
+import { getTimeIncrements } from '../../time/time-clock.mjs';
+import { log } from '../../utils/logger.mjs';
+import BaseActivityAdapter from './base-adapter.mjs';
+import { isActivityTimeEnabled, performActivity } from './index.mjs';
+
+/**
+ * Get osr-helper's configured travel turn length.
+ * @returns {number} Seconds
+ */
+function travelSeconds() {
+  const hours = game.settings.get('osr-helper', 'turnData')?.travel?.duration ?? 24;
+  return hours * getTimeIncrements().hour;
+}
+
+/**
+ * Adapter for the osr-helper module's turn tracker.
+ */
+export default class OsrHelperActivityAdapter extends BaseActivityAdapter {
+  static id = 'osr-helper';
+  static label = 'CALENDARIA.Activity.Adapter.OsrHelper';
+  static moduleId = 'osr-helper';
+  static activities = {
+    dungeonTurn: { kind: TIME_SOURCES.DUNGEON, label: 'CALENDARIA.Activity.DungeonTurn', duration: { minute: 10 } },
+    dungeonRest: { kind: TIME_SOURCES.REST, label: 'CALENDARIA.Activity.DungeonRest', duration: { minute: 10 } },
+    travelTurn: { kind: TIME_SOURCES.TRAVEL, label: 'CALENDARIA.Activity.TravelTurn', duration: travelSeconds },
+    travelRest: { kind: TIME_SOURCES.REST, label: 'CALENDARIA.Activity.TravelRest', duration: travelSeconds }
+  };
+
+  /** @type {string|null} Activity whose time advance osr-helper is about to make */
+  static #pending = null;
+
+  /** @override */
+  static activate() {
+    Hooks.once('ready', () => this.#wrapTurnTracker());
+  }
+
+  /**
+   * Wrap osr-helper's turn functions. OSRH is set up in osr-helper's own init hook, so this waits for ready.
+   * @private
+   */
+  static #wrapTurnTracker() {
+    const turn = globalThis.OSRH?.turn;
+    if (!turn?.timePlus) {
+      log(2, 'osr-helper turn tracker not found, dungeon and travel turns will not be tracked');
+      return;
+    }
+    const adapter = this;
+    const track = (name, activityFor) => {
+      const original = turn[name];
+      turn[name] = async function (...args) {
+        adapter.#pending = activityFor(...args);
+        try {
+          return await original.apply(this, args);
+        } finally {
+          adapter.#pending = null;
+        }
+      };
+    };
+    track('dungeonTurn', () => 'dungeonTurn');
+    track('travelTurn', () => 'travelTurn');
+    track('rest', (type = 'dungeon') => (type === 'travel' ? 'travelRest' : 'dungeonRest'));
+    const timePlus = turn.timePlus;
+    turn.timePlus = async function (amt, inc, turnFlag = false, turnType = null) {
+      const activityId = adapter.#pending;
+      if (!activityId || turnFlag) return timePlus.call(this, amt, inc, turnFlag, turnType);
+      adapter.#pending = null;
+      if (isActivityTimeEnabled()) return performActivity(adapter.id, activityId);
+      SessionLedger.tagSource(adapter.activities[activityId].kind);
+      return timePlus.call(this, amt, inc, turnFlag, turnType);
+    };
+    log(3, 'osr-helper turn tracker wrapped');
+  }
+}
@@ -6,11 +6,15 @@
  */
 
 import { CalendariaAPI } from '../api.mjs';
-import { MODULE } from '../constants.mjs';
-import { localize } from '../utils/localization.mjs';
+import { describeTides } from '../calendar/tides.mjs';
+import { MODULE, TIME_SOURCES } from '../constants.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
+import TimeHistory from '../time/time-history.mjs';
+import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { canAddNotes, canChangeActiveCalendar, canChangeDateTime } from '../utils/permissions.mjs';
 import WeatherManager from '../weather/weather-manager.mjs';
+import { findActivity } from './activities/index.mjs';
 
 /** Time unit aliases mapping to component fields. */
 const TIME_UNIT_MAP = {
@@ -163,6 +167,15 @@ function registerCommands() {
       callback: cmdSunset,
       autocompleteCallback: autocompleteSunset
     },
+    {
+      name: '/tide',
+      aliases: ['/tides'],
+      description: localize('CALENDARIA.ChatCommander.TideDesc'),
+      icon: '<i class="fas fa-water"></i>',
+      requiredRole: 'NONE',
+      callback: cmdTide,
+      autocompleteCallback: autocompleteTide
+    },
     {
       name: '/advance',
       aliases: ['/adv'],
@@ -171,6 +184,20 @@ function registerCommands() {
       requiredRole: 'GAMEMASTER',
       callback: cmdAdvance
     },
+    {
+      name: '/undo-time',
+      description: localize('CALENDARIA.ChatCommander.UndoTimeDesc'),
+      icon: '<i class="fas fa-rotate-left"></i>',
+      requiredRole: 'GAMEMASTER',
+      callback: cmdUndoTime
+    },
+    {
+      name: '/redo-time',
+      description: localize('CALENDARIA.ChatCommander.RedoTimeDesc'),
+      icon: '<i class="fas fa-rotate-right"></i>',
+      requiredRole: 'GAMEMASTER',
+      callback: cmdRedoTime
+    },
     {
       name: '/setdate',
       description: localize('CALENDARIA.ChatCommander.SetDateDesc'),
@@ -230,6 +257,15 @@ function registerCommands() {
       icon: '<i class="fas fa-yin-yang"></i>',
       requiredRole: 'NONE',
       callback: cmdCycle
+    },
+    {
+      name: '/activity',
+      aliases: ['/act'],
+      description: localize('CALENDARIA.ChatCommander.ActivityDesc'),
+      icon: '<i class="fas fa-person-hiking"></i>',
+      requiredRole: 'NONE',
+      callback: cmdActivity,
+      autocompleteCallback: autocompleteActivity
     }
   ];
 
@@ -248,7 +284,7 @@ function registerCommands() {
 function cmdDate(_chat, parameters) {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoCalendar')) };
-  const formatted = CalendariaAPI.formatDate(null, parameters?.trim() || 'dateLong');
+  const formatted = CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), parameters?.trim() || 'dateLong');
   return { content: wrapContent(formatted) };
 }
 
@@ -261,7 +297,7 @@ function cmdDate(_chat, parameters) {
 function cmdTime(_chat, parameters) {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoCalendar')) };
-  const formatted = CalendariaAPI.formatDate(null, parameters?.trim() || 'time24');
+  const formatted = CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), parameters?.trim() || 'time24');
   return { content: wrapContent(formatted) };
 }
 
@@ -274,7 +310,7 @@ function cmdTime(_chat, parameters) {
 function cmdDateTime(_chat, parameters) {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoCalendar')) };
-  const formatted = CalendariaAPI.formatDate(null, parameters?.trim() || 'dateTimeLong');
+  const formatted = CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), parameters?.trim() || 'dateTimeLong');
   return { content: wrapContent(formatted) };
 }
 
@@ -316,9 +352,10 @@ async function cmdNote(_chat, parameters) {
 function cmdWeather() {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoCalendar')) };
-  const weather = WeatherManager.getCurrentWeather();
+  const zoneId = WeatherManager.getViewedZone()?.id;
+  const weather = WeatherManager.getCurrentWeather(zoneId);
   if (!weather) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoWeather')) };
-  const temp = WeatherManager.getTemperature();
+  const temp = WeatherManager.getTemperature(zoneId);
   const unit = game.settings.get('calendaria', 'temperatureUnit');
   const tempStr = temp != null ? ` (${Math.round(temp)}°${unit === 'fahrenheit' ? 'F' : 'C'})` : '';
   return { content: wrapContent(`<i class="${weather.icon || 'fas fa-cloud'}"></i> ${localize(weather.label)}${tempStr}`) };
@@ -379,7 +416,8 @@ function cmdToday() {
   const notes = CalendariaAPI.getNotesForDate(dt.year, dt.month, (dt.dayOfMonth ?? 0) + 1);
   if (!notes?.length) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoNotesToday')) };
   const lines = notes.map((n) => {
-    const time = n.flagData.allDay ? '' : ` (${String(n.flagData.startDate.hour).padStart(2, '0')}:${String(n.flagData.startDate.minute).padStart(2, '0')})`;
+    const start = n.occurrence?.startDate ?? n.flagData.startDate;
+    const time = n.flagData.allDay ? '' : ` (${String(start.hour).padStart(2, '0')}:${String(start.minute).padStart(2, '0')})`;
     return `• ${n.name}${time}`;
   });
   return { content: wrapContent(`<strong>${localize('CALENDARIA.ChatCommand.TodayHeader')}</strong><br>${lines.join('<br>')}`) };
@@ -423,6 +461,27 @@ function cmdSunset(_chat, parameters) {
   return { content: wrapContent(`<i class="fas fa-moon"></i> ${localize('CALENDARIA.ChatCommand.Sunset')}: ${formatted}`) };
 }
 
+/**
+ * /tide [zone] - Display today's high and low tides.
+ * @param {object} _chat - Chat log instance
+ * @param {string} parameters - Optional climate zone name or ID
+ * @returns {object} Chat message data
+ */
+function cmdTide(_chat, parameters) {
+  const calendar = CalendariaAPI.getActiveCalendar();
+  if (!calendar) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoCalendar')) };
+  const search = parameters?.trim().toLowerCase();
+  let zone;
+  if (search) {
+    zone = WeatherManager.getCalendarZones().find((z) => z.id.toLowerCase() === search || localize(z.name).toLowerCase() === search);
+    if (!zone) return { content: wrapContent(format('CALENDARIA.ChatCommand.ZoneNotFound', { zone: parameters.trim() })) };
+  }
+  const day = CalendariaAPI.getTides(undefined, zone);
+  if (!day) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoTides')) };
+  const kind = day.kind ? ` (${localize(`CALENDARIA.Tides.${day.kind === 'spring' ? 'Spring' : 'Neap'}`)})` : '';
+  return { content: wrapContent(`<i class="fas fa-water"></i> <strong>${format('CALENDARIA.ChatCommand.TidesHeader', { zone: day.zone.name })}</strong>${kind}<br>${describeTides(day).join('<br>')}`) };
+}
+
 /**
  * /advance <n> <unit> - Advance time.
  * @param {object} _chat - Chat log instance
@@ -453,14 +512,35 @@ async function cmdAdvance(_chat, parameters) {
     year: { year: dt.year + value }
   };
   try {
+    SessionLedger.tagSource(TIME_SOURCES.CHAT);
     await CalendariaAPI.setDateTime({ ...dt, ...updates[baseUnit] });
     log(3, `Advanced time by ${value} ${unitInput}`);
   } catch (error) {
     log(1, 'Error advancing time:', error);
+  } finally {
+    SessionLedger.clearSource(TIME_SOURCES.CHAT);
   }
   return {};
 }
 
+/**
+ * /undo-time - Undo the most recent time change.
+ * @returns {Promise<object>} Empty object (no chat output)
+ */
+async function cmdUndoTime() {
+  if (game.user.isGM) await TimeHistory.promptUndo();
+  return {};
+}
+
+/**
+ * /redo-time - Redo the most recently undone time change.
+ * @returns {Promise<object>} Empty object (no chat output)
+ */
+async function cmdRedoTime() {
+  if (game.user.isGM) await TimeHistory.redo();
+  return {};
+}
+
 /**
  * /setdate <y> <m> <d> - Jump to specific date.
  * @param {object} _chat - Chat log instance
@@ -477,10 +557,13 @@ async function cmdSetDate(_chat, parameters) {
   const month = parseInt(match[2], 10) - 1;
   const day = parseInt(match[3], 10);
   try {
+    SessionLedger.tagSource(TIME_SOURCES.CHAT);
     await CalendariaAPI.jumpToDate({ year, month, day });
     log(3, `Set date to ${year}-${month + 1}-${day}`);
   } catch (error) {
     log(1, 'Error setting date:', error);
+  } finally {
+    SessionLedger.clearSource(TIME_SOURCES.CHAT);
   }
   return {};
 }
@@ -502,10 +585,13 @@ async function cmdSetTime(_chat, parameters) {
   const second = match[3] ? parseInt(match[3], 10) : 0;
   const dt = CalendariaAPI.getCurrentDateTime();
   try {
+    SessionLedger.tagSource(TIME_SOURCES.CHAT);
     await CalendariaAPI.setDateTime({ ...dt, hour, minute, second });
     log(3, `Set time to ${hour}:${minute}:${second}`);
   } catch (error) {
     log(1, 'Error setting time:', error);
+  } finally {
+    SessionLedger.clearSource(TIME_SOURCES.CHAT);
   }
   return {};
 }
@@ -518,13 +604,14 @@ function cmdCalendar() {
   const calendar = CalendariaAPI.getActiveCalendar();
   if (!calendar) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoCalendar')) };
   const lines = [];
-  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Date')}:</strong> ${CalendariaAPI.formatDate(null, 'dateLong')}`);
-  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Time')}:</strong> ${CalendariaAPI.formatDate(null, 'time24')}`);
+  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Date')}:</strong> ${CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), 'dateLong')}`);
+  lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Time')}:</strong> ${CalendariaAPI.formatDate(CalendariaAPI.getLocalDateTime(), 'time24')}`);
   const season = CalendariaAPI.getCurrentSeason();
   if (season) lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Season')}:</strong> ${localize(season.name)}`);
-  const weather = WeatherManager.getCurrentWeather();
+  const zoneId = WeatherManager.getViewedZone()?.id;
+  const weather = WeatherManager.getCurrentWeather(zoneId);
   if (weather) {
-    const temp = WeatherManager.getTemperature();
+    const temp = WeatherManager.getTemperature(zoneId);
     const unit = game.settings.get('calendaria', 'temperatureUnit');
     const tempStr = temp != null ? ` (${Math.round(temp)}°${unit === 'fahrenheit' ? 'F' : 'C'})` : '';
     lines.push(`<strong>${localize('CALENDARIA.ChatCommand.Weather')}:</strong> <i class="${weather.icon || 'fas fa-cloud'}"></i> ${localize(weather.label)}${tempStr}`);
@@ -572,7 +659,7 @@ async function cmdSwitchCal(_chat, parameters) {
   const calendarId = parameters?.trim();
   if (!calendarId) return {};
   const calendar = CalendariaAPI.getCalendar(calendarId);
-  if (!calendar) return {};
+  if (!calendar || !canChangeActiveCalendar({ calendarId })) return {};
   try {
     await CalendariaAPI.switchCalendar(calendarId);
     log(3, `Switched calendar to ${calendarId}`);
@@ -592,10 +679,59 @@ async function cmdSwitchCal(_chat, parameters) {
 function autocompleteSwitchCal(_menu, _alias, parameters) {
   const calendars = CalendariaAPI.getAllCalendarMetadata();
   const term = parameters?.toLowerCase() || '';
-  const filtered = calendars.filter((cal) => cal.id.toLowerCase().includes(term) || cal.name.toLowerCase().includes(term));
+  const filtered = calendars.filter((cal) => (cal.id.toLowerCase().includes(term) || cal.name.toLowerCase().includes(term)) && canChangeActiveCalendar({ calendarId: cal.id }));
   return filtered.map((cal) => game.chatCommands.createCommandElement(`/switchcal ${cal.id}`, `<span class="command-title">${cal.name}</span> <span class="notes">(${cal.id})</span>`));
 }
 
+/**
+ * Autocomplete for /tide - show climate zones.
+ * @param {object} _menu - Autocomplete menu instance
+ * @param {string} _alias - Command alias used
+ * @param {string} parameters - Current input parameters
+ * @returns {HTMLElement[]} Autocomplete entries
+ */
+function autocompleteTide(_menu, _alias, parameters) {
+  const term = parameters?.toLowerCase() || '';
+  const zones = WeatherManager.getCalendarZones().filter((z) => z.id.toLowerCase().includes(term) || localize(z.name).toLowerCase().includes(term));
+  return zones.map((z) => game.chatCommands.createCommandElement(`/tide ${z.id}`, `<span class="command-title">${localize(z.name)}</span> <span class="notes">(${z.id})</span>`));
+}
+
+/**
+ * /activity [id] - Perform a rest, travel or dungeon activity, or list them.
+ * @param {object} _chat - Chat log instance
+ * @param {string} parameters - Activity ID, optionally prefixed with its adapter ID
+ * @returns {Promise<object>} Chat message data
+ */
+async function cmdActivity(_chat, parameters) {
+  const activities = CalendariaAPI.getActivities();
+  if (!activities.length) return { content: wrapContent(localize('CALENDARIA.ChatCommand.NoActivities')) };
+  if (!parameters?.trim()) {
+    const lines = activities.map((a) => `• <strong>${a.label}:</strong> ${a.adapterId}.${a.activityId}`);
+    return { content: wrapContent(`<strong>${localize('CALENDARIA.ChatCommand.Activities')}</strong><br>${lines.join('<br>')}`) };
+  }
+  const activity = findActivity(parameters);
+  if (!activity || !canChangeDateTime()) return {};
+  try {
+    await CalendariaAPI.performActivity(activity.adapterId, activity.activityId);
+  } catch (error) {
+    log(1, 'Error performing activity:', error);
+  }
+  return {};
+}
+
+/**
+ * Autocomplete for /activity - show active activities.
+ * @param {object} _menu - Autocomplete menu instance
+ * @param {string} _alias - Command alias used
+ * @param {string} parameters - Current input parameters
+ * @returns {HTMLElement[]} Autocomplete entries
+ */
+function autocompleteActivity(_menu, _alias, parameters) {
+  const term = parameters?.toLowerCase() || '';
+  const filtered = CalendariaAPI.getActivities().filter((a) => `${a.adapterId}.${a.activityId}`.toLowerCase().includes(term) || a.label.toLowerCase().includes(term));
+  return filtered.map((a) => game.chatCommands.createCommandElement(`/activity ${a.adapterId}.${a.activityId}`, `<span class="command-title">${a.label}</span> <span class="notes">(${a.adapterId})</span>`));
+}
+
 /** Date format presets for autocomplete. */
 const DATE_FORMAT_PRESETS = [
   { key: 'dateLong', example: 'D MMMM, Y' },
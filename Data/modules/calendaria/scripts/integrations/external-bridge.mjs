@@ -0,0 +1,281 @@
+/**
+ * External Bridge
+ * Read-only JSON protocol over the module socket for processes outside the browser,
+ * such as stream overlays and chat bots logged into the world as a user. The primary GM
+ * publishes change events while at least one client has joined, and answers snapshot
+ * requests; nothing here can change the world.
+ * See `tools/bridge-client.mjs` for a Node reference client.
+ * @module Integrations/ExternalBridge
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { MODULE, SETTINGS, SOCKET_TYPES } from '../constants.mjs';
+import NoteManager from '../notes/note-manager.mjs';
+import { formatCustom, resolveFormatString } from '../utils/format-utils.mjs';
+import { localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import { CalendariaSocket } from '../utils/socket.mjs';
+import WeatherManager from '../weather/weather-manager.mjs';
+
+/** Real-time milliseconds between timeChanged events while the clock runs. */
+const TIME_EVENT_INTERVAL = 1000;
+
+/** Real-time milliseconds after which a client that stopped re-joining is dropped. */
+const SUBSCRIBER_TTL = 90000;
+
+/**
+ * Static class that publishes calendar snapshots and change events to external clients.
+ */
+export default class ExternalBridge {
+  /** @type {number} Protocol version, bumped on breaking changes to message shapes */
+  static PROTOCOL_VERSION = 1;
+
+  /**
+   * Event names published to external clients.
+   * @enum {string}
+   */
+  static EVENTS = {
+    CALENDAR_SWITCHED: 'calendarSwitched',
+    DATE_CHANGED: 'dateChanged',
+    NOTE_TRIGGERED: 'noteTriggered',
+    TIME_CHANGED: 'timeChanged',
+    WEATHER_CHANGED: 'weatherChanged'
+  };
+
+  /** @type {Object<string, Function>} Read-only queries a client may request */
+  static QUERIES = {
+    snapshot: () => ExternalBridge.getSnapshot(),
+    date: () => ExternalBridge.getDateSnapshot(),
+    weather: () => ExternalBridge.getWeatherSnapshot(),
+    notes: (params) => ExternalBridge.getNotesSnapshot(params)
+  };
+
+  /** @type {string|null} Last published date, as "year-month-day" */
+  static #lastDateKey = null;
+
+  /** @type {number} Real time of the last timeChanged event */
+  static #lastTimeEvent = 0;
+
+  /** @type {Map<string, number>} User IDs of joined external clients, with when each last joined */
+  static #subscribers = new Map();
+
+  /**
+   * Whether the bridge is enabled and this client is the one that publishes.
+   * @returns {boolean} True if this client should publish
+   */
+  static get isPublisher() {
+    return game.settings.get(MODULE.ID, SETTINGS.EXTERNAL_BRIDGE) && CalendariaSocket.isPrimaryGM();
+  }
+
+  /**
+   * Whether any external client has joined recently enough to still be listening.
+   * Drops clients that stopped re-joining.
+   * @returns {boolean} True if there is someone to publish to
+   * @private
+   */
+  static #hasSubscribers() {
+    const now = Date.now();
+    for (const [userId, joined] of this.#subscribers) if (now - joined > SUBSCRIBER_TTL) this.#subscribers.delete(userId);
+    return this.#subscribers.size > 0;
+  }
+
+  /**
+   * Subscribe an external client to events. Clients re-join periodically to stay subscribed.
+   * Called by the socket handler.
+   * @param {string} userId - User the client is logged in as
+   */
+  static handleJoin(userId) {
+    if (!this.isPublisher || !userId) return;
+    if (!this.#subscribers.has(userId)) log(3, `External bridge client joined as ${game.users.get(userId)?.name ?? userId}`);
+    this.#subscribers.set(userId, Date.now());
+  }
+
+  /**
+   * Unsubscribe an external client. Called by the socket handler.
+   * @param {string} userId - User the client is logged in as
+   */
+  static handleLeave(userId) {
+    this.#subscribers.delete(userId);
+  }
+
+  /**
+   * Unsubscribe a client whose user disconnected. Called from the userConnected hook.
+   * @param {object} user - The user
+   * @param {boolean} connected - Whether the user connected or disconnected
+   */
+  static onUserConnected(user, connected) {
+    if (!connected) this.#subscribers.delete(user.id);
+  }
+
+  /**
+   * Publish an event to external clients.
+   * @param {string} event - Event name from ExternalBridge.EVENTS
+   * @param {object} payload - Event data
+   * @private
+   */
+  static #publish(event, payload) {
+    if (!this.isPublisher || !this.#hasSubscribers()) return;
+    CalendariaSocket.emit(SOCKET_TYPES.BRIDGE_EVENT, { protocol: this.PROTOCOL_VERSION, event, worldTime: game.time.worldTime, timestamp: Date.now(), payload });
+  }
+
+  /**
+   * Publish dateChanged when the day changes and timeChanged at most once a second otherwise.
+   * Called from the updateWorldTime hook.
+   */
+  static onUpdateWorldTime() {
+    if (!this.isPublisher || !this.#hasSubscribers()) return;
+    const date = this.getDateSnapshot();
+    if (!date) return;
+    const dateKey = `${date.year}-${date.month}-${date.day}`;
+    if (dateKey !== this.#lastDateKey) {
+      this.#lastDateKey = dateKey;
+      this.#publish(this.EVENTS.DATE_CHANGED, { date, notes: this.getNotesSnapshot() });
+      return;
+    }
+    if (Date.now() - this.#lastTimeEvent < TIME_EVENT_INTERVAL) return;
+    this.#lastTimeEvent = Date.now();
+    this.#publish(this.EVENTS.TIME_CHANGED, { date });
+  }
+
+  /**
+   * Publish weatherChanged. Called from the calendaria.weatherChange hook.
+   * @param {object} [data] - Hook data
+   * @param {string} [data.zone] - Zone the weather changed in
+   */
+  static onWeatherChange({ zone } = {}) {
+    this.#publish(this.EVENTS.WEATHER_CHANGED, this.getWeatherSnapshot(zone));
+  }
+
+  /**
+   * Publish noteTriggered for notes players can see. Called from the calendaria.eventTriggered hook.
+   * @param {object} data - Hook data
+   * @param {string} data.id - Note page ID
+   */
+  static onEventTriggered({ id }) {
+    const note = NoteManager.getNote(id);
+    if (!note || note.flagData.gmOnly) return;
+    this.#publish(this.EVENTS.NOTE_TRIGGERED, { note: this.#serializeNote(note) });
+  }
+
+  /**
+   * Publish calendarSwitched with a fresh snapshot. Called from the calendaria.calendarSwitched hook.
+   */
+  static onCalendarSwitched() {
+    this.#lastDateKey = null;
+    this.#publish(this.EVENTS.CALENDAR_SWITCHED, this.getSnapshot());
+  }
+
+  /**
+   * Answer a query sent by an external client.
+   * @param {object} data - Request data
+   * @param {string} data.requestId - Client-chosen ID echoed in the response
+   * @param {string} data.query - Query name from ExternalBridge.QUERIES
+   * @param {object} [data.params] - Query parameters
+   */
+  static handleRequest({ requestId, query, params = {} } = {}) {
+    if (!this.isPublisher || !requestId) return;
+    const response = { protocol: this.PROTOCOL_VERSION, requestId, query };
+    const handler = this.QUERIES[query];
+    if (!handler) {
+      CalendariaSocket.emit(SOCKET_TYPES.BRIDGE_RESPONSE, { ...response, ok: false, error: `Unknown query: ${query}` });
+      return;
+    }
+    try {
+      CalendariaSocket.emit(SOCKET_TYPES.BRIDGE_RESPONSE, { ...response, ok: true, result: handler(params) });
+    } catch (error) {
+      log(1, `Bridge query ${query} failed:`, error);
+      CalendariaSocket.emit(SOCKET_TYPES.BRIDGE_RESPONSE, { ...response, ok: false, error: error.message });
+    }
+  }
+
+  /**
+   * Get a full snapshot of the calendar state.
+   * @returns {{protocol: number, calendar: object|null, date: object|null, weather: object|null, notes: object[]}} Snapshot
+   */
+  static getSnapshot() {
+    const calendar = CalendarManager.getActiveCalendar();
+    return {
+      protocol: this.PROTOCOL_VERSION,
+      calendar: calendar ? { id: calendar.metadata?.id ?? null, name: localize(calendar.name) } : null,
+      date: this.getDateSnapshot(),
+      weather: this.getWeatherSnapshot(),
+      notes: this.getNotesSnapshot()
+    };
+  }
+
+  /**
+   * Get the current date and time.
+   * @returns {object|null} Date with display year, 0-indexed month, 1-indexed day and formatted strings
+   */
+  static getDateSnapshot() {
+    const calendar = CalendarManager.getActiveCalendar();
+    if (!calendar) return null;
+    const components = game.time.components;
+    const year = components.year + (calendar.years?.yearZero ?? 0);
+    const formatComponents = { ...components, year, dayOfMonth: components.dayOfMonth + 1 };
+    const weekday = calendar.getWeekdayForDate?.();
+    const season = calendar.getCurrentSeason?.();
+    const festival = calendar.findFestivalDay?.();
+    return {
+      year,
+      month: components.month,
+      monthName: localize(calendar.monthsArray[components.month]?.name ?? ''),
+      day: components.dayOfMonth + 1,
+      hour: components.hour,
+      minute: components.minute,
+      weekday: weekday ? localize(weekday.name ?? '') : null,
+      season: season ? localize(season.name) : null,
+      festival: festival ? localize(festival.name) : null,
+      moons: calendar.moonsArray.map((moon, index) => ({ name: localize(moon.name), phase: calendar.getMoonPhase(index)?.subPhaseName ?? null })),
+      formatted: { date: formatCustom(calendar, formatComponents, resolveFormatString('dateLong')), time: formatCustom(calendar, formatComponents, resolveFormatString('time24')) }
+    };
+  }
+
+  /**
+   * Get the current weather.
+   * @param {string} [zoneId] - Climate zone (defaults to the calendar's active zone)
+   * @returns {object|null} Weather with preset ID, label, temperature and zone, or null if none is set
+   */
+  static getWeatherSnapshot(zoneId) {
+    const weather = WeatherManager.getCurrentWeather(zoneId);
+    if (!weather) return null;
+    const zone = WeatherManager.getActiveZone(zoneId || null);
+    const temperature = WeatherManager.getTemperature(zoneId);
+    return {
+      id: weather.id ?? null,
+      label: localize(weather.label ?? ''),
+      icon: weather.icon ?? null,
+      temperature,
+      temperatureText: temperature == null ? null : WeatherManager.formatTemperature(temperature),
+      mechanics: WeatherManager.getMechanics(zoneId),
+      zone: zone ? { id: zone.id, name: localize(zone.name) } : null
+    };
+  }
+
+  /**
+   * Get the notes on a date that players can see.
+   * @param {object} [params] - Query parameters
+   * @param {number} [params.year] - Display year (defaults to today)
+   * @param {number} [params.month] - Month index (defaults to today)
+   * @param {number} [params.day] - Day of month, 1-indexed (defaults to today)
+   * @returns {object[]} Serialized notes
+   */
+  static getNotesSnapshot({ year, month, day } = {}) {
+    const today = this.getDateSnapshot();
+    if (!today) return [];
+    const notes = NoteManager.getNotesForDate(year ?? today.year, month ?? today.month, day ?? today.day);
+    return notes.filter((note) => !note.flagData.gmOnly).map((note) => this.#serializeNote(note));
+  }
+
+  /**
+   * Reduce a note stub to the fields external clients receive.
+   * @param {object} note - Note stub
+   * @returns {object} Serialized note
+   * @private
+   */
+  static #serializeNote(note) {
+    const { startDate, endDate, allDay, repeat, categories, color, icon } = note.flagData;
+    return { id: note.id, name: note.name, startDate: note.occurrence?.startDate ?? startDate, endDate: endDate ?? null, allDay, repeat, categories, color, icon };
+  }
+}
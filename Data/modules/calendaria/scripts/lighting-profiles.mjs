@@ -0,0 +1,162 @@
+/**
+ * Per-scene ambient lighting profiles.
+ * A profile keyframes a tint, saturation and tint intensity for dawn, day, dusk and night
+ * against the scene zone's sunrise and sunset, brightens nights by moon phase, and dims
+ * and desaturates the scene under heavy weather.
+ * @module LightingProfiles
+ * @author Tyler
+ */
+
+import { MODULE, SCENE_FLAGS } from './constants.mjs';
+
+/** Profile phases in the order they are shown in the scene config. */
+export const LIGHTING_PHASES = ['dawn', 'day', 'dusk', 'night'];
+
+/** Default profile values, used for any field a scene does not set. */
+export const DEFAULT_LIGHTING_PROFILE = {
+  enabled: false,
+  twilight: 1.5,
+  moonlight: 0.25,
+  weatherDimming: 1,
+  keyframes: {
+    dawn: { color: '#ff9e5e', saturation: 0.55, intensity: 0.35 },
+    day: { color: '#fff6e0', saturation: 0.5, intensity: 0 },
+    dusk: { color: '#ff7a4d', saturation: 0.55, intensity: 0.4 },
+    night: { color: '#3a4a8c', saturation: 0.35, intensity: 0.5 }
+  }
+};
+
+/**
+ * Get a scene's lighting profile merged over the defaults.
+ * @param {object} scene - Scene document
+ * @returns {object} Lighting profile
+ */
+export function getLightingProfile(scene) {
+  const flag = scene?.getFlag(MODULE.ID, SCENE_FLAGS.LIGHTING_PROFILE) ?? {};
+  return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_LIGHTING_PROFILE), flag, { inplace: false });
+}
+
+/**
+ * Get a scene's lighting profile if it is enabled.
+ * @param {object} scene - Scene document
+ * @returns {object|null} Enabled lighting profile or null
+ */
+export function getActiveLightingProfile(scene) {
+  if (!scene?.getFlag(MODULE.ID, SCENE_FLAGS.LIGHTING_PROFILE)?.enabled) return null;
+  return getLightingProfile(scene);
+}
+
+/**
+ * Build the keyframe timeline for a day.
+ * Night holds until twilight before sunrise, ramps through dawn at sunrise to day,
+ * holds day until twilight before sunset, then ramps through dusk back to night.
+ * @param {object} profile - Lighting profile
+ * @param {number|null} sunrise - Sunrise hour (decimal)
+ * @param {number|null} sunset - Sunset hour (decimal)
+ * @param {number} hoursPerDay - Hours per day
+ * @returns {Array<{hour: number, phase: string}>} Keyframes sorted by hour, spanning one day from the first
+ */
+export function getKeyframeTimeline(profile, sunrise, sunset, hoursPerDay) {
+  sunrise ??= hoursPerDay / 4;
+  sunset ??= (hoursPerDay * 3) / 4;
+  const daylight = sunset - sunrise;
+  const twilight = Math.max(0, Math.min(profile.twilight ?? 0, daylight / 2, (hoursPerDay - daylight) / 2));
+  return [
+    { hour: sunrise - twilight, phase: 'night' },
+    { hour: sunrise, phase: 'dawn' },
+    { hour: sunrise + twilight, phase: 'day' },
+    { hour: sunset - twilight, phase: 'day' },
+    { hour: sunset, phase: 'dusk' },
+    { hour: sunset + twilight, phase: 'night' }
+  ];
+}
+
+/**
+ * Interpolate the profile's keyframes at an hour of the day.
+ * @param {object} profile - Lighting profile
+ * @param {number} hour - Current hour (decimal)
+ * @param {number|null} sunrise - Sunrise hour (decimal)
+ * @param {number|null} sunset - Sunset hour (decimal)
+ * @param {number} hoursPerDay - Hours per day
+ * @returns {{color: string, saturation: number, intensity: number}} Interpolated keyframe
+ */
+export function interpolateKeyframes(profile, hour, sunrise, sunset, hoursPerDay) {
+  const timeline = getKeyframeTimeline(profile, sunrise, sunset, hoursPerDay);
+  const points = [...timeline, { hour: timeline[0].hour + hoursPerDay, phase: timeline[0].phase }];
+  let t = hour;
+  while (t < points[0].hour) t += hoursPerDay;
+  while (t >= points[0].hour + hoursPerDay) t -= hoursPerDay;
+  let i = 0;
+  while (i < points.length - 2 && t >= points[i + 1].hour) i++;
+  const from = profile.keyframes[points[i].phase];
+  const to = profile.keyframes[points[i + 1].phase];
+  const span = points[i + 1].hour - points[i].hour;
+  const progress = span > 0 ? (t - points[i].hour) / span : 0;
+  return {
+    color: foundry.utils.Color.from(from.color).mix(foundry.utils.Color.from(to.color), progress).css,
+    saturation: from.saturation + (to.saturation - from.saturation) * progress,
+    intensity: from.intensity + (to.intensity - from.intensity) * progress
+  };
+}
+
+/**
+ * Get how lit the night sky is by the brightest moon.
+ * @param {object} [calendar] - Calendar (defaults to the active game calendar)
+ * @param {number} [worldTime] - World time to check
+ * @returns {number} Illumination from 0 (no moon or all new) to 1 (a full moon)
+ */
+export function getMoonIllumination(calendar = game.time.calendar, worldTime = game.time.worldTime) {
+  const moons = calendar?.moonsArray ?? [];
+  let illumination = 0;
+  for (let i = 0; i < moons.length; i++) {
+    const position = calendar.getMoonPhase?.(i, worldTime)?.position;
+    if (position == null) continue;
+    illumination = Math.max(illumination, (1 - Math.cos(position * 2 * Math.PI)) / 2);
+  }
+  return illumination;
+}
+
+/**
+ * Calculate a scene's lighting from its profile.
+ * @param {object} profile - Lighting profile
+ * @param {object} options - Lighting inputs
+ * @param {number} options.darkness - Darkness after scene and climate brightness modifiers (0-1)
+ * @param {number} options.baseDarkness - Darkness from time of day alone (0-1)
+ * @param {number} options.hour - Current hour (decimal)
+ * @param {number|null} options.sunrise - Sunrise hour (decimal)
+ * @param {number|null} options.sunset - Sunset hour (decimal)
+ * @param {number} options.hoursPerDay - Hours per day
+ * @param {number} [options.moonIllumination] - Moon illumination (0-1)
+ * @param {object|null} [options.weather] - Current weather of the scene's zone
+ * @returns {{darkness: number, base: {hue: number, saturation: number, intensity: number}, dark: {hue: number, saturation: number, intensity: number}}} Lighting values in Foundry's environment ranges
+ */
+export function calculateProfileLighting(profile, { darkness, baseDarkness, hour, sunrise, sunset, hoursPerDay, moonIllumination = 0, weather = null }) {
+  const nightWeight = Math.max(0, Math.min(1, (baseDarkness - 0.5) * 2));
+  const weatherDim = (weather?.darknessPenalty ?? 0) * (profile.weatherDimming ?? 1);
+  const desaturate = 1 - Math.min(1, weatherDim * 2);
+  const adjusted = darkness - (profile.moonlight ?? 0) * moonIllumination * nightWeight + weatherDim;
+  const current = interpolateKeyframes(profile, hour, sunrise, sunset, hoursPerDay);
+  const night = profile.keyframes.night;
+  return {
+    darkness: Math.max(0, Math.min(1, adjusted)),
+    base: { hue: foundry.utils.Color.from(current.color).hsv[0], saturation: current.saturation * desaturate * 2 - 1, intensity: current.intensity },
+    dark: { hue: foundry.utils.Color.from(night.color).hsv[0], saturation: night.saturation * desaturate * 2 - 1, intensity: night.intensity }
+  };
+}
+
+/**
+ * Convert calculated profile lighting into scene update data.
+ * @param {object} lighting - Result of calculateProfileLighting
+ * @returns {object} Scene update data
+ */
+export function getProfileUpdateData(lighting) {
+  return {
+    'environment.darknessLevel': lighting.darkness,
+    'environment.base.hue': lighting.base.hue,
+    'environment.base.saturation': lighting.base.saturation,
+    'environment.base.intensity': lighting.base.intensity,
+    'environment.dark.hue': lighting.dark.hue,
+    'environment.dark.saturation': lighting.dark.saturation,
+    'environment.dark.intensity': lighting.dark.intensity
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * Action Manager
+ * Declarative note actions: ordered steps a note runs when it fires ("draw on the
+ * encounter table, then dim the scene") without writing a macro. Each step may carry
+ * simple conditions on the current weather, moon phase or climate zone.
+ * @module Notes/ActionManager
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { MODULE } from '../constants.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import { CalendariaSocket } from '../utils/socket.mjs';
+import WeatherManager from '../weather/weather-manager.mjs';
+import NoteManager from './note-manager.mjs';
+import { addDays, getCurrentDate } from './utils/date-utils.mjs';
+
+/** Weather action target that clears the weather instead of setting a preset. */
+const CLEAR_WEATHER = 'none';
+
+/**
+ * @typedef {object} ActionCondition
+ * @property {'weather'|'moonPhase'|'zone'} kind - What the condition checks
+ * @property {string} value - Weather preset ID, phase index or zone ID
+ * @property {number|null} [moonIndex] - Moon checked by a moonPhase condition
+ */
+
+/**
+ * @typedef {object} NoteAction
+ * @property {string} type - Action type, one of ActionManager.TYPES
+ * @property {string} target - Document or preset the action uses (blank where unused)
+ * @property {string} value - Darkness level or follow-up delay in days (blank where unused)
+ * @property {ActionCondition[]} conditions - Conditions that must all hold for the step to run
+ */
+
+/**
+ * Static class that runs and describes note action lists.
+ */
+export default class ActionManager {
+  /** @type {Object<string, {label: string, icon: string}>} Available action types */
+  static TYPES = {
+    rollTable: { label: 'CALENDARIA.Note.Actions.Type.rollTable', icon: 'fas fa-table-list' },
+    weather: { label: 'CALENDARIA.Note.Actions.Type.weather', icon: 'fas fa-cloud-sun-rain' },
+    playlist: { label: 'CALENDARIA.Note.Actions.Type.playlist', icon: 'fas fa-music' },
+    darkness: { label: 'CALENDARIA.Note.Actions.Type.darkness', icon: 'fas fa-circle-half-stroke' },
+    showJournal: { label: 'CALENDARIA.Note.Actions.Type.showJournal', icon: 'fas fa-book-open' },
+    followUp: { label: 'CALENDARIA.Note.Actions.Type.followUp', icon: 'fas fa-calendar-plus' }
+  };
+
+  /** @type {string[]} Action types configured by a typed value rather than a target */
+  static VALUE_TYPES = ['darkness', 'followUp'];
+
+  /** @type {string[]} Condition kinds a step can check */
+  static CONDITIONS = ['weather', 'moonPhase', 'zone'];
+
+  /**
+   * Run a note's action list in order. Only the primary GM runs actions, so each
+   * step happens once no matter how many GMs are connected.
+   * @param {object} note - The note stub that fired
+   * @returns {Promise<number>} Number of steps that ran
+   */
+  static async run(note) {
+    if (!CalendariaSocket.isPrimaryGM()) return 0;
+    const steps = note.flagData?.actions ?? [];
+    let ran = 0;
+    for (const [index, step] of steps.entries()) {
+      if (!this.checkConditions(step.conditions)) {
+        log(3, `Skipping action ${index + 1} (${step.type}) for ${note.name}: conditions not met`);
+        continue;
+      }
+      try {
+        await this.#runStep(step, note);
+        ran++;
+      } catch (error) {
+        log(1, `Action ${index + 1} (${step.type}) failed for ${note.name}:`, error);
+      }
+    }
+    if (steps.length) log(3, `Ran ${ran}/${steps.length} actions for ${note.name}`);
+    return ran;
+  }
+
+  /**
+   * Whether every condition of a step currently holds.
+   * @param {ActionCondition[]} [conditions] - Step conditions
+   * @returns {boolean} True if the step should run
+   */
+  static checkConditions(conditions = []) {
+    if (!conditions?.length) return true;
+    const zone = WeatherManager.getActiveZone(null, game.scenes?.active);
+    const calendar = CalendarManager.getActiveCalendar();
+    return conditions.every((condition) => {
+      switch (condition.kind) {
+        case 'weather':
+          return WeatherManager.getCurrentWeather(zone?.id)?.id === condition.value;
+        case 'moonPhase':
+          return String(calendar?.getMoonPhase(condition.moonIndex ?? 0)?.phaseIndex) === String(condition.value);
+        case 'zone':
+          return zone?.id === condition.value;
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Run a single step.
+   * @param {NoteAction} step - Step to run
+   * @param {object} note - The note stub that fired
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #runStep(step, note) {
+    switch (step.type) {
+      case 'rollTable': {
+        const table = game.tables.get(step.target);
+        if (!table) throw new Error(`Roll table not found: ${step.target}`);
+        await table.draw();
+        break;
+      }
+      case 'weather': {
+        const zone = WeatherManager.getActiveZone(null, game.scenes?.active);
+        if (step.target === CLEAR_WEATHER) await WeatherManager.clearWeather(true, false, zone?.id);
+        else await WeatherManager.setWeather(step.target, { zoneId: zone?.id });
+        break;
+      }
+      case 'playlist': {
+        const [playlistId, soundId] = step.target.split('.');
+        const playlist = game.playlists.get(playlistId);
+        if (!playlist) throw new Error(`Playlist not found: ${playlistId}`);
+        const sound = soundId ? playlist.sounds.get(soundId) : null;
+        if (sound) await playlist.playSound(sound);
+        else await playlist.playAll();
+        break;
+      }
+      case 'darkness': {
+        const scene = game.scenes.active;
+        const darkness = Math.clamp(Number(step.value), 0, 1);
+        if (!scene || !Number.isFinite(darkness)) return;
+        await scene.update({ 'environment.darknessLevel': darkness }, { animateDarkness: true });
+        break;
+      }
+      case 'showJournal': {
+        const document = await fromUuid(step.target);
+        if (!document) throw new Error(`Journal page not found: ${step.target}`);
+        await foundry.documents.collections.Journal.show(document, { force: true });
+        break;
+      }
+      case 'followUp': {
+        const days = parseInt(step.value) || 0;
+        const startDate = addDays(getCurrentDate(), days);
+        const { categories, color, icon, iconType, gmOnly } = note.flagData;
+        const name = format('CALENDARIA.Note.Actions.FollowUpName', { name: note.name });
+        await NoteManager.createNote({ name, noteData: { startDate, allDay: true, categories, color, icon, iconType, gmOnly }, calendarId: note.calendarId });
+        break;
+      }
+      default:
+        throw new Error(`Unknown action type: ${step.type}`);
+    }
+  }
+
+  /**
+   * Get the choices offered for each action type's target.
+   * @returns {Object<string, Array<{value: string, label: string}>>} Target options by action type
+   */
+  static getTargetOptions() {
+    const pages = [];
+    for (const entry of game.journal ?? []) {
+      if (entry.getFlag(MODULE.ID, 'isCalendarNote')) continue;
+      for (const page of entry.pages) pages.push({ value: page.uuid, label: `${entry.name}: ${page.name}` });
+    }
+    const sounds = [];
+    for (const playlist of game.playlists ?? []) {
+      sounds.push({ value: playlist.id, label: format('CALENDARIA.Note.Actions.WholePlaylist', { name: playlist.name }) });
+      for (const sound of playlist.sounds) sounds.push({ value: `${playlist.id}.${sound.id}`, label: `${playlist.name}: ${sound.name}` });
+    }
+    return {
+      rollTable: (game.tables?.contents ?? []).map((t) => ({ value: t.id, label: t.name })),
+      weather: [{ value: CLEAR_WEATHER, label: localize('CALENDARIA.Note.Actions.ClearWeather') }, ...WeatherManager.getAllPresets().map((p) => ({ value: p.id, label: localize(p.label) }))],
+      playlist: sounds,
+      showJournal: pages
+    };
+  }
+
+  /**
+   * Get the choices offered for step conditions.
+   * Values encode the kind, so one select can offer every condition.
+   * @returns {Array<{group: string, options: Array<{value: string, label: string}>}>} Grouped condition options
+   */
+  static getConditionOptions() {
+    const calendar = CalendarManager.getActiveCalendar();
+    const groups = [];
+    const presets = WeatherManager.getAllPresets();
+    if (presets.length) groups.push({ group: localize('CALENDARIA.Note.Actions.Condition.weather'), options: presets.map((p) => ({ value: `weather:${p.id}`, label: localize(p.label) })) });
+    const moonOptions = [];
+    (calendar?.moonsArray ?? []).forEach((moon, moonIndex) => {
+      Object.values(moon.phases ?? {}).forEach((phase, phaseIndex) => moonOptions.push({ value: `moonPhase:${moonIndex}:${phaseIndex}`, label: `${localize(moon.name)}: ${localize(phase.name)}` }));
+    });
+    if (moonOptions.length) groups.push({ group: localize('CALENDARIA.Note.Actions.Condition.moonPhase'), options: moonOptions });
+    const zones = WeatherManager.getCalendarZones();
+    if (zones.length) groups.push({ group: localize('CALENDARIA.Note.Actions.Condition.zone'), options: zones.map((z) => ({ value: `zone:${z.id}`, label: localize(z.name) })) });
+    return groups;
+  }
+
+  /**
+   * Parse a condition select value into a condition.
+   * @param {string} value - Encoded value, e.g. "weather:rain" or "moonPhase:0:4"
+   * @returns {ActionCondition|null} Condition, or null if the value is empty or malformed
+   */
+  static parseCondition(value) {
+    const [kind, first, second] = (value ?? '').split(':');
+    if (!this.CONDITIONS.includes(kind) || !first) return null;
+    if (kind === 'moonPhase') return second === undefined ? null : { kind, moonIndex: parseInt(first), value: second };
+    return { kind, value: first, moonIndex: null };
+  }
+
+  /**
+   * Describe a step for display.
+   * @param {NoteAction} step - Step to describe
+   * @param {object} [options] - Target options, from getTargetOptions()
+   * @returns {string} e.g. "Draw from Random Encounters"
+   */
+  static getDescription(step, options = this.getTargetOptions()) {
+    const target = options[step.type]?.find((o) => o.value === step.target)?.label ?? step.target;
+    switch (step.type) {
+      case 'weather':
+        return step.target === CLEAR_WEATHER ? localize('CALENDARIA.Note.Actions.ClearWeather') : format('CALENDARIA.Note.Actions.Describe.weather', { target });
+      case 'darkness':
+        return format('CALENDARIA.Note.Actions.Describe.darkness', { value: step.value });
+      case 'followUp':
+        return format('CALENDARIA.Note.Actions.Describe.followUp', { days: parseInt(step.value) || 0 });
+      default:
+        return format(`CALENDARIA.Note.Actions.Describe.${step.type}`, { target });
+    }
+  }
+
+  /**
+   * Describe a step condition for display.
+   * @param {ActionCondition} condition - Condition to describe
+   * @param {object[]} [groups] - Condition options, from getConditionOptions()
+   * @returns {string} e.g. "Weather is Rain"
+   */
+  static getConditionDescription(condition, groups = this.getConditionOptions()) {
+    const value = `${condition.kind === 'moonPhase' ? `${condition.moonIndex}:` : ''}${condition.value}`;
+    const label = groups
+      .flatMap((g) => g.options)
+      .find((o) => o.value === `${condition.kind}:${value}`)?.label;
+    return format(`CALENDARIA.Note.Actions.Is.${condition.kind}`, { value: label ?? condition.value });
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Chain Manager
+ * Dependency-aware event chains: notes that happen a set delay after another note
+ * ("the caravan arrives 12 days after 'Caravan departs'") and follow it when it moves.
+ * @module Notes/ChainManager
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { HOOKS, JOURNALS, MODULE } from '../constants.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import { CalendariaSocket } from '../utils/socket.mjs';
+import { shiftNoteDates } from './note-data.mjs';
+import NoteManager from './note-manager.mjs';
+import { dateToWorldTime } from './utils/date-utils.mjs';
+
+/** Page flag holding the world time at which a note actually happened. */
+const TRIGGER_FLAG = 'chainTriggeredAt';
+
+/** Update option marking updates made by the chain manager itself. */
+const CHAIN_UPDATE = 'calendariaChain';
+
+/**
+ * Static class that resolves and cascades linked event chains.
+ */
+export default class ChainManager {
+  /** @type {string[]} Units a chain delay can be expressed in */
+  static UNITS = ['minute', 'hour', 'day', 'week', 'month', 'year'];
+
+  /**
+   * Get the notes chained directly to a note.
+   * @param {string} noteId - Anchor note page ID
+   * @returns {object[]} Note stubs of the dependents
+   */
+  static getDependents(noteId) {
+    return NoteManager.getAllNotes().filter((n) => n.flagData.chain?.noteId === noteId);
+  }
+
+  /**
+   * Get the world time at which a note happened, or is scheduled to happen.
+   * @param {object} page - Calendar note page
+   * @returns {number|null} World time in seconds
+   */
+  static getAnchorTime(page) {
+    const triggeredAt = page.getFlag(MODULE.ID, TRIGGER_FLAG);
+    if (Number.isFinite(triggeredAt)) return triggeredAt;
+    return dateToWorldTime(page.system.startDate, { startOfDay: page.system.allDay });
+  }
+
+  /**
+   * Whether a note has been marked as happened.
+   * @param {object} page - Calendar note page
+   * @returns {boolean} True if the note has a recorded trigger time
+   */
+  static hasTriggered(page) {
+    return Number.isFinite(page?.getFlag(MODULE.ID, TRIGGER_FLAG));
+  }
+
+  /**
+   * Add a delay in calendar units to a world time.
+   * Months and years keep the day of the month, clamped to the target month's length.
+   * @param {number} worldTime - World time in seconds
+   * @param {number} amount - Delay amount (can be negative)
+   * @param {string} unit - One of ChainManager.UNITS
+   * @param {object} [calendar] - Calendar to use (defaults to the active calendar)
+   * @returns {number} Resulting world time
+   */
+  static addDelay(worldTime, amount, unit, calendar = CalendarManager.getActiveCalendar()) {
+    if (!calendar || !amount) return worldTime;
+    const secondsPerMinute = calendar.days?.secondsPerMinute ?? 60;
+    const secondsPerHour = secondsPerMinute * (calendar.days?.minutesPerHour ?? 60);
+    const secondsPerDay = secondsPerHour * (calendar.days?.hoursPerDay ?? 24);
+    switch (unit) {
+      case 'minute':
+        return worldTime + amount * secondsPerMinute;
+      case 'hour':
+        return worldTime + amount * secondsPerHour;
+      case 'day':
+        return worldTime + amount * secondsPerDay;
+      case 'week':
+        return worldTime + amount * (calendar.weekdaysArray?.length || 7) * secondsPerDay;
+      case 'month':
+      case 'year': {
+        const components = calendar.timeToComponents(worldTime);
+        const monthsPerYear = calendar.monthsArray?.length || 1;
+        let year = components.year;
+        let month = components.month;
+        if (unit === 'year') year += amount;
+        else {
+          const total = year * monthsPerYear + month + amount;
+          year = Math.floor(total / monthsPerYear);
+          month = total - year * monthsPerYear;
+        }
+        const dayOfMonth = Math.min(components.dayOfMonth, calendar.getDaysInMonth(month, year) - 1);
+        return calendar.componentsToTime({ ...components, year, month, dayOfMonth });
+      }
+      default:
+        log(2, `Unknown chain delay unit: ${unit}`);
+        return worldTime;
+    }
+  }
+
+  /**
+   * Resolve when a chained note should happen, from its anchor's trigger time.
+   * @param {object} page - Chained calendar note page
+   * @returns {number|null} World time in seconds, or null if the note is not chained or its anchor is missing
+   */
+  static resolveTime(page) {
+    const chain = page?.system?.chain;
+    if (!chain?.noteId) return null;
+    const anchor = NoteManager.getFullNote(chain.noteId);
+    if (!anchor) return null;
+    const anchorTime = this.getAnchorTime(anchor);
+    if (anchorTime === null) return null;
+    return this.addDelay(anchorTime, chain.amount, chain.unit);
+  }
+
+  /**
+   * Move a chained note to its resolved time, keeping its duration.
+   * @param {object} page - Chained calendar note page
+   * @returns {Promise<boolean>} True if the note moved
+   */
+  static async resolve(page) {
+    if (this.hasTriggered(page)) return false;
+    const time = this.resolveTime(page);
+    const current = dateToWorldTime(page.system.startDate, { startOfDay: page.system.allDay });
+    if (time === null || current === null || time === current) return false;
+    const shifted = shiftNoteDates(page.system, time - current);
+    await page.update({ system: shifted }, { [CHAIN_UPDATE]: true });
+    log(3, `Resolved chained note ${page.name} from ${page.system.chain.noteId}`);
+    Hooks.callAll(HOOKS.EVENT_CHAIN_RESOLVED, { id: page.id, name: page.name, anchorId: page.system.chain.noteId, startDate: shifted.startDate, worldTime: time });
+    return true;
+  }
+
+  /**
+   * Re-resolve every note that depends on a note, directly or through other chained notes.
+   * @param {object} page - Anchor calendar note page
+   * @param {Set<string>} [visited] - Note IDs already resolved in this pass
+   * @returns {Promise<void>}
+   */
+  static async cascade(page, visited = new Set([page.id])) {
+    for (const stub of this.getDependents(page.id)) {
+      if (visited.has(stub.id)) {
+        log(2, `Event chain loop detected at ${stub.name}, stopping cascade`);
+        continue;
+      }
+      visited.add(stub.id);
+      const dependent = NoteManager.getFullNote(stub.id);
+      if (!dependent) continue;
+      await this.resolve(dependent);
+      await this.cascade(dependent, visited);
+    }
+  }
+
+  /**
+   * Record that a note happened; the primary GM then moves its chain accordingly.
+   * If the note happened at a different time than scheduled, it is moved to that time.
+   * @param {object} page - Calendar note page
+   * @param {number} [worldTime] - When it happened (defaults to now)
+   * @returns {Promise<void>}
+   */
+  static async markTriggered(page, worldTime = game.time.worldTime) {
+    if (!page?.isOwner) return;
+    const updates = { [`flags.${MODULE.ID}.${TRIGGER_FLAG}`]: worldTime };
+    const scheduled = dateToWorldTime(page.system.startDate, { startOfDay: page.system.allDay });
+    if (scheduled !== null && scheduled !== worldTime) updates.system = shiftNoteDates(page.system, worldTime - scheduled);
+    await page.update(updates);
+  }
+
+  /**
+   * Clear a note's recorded trigger time so its chain follows its schedule again.
+   * @param {object} page - Calendar note page
+   * @returns {Promise<void>}
+   */
+  static async clearTriggered(page) {
+    if (!page?.isOwner || !this.hasTriggered(page)) return;
+    await page.update({ [`flags.${MODULE.ID}.-=${TRIGGER_FLAG}`]: null });
+  }
+
+  /**
+   * Record a trigger from the event scheduler for notes that anchor a chain.
+   * @param {object} note - The triggered note stub
+   * @returns {Promise<void>}
+   */
+  static async onEventTriggered(note) {
+    if (!this.getDependents(note.id).length) return;
+    const page = NoteManager.getFullNote(note.id);
+    if (!page || this.hasTriggered(page)) return;
+    await this.markTriggered(page, dateToWorldTime(page.system.startDate, { startOfDay: page.system.allDay }));
+  }
+
+  /**
+   * Whether chaining a note to an anchor would create a loop.
+   * @param {string} noteId - Chained note page ID
+   * @param {string} anchorId - Proposed anchor page ID
+   * @returns {boolean} True if the anchor depends on the note
+   */
+  static wouldCreateCycle(noteId, anchorId) {
+    const seen = new Set();
+    let current = anchorId;
+    while (current && !seen.has(current)) {
+      if (current === noteId) return true;
+      seen.add(current);
+      current = NoteManager.getNote(current)?.flagData.chain?.noteId;
+    }
+    return false;
+  }
+
+  /**
+   * Describe a note's chain link for display.
+   * @param {object} noteData - Note system data
+   * @returns {string|null} e.g. "12 days after Caravan departs", or null if not chained
+   */
+  static getDescription(noteData) {
+    const chain = noteData?.chain;
+    if (!chain?.noteId) return null;
+    const anchorName = NoteManager.getNote(chain.noteId)?.name ?? localize('CALENDARIA.EventChain.MissingAnchor');
+    const amount = Math.abs(chain.amount);
+    const unit = localize(`CALENDARIA.EventChain.Unit.${chain.unit.capitalize()}${amount === 1 ? '' : 's'}`);
+    const key = chain.amount < 0 ? 'CALENDARIA.EventChain.Before' : 'CALENDARIA.EventChain.After';
+    return format(key, { amount, unit, name: anchorName });
+  }
+
+  /**
+   * Group notes into chains for connected display.
+   * @param {object[]} notes - Note stubs or pages
+   * @returns {Object<string, {root: string, label: string|null, anchor: boolean}>} Chain info keyed by note ID, for chained notes and their anchors
+   */
+  static getChainInfo(notes) {
+    const info = {};
+    const anchors = new Set(NoteManager.getAllNotes().map((n) => n.flagData.chain?.noteId).filter(Boolean));
+    for (const note of notes) {
+      const data = note.flagData ?? note.system;
+      const anchorId = data?.chain?.noteId;
+      const isAnchor = anchors.has(note.id);
+      if (!anchorId && !isAnchor) continue;
+      info[note.id] = { root: this.#getRoot(note.id), label: this.getDescription(data), anchor: isAnchor };
+    }
+    return info;
+  }
+
+  /**
+   * Find the first note of the chain a note belongs to.
+   * @param {string} noteId - Note page ID
+   * @returns {string} Root note ID
+   * @private
+   */
+  static #getRoot(noteId) {
+    const seen = new Set([noteId]);
+    let current = noteId;
+    let anchorId = NoteManager.getNote(current)?.flagData.chain?.noteId;
+    while (anchorId && !seen.has(anchorId) && NoteManager.getNote(anchorId)) {
+      seen.add(anchorId);
+      current = anchorId;
+      anchorId = NoteManager.getNote(current)?.flagData.chain?.noteId;
+    }
+    return current;
+  }
+
+  /**
+   * Handle updateJournalEntryPage hook: cascade chains when an anchor moves or a link changes.
+   * Only the primary GM resolves chains.
+   * @param {object} page - The updated page
+   * @param {object} changes - The changes made
+   * @param {object} options - Update options
+   * @param {string} _userId - User ID who updated the page
+   */
+  static async onUpdateJournalEntryPage(page, changes, options, _userId) {
+    if (options?.[CHAIN_UPDATE] || page.type !== JOURNALS.CALENDAR_NOTE) return;
+    if (!CalendariaSocket.isPrimaryGM()) return;
+    const system = changes.system ?? {};
+    if (system.chain !== undefined && page.system.chain?.noteId) {
+      if (this.wouldCreateCycle(page.id, page.system.chain.noteId)) {
+        log(2, `Note ${page.name} cannot follow ${page.system.chain.noteId}: the chain would loop`);
+        ui.notifications.warn(format('CALENDARIA.EventChain.LoopWarning', { name: page.name }));
+        await page.update({ 'system.chain': null }, { [CHAIN_UPDATE]: true });
+        return;
+      }
+      await this.resolve(page);
+    }
+    const moved = system.startDate !== undefined || system.allDay !== undefined;
+    const triggerChanged = foundry.utils.hasProperty(changes, `flags.${MODULE.ID}.${TRIGGER_FLAG}`) || foundry.utils.hasProperty(changes, `flags.${MODULE.ID}.-=${TRIGGER_FLAG}`);
+    if (moved && !triggerChanged && this.hasTriggered(page)) {
+      await page.update({ [`flags.${MODULE.ID}.-=${TRIGGER_FLAG}`]: null }, { [CHAIN_UPDATE]: true });
+    }
+    if (moved || triggerChanged || system.chain !== undefined) await this.cascade(page);
+  }
+}
@@ -7,7 +7,7 @@
 
 import { MODULE, SETTINGS } from '../constants.mjs';
 import { localize } from '../utils/localization.mjs';
-import { isValidDate } from './utils/date-utils.mjs';
+import { dateToWorldTime, isValidDate, worldTimeToDate } from './utils/date-utils.mjs';
 
 /**
  * Default note data structure.
@@ -23,6 +23,8 @@ export function getDefaultNoteData() {
     repeat: 'never',
     repeatInterval: 1,
     repeatEndDate: null,
+    exceptions: [],
+    overrides: [],
     weekday: null,
     seasonIndex: null,
     weekNumber: null,
@@ -37,7 +39,9 @@ export function getDefaultNoteData() {
     reminderOffset: 0,
     reminderType: 'toast',
     reminderTargets: game.user.isGM ? 'gm' : 'author',
+    timeline: null,
     macro: null,
+    actions: [],
     sceneId: null,
     author: null,
     gmOnly: game.user.isGM,
@@ -133,6 +137,18 @@ export function validateNoteData(noteData) {
   }
   if (noteData.reminderOffset !== undefined) if (typeof noteData.reminderOffset !== 'number') errors.push('reminderOffset must be a number');
   if (noteData.macro !== undefined && noteData.macro !== null) if (typeof noteData.macro !== 'string') errors.push('macro must be a string (macro ID) or null');
+  if (noteData.exceptions !== undefined) {
+    if (!Array.isArray(noteData.exceptions)) errors.push('exceptions must be an array');
+    else if (noteData.exceptions.some((d) => typeof d?.year !== 'number' || typeof d?.month !== 'number' || typeof d?.day !== 'number')) errors.push('exceptions must be an array of dates { year, month, day }');
+  }
+  if (noteData.overrides !== undefined) {
+    if (!Array.isArray(noteData.overrides)) errors.push('overrides must be an array');
+    else if (noteData.overrides.some((o) => typeof o?.date?.year !== 'number' || typeof o?.date?.month !== 'number' || typeof o?.date?.day !== 'number')) errors.push('overrides must be an array of objects with an occurrence date { year, month, day }');
+  }
+  if (noteData.actions !== undefined) {
+    if (!Array.isArray(noteData.actions)) errors.push('actions must be an array');
+    else if (noteData.actions.some((a) => typeof a?.type !== 'string')) errors.push('actions must be an array of objects with a type');
+  }
   if (noteData.sceneId !== undefined && noteData.sceneId !== null) if (typeof noteData.sceneId !== 'string') errors.push('sceneId must be a string (scene ID) or null');
   return { valid: errors.length === 0, errors };
 }
@@ -151,6 +167,8 @@ export function sanitizeNoteData(noteData) {
     repeat: noteData.repeat || defaults.repeat,
     repeatInterval: noteData.repeatInterval ?? defaults.repeatInterval,
     repeatEndDate: noteData.repeatEndDate || null,
+    exceptions: Array.isArray(noteData.exceptions) ? noteData.exceptions : defaults.exceptions,
+    overrides: Array.isArray(noteData.overrides) ? noteData.overrides : defaults.overrides,
     weekday: noteData.weekday ?? null,
     seasonIndex: noteData.seasonIndex ?? null,
     weekNumber: noteData.weekNumber ?? null,
@@ -164,7 +182,9 @@ export function sanitizeNoteData(noteData) {
     reminderOffset: noteData.reminderOffset ?? defaults.reminderOffset,
     reminderType: noteData.reminderType || defaults.reminderType,
     reminderTargets: noteData.reminderTargets || defaults.reminderTargets,
+    timeline: noteData.timeline || null,
     macro: noteData.macro || null,
+    actions: Array.isArray(noteData.actions) ? noteData.actions : defaults.actions,
     sceneId: noteData.sceneId || null,
     author: noteData.author || null,
     gmOnly: noteData.gmOnly ?? game.user.isGM,
@@ -173,6 +193,24 @@ export function sanitizeNoteData(noteData) {
   };
 }
 
+/**
+ * Move a note's dates by a number of seconds, keeping its duration.
+ * All-day notes keep their stored hour and minute.
+ * @param {object} noteData  Note system data
+ * @param {number} shift  Seconds to move by (can be negative)
+ * @returns {{startDate: object, endDate?: object}|null}  Shifted dates, or null without a calendar
+ */
+export function shiftNoteDates(noteData, shift) {
+  const { startDate, endDate, allDay } = noteData;
+  const startTime = dateToWorldTime(startDate, { startOfDay: allDay });
+  if (startTime === null) return null;
+  const keepTime = (date, original) => (allDay ? { ...date, hour: original.hour, minute: original.minute } : date);
+  const shifted = { startDate: keepTime(worldTimeToDate(startTime + shift), startDate) };
+  const endTime = endDate?.year != null ? dateToWorldTime(endDate, { startOfDay: allDay }) : null;
+  if (endTime !== null) shifted.endDate = keepTime(worldTimeToDate(endTime + shift), endDate);
+  return shifted;
+}
+
 /**
  * Create a note stub for indexing (lightweight reference).
  * @param {object} page  Journal entry page document
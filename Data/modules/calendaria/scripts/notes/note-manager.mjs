@@ -10,11 +10,11 @@ import CalendarManager from '../calendar/calendar-manager.mjs';
 import { HOOKS, MODULE, SETTINGS, SOCKET_TYPES } from '../constants.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
-import { canAddNotes, canDeleteNotes, getUsersWithPermission } from '../utils/permissions.mjs';
+import { canAddNotes, canDeleteNotes, canEditNotes, getUsersWithPermission } from '../utils/permissions.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
 import { createNoteStub, getCategoryDefinition, getDefaultNoteData, getPredefinedCategories, sanitizeNoteData, validateNoteData } from './note-data.mjs';
 import { compareDates } from './utils/date-utils.mjs';
-import { getOccurrencesInRange, getRecurrenceDescription, isRecurringMatch } from './utils/recurrence.mjs';
+import { getOccurrenceOverride, getOccurrencesInRange, getOccurrenceStart, getRecurrenceDescription, isRecurringMatch, overrideOccurrence, restoreOccurrence, skipOccurrence } from './utils/recurrence.mjs';
 
 /**
  * Main entry point for calendar notes system management.
@@ -65,37 +65,59 @@ export default class NoteManager {
    * @private
    */
   static async #syncNoteOwnership() {
-    const usersWithPermission = getUsersWithPermission('editNotes');
-    const permittedIds = new Set(usersWithPermission.map((u) => u.id));
     let updated = 0;
     for (const journal of game.journal) {
       if (!journal.getFlag(MODULE.ID, 'isCalendarNote')) continue;
-      const page = journal.pages.contents[0];
-      if (!page || page.system?.gmOnly) continue;
-      const currentOwnership = journal.ownership || {};
-      const authorId = page.system?.author?._id;
-      const updateData = {};
-      // Grant OWNER to users with editNotes permission
-      for (const id of permittedIds) {
-        if (currentOwnership[id] !== 3) updateData[`ownership.${id}`] = 3;
-      }
-      // Revoke OWNER from users who no longer have editNotes permission
-      for (const [userId, level] of Object.entries(currentOwnership)) {
-        if (userId === 'default') continue;
-        if (level !== 3) continue;
-        if (permittedIds.has(userId)) continue;
-        if (game.users.get(userId)?.isGM) continue;
-        if (userId === authorId) continue;
-        updateData[`ownership.-=${userId}`] = null;
-      }
-      if (Object.keys(updateData).length > 0) {
-        await journal.update(updateData);
-        updated++;
-      }
+      if (await this.#syncJournalOwnership(journal)) updated++;
     }
     if (updated > 0) log(3, `Synced ownership for ${updated} calendar notes`);
   }
 
+  /**
+   * Sync one calendar note's ownership with the users allowed to edit notes in its categories.
+   * @param {JournalEntry} journal - Calendar note journal
+   * @returns {Promise<boolean>} True if ownership changed
+   * @private
+   */
+  static async #syncJournalOwnership(journal) {
+    const page = journal.pages.contents[0];
+    if (!page || page.system?.gmOnly) return false;
+    const permittedIds = new Set(getUsersWithPermission('editNotes', { categories: page.system?.categories }).map((u) => u.id));
+    const currentOwnership = journal.ownership || {};
+    const authorId = page.system?.author?._id;
+    const updateData = {};
+    // Grant OWNER to users with editNotes permission
+    for (const id of permittedIds) {
+      if (currentOwnership[id] !== 3) updateData[`ownership.${id}`] = 3;
+    }
+    // Revoke OWNER from users who no longer have editNotes permission
+    for (const [userId, level] of Object.entries(currentOwnership)) {
+      if (userId === 'default') continue;
+      if (level !== 3) continue;
+      if (permittedIds.has(userId)) continue;
+      if (game.users.get(userId)?.isGM) continue;
+      if (userId === authorId) continue;
+      updateData[`ownership.-=${userId}`] = null;
+    }
+    if (!Object.keys(updateData).length) return false;
+    await journal.update(updateData);
+    return true;
+  }
+
+  /**
+   * Check whether the current user may change a note, including moving it into new categories.
+   * Editing needs editNotes for the note's current categories; categories being added also need addNotes.
+   * @param {object} page - Calendar note page
+   * @param {string[]} [categories] - Categories the note will have after the change
+   * @returns {boolean} True if allowed
+   */
+  static canChangeNote(page, categories) {
+    const current = page.system?.categories ?? [];
+    if (!canEditNotes({ categories: current })) return false;
+    const added = (categories ?? []).filter((id) => !current.includes(id));
+    return !added.length || canAddNotes({ categories: added });
+  }
+
   /**
    * Initialize the calendar folder for the active calendar.
    * Creates the folder if it doesn't exist.
@@ -181,11 +203,13 @@ export default class NoteManager {
               await journal.update({ ownership: { default: 0 } });
             } else {
               const newOwnership = { default: 2 };
-              for (const user of getUsersWithPermission('editNotes')) newOwnership[user.id] = 3;
+              for (const user of getUsersWithPermission('editNotes', { categories: page.system.categories })) newOwnership[user.id] = 3;
               await journal.update({ ownership: newOwnership });
             }
             log(3, `Updated journal ownership for gmOnly change: ${changes.system.gmOnly}`);
           }
+        } else if (changes.system?.categories !== undefined && page.parent?.getFlag(MODULE.ID, 'isCalendarNote')) {
+          await NoteManager.#syncJournalOwnership(page.parent);
         }
       }
     } else {
@@ -199,6 +223,22 @@ export default class NoteManager {
     if (game.user.isGM && page.getFlag(MODULE.ID, 'isDescriptionPage')) NoteManager.#syncDescriptionToCalendar(page);
   }
 
+  /**
+   * Handle preUpdateJournalEntryPage hook.
+   * Blocks moving a calendar note into a category the user may not add notes to.
+   * @param {object} page - The page about to be updated
+   * @param {object} changes - The proposed changes
+   * @param {object} _options - Update options
+   * @param {string} _userId - User ID attempting the update
+   * @returns {boolean|void} False to prevent the update
+   */
+  static onPreUpdateJournalEntryPage(page, changes, _options, _userId) {
+    if (page.type !== 'calendaria.calendarnote' || changes.system?.categories === undefined) return;
+    if (NoteManager.canChangeNote(page, changes.system.categories)) return;
+    ui.notifications.warn('CALENDARIA.Permissions.NoCategoryAccess', { localize: true });
+    return false;
+  }
+
   /**
    * Handle deleteJournalEntryPage hook.
    * @param {object} page - The deleted page
@@ -295,7 +335,8 @@ export default class NoteManager {
    * @returns {Promise<object>} Created journal entry page
    */
   static async createNote({ name, content = '', noteData, calendarId, journalData = {}, creatorId }) {
-    if (!canAddNotes()) {
+    const creator = creatorId ? game.users.get(creatorId) : game.user;
+    if (!canAddNotes({ categories: noteData?.categories, user: creator })) {
       ui.notifications.warn('CALENDARIA.Permissions.NoAccess', { localize: true });
       return null;
     }
@@ -322,7 +363,7 @@ export default class NoteManager {
     const actualCreatorId = creatorId || game.user.id;
     const ownership = sanitized.gmOnly ? { default: 0 } : { default: 2 };
     ownership[actualCreatorId] = 3;
-    if (!sanitized.gmOnly) for (const user of getUsersWithPermission('editNotes')) ownership[user.id] = 3;
+    if (!sanitized.gmOnly) for (const user of getUsersWithPermission('editNotes', { categories: sanitized.categories })) ownership[user.id] = 3;
     const journal = await JournalEntry.create({ name, folder: folder.id, ownership, flags: { [MODULE.ID]: { calendarId, isCalendarNote: true } }, ...journalData });
     const page = await JournalEntryPage.create(
       { name, type: 'calendaria.calendarnote', system: sanitized, text: { content }, title: { level: 1, show: true }, flags: { [MODULE.ID]: { calendarId } } },
@@ -337,6 +378,7 @@ export default class NoteManager {
    * @param {string} pageId  Journal entry page ID
    * @param {object} updates  Updates to apply
    * @param {string} [updates.name]  New name
+   * @param {string} [updates.content]  New journal entry content (HTML)
    * @param {object} [updates.noteData]  Calendar note data updates (system data)
    * @returns {Promise<object>} Updated journal entry page
    */
@@ -348,12 +390,17 @@ export default class NoteManager {
     }
 
     if (!page) throw new Error(`Journal entry page not found: ${pageId}`);
+    if (!this.canChangeNote(page, updates.noteData?.categories)) {
+      ui.notifications.warn('CALENDARIA.Permissions.NoAccess', { localize: true });
+      return null;
+    }
     const updateData = {};
     if (updates.name !== undefined) {
       updateData.name = updates.name;
       const journal = page.parent;
       if (journal?.getFlag(MODULE.ID, 'isCalendarNote')) await journal.update({ name: updates.name });
     }
+    if (updates.content !== undefined) updateData['text.content'] = updates.content;
     if (updates.noteData) {
       const currentNoteData = page.system || {};
       const mergedNoteData = foundry.utils.mergeObject(currentNoteData, updates.noteData);
@@ -388,6 +435,10 @@ export default class NoteManager {
     }
 
     if (!page) throw new Error(`Journal entry page not found: ${pageId}`);
+    if (!canDeleteNotes({ categories: page.system?.categories })) {
+      ui.notifications.warn('CALENDARIA.Permissions.NoAccess', { localize: true });
+      return false;
+    }
 
     try {
       if (parentJournal?.getFlag(MODULE.ID, 'isCalendarNote')) {
@@ -405,6 +456,56 @@ export default class NoteManager {
     }
   }
 
+  /**
+   * Skip one occurrence of a recurring note, leaving the rest of the series unchanged.
+   * @param {string} pageId - Journal entry page ID
+   * @param {object} date - Original occurrence date { year, month, day }
+   * @returns {Promise<object|null>} Updated journal entry page, or null if not permitted
+   */
+  static async skipOccurrence(pageId, date) {
+    return this.#updateOccurrences(pageId, (system) => skipOccurrence(system, date));
+  }
+
+  /**
+   * Change the time, title or content of one occurrence of a recurring note.
+   * @param {string} pageId - Journal entry page ID
+   * @param {object} date - Original occurrence date { year, month, day }
+   * @param {object} changes - Occurrence changes { startDate?, name?, content? }; null restores the series value
+   * @returns {Promise<object|null>} Updated journal entry page, or null if not permitted
+   */
+  static async overrideOccurrence(pageId, date, changes) {
+    return this.#updateOccurrences(pageId, (system) => overrideOccurrence(system, date, changes));
+  }
+
+  /**
+   * Return a skipped or changed occurrence of a recurring note to the series.
+   * @param {string} pageId - Journal entry page ID
+   * @param {object} date - Original occurrence date { year, month, day }
+   * @returns {Promise<object|null>} Updated journal entry page, or null if not permitted
+   */
+  static async restoreOccurrence(pageId, date) {
+    return this.#updateOccurrences(pageId, (system) => restoreOccurrence(system, date));
+  }
+
+  /**
+   * Apply an exception or override change to a note.
+   * @param {string} pageId - Journal entry page ID
+   * @param {Function} build - Builds the system update from the note's current system data
+   * @returns {Promise<object|null>} Updated journal entry page, or null if not permitted
+   * @private
+   */
+  static async #updateOccurrences(pageId, build) {
+    const page = this.getFullNote(pageId);
+    if (!page) throw new Error(`Journal entry page not found: ${pageId}`);
+    if (!this.canChangeNote(page)) {
+      ui.notifications.warn('CALENDARIA.Permissions.NoAccess', { localize: true });
+      return null;
+    }
+    await page.update({ system: build(page.system) });
+    log(3, `Updated occurrences of calendar note: ${page.name}`);
+    return page;
+  }
+
   /**
    * Get a note stub from the index.
    * @param {string} pageId  Journal entry page ID
@@ -446,6 +547,7 @@ export default class NoteManager {
     let notes = this.getAllNotes();
     if (notes.length === 0) return 0;
     if (options.calendarId) notes = notes.filter((note) => note.calendarId === options.calendarId);
+    notes = notes.filter((note) => canDeleteNotes({ categories: note.flagData.categories }));
     const pagesToDelete = [];
     for (const note of notes) {
       const page = this.getFullNote(note.id);
@@ -464,6 +566,8 @@ export default class NoteManager {
 
   /**
    * Get all notes for a specific date.
+   * A recurring note whose occurrence on the date was changed is returned as a copy of its stub
+   * carrying the occurrence's title and an `occurrence` record { date, startDate, content }.
    * @param {number} year  Year
    * @param {number} month  Month (0-indexed)
    * @param {number} day  Day of month
@@ -477,15 +581,18 @@ export default class NoteManager {
     for (const stub of this.#noteIndex.values()) {
       if (!stub.visible) continue;
       if (targetCalendarId && stub.calendarId !== targetCalendarId) continue;
-      if (this.#matchesDate(stub, targetDate)) matchingNotes.push(stub);
+      if (!this.#matchesDate(stub, targetDate)) continue;
+      const override = getOccurrenceOverride(stub.flagData, targetDate);
+      if (!override) matchingNotes.push(stub);
+      else matchingNotes.push({ ...stub, name: override.name || stub.name, occurrence: { date: override.date, startDate: getOccurrenceStart(stub.flagData, targetDate), content: override.content ?? null } });
     }
 
     const minutesPerHour = CalendarManager.getActiveCalendar()?.days?.minutesPerHour ?? 60;
-    matchingNotes.sort((a, b) => {
-      const aTime = a.flagData.allDay ? 0 : a.flagData.startDate.hour * minutesPerHour + a.flagData.startDate.minute;
-      const bTime = b.flagData.allDay ? 0 : b.flagData.startDate.hour * minutesPerHour + b.flagData.startDate.minute;
-      return aTime - bTime;
-    });
+    const startMinutes = (note) => {
+      const start = note.occurrence?.startDate ?? note.flagData.startDate;
+      return note.flagData.allDay ? 0 : start.hour * minutesPerHour + start.minute;
+    };
+    matchingNotes.sort((a, b) => startMinutes(a) - startMinutes(b));
 
     return matchingNotes;
   }
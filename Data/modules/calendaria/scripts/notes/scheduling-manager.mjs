@@ -0,0 +1,242 @@
+/**
+ * Scheduling Manager
+ * Real-world session scheduling on calendar notes: invited players, candidate dates,
+ * yes/no/maybe responses and the GM's availability grid.
+ * @module Notes/SchedulingManager
+ * @author Tyler
+ */
+
+import { HOOKS, SOCKET_TYPES } from '../constants.mjs';
+import ReminderScheduler from '../time/reminder-scheduler.mjs';
+import { format } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import { CalendariaSocket } from '../utils/socket.mjs';
+import NoteManager from './note-manager.mjs';
+
+/**
+ * Static class that manages invitations and availability for scheduling notes.
+ */
+export default class SchedulingManager {
+  /** @type {string[]} Valid availability responses */
+  static RESPONSES = ['yes', 'maybe', 'no'];
+
+  /**
+   * Whether a note is in scheduling mode.
+   * @param {object} page - Calendar note page
+   * @returns {boolean} True if scheduling is enabled
+   */
+  static isScheduling(page) {
+    return !!page?.system?.scheduling?.enabled;
+  }
+
+  /**
+   * Whether a user is invited to a scheduling note.
+   * @param {object} page - Calendar note page
+   * @param {string} [userId] - User ID (defaults to the current user)
+   * @returns {boolean} True if invited
+   */
+  static isInvited(page, userId = game.user.id) {
+    return this.isScheduling(page) && page.system.scheduling.invitees.includes(userId);
+  }
+
+  /**
+   * Format a candidate's real-world start for display.
+   * @param {object} candidate - Candidate date
+   * @returns {string} Localized date and time
+   */
+  static formatCandidate(candidate) {
+    return new Date(candidate.start).toLocaleString(game.i18n.lang, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  /**
+   * Add a candidate date.
+   * @param {object} page - Calendar note page
+   * @param {number} start - Real-world start (ms timestamp)
+   * @param {number} [duration] - Planned length in minutes
+   * @returns {Promise<object|null>} The added candidate, or null if the time is invalid or already listed
+   */
+  static async addCandidate(page, start, duration = 0) {
+    if (!page?.isOwner || !Number.isFinite(start)) return null;
+    const candidates = foundry.utils.deepClone(page.system.scheduling.candidates);
+    if (candidates.some((c) => c.start === start)) return null;
+    const candidate = { id: foundry.utils.randomID(), start, duration };
+    candidates.push(candidate);
+    candidates.sort((a, b) => a.start - b.start);
+    await page.update({ 'system.scheduling.candidates': candidates });
+    return candidate;
+  }
+
+  /**
+   * Remove a candidate date and its responses.
+   * @param {object} page - Calendar note page
+   * @param {string} candidateId - Candidate ID
+   * @returns {Promise<void>}
+   */
+  static async removeCandidate(page, candidateId) {
+    if (!page?.isOwner) return;
+    const scheduling = page.system.scheduling;
+    const updates = {
+      'system.scheduling.candidates': scheduling.candidates.filter((c) => c.id !== candidateId),
+      'system.scheduling.confirmed': scheduling.confirmed === candidateId ? null : scheduling.confirmed
+    };
+    for (const [userId, userResponses] of Object.entries(scheduling.responses)) {
+      if (candidateId in userResponses) updates[`system.scheduling.responses.${userId}.-=${candidateId}`] = null;
+    }
+    await page.update(updates);
+  }
+
+  /**
+   * Mark the current user's availability for a candidate date.
+   * Users who cannot edit the note send the response to the primary GM.
+   * @param {object} page - Calendar note page
+   * @param {string} candidateId - Candidate ID
+   * @param {string} response - 'yes', 'maybe' or 'no'
+   * @returns {Promise<void>}
+   */
+  static async respond(page, candidateId, response) {
+    if (!this.#isValidResponse(page, game.user.id, candidateId, response)) return;
+    if (page.isOwner) await this.#applyResponse(page, game.user.id, candidateId, response);
+    else CalendariaSocket.emit(SOCKET_TYPES.SCHEDULE_RESPONSE, { pageId: page.id, candidateId, response });
+  }
+
+  /**
+   * Apply a response sent by a player.
+   * Only the primary GM applies it, and only for a sender on the note's invitee list.
+   * @param {object} data - Socket data
+   * @param {string} data.pageId - Note page ID
+   * @param {string} data.candidateId - Candidate ID
+   * @param {string} data.response - 'yes', 'maybe' or 'no'
+   * @param {string} userId - Socket sender user ID
+   * @returns {Promise<void>}
+   */
+  static async handleResponseRequest({ pageId, candidateId, response }, userId) {
+    if (!CalendariaSocket.isPrimaryGM()) return;
+    const page = NoteManager.getFullNote(pageId);
+    if (!this.#isValidResponse(page, userId, candidateId, response)) {
+      log(2, `Ignoring invalid scheduling response from ${userId} for note ${pageId}`);
+      return;
+    }
+    await this.#applyResponse(page, userId, candidateId, response);
+  }
+
+  /**
+   * Check that a response targets an invited user and an existing candidate.
+   * @param {object} page - Calendar note page
+   * @param {string} userId - Responding user ID
+   * @param {string} candidateId - Candidate ID
+   * @param {string} response - Response value
+   * @returns {boolean} True if the response can be recorded
+   * @private
+   */
+  static #isValidResponse(page, userId, candidateId, response) {
+    if (!this.isInvited(page, userId) || !this.RESPONSES.includes(response)) return false;
+    return page.system.scheduling.candidates.some((c) => c.id === candidateId);
+  }
+
+  /**
+   * Store a response and let the note's GMs know.
+   * @param {object} page - Calendar note page
+   * @param {string} userId - Responding user ID
+   * @param {string} candidateId - Candidate ID
+   * @param {string} response - 'yes', 'maybe' or 'no'
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #applyResponse(page, userId, candidateId, response) {
+    await page.update({ [`system.scheduling.responses.${userId}.${candidateId}`]: response });
+    const candidate = page.system.scheduling.candidates.find((c) => c.id === candidateId);
+    Hooks.callAll(HOOKS.SCHEDULE_RESPONSE, { noteId: page.id, userId, candidateId, response });
+    const message = format(`CALENDARIA.Scheduling.Notify.Response.${response.capitalize()}`, {
+      user: game.users.get(userId)?.name ?? userId,
+      name: page.name,
+      date: this.formatCandidate(candidate)
+    });
+    this.#notify(page, message, this.#getOrganizers(page));
+  }
+
+  /**
+   * Invite the note's invitees to mark their availability.
+   * Grants invitees view access to the note so they can respond from the note sheet.
+   * @param {object} page - Calendar note page
+   * @returns {Promise<void>}
+   */
+  static async sendInvitations(page) {
+    if (!page?.isOwner || !this.isScheduling(page)) return;
+    const { invitees, candidates } = page.system.scheduling;
+    if (!invitees.length || !candidates.length) {
+      ui.notifications.warn('CALENDARIA.Scheduling.NothingToSend', { localize: true });
+      return;
+    }
+    const journal = page.parent;
+    const observer = CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER;
+    const ownership = {};
+    for (const userId of invitees) if ((journal.ownership[userId] ?? journal.ownership.default ?? 0) < observer) ownership[`ownership.${userId}`] = observer;
+    if (Object.keys(ownership).length && journal.canUserModify(game.user, 'update')) await journal.update(ownership);
+    this.#notify(page, format('CALENDARIA.Scheduling.Notify.Invitation', { name: page.name, count: candidates.length }), invitees);
+    ui.notifications.info(format('CALENDARIA.Scheduling.InvitationsSent', { count: invitees.length }));
+  }
+
+  /**
+   * Confirm a candidate date and tell the invitees.
+   * @param {object} page - Calendar note page
+   * @param {string} candidateId - Candidate ID
+   * @returns {Promise<void>}
+   */
+  static async confirmCandidate(page, candidateId) {
+    if (!page?.isOwner) return;
+    const candidate = page.system.scheduling.candidates.find((c) => c.id === candidateId);
+    if (!candidate) return;
+    await page.update({ 'system.scheduling.confirmed': candidateId });
+    Hooks.callAll(HOOKS.SCHEDULE_CONFIRMED, { noteId: page.id, candidateId, start: candidate.start, duration: candidate.duration });
+    this.#notify(page, format('CALENDARIA.Scheduling.Notify.Confirmed', { name: page.name, date: this.formatCandidate(candidate) }), page.system.scheduling.invitees);
+  }
+
+  /**
+   * Build the availability grid: one row per invitee, one column per candidate date.
+   * @param {object} page - Calendar note page
+   * @returns {{candidates: object[], rows: object[]}} Grid data
+   */
+  static getAvailabilityGrid(page) {
+    const { invitees, candidates, responses, confirmed } = page.system.scheduling;
+    const columns = candidates.map((c) => {
+      const counts = { yes: 0, maybe: 0, no: 0, pending: 0 };
+      for (const userId of invitees) counts[responses[userId]?.[c.id] ?? 'pending']++;
+      return { ...c, label: this.formatCandidate(c), counts, score: counts.yes * 2 + counts.maybe, confirmed: c.id === confirmed };
+    });
+    const bestScore = Math.max(0, ...columns.map((c) => c.score));
+    for (const column of columns) column.best = bestScore > 0 && column.score === bestScore;
+    const rows = invitees.map((userId) => ({
+      userId,
+      name: game.users.get(userId)?.name ?? userId,
+      isSelf: userId === game.user.id,
+      cells: candidates.map((c) => ({ candidateId: c.id, response: responses[userId]?.[c.id] ?? null }))
+    }));
+    return { candidates: columns, rows };
+  }
+
+  /**
+   * Get the users who organize a scheduling note: active GMs and the note's author.
+   * @param {object} page - Calendar note page
+   * @returns {string[]} User IDs
+   * @private
+   */
+  static #getOrganizers(page) {
+    const ids = new Set(game.users.filter((u) => u.isGM).map((u) => u.id));
+    const authorId = page.system.author?._id ?? page.system.author?.id;
+    if (authorId) ids.add(authorId);
+    return [...ids];
+  }
+
+  /**
+   * Notify users through the note's reminder channel (toast when reminders are off).
+   * @param {object} page - Calendar note page
+   * @param {string} message - Formatted message
+   * @param {string[]} targets - Target user IDs
+   * @private
+   */
+  static #notify(page, message, targets) {
+    const note = NoteManager.getNote(page.id) ?? { id: page.id, name: page.name, journalId: page.parent?.id, flagData: page.system };
+    const type = page.system.reminderType === 'none' ? 'toast' : page.system.reminderType;
+    ReminderScheduler.notify(note, message, { type, targets });
+  }
+}
@@ -188,6 +188,40 @@ export function addYears(date, years) {
   return { year: newYear, month: date.month, day: newDay, hour: date.hour, minute: date.minute };
 }
 
+/**
+ * Convert a date to world time.
+ * @param {object} date  Date (display year, 0-indexed month, 1-indexed day)
+ * @param {object} [options]  Options
+ * @param {boolean} [options.startOfDay]  Ignore the date's time and use the start of the day
+ * @param {object} [options.calendar]  Calendar to use (defaults to the active calendar)
+ * @returns {number|null}  World time in seconds, or null without a calendar or year
+ */
+export function dateToWorldTime(date, { startOfDay = false, calendar = CalendarManager.getActiveCalendar() } = {}) {
+  if (!calendar || date?.year == null) return null;
+  const yearZero = calendar.years?.yearZero ?? 0;
+  return calendar.componentsToTime({
+    year: date.year - yearZero,
+    month: date.month ?? 0,
+    dayOfMonth: (date.day ?? 1) - 1,
+    hour: startOfDay ? 0 : (date.hour ?? 0),
+    minute: startOfDay ? 0 : (date.minute ?? 0),
+    second: 0
+  });
+}
+
+/**
+ * Convert world time to a date.
+ * @param {number} worldTime  World time in seconds
+ * @param {object} [calendar]  Calendar to use (defaults to the active calendar)
+ * @returns {object|null}  Date (display year, 0-indexed month, 1-indexed day) or null without a calendar
+ */
+export function worldTimeToDate(worldTime, calendar = CalendarManager.getActiveCalendar()) {
+  if (!calendar) return null;
+  const yearZero = calendar.years?.yearZero ?? 0;
+  const components = calendar.timeToComponents(worldTime);
+  return { year: components.year + yearZero, month: components.month, day: components.dayOfMonth + 1, hour: components.hour, minute: components.minute };
+}
+
 /**
  * Get current date from game time.
  * @returns {object}  Current date components using display year (day is 1-indexed)
@@ -5,6 +5,7 @@
  * @author Tyler
  */
 
+import { hasAstronomicalEvent } from '../../calendar/astronomy.mjs';
 import CalendarManager from '../../calendar/calendar-manager.mjs';
 import { format, localize } from '../../utils/localization.mjs';
 import NoteManager from '../note-manager.mjs';
@@ -139,6 +140,16 @@ function getFieldValue(field, date, value2 = null) {
       if (!seasons.length) return false;
       return checkSolsticeOrEquinox(date, seasons, 'autumn');
     }
+    case 'isSolarEclipse':
+      return hasAstronomicalEvent(date, 'solarEclipse', value2);
+    case 'isLunarEclipse':
+      return hasAstronomicalEvent(date, 'lunarEclipse', value2);
+    case 'isMoonConjunction':
+      return hasAstronomicalEvent(date, 'moonConjunction', value2);
+    case 'isSolstice':
+      return hasAstronomicalEvent(date, 'solstice', value2);
+    case 'isEquinox':
+      return hasAstronomicalEvent(date, 'equinox', value2);
     case 'moonPhase': {
       const moons = calendar?.moonsArray ?? [];
       const moonIndex = value2 ?? 0;
@@ -756,11 +767,151 @@ function getComputedOccurrencesInRange(noteData, rangeStart, rangeEnd, maxOccurr
 
 /**
  * Check if a recurring note occurs on a target date.
+ * Skipped occurrences are left out and moved occurrences appear on their new date.
  * @param {object} noteData  Note flag data with recurrence settings
  * @param {object} targetDate  Date to check
  * @returns {boolean}  True if note occurs on this date
  */
 export function isRecurringMatch(noteData, targetDate) {
+  const { exceptions, overrides } = noteData;
+  if (!exceptions?.length && !overrides?.length) return matchesPattern(noteData, targetDate);
+  const duration = getOccurrenceDuration(noteData);
+  const single = { ...noteData, endDate: null };
+  for (const override of overrides ?? []) {
+    if (!isMovedOverride(override)) continue;
+    if (compareDays(targetDate, override.startDate) < 0 || daysBetween(override.startDate, targetDate) > duration) continue;
+    if (!isOccurrenceException(noteData, override.date) && matchesPattern(single, override.date)) return true;
+  }
+  if (!matchesPattern(noteData, targetDate)) return false;
+  if (!duration) return !isOccurrenceSkipped(noteData, targetDate);
+  for (let offset = 0; offset <= duration; offset++) {
+    const start = addDays(targetDate, -offset);
+    if (!isOccurrenceSkipped(noteData, start) && matchesPattern(single, start)) return true;
+  }
+  return false;
+}
+
+/**
+ * Get how many days after its start an occurrence of a note ends.
+ * @param {object} noteData  Note flag data
+ * @returns {number}  Days spanned past the first day (0 for single-day notes)
+ */
+function getOccurrenceDuration(noteData) {
+  const { startDate, endDate } = noteData;
+  return endDate && !isSameDay(startDate, endDate) ? daysBetween(startDate, endDate) : 0;
+}
+
+/**
+ * Check if an override moves its occurrence to another day.
+ * @param {object} override  Override record
+ * @returns {boolean}  True if the occurrence now starts on a different day
+ */
+function isMovedOverride(override) {
+  return !!override?.startDate && !isSameDay(override.startDate, override.date);
+}
+
+/**
+ * Check if an occurrence no longer takes place on its original date.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Original occurrence date
+ * @returns {boolean}  True if the occurrence is an exception or was moved to another day
+ */
+function isOccurrenceSkipped(noteData, date) {
+  if (isOccurrenceException(noteData, date)) return true;
+  return noteData.overrides?.some((override) => isSameDay(override.date, date) && isMovedOverride(override)) ?? false;
+}
+
+/**
+ * Check if an occurrence of a recurring note has been skipped.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Original occurrence date
+ * @returns {boolean}  True if the date is listed in the note's exceptions
+ */
+export function isOccurrenceException(noteData, date) {
+  return noteData.exceptions?.some((exception) => isSameDay(exception, date)) ?? false;
+}
+
+/**
+ * Get the override for the occurrence shown on a date.
+ * An occurrence moved onto the date takes precedence over one edited in place.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Date the occurrence is shown on
+ * @returns {object|null}  Override record { date, startDate, name, content }, or null
+ */
+export function getOccurrenceOverride(noteData, date) {
+  const overrides = noteData.overrides ?? [];
+  return overrides.find((o) => isMovedOverride(o) && isSameDay(o.startDate, date)) ?? overrides.find((o) => !isMovedOverride(o) && isSameDay(o.date, date)) ?? null;
+}
+
+/**
+ * Get the original date of the occurrence shown on a date.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Date the occurrence is shown on
+ * @returns {{year: number, month: number, day: number}}  Date the series placed the occurrence on
+ */
+export function getOriginalOccurrenceDate(noteData, date) {
+  const override = getOccurrenceOverride(noteData, date);
+  const original = override?.date ?? date;
+  return { year: original.year, month: original.month, day: original.day };
+}
+
+/**
+ * Get when the occurrence shown on a date starts.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Date the occurrence is shown on
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}  Start of the occurrence
+ */
+export function getOccurrenceStart(noteData, date) {
+  const override = getOccurrenceOverride(noteData, date);
+  if (override?.startDate) return { year: override.startDate.year, month: override.startDate.month, day: override.startDate.day, hour: override.startDate.hour ?? 0, minute: override.startDate.minute ?? 0 };
+  return { year: date.year, month: date.month, day: date.day, hour: noteData.startDate?.hour ?? 0, minute: noteData.startDate?.minute ?? 0 };
+}
+
+/**
+ * Build the update that skips one occurrence of a recurring note.
+ * Any override for that occurrence is dropped.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Original occurrence date
+ * @returns {{exceptions: object[], overrides: object[]}}  New exceptions and overrides
+ */
+export function skipOccurrence(noteData, date) {
+  const key = { year: date.year, month: date.month, day: date.day };
+  const exceptions = (noteData.exceptions ?? []).filter((exception) => !isSameDay(exception, key));
+  return { exceptions: [...exceptions, key], overrides: (noteData.overrides ?? []).filter((override) => !isSameDay(override.date, key)) };
+}
+
+/**
+ * Build the update that changes one occurrence of a recurring note.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Original occurrence date
+ * @param {object} changes  Changed fields { startDate?, name?, content? }; null restores the series value
+ * @returns {{overrides: object[]}}  New overrides
+ */
+export function overrideOccurrence(noteData, date, changes) {
+  const key = { year: date.year, month: date.month, day: date.day };
+  const overrides = noteData.overrides ?? [];
+  const existing = overrides.find((override) => isSameDay(override.date, key));
+  const override = { startDate: null, name: null, content: null, ...existing, ...changes, date: key };
+  return { overrides: [...overrides.filter((o) => o !== existing), override] };
+}
+
+/**
+ * Build the update that returns one occurrence of a recurring note to the series.
+ * @param {object} noteData  Note flag data
+ * @param {object} date  Original occurrence date
+ * @returns {{exceptions: object[], overrides: object[]}}  New exceptions and overrides
+ */
+export function restoreOccurrence(noteData, date) {
+  return { exceptions: (noteData.exceptions ?? []).filter((exception) => !isSameDay(exception, date)), overrides: (noteData.overrides ?? []).filter((override) => !isSameDay(override.date, date)) };
+}
+
+/**
+ * Check if a note's recurrence pattern produces a target date, ignoring exceptions and overrides.
+ * @param {object} noteData  Note flag data with recurrence settings
+ * @param {object} targetDate  Date to check
+ * @returns {boolean}  True if the pattern produces this date
+ */
+function matchesPattern(noteData, targetDate) {
   const { startDate, endDate, repeat, repeatInterval, repeatEndDate, moonConditions, randomConfig, cachedRandomOccurrences, linkedEvent, maxOccurrences } = noteData;
   if (linkedEvent?.noteId) return matchesLinkedEvent(linkedEvent, targetDate, startDate, repeatEndDate);
   if (repeat === 'computed') return matchesComputed(noteData, targetDate);
@@ -921,7 +1072,7 @@ function countOccurrencesUpTo(noteData, targetDate) {
       break;
   }
 
-  const occurrences = getOccurrencesInRange({ ...noteData, maxOccurrences: 0 }, startDate, targetDate, 10000);
+  const occurrences = expandRecurrence({ ...noteData, maxOccurrences: 0 }, startDate, targetDate, 10000);
   return occurrences.length;
 }
 
@@ -1291,6 +1442,7 @@ function matchesRangeBit(rangeBit, value) {
 
 /**
  * Get all occurrences of a recurring note within a date range.
+ * Skipped occurrences are left out and moved occurrences are listed on their new date.
  * @param {object} noteData  Note flag data
  * @param {object} rangeStart  Start of range
  * @param {object} rangeEnd  End of range
@@ -1298,6 +1450,28 @@ function matchesRangeBit(rangeBit, value) {
  * @returns {object[]}  Array of date objects
  */
 export function getOccurrencesInRange(noteData, rangeStart, rangeEnd, maxOccurrences = 100) {
+  const { exceptions, overrides } = noteData;
+  if (!exceptions?.length && !overrides?.length) return expandRecurrence(noteData, rangeStart, rangeEnd, maxOccurrences);
+  const occurrences = expandRecurrence(noteData, rangeStart, rangeEnd, maxOccurrences + (exceptions?.length ?? 0) + (overrides?.length ?? 0)).filter((date) => !isOccurrenceSkipped(noteData, date));
+  const single = { ...noteData, endDate: null };
+  for (const override of overrides ?? []) {
+    if (!isMovedOverride(override)) continue;
+    if (compareDays(override.startDate, rangeStart) < 0 || compareDays(override.startDate, rangeEnd) > 0) continue;
+    if (isOccurrenceException(noteData, override.date) || !matchesPattern(single, override.date)) continue;
+    if (!occurrences.some((date) => isSameDay(date, override.startDate))) occurrences.push({ year: override.startDate.year, month: override.startDate.month, day: override.startDate.day });
+  }
+  return occurrences.sort(compareDays).slice(0, maxOccurrences);
+}
+
+/**
+ * Expand a note's recurrence pattern within a date range, ignoring exceptions and overrides.
+ * @param {object} noteData  Note flag data
+ * @param {object} rangeStart  Start of range
+ * @param {object} rangeEnd  End of range
+ * @param {number} maxOccurrences  Maximum number of occurrences to return
+ * @returns {object[]}  Array of date objects
+ */
+function expandRecurrence(noteData, rangeStart, rangeEnd, maxOccurrences) {
   const occurrences = [];
   const { startDate, repeat, repeatInterval, linkedEvent, repeatEndDate } = noteData;
   if (linkedEvent?.noteId) return getLinkedEventOccurrences(linkedEvent, rangeStart, rangeEnd, startDate, repeatEndDate, maxOccurrences);
@@ -1313,7 +1487,7 @@ export function getOccurrencesInRange(noteData, rangeStart, rangeEnd, maxOccurre
     let iterations = 0;
     const maxIterations = 10000;
     while (compareDays(currentDate, rangeEnd) <= 0 && iterations < maxIterations) {
-      if (isRecurringMatch(noteData, currentDate)) {
+      if (matchesPattern(noteData, currentDate)) {
         occurrences.push({ ...currentDate });
         if (occurrences.length >= maxOccurrences) break;
       }
@@ -1343,7 +1517,7 @@ export function getOccurrencesInRange(noteData, rangeStart, rangeEnd, maxOccurre
     const maxIterations = 10000;
 
     while (compareDays(currentDate, rangeEnd) <= 0 && iterations < maxIterations) {
-      if (isRecurringMatch(noteData, currentDate)) {
+      if (matchesPattern(noteData, currentDate)) {
         occurrences.push({ ...currentDate });
         if (occurrences.length >= maxOccurrences) break;
       }
@@ -1368,7 +1542,7 @@ export function getOccurrencesInRange(noteData, rangeStart, rangeEnd, maxOccurre
     const maxIterations = 10000;
 
     while (compareDays(currentDate, rangeEnd) <= 0 && iterations < maxIterations) {
-      if (isRecurringMatch(noteData, currentDate)) {
+      if (matchesPattern(noteData, currentDate)) {
         occurrences.push({ ...currentDate });
         if (occurrences.length >= maxOccurrences) break;
       }
@@ -1419,7 +1593,7 @@ export function getOccurrencesInRange(noteData, rangeStart, rangeEnd, maxOccurre
     let iterations = 0;
     const maxIterations = 10000;
     while (compareDays(currentDate, rangeEnd) <= 0 && iterations < maxIterations) {
-      if (isRecurringMatch(noteData, currentDate)) {
+      if (matchesPattern(noteData, currentDate)) {
         occurrences.push({ ...currentDate });
         if (occurrences.length >= maxOccurrences) break;
       }
@@ -1435,7 +1609,7 @@ export function getOccurrencesInRange(noteData, rangeStart, rangeEnd, maxOccurre
   let iterations = 0;
   const maxIterations = 10000;
   while (compareDays(currentDate, rangeEnd) <= 0 && iterations < maxIterations) {
-    if (isRecurringMatch(noteData, currentDate)) {
+    if (matchesPattern(noteData, currentDate)) {
       occurrences.push({ ...currentDate });
       if (occurrences.length >= maxOccurrences) break;
     }
@@ -0,0 +1,116 @@
+/**
+ * Search Index
+ * Keeps normalized note text ready for searching. Built on first search from the note index,
+ * then kept current from note create/update/delete hooks so searches never re-read journals.
+ * @module Search/SearchIndex
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import NoteManager from '../notes/note-manager.mjs';
+import { localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import { normalizeSearchText } from './search-query.mjs';
+
+/**
+ * @typedef {object} SearchIndexEntry
+ * @property {object} stub - Note stub from NoteManager
+ * @property {string} name - Normalized note name
+ * @property {string} text - Note content as plain text (for snippets)
+ * @property {string} content - Normalized note content
+ * @property {string|null} authorId - ID of the user who wrote the note
+ * @property {string[]|null} moonPhases - Normalized moon phase names on the note's start date (computed on demand)
+ */
+
+/**
+ * Incrementally maintained note search index.
+ */
+export default class SearchIndex {
+  /** @type {Map<string, SearchIndexEntry>} Entries keyed by page ID */
+  static #entries = new Map();
+
+  /** @type {boolean} Whether the index has been built */
+  static #built = false;
+
+  /**
+   * Get all index entries, building the index on first use.
+   * @returns {IterableIterator<SearchIndexEntry>} Index entries
+   */
+  static getEntries() {
+    if (!this.#built) this.#build();
+    return this.#entries.values();
+  }
+
+  /**
+   * Get the moon phase names on a note's start date, caching them on the entry.
+   * @param {SearchIndexEntry} entry - Index entry
+   * @returns {string[]} Normalized phase and sub-phase names, one pair per moon
+   */
+  static getMoonPhases(entry) {
+    if (entry.moonPhases) return entry.moonPhases;
+    const calendar = CalendarManager.getActiveCalendar();
+    const date = entry.stub.flagData?.startDate;
+    entry.moonPhases = [];
+    if (!calendar?.moonsArray?.length || !date) return entry.moonPhases;
+    const yearZero = calendar.years?.yearZero ?? 0;
+    const components = { year: date.year - yearZero, month: date.month, dayOfMonth: (date.day ?? 1) - 1, hour: 12, minute: 0, second: 0 };
+    for (let i = 0; i < calendar.moonsArray.length; i++) {
+      const phase = calendar.getMoonPhase(i, components);
+      if (!phase) continue;
+      entry.moonPhases.push(normalizeSearchText(localize(phase.name)));
+      if (phase.subPhaseName) entry.moonPhases.push(normalizeSearchText(phase.subPhaseName));
+    }
+    return entry.moonPhases;
+  }
+
+  /**
+   * Build the index from every note stub.
+   * @private
+   */
+  static #build() {
+    this.#entries.clear();
+    for (const stub of NoteManager.getAllNotes()) this.#entries.set(stub.id, this.#createEntry(stub));
+    this.#built = true;
+    log(3, `Built search index with ${this.#entries.size} notes`);
+  }
+
+  /**
+   * Create an index entry for a note.
+   * @param {object} stub - Note stub
+   * @returns {SearchIndexEntry} Index entry
+   * @private
+   */
+  static #createEntry(stub) {
+    const page = game.journal.get(stub.journalId)?.pages.get(stub.id) ?? NoteManager.getFullNote(stub.id);
+    const text = (page?.text?.content ?? '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const author = page?.system?.author;
+    return { stub, name: normalizeSearchText(stub.name), text, content: normalizeSearchText(text), authorId: author?._id ?? author?.id ?? null, moonPhases: null };
+  }
+
+  /**
+   * Handle calendaria.noteCreated and calendaria.noteUpdated hooks.
+   * @param {object} stub - Note stub
+   */
+  static onNoteChanged(stub) {
+    if (!SearchIndex.#built) return;
+    SearchIndex.#entries.set(stub.id, SearchIndex.#createEntry(stub));
+  }
+
+  /**
+   * Handle calendaria.noteDeleted hook.
+   * @param {string} pageId - Deleted page ID
+   */
+  static onNoteDeleted(pageId) {
+    SearchIndex.#entries.delete(pageId);
+  }
+
+  /**
+   * Handle calendar switch and update hooks. Moon phases depend on the active calendar.
+   */
+  static onCalendarChanged() {
+    for (const entry of SearchIndex.#entries.values()) entry.moonPhases = null;
+  }
+}
@@ -1,15 +1,17 @@
 /**
  * Search Manager
- * Provides note search functionality.
+ * Provides ranked note search over an incrementally updated index.
  * @module Search/SearchManager
  * @author Tyler
  */
 
 import CalendarManager from '../calendar/calendar-manager.mjs';
 import { getAllCategories } from '../notes/note-data.mjs';
-import NoteManager from '../notes/note-manager.mjs';
+import { compareDays } from '../notes/utils/date-utils.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
+import SearchIndex from './search-index.mjs';
+import { fuzzyScore, isEmptyQuery, normalizeSearchText, parseSearchQuery } from './search-query.mjs';
 
 /**
  * @typedef {object} SearchResult
@@ -18,6 +20,7 @@ import { log } from '../utils/logger.mjs';
  * @property {string} name - Note name
  * @property {string} [description] - Date or content snippet
  * @property {object} [data] - Additional note data
+ * @property {number} [score] - Match score (higher ranks first)
  */
 
 /**
@@ -25,8 +28,9 @@ import { log } from '../utils/logger.mjs';
  */
 export default class SearchManager {
   /**
-   * Search notes by name and optionally content.
-   * @param {string} term - Search term
+   * Search notes with the query language (see {@link module:Search/SearchQuery}).
+   * Results are ranked by fuzzy match score, then by date.
+   * @param {string} term - Search query, e.g. `category:faction after:1492-05 moon:full "exact phrase"`
    * @param {object} [options] - Search options
    * @param {boolean} [options.searchContent] - Search note content
    * @param {number} [options.limit] - Max results
@@ -34,88 +38,106 @@ export default class SearchManager {
    */
   static search(term, options = {}) {
     if (!term || typeof term !== 'string') return [];
-    const searchTerm = term.trim().toLowerCase();
-    if (searchTerm.length < 2) return [];
+    const query = parseSearchQuery(term);
+    if (isEmptyQuery(query)) return [];
     const searchContent = options.searchContent !== false;
     const limit = options.limit || 50;
-    const results = this.#searchNotes(searchTerm, limit, searchContent);
-    log(3, `Search for "${term}" returned ${results.length} results`);
+    const filters = this.#resolveFilters(query);
+    if (!filters) return [];
+    const matches = [];
+    for (const entry of SearchIndex.getEntries()) {
+      if (!entry.stub.visible) continue;
+      const match = this.#scoreEntry(entry, query, filters, searchContent);
+      if (match) matches.push(match);
+    }
+    matches.sort((a, b) => b.score - a.score || this.#compareStartDates(a.entry.stub, b.entry.stub) || a.entry.stub.name.localeCompare(b.entry.stub.name));
+    const results = matches.slice(0, limit).map(({ entry, score, snippetTerm }) => {
+      const description = snippetTerm ? this.#extractSnippet(entry.text, snippetTerm) : this.#formatNoteDate(entry.stub);
+      return { ...this.#buildSearchResult(entry.stub, description), score };
+    });
+    log(3, `Search for "${term}" returned ${results.length} of ${matches.length} results`);
     return results;
   }
 
   /**
-   * Check if text matches search term.
-   * @param {string} text - Text to search
-   * @param {string} term - Search term (lowercase)
-   * @returns {boolean} - Does text match?
+   * Resolve category and author filter values to IDs.
+   * @param {ParsedSearchQuery} query - Parsed query
+   * @returns {{categoryLabels: Map<string, string>, categoryIds: Set<string>|null, authorIds: Set<string>|null}|null} - Resolved filters, or null if a filter can match nothing
+   * @private
    */
-  static #matches(text, term) {
-    if (!text) return false;
-    return text.toLowerCase().includes(term);
+  static #resolveFilters(query) {
+    const categoryLabels = new Map(getAllCategories().map((c) => [c.id, normalizeSearchText(c.label)]));
+    let categoryIds = null;
+    if (query.category.length) {
+      categoryIds = new Set([...categoryLabels].filter(([id, label]) => query.category.some((v) => id === v || label.includes(v))).map(([id]) => id));
+      if (!categoryIds.size) return null;
+    }
+    let authorIds = null;
+    if (query.author.length) {
+      authorIds = new Set(game.users.filter((u) => query.author.some((v) => (v === 'me' ? u.id === game.user.id : normalizeSearchText(u.name).includes(v)))).map((u) => u.id));
+      if (!authorIds.size) return null;
+    }
+    return { categoryLabels, categoryIds, authorIds };
   }
 
   /**
-   * Search calendar notes.
-   * @param {string} term - Search term (lowercase)
-   * @param {number} limit - Max results
-   * @param {boolean} searchContent - Search note content
-   * @returns {SearchResult[]} - Results
+   * Score a note against a query.
+   * Filters must all pass; every phrase must appear in the name or content; every word must
+   * fuzzy-match the name (weighted 3), a category (2) or the content (1, substring only).
+   * @param {SearchIndexEntry} entry - Index entry
+   * @param {ParsedSearchQuery} query - Parsed query
+   * @param {object} filters - Resolved filters from #resolveFilters
+   * @param {boolean} searchContent - Whether content may match
+   * @returns {{entry: SearchIndexEntry, score: number, snippetTerm: string|null}|null} - Match, or null if the note does not match
+   * @private
    */
-  static #searchNotes(term, limit, searchContent) {
-    const results = [];
-    const allNotes = NoteManager.getAllNotes().filter((stub) => stub.visible);
-    const allCategories = getAllCategories();
-
-    // Handle category: prefix search
-    if (term.startsWith('category:')) {
-      const categoryName = term.slice(9).trim();
-      if (!categoryName) return results;
-      const matchingCategories = allCategories.filter((c) => c.label.toLowerCase().includes(categoryName));
-      if (matchingCategories.length === 0) return results;
-      const matchingCategoryIds = matchingCategories.map((c) => c.id);
-
-      for (const note of allNotes) {
-        if (results.length >= limit) break;
-        const noteCategories = note.flagData?.categories ?? [];
-        if (noteCategories.some((id) => matchingCategoryIds.includes(id))) {
-          results.push(this.#buildSearchResult(note, this.#formatNoteDate(note)));
-        }
-      }
-      return results;
+  static #scoreEntry(entry, query, filters, searchContent) {
+    const flagData = entry.stub.flagData ?? {};
+    const categories = flagData.categories ?? [];
+    if (filters.categoryIds && !categories.some((id) => filters.categoryIds.has(id))) return null;
+    if (filters.authorIds && !filters.authorIds.has(entry.authorId)) return null;
+    if (query.after || query.before) {
+      if (!flagData.startDate) return null;
+      if (query.before && compareDays(flagData.startDate, query.before) >= 0) return null;
+      if (query.after && compareDays(flagData.endDate ?? flagData.startDate, query.after) < 0) return null;
     }
-
-    // Standard search with category matching
-    for (const note of allNotes) {
-      if (results.length >= limit) break;
-
-      // Match by name
-      if (this.#matches(note.name, term)) {
-        results.push(this.#buildSearchResult(note, this.#formatNoteDate(note)));
-        continue;
-      }
-
-      // Match by category name
-      const noteCategories = note.flagData?.categories ?? [];
-      const matchedCategory = noteCategories.some((catId) => {
-        const cat = allCategories.find((c) => c.id === catId);
-        return cat && this.#matches(cat.label, term);
-      });
-      if (matchedCategory) {
-        results.push(this.#buildSearchResult(note, this.#formatNoteDate(note)));
-        continue;
-      }
-
-      // Match by content
-      if (searchContent) {
-        const page = NoteManager.getFullNote(note.id);
-        if (page?.text?.content && this.#matches(page.text.content, term)) {
-          const snippet = this.#extractSnippet(page.text.content, term);
-          results.push(this.#buildSearchResult(note, snippet));
-        }
-      }
+    if (query.moon.length) {
+      const phases = SearchIndex.getMoonPhases(entry);
+      if (!query.moon.some((v) => phases.some((phase) => phase.includes(v)))) return null;
+    }
+    let score = 0;
+    let snippetTerm = null;
+    for (const phrase of query.phrases) {
+      if (entry.name.includes(phrase)) score += 2;
+      else if (searchContent && entry.content.includes(phrase)) {
+        score += 1;
+        snippetTerm ??= phrase;
+      } else return null;
     }
+    for (const term of query.terms) {
+      const nameScore = fuzzyScore(term, entry.name) * 3;
+      const categoryScore = Math.max(0, ...categories.map((id) => fuzzyScore(term, filters.categoryLabels.get(id)) * 2));
+      const contentScore = searchContent ? fuzzyScore(term, entry.content, { fuzzy: false }) : 0;
+      const best = Math.max(nameScore, categoryScore, contentScore);
+      if (!best) return null;
+      if (best === contentScore && !nameScore) snippetTerm ??= term;
+      score += best;
+    }
+    return { entry, score, snippetTerm };
+  }
 
-    return results;
+  /**
+   * Compare two notes by start date for tie-breaking.
+   * @param {object} a - First note stub
+   * @param {object} b - Second note stub
+   * @returns {number} - Sort order
+   * @private
+   */
+  static #compareStartDates(a, b) {
+    const dateA = a.flagData?.startDate;
+    const dateB = b.flagData?.startDate;
+    if (!dateA || !dateB) return dateA ? -1 : dateB ? 1 : 0;
+    return compareDays(dateA, dateB);
   }
 
   /**
@@ -211,18 +233,13 @@ export default class SearchManager {
 
   /**
    * Extract snippet around search term match.
-   * @param {string} content - Full content
-   * @param {string} term - Search term (lowercase)
+   * @param {string} text - Note content as plain text
+   * @param {string} term - Search term (normalized)
    * @returns {string} - Snippet of description text
    */
-  static #extractSnippet(content, term) {
-    const text = content
-      .replace(/<[^>]*>/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-    const searchText = text.toLowerCase();
-    const index = searchText.indexOf(term);
-    if (index === -1) return `${text.slice(0, 60)}...`;
+  static #extractSnippet(text, term) {
+    const index = normalizeSearchText(text).indexOf(term);
+    if (index === -1) return text.length > 60 ? `${text.slice(0, 60)}...` : text;
     const start = Math.max(0, index - 30);
     const end = Math.min(text.length, index + term.length + 30);
     let snippet = text.slice(start, end);
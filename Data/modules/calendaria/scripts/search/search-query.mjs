@@ -0,0 +1,187 @@
+/**
+ * Search Query Parsing and Scoring
+ * Parses the note search query language and scores fuzzy text matches.
+ *
+ * Syntax: free words are fuzzy-matched against note names, categories and content;
+ * "quoted phrases" must appear verbatim; `key:value` filters narrow results
+ * (category, after, before, moon, author). Values may be quoted: `moon:"waxing gibbous"`.
+ * Repeating a filter key matches any of its values; different keys must all match.
+ * @module Search/SearchQuery
+ * @author Tyler
+ */
+
+/** Filter keys understood by the query language. */
+export const SEARCH_FILTERS = ['category', 'after', 'before', 'moon', 'author'];
+
+/** Fewest characters of free text searched when a query has no filters. */
+export const MIN_QUERY_LENGTH = 2;
+
+/**
+ * @typedef {object} SearchDateBound
+ * @property {number} year - Year
+ * @property {number} month - Month (0-indexed)
+ * @property {number} day - Day of month (1-indexed)
+ */
+
+/**
+ * @typedef {object} ParsedSearchQuery
+ * @property {string[]} terms - Normalized free words
+ * @property {string[]} phrases - Normalized quoted phrases
+ * @property {string[]} category - Category filter values
+ * @property {string[]} moon - Moon phase filter values
+ * @property {string[]} author - Author filter values ("me" for the current user)
+ * @property {SearchDateBound|null} after - Notes on or after the start of this date
+ * @property {SearchDateBound|null} before - Notes before the start of this date
+ * @property {string[]} invalid - Filters whose value could not be parsed
+ */
+
+/**
+ * Lower-case text, strip diacritics and collapse whitespace so "Élan" matches "elan".
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeSearchText(text) {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a date filter value: YYYY, YYYY-MM or YYYY-MM-DD (months and days 1-indexed, years may be negative).
+ * @param {string} value - Filter value
+ * @returns {SearchDateBound|null} Date bound, or null if the value is not a date
+ */
+function parseDateBound(value) {
+  const match = /^(-?\d+)(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?$/.exec(value.trim());
+  if (!match) return null;
+  const month = match[2] ? Number(match[2]) - 1 : 0;
+  const day = match[3] ? Number(match[3]) : 1;
+  if (month < 0 || day < 1) return null;
+  return { year: Number(match[1]), month, day };
+}
+
+/**
+ * Split a query into tokens, keeping quoted phrases and quoted filter values together.
+ * @param {string} query - Raw query
+ * @returns {Array<{key: string|null, value: string, quoted: boolean}>} Tokens
+ */
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+  while ((match = pattern.exec(query))) {
+    const [, key, quoted, bare] = match;
+    tokens.push({ key: key?.toLowerCase() ?? null, value: quoted ?? bare ?? '', quoted: quoted !== undefined });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a search query.
+ * Unknown `key:value` pairs are treated as plain words so that "note:" style text still searches.
+ * @param {string} query - Raw query
+ * @returns {ParsedSearchQuery} Parsed query
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], category: [], moon: [], author: [], after: null, before: null, invalid: [] };
+  if (!query || typeof query !== 'string') return parsed;
+  for (const { key, value, quoted } of tokenize(query)) {
+    if (key && SEARCH_FILTERS.includes(key)) {
+      if (!value) continue;
+      if (key === 'after' || key === 'before') {
+        const bound = parseDateBound(value);
+        if (bound) parsed[key] = bound;
+        else parsed.invalid.push(`${key}:${value}`);
+      } else {
+        parsed[key].push(normalizeSearchText(value.replace(/[-_]/g, ' ')));
+      }
+      continue;
+    }
+    const text = normalizeSearchText(key ? `${key}:${value}` : value);
+    if (!text) continue;
+    if (quoted && !key) parsed.phrases.push(text);
+    else parsed.terms.push(...text.split(' '));
+  }
+  return parsed;
+}
+
+/**
+ * Whether a parsed query has anything to search for.
+ * Free text shorter than {@link MIN_QUERY_LENGTH} characters only counts alongside a filter.
+ * @param {ParsedSearchQuery} parsed - Parsed query
+ * @returns {boolean} True if the query has no filters and too little text
+ */
+export function isEmptyQuery(parsed) {
+  if (parsed.category.length || parsed.moon.length || parsed.author.length || parsed.after || parsed.before) return false;
+  return [...parsed.terms, ...parsed.phrases].join(' ').length < MIN_QUERY_LENGTH;
+}
+
+/**
+ * Edit distance counting adjacent transpositions as one edit, abandoning early once it exceeds a limit.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 if greater than the limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how well a normalized term matches normalized text.
+ * Whole-text, prefix and word-start matches rank above mid-word substrings; in-order character
+ * matches ("wtrdp" → "waterdeep") and single typos in words of four or more letters still score.
+ * @param {string} term - Normalized search term
+ * @param {string} text - Normalized text
+ * @param {object} [options] - Scoring options
+ * @param {boolean} [options.fuzzy] - Allow subsequence and typo matches (off for long content)
+ * @returns {number} Score from 0 (no match) to 1.5 (exact match)
+ */
+export function fuzzyScore(term, text, { fuzzy = true } = {}) {
+  if (!term || !text) return 0;
+  const index = text.indexOf(term);
+  if (index !== -1) {
+    if (text === term) return 1.5;
+    if (index === 0) return 1.2;
+    if (/[\s\p{P}]/u.test(text[index - 1])) return 1;
+    return 0.8;
+  }
+  if (!fuzzy) return 0;
+  let score = 0;
+  if (term.length >= 3) {
+    let position = -1;
+    let first = -1;
+    for (const char of term) {
+      position = text.indexOf(char, position + 1);
+      if (position === -1) break;
+      if (first === -1) first = position;
+    }
+    const span = position - first + 1;
+    if (position !== -1 && span <= term.length * 3) score = 0.6 * (term.length / span);
+  }
+  if (term.length >= 4 && score < 0.5) {
+    for (const word of text.split(/[\s\p{P}]+/u)) {
+      if (word && editDistance(term, word, 1) <= 1) return 0.5;
+    }
+  }
+  return score;
+}
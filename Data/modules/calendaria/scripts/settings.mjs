@@ -10,7 +10,7 @@ import { ImporterApp } from './applications/importer-app.mjs';
 import { MiniCal } from './applications/mini-cal.mjs';
 import { SettingsPanel } from './applications/settings/settings-panel.mjs';
 import { TimeKeeper } from './applications/time-keeper.mjs';
-import { MODULE, SETTINGS } from './constants.mjs';
+import { HOOKS, MODULE, SETTINGS } from './constants.mjs';
 import NoteManager from './notes/note-manager.mjs';
 import { localize } from './utils/localization.mjs';
 import { log } from './utils/logger.mjs';
@@ -591,6 +591,15 @@ export function registerSettings() {
     requiresReload: true
   });
 
+  /** Publish read-only calendar events for external clients over the module socket */
+  game.settings.register(MODULE.ID, SETTINGS.EXTERNAL_BRIDGE, {
+    name: 'CALENDARIA.Settings.ExternalBridge.Name',
+    hint: 'CALENDARIA.Settings.ExternalBridge.Hint',
+    scope: 'world',
+    config: false,
+    type: new BooleanField({ initial: false })
+  });
+
   // ========================================//
   //  Show on Load (visible in settings menu)  //
   // ========================================//
@@ -965,6 +974,19 @@ export function registerSettings() {
     type: new BooleanField({ initial: false })
   });
 
+  /** Calendar shown as a second date line on the HUD and MiniCal ('' for none) */
+  game.settings.register(MODULE.ID, SETTINGS.SECONDARY_CALENDAR, {
+    name: 'CALENDARIA.Settings.SecondaryCalendar.Name',
+    hint: 'CALENDARIA.Settings.SecondaryCalendar.Hint',
+    scope: 'world',
+    config: false,
+    type: new StringField({ initial: '', blank: true }),
+    onChange: () => {
+      foundry.applications.instances.get('calendaria-hud')?.render({ parts: ['bar'] });
+      foundry.applications.instances.get('mini-calendar')?.render();
+    }
+  });
+
   /** User overrides for default/built-in calendars */
   game.settings.register(MODULE.ID, SETTINGS.DEFAULT_OVERRIDES, {
     name: 'Default Calendar Overrides',
@@ -1103,6 +1125,15 @@ export function registerSettings() {
     onChange: () => NoteManager.syncNoteOwnership()
   });
 
+  /** Per-category, per-calendar and per-user permission rules layered over the role matrix */
+  game.settings.register(MODULE.ID, SETTINGS.PERMISSION_RULES, {
+    name: 'Permission Rules',
+    scope: 'world',
+    config: false,
+    type: new ObjectField({ initial: { categories: {}, calendars: {}, users: {} } }),
+    onChange: () => NoteManager.syncNoteOwnership()
+  });
+
   // ========================================//
   //  Weather System                         //
   // ========================================//
@@ -1115,6 +1146,31 @@ export function registerSettings() {
     type: new ObjectField({ nullable: true, initial: null })
   });
 
+  /** Current weather per climate zone */
+  game.settings.register(MODULE.ID, SETTINGS.ZONE_WEATHER, {
+    name: 'Zone Weather',
+    scope: 'world',
+    config: false,
+    type: new ObjectField({ initial: {} })
+  });
+
+  /** Recorded weather per calendar, zone and day */
+  game.settings.register(MODULE.ID, SETTINGS.WEATHER_HISTORY, {
+    name: 'Weather History',
+    scope: 'world',
+    config: false,
+    type: new ObjectField({ initial: {} })
+  });
+
+  /** Days of weather history to keep (0 = keep everything) */
+  game.settings.register(MODULE.ID, SETTINGS.WEATHER_HISTORY_DAYS, {
+    name: 'CALENDARIA.Settings.WeatherHistoryDays.Name',
+    hint: 'CALENDARIA.Settings.WeatherHistoryDays.Hint',
+    scope: 'world',
+    config: false,
+    type: new NumberField({ initial: 365, min: 0, integer: true })
+  });
+
   /** Temperature unit (Celsius or Fahrenheit) */
   game.settings.register(MODULE.ID, SETTINGS.TEMPERATURE_UNIT, {
     name: 'CALENDARIA.Settings.TemperatureUnit.Name',
@@ -1158,6 +1214,40 @@ export function registerSettings() {
     type: new ArrayField(new ObjectField())
   });
 
+  // ========================================//
+  //  Session Ledger                         //
+  // ========================================//
+
+  /** Recorded game sessions and the session in progress */
+  game.settings.register(MODULE.ID, SETTINGS.SESSION_LEDGER, {
+    name: 'Session Ledger',
+    scope: 'world',
+    config: false,
+    type: new ObjectField({ initial: { active: null, sessions: [] } }),
+    onChange: () => foundry.applications.instances.get('calendaria-session-ledger')?.render()
+  });
+
+  /** Recent world time changes that can be undone, and undone changes that can be redone */
+  game.settings.register(MODULE.ID, SETTINGS.TIME_HISTORY, {
+    name: 'Time History',
+    scope: 'world',
+    config: false,
+    type: new ObjectField({ initial: { undo: [], redo: [] } })
+  });
+
+  // ========================================//
+  //  Party Timelines                        //
+  // ========================================//
+
+  /** Party timelines: groups of users and actors running ahead of or behind world time */
+  game.settings.register(MODULE.ID, SETTINGS.PARTY_TIMELINES, {
+    name: 'Party Timelines',
+    scope: 'world',
+    config: false,
+    type: new ObjectField({ initial: { timelines: [] } }),
+    onChange: () => Hooks.callAll(HOOKS.TIMELINES_UPDATED)
+  });
+
   // ========================================//
   //  Macro Triggers                         //
   // ========================================//
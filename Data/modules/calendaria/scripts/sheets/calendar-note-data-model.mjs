@@ -45,6 +45,28 @@ export class CalendarNoteDataModel extends foundry.abstract.TypeDataModel {
         { nullable: true }
       ),
       maxOccurrences: new fields.NumberField({ integer: true, min: 0, initial: 0 }),
+      exceptions: new fields.ArrayField(
+        new fields.SchemaField({ year: new fields.NumberField({ required: true, integer: true }), month: new fields.NumberField({ required: true, integer: true, min: 0 }), day: new fields.NumberField({ required: true, integer: true, min: 1 }) }),
+        { initial: [] }
+      ),
+      overrides: new fields.ArrayField(
+        new fields.SchemaField({
+          date: new fields.SchemaField({ year: new fields.NumberField({ required: true, integer: true }), month: new fields.NumberField({ required: true, integer: true, min: 0 }), day: new fields.NumberField({ required: true, integer: true, min: 1 }) }),
+          startDate: new fields.SchemaField(
+            {
+              year: new fields.NumberField({ required: true, integer: true }),
+              month: new fields.NumberField({ required: true, integer: true, min: 0 }),
+              day: new fields.NumberField({ required: true, integer: true, min: 1 }),
+              hour: new fields.NumberField({ integer: true, min: 0, initial: 0 }),
+              minute: new fields.NumberField({ integer: true, min: 0, max: 59, initial: 0 })
+            },
+            { nullable: true, initial: null }
+          ),
+          name: new fields.StringField({ nullable: true, blank: true, initial: null }),
+          content: new fields.HTMLField({ nullable: true, blank: true, initial: null })
+        }),
+        { initial: [] }
+      ),
       moonConditions: new fields.ArrayField(
         new fields.SchemaField({
           moonIndex: new fields.NumberField({ required: true, integer: true, min: 0 }),
@@ -63,6 +85,14 @@ export class CalendarNoteDataModel extends foundry.abstract.TypeDataModel {
         { nullable: true }
       ),
       linkedEvent: new fields.SchemaField({ noteId: new fields.StringField({ required: true, blank: false }), offset: new fields.NumberField({ integer: true, initial: 0 }) }, { nullable: true }),
+      chain: new fields.SchemaField(
+        {
+          noteId: new fields.StringField({ required: true, blank: false }),
+          amount: new fields.NumberField({ required: true, integer: true, initial: 1 }),
+          unit: new fields.StringField({ choices: ['minute', 'hour', 'day', 'week', 'month', 'year'], initial: 'day' })
+        },
+        { nullable: true }
+      ),
       rangePattern: new fields.SchemaField(
         { year: new fields.JSONField({ nullable: true }), month: new fields.JSONField({ nullable: true }), day: new fields.JSONField({ nullable: true }) },
         { nullable: true }
@@ -116,6 +146,11 @@ export class CalendarNoteDataModel extends foundry.abstract.TypeDataModel {
               'isShortestDay',
               'isSpringEquinox',
               'isAutumnEquinox',
+              'isSolarEclipse',
+              'isLunarEclipse',
+              'isMoonConjunction',
+              'isSolstice',
+              'isEquinox',
               'moonPhase',
               'moonPhaseIndex',
               'moonPhaseCountMonth',
@@ -139,9 +174,40 @@ export class CalendarNoteDataModel extends foundry.abstract.TypeDataModel {
       iconType: new fields.StringField({ choices: ['image', 'fontawesome'], initial: 'fontawesome' }),
       reminderOffset: new fields.NumberField({ integer: true, min: 0, initial: 0 }),
       reminderType: new fields.StringField({ choices: ['none', 'toast', 'chat', 'dialog'], initial: 'toast' }),
-      reminderTargets: new fields.StringField({ choices: ['all', 'gm', 'author', 'specific'], initial: 'all' }),
+      reminderTargets: new fields.StringField({ choices: ['all', 'gm', 'author', 'specific', 'timeline'], initial: 'all' }),
       reminderUsers: new fields.ArrayField(new fields.StringField(), { initial: [] }),
+      timeline: new fields.StringField({ nullable: true, blank: true, initial: null }),
+      scheduling: new fields.SchemaField({
+        enabled: new fields.BooleanField({ initial: false }),
+        invitees: new fields.ArrayField(new fields.StringField(), { initial: [] }),
+        candidates: new fields.ArrayField(
+          new fields.SchemaField({
+            id: new fields.StringField({ required: true, blank: false }),
+            start: new fields.NumberField({ required: true, integer: true }),
+            duration: new fields.NumberField({ integer: true, min: 0, initial: 0 })
+          }),
+          { initial: [] }
+        ),
+        responses: new fields.ObjectField({ initial: {} }),
+        confirmed: new fields.StringField({ nullable: true, blank: false, initial: null })
+      }),
       macro: new fields.StringField({ nullable: true, blank: true }),
+      actions: new fields.ArrayField(
+        new fields.SchemaField({
+          type: new fields.StringField({ required: true, choices: ['rollTable', 'weather', 'playlist', 'darkness', 'showJournal', 'followUp'] }),
+          target: new fields.StringField({ blank: true, initial: '' }),
+          value: new fields.StringField({ blank: true, initial: '' }),
+          conditions: new fields.ArrayField(
+            new fields.SchemaField({
+              kind: new fields.StringField({ required: true, choices: ['weather', 'moonPhase', 'zone'] }),
+              value: new fields.StringField({ required: true, blank: false }),
+              moonIndex: new fields.NumberField({ integer: true, min: 0, nullable: true })
+            }),
+            { initial: [] }
+          )
+        }),
+        { initial: [] }
+      ),
       sceneId: new fields.StringField({ nullable: true, blank: true }),
       playlistId: new fields.StringField({ nullable: true, blank: true }),
       gmOnly: new fields.BooleanField({ initial: false }),
@@ -7,13 +7,23 @@
 
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 
+import { promptOccurrenceScope } from '../applications/calendar-view-utils.mjs';
 import CalendarManager from '../calendar/calendar-manager.mjs';
 import { MODULE, TEMPLATES } from '../constants.mjs';
+import ActionManager from '../notes/action-manager.mjs';
+import ChainManager from '../notes/chain-manager.mjs';
 import { addCustomCategory, deleteCustomCategory, getAllCategories, getRepeatOptions, isCustomCategory } from '../notes/note-data.mjs';
 import NoteManager from '../notes/note-manager.mjs';
-import { generateRandomOccurrences, getRecurrenceDescription, needsRandomRegeneration } from '../notes/utils/recurrence.mjs';
+import SchedulingManager from '../notes/scheduling-manager.mjs';
+import { addDays, daysBetween, isSameDay } from '../notes/utils/date-utils.mjs';
+import { generateRandomOccurrences, getOriginalOccurrenceDate, getRecurrenceDescription, isOccurrenceException, needsRandomRegeneration } from '../notes/utils/recurrence.mjs';
+import PartyTimelines from '../time/party-timelines.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
+import { canAddNotes } from '../utils/permissions.mjs';
+
+/** Condition fields that are true or false rather than numeric. */
+const BOOLEAN_CONDITION_FIELDS = ['isLongestDay', 'isShortestDay', 'isSpringEquinox', 'isAutumnEquinox', 'isSolarEclipse', 'isLunarEclipse', 'isMoonConjunction', 'isSolstice', 'isEquinox', 'intercalary'];
 
 /**
  * Sheet application for calendar note journal entry pages.
@@ -36,7 +46,23 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
       regenerateSeed: this._onRegenerateSeed,
       clearLinkedEvent: this._onClearLinkedEvent,
       addCondition: this._onAddCondition,
-      removeCondition: this._onRemoveCondition
+      removeCondition: this._onRemoveCondition,
+      addCandidate: this._onAddCandidate,
+      removeCandidate: this._onRemoveCandidate,
+      sendInvitations: this._onSendInvitations,
+      respond: this._onRespond,
+      confirmCandidate: this._onConfirmCandidate,
+      markHappened: this._onMarkHappened,
+      clearHappened: this._onClearHappened,
+      openChainedNote: this._onOpenChainedNote,
+      addAction: this._onAddAction,
+      removeAction: this._onRemoveAction,
+      moveAction: this._onMoveAction,
+      addActionCondition: this._onAddActionCondition,
+      removeActionCondition: this._onRemoveActionCondition,
+      skipOccurrence: this._onSkipOccurrence,
+      restoreOccurrence: this._onRestoreOccurrence,
+      switchEditScope: this._onSwitchEditScope
     },
     form: { submitOnChange: true, closeOnSubmit: false }
   };
@@ -45,12 +71,24 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
   static VIEW_PARTS = { view: { template: TEMPLATES.SHEETS.CALENDAR_NOTE_VIEW } };
   static EDIT_PARTS = { form: { template: TEMPLATES.SHEETS.CALENDAR_NOTE_FORM } };
 
+  /** Form fields an occurrence override can change; everything else belongs to the series. */
+  static OCCURRENCE_FIELDS = ['name', 'text.content', 'system.startDate.year', 'system.startDate.month', 'system.startDate.day', 'system.startDate.hour', 'system.startDate.minute'];
+
   /** Current sheet mode. */
   _mode = CalendarNoteSheet.MODES.VIEW;
 
   /** Track if this is a newly created note that may need cleanup. */
   _isNewNote = false;
 
+  /** @type {{year: number, month: number, day: number}|null} Original date of the recurring occurrence the sheet was opened on */
+  #occurrence = null;
+
+  /** @type {'occurrence'|'series'|null} Whether edits apply to that occurrence or the whole series, null until asked */
+  #editScope = null;
+
+  /** @type {boolean} Whether the edit scope prompt is open */
+  #promptingScope = false;
+
   /** @returns {boolean} Whether currently in view mode. */
   get isViewMode() {
     return this._mode === CalendarNoteSheet.MODES.VIEW;
@@ -79,6 +117,10 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
       } else {
         this._mode = CalendarNoteSheet.MODES.VIEW;
       }
+      const system = this.document.system;
+      const recurs = (system.repeat && system.repeat !== 'never') || !!system.linkedEvent?.noteId;
+      this.#occurrence = options.occurrence && recurs ? getOriginalOccurrenceDate(system, options.occurrence) : null;
+      this.#editScope = null;
     }
     super._configureRenderOptions(options);
   }
@@ -148,6 +190,13 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
       });
     }
 
+    const actionTypeSelect = htmlElement.querySelector('select[name="newAction.type"]');
+    if (actionTypeSelect) {
+      const updateActionInputs = () => this.#updateActionInputs(htmlElement, actionTypeSelect.value);
+      actionTypeSelect.addEventListener('change', updateActionInputs);
+      updateActionInputs();
+    }
+
     const rangeTypeSelects = htmlElement.querySelectorAll('.range-type-select');
     rangeTypeSelects.forEach((select) => {
       select.addEventListener('change', async () => {
@@ -209,6 +258,39 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     this.#renderHeaderControls();
     this.element.classList.toggle('view-mode', this.isViewMode);
     this.element.classList.toggle('edit-mode', this.isEditMode);
+    if (!this.isEditMode || !this.#occurrence) return;
+    if (!this.#editScope) this.#promptEditScope();
+    else if (this.#editScope === 'occurrence') this.#lockSeriesFields();
+  }
+
+  /**
+   * Ask whether edits apply to the occurrence the sheet was opened on or to the whole series.
+   * Dismissing the prompt returns the sheet to view mode.
+   * @private
+   */
+  async #promptEditScope() {
+    if (this.#promptingScope) return;
+    this.#promptingScope = true;
+    const scope = await promptOccurrenceScope(localize('CALENDARIA.Note.Occurrences.EditTitle'), format('CALENDARIA.Note.Occurrences.EditPrompt', { name: this.document.name }), {
+      occurrence: 'CALENDARIA.Note.Occurrences.ThisOccurrence',
+      series: 'CALENDARIA.Note.Occurrences.AllOccurrences'
+    });
+    this.#promptingScope = false;
+    if (scope) this.#editScope = scope;
+    else this._mode = CalendarNoteSheet.MODES.VIEW;
+    this.render();
+  }
+
+  /**
+   * Disable form controls that only the series can change while editing a single occurrence.
+   * @private
+   */
+  #lockSeriesFields() {
+    const form = this.element.querySelector('.calendar-note-form');
+    if (!form) return;
+    for (const input of form.querySelectorAll('input[name], select[name], textarea[name]')) if (!CalendarNoteSheet.OCCURRENCE_FIELDS.includes(input.name)) input.disabled = true;
+    for (const button of form.querySelectorAll('button[data-action]')) if (!['selectDate', 'switchEditScope', 'skipOccurrence', 'restoreOccurrence'].includes(button.dataset.action) || button.dataset.dateField === 'endDate') button.disabled = true;
+    if (this.document.system.allDay) for (const input of form.querySelectorAll('.time-inputs input')) input.disabled = true;
   }
 
   /**
@@ -223,6 +305,12 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     'select[name="newMoonCondition.moonIndex"]',
     'select[name="newMoonCondition.phase"]',
     'select[name="newMoonCondition.modifier"]',
+    'input[name="newCandidate.start"]',
+    'input[name="newCandidate.duration"]',
+    'select[name="newAction.type"]',
+    'select[name="newAction.target"]',
+    'input[name="newAction.value"]',
+    'select[name="newAction.condition"]',
     '.new-category-input'
   ];
 
@@ -304,6 +392,7 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     const context = await super._prepareContext(options);
     context.system = this.document.system;
     context.text = this.document.text;
+    context.startDate = this.document.system.startDate;
     const calendar = CalendarManager.getActiveCalendar();
     const components = game.time.components || { year: 1492, month: 0, dayOfMonth: 0 };
     const yearZero = calendar?.years?.yearZero ?? 0;
@@ -497,15 +586,58 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
       { value: 'all', label: localize('CALENDARIA.Note.ReminderTargetAll'), selected: currentReminderTargets === 'all' },
       { value: 'gm', label: localize('CALENDARIA.Note.ReminderTargetGM'), selected: currentReminderTargets === 'gm' },
       { value: 'author', label: localize('CALENDARIA.Note.ReminderTargetAuthor'), selected: currentReminderTargets === 'author' },
-      { value: 'specific', label: localize('CALENDARIA.Note.ReminderTargetSpecific'), selected: currentReminderTargets === 'specific' }
+      { value: 'specific', label: localize('CALENDARIA.Note.ReminderTargetSpecific'), selected: currentReminderTargets === 'specific' },
+      { value: 'timeline', label: localize('CALENDARIA.Note.ReminderTargetTimeline'), selected: currentReminderTargets === 'timeline' }
     ];
     context.showReminderUsers = currentReminderTargets === 'specific';
     const selectedReminderUsers = this.document.system.reminderUsers || [];
     context.userOptions = game.users.contents.map((u) => ({ id: u.id, name: u.name, selected: selectedReminderUsers.includes(u.id) }));
+    const scheduling = this.document.system.scheduling;
+    context.scheduling = scheduling;
+    context.inviteeOptions = game.users.contents.filter((u) => !u.isGM).map((u) => ({ id: u.id, name: u.name, selected: scheduling.invitees.includes(u.id) }));
+    if (scheduling.enabled) {
+      context.availability = SchedulingManager.getAvailabilityGrid(this.document);
+      context.confirmedCandidate = context.availability.candidates.find((c) => c.confirmed) ?? null;
+      context.canRespond = SchedulingManager.isInvited(this.document);
+      context.canManageSchedule = this.document.isOwner;
+    }
+    const chain = this.document.system.chain;
+    context.chain = { noteId: chain?.noteId ?? '', amount: chain?.amount ?? 1, unit: chain?.unit ?? 'day' };
+    context.chainAnchorOptions = (NoteManager.getAllNotes() || [])
+      .filter((note) => !ChainManager.wouldCreateCycle(this.document.id, note.id))
+      .map((note) => ({ id: note.id, name: note.name, selected: note.id === chain?.noteId }));
+    context.chainUnitOptions = ChainManager.UNITS.map((unit) => ({ value: unit, label: localize(`CALENDARIA.EventChain.Unit.${unit.capitalize()}s`), selected: unit === context.chain.unit }));
+    context.chainDescription = ChainManager.getDescription(this.document.system);
+    context.chainDependents = ChainManager.getDependents(this.document.id).map((note) => ({ id: note.id, name: note.name, label: ChainManager.getDescription(note.flagData) }));
+    if (ChainManager.hasTriggered(this.document) && calendar) {
+      const happened = calendar.timeToComponents(ChainManager.getAnchorTime(this.document));
+      context.chainTriggeredDisplay = this._formatDateDisplay(calendar, happened.year + yearZero, happened.month, happened.dayOfMonth + 1);
+    }
+    const timelineId = PartyTimelines.getNoteTimelineId(this.document.system);
+    context.timelineOptions = PartyTimelines.getTimelines().map((t) => ({ id: t.id, name: t.name, selected: t.id === timelineId }));
+    context.timeline = PartyTimelines.getTimeline(timelineId);
     const selectedCategories = this.document.system.categories || [];
-    context.categoryOptions = getAllCategories().map((cat) => ({ ...cat, selected: selectedCategories.includes(cat.id) }));
+    context.categoryOptions = getAllCategories()
+      .filter((cat) => selectedCategories.includes(cat.id) || canAddNotes({ categories: [cat.id] }))
+      .map((cat) => ({ ...cat, selected: selectedCategories.includes(cat.id) }));
     const currentMacro = this.document.system.macro || '';
     context.availableMacros = game.macros.contents.map((m) => ({ id: m.id, name: m.name, selected: m.id === currentMacro }));
+    if (game.user.isGM && this.isEditMode) {
+      const targetOptions = ActionManager.getTargetOptions();
+      const conditionOptions = ActionManager.getConditionOptions();
+      const steps = this.document.system.actions || [];
+      context.actionTypes = Object.entries(ActionManager.TYPES).map(([value, { label }]) => ({ value, label: localize(label) }));
+      context.actionTargets = Object.entries(targetOptions).flatMap(([type, options]) => options.map((option) => ({ ...option, type })));
+      context.actionConditionOptions = conditionOptions;
+      context.noteActions = steps.map((step, index) => ({
+        index,
+        icon: ActionManager.TYPES[step.type]?.icon,
+        description: ActionManager.getDescription(step, targetOptions),
+        conditions: (step.conditions || []).map((condition, conditionIndex) => ({ index: conditionIndex, description: ActionManager.getConditionDescription(condition, conditionOptions) })),
+        isFirst: index === 0,
+        isLast: index === steps.length - 1
+      }));
+    }
     context.isViewMode = this.isViewMode;
     context.isEditMode = this.isEditMode;
     context.isGM = game.user.isGM;
@@ -531,9 +663,46 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
       if (this.document.system.moonConditions?.length > 0) context.moonConditionsDisplay = getRecurrenceDescription(this.document.system);
     }
 
+    if (this.#occurrence) await this.#prepareOccurrenceContext(context, calendar);
     return context;
   }
 
+  /**
+   * Show the occurrence the sheet was opened on in place of the series values.
+   * Left as the series while editing all occurrences.
+   * @param {object} context - Render context
+   * @param {object} calendar - Active calendar
+   * @private
+   */
+  async #prepareOccurrenceContext(context, calendar) {
+    const system = this.document.system;
+    const override = system.overrides?.find((o) => isSameDay(o.date, this.#occurrence)) ?? null;
+    const { year, month, day } = this.#occurrence;
+    context.occurrence = {
+      dateDisplay: this._formatDateDisplay(calendar, year, month, day),
+      isSkipped: isOccurrenceException(system, this.#occurrence),
+      isChanged: !!override,
+      scope: this.#editScope,
+      isThisOccurrence: this.#editScope === 'occurrence'
+    };
+    if (this.isEditMode && this.#editScope !== 'occurrence') return;
+    const start = override?.startDate ?? { year, month, day, hour: system.startDate.hour, minute: system.startDate.minute };
+    context.name = override?.name || this.document.name;
+    context.text = { ...this.document.text, content: override?.content ?? this.document.text?.content };
+    context.startDate = start;
+    context.startDateDisplay = this._formatDateDisplay(calendar, start.year, start.month, start.day);
+    if (!this.isViewMode) return;
+    if (context.hasEndDate) {
+      const end = addDays(start, daysBetween(system.startDate, system.endDate));
+      context.endDateDisplay = this._formatDateDisplay(calendar, end.year, end.month, end.day);
+    }
+    if (override?.startDate) {
+      context.startTimeDisplay = `${String(start.hour ?? 0).padStart(2, '0')}:${String(start.minute ?? 0).padStart(2, '0')}`;
+      context.hasEndTime = false;
+    }
+    if (override?.content) context.enrichedContent = await foundry.applications.ux.TextEditor.implementation.enrichHTML(override.content, { async: true, relativeTo: this.document, secrets: this.document.isOwner });
+  }
+
   /** @inheritdoc */
   _onChangeForm(formConfig, event) {
     const target = event.target;
@@ -595,6 +764,8 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     const repeatType = data.system?.repeat;
     if (repeatType !== 'linked') data.system.linkedEvent = null;
     else if (data.system.linkedEvent && !data.system.linkedEvent.noteId) data.system.linkedEvent = null;
+    if (data.system.chain && !data.system.chain.noteId) data.system.chain = null;
+    if (data.system.timeline === '') data.system.timeline = null;
     if (repeatType !== 'random') data.system.randomConfig = null;
     if (repeatType !== 'moon' && data.system.moonConditions === undefined) data.system.moonConditions = [];
     if (repeatType !== 'weekOfMonth') {
@@ -983,6 +1154,7 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
   static async _onToggleMode(_event, _target) {
     if (!this.document.isOwner) return;
     this._mode = this._mode === CalendarNoteSheet.MODES.VIEW ? CalendarNoteSheet.MODES.EDIT : CalendarNoteSheet.MODES.VIEW;
+    if (this.isViewMode) this.#editScope = null;
     const windowContent = this.element.querySelector('.window-content');
     if (windowContent) windowContent.innerHTML = '';
     this.render();
@@ -1059,6 +1231,7 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
 
   /** @inheritdoc */
   async _processSubmitData(event, form, submitData, options = {}) {
+    if (this.#occurrence && this.#editScope === 'occurrence') return this.#submitOccurrence(submitData);
     const newCategories = submitData.system?.categories || [];
     const oldCategories = this.document.system.categories || [];
     const addedCategory = newCategories.find((id) => !oldCategories.includes(id));
@@ -1067,6 +1240,66 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     if (addedCategory) await this.#applyCategoryStyle(addedCategory);
   }
 
+  /**
+   * Save form changes as an override of the occurrence the sheet was opened on.
+   * Values matching the series are stored as null so later series edits still apply.
+   * @param {object} submitData - Processed form data
+   * @private
+   */
+  async #submitOccurrence(submitData) {
+    const system = this.document.system;
+    const override = system.overrides?.find((o) => isSameDay(o.date, this.#occurrence)) ?? null;
+    const changes = { name: override?.name ?? null, content: override?.content ?? null, startDate: override?.startDate ?? null };
+    if (submitData.name !== undefined) changes.name = submitData.name && submitData.name !== this.document.name ? submitData.name : null;
+    if (submitData.text?.content !== undefined) changes.content = submitData.text.content !== (this.document.text?.content ?? '') ? submitData.text.content : null;
+    const start = submitData.system?.startDate;
+    if (start) {
+      const hour = system.allDay || start.hour === undefined ? (changes.startDate?.hour ?? system.startDate.hour) : Number(start.hour);
+      const minute = system.allDay || start.minute === undefined ? (changes.startDate?.minute ?? system.startDate.minute) : Number(start.minute);
+      const startDate = { year: Number(start.year), month: Number(start.month), day: Number(start.day), hour, minute };
+      const unchanged = isSameDay(startDate, this.#occurrence) && hour === system.startDate.hour && minute === system.startDate.minute;
+      changes.startDate = unchanged ? null : startDate;
+    }
+    if (!changes.name && !changes.content && !changes.startDate) {
+      if (override) await NoteManager.restoreOccurrence(this.document.id, this.#occurrence);
+      return;
+    }
+    await NoteManager.overrideOccurrence(this.document.id, this.#occurrence, changes);
+  }
+
+  /**
+   * Handle skip occurrence button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async _onSkipOccurrence(_event, _target) {
+    if (!this.#occurrence) return;
+    await NoteManager.skipOccurrence(this.document.id, this.#occurrence);
+  }
+
+  /**
+   * Handle restore occurrence button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async _onRestoreOccurrence(_event, _target) {
+    if (!this.#occurrence) return;
+    await NoteManager.restoreOccurrence(this.document.id, this.#occurrence);
+  }
+
+  /**
+   * Handle switching between editing one occurrence and the whole series.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async _onSwitchEditScope(_event, _target) {
+    if (!this.#occurrence) return;
+    this.#editScope = this.#editScope === 'occurrence' ? 'series' : 'occurrence';
+    const windowContent = this.element.querySelector('.window-content');
+    if (windowContent) windowContent.innerHTML = '';
+    this.render();
+  }
+
   /**
    * Handle clear linked event button click.
    * @param {PointerEvent} _event - The click event
@@ -1094,8 +1327,7 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     const offset = parseInt(offsetInput?.value) || 0;
     if (!field || rawValue === '') return;
     let value;
-    const booleanFields = ['isLongestDay', 'isShortestDay', 'isSpringEquinox', 'isAutumnEquinox', 'intercalary'];
-    if (booleanFields.includes(field)) {
+    if (BOOLEAN_CONDITION_FIELDS.includes(field)) {
       value = rawValue === 'true' || rawValue === '1';
     } else {
       value = parseFloat(rawValue);
@@ -1124,6 +1356,189 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     await this.document.update({ 'system.conditions': currentConditions });
   }
 
+  /**
+   * Show the action inputs that apply to the selected action type.
+   * @param {HTMLElement} html - Sheet element
+   * @param {string} type - Selected action type
+   */
+  #updateActionInputs(html, type) {
+    const targetSelect = html.querySelector('select[name="newAction.target"]');
+    const valueInput = html.querySelector('input[name="newAction.value"]');
+    const usesValue = ActionManager.VALUE_TYPES.includes(type);
+    if (targetSelect) {
+      targetSelect.hidden = usesValue;
+      targetSelect.querySelectorAll('option[data-type]').forEach((opt) => (opt.hidden = opt.dataset.type !== type));
+      if (targetSelect.selectedOptions[0]?.hidden) targetSelect.value = '';
+    }
+    if (valueInput) {
+      valueInput.hidden = !usesValue;
+      valueInput.placeholder = localize(type === 'followUp' ? 'CALENDARIA.Note.Actions.Placeholder.Days' : 'CALENDARIA.Note.Actions.Placeholder.Darkness');
+    }
+  }
+
+  /**
+   * Handle add action button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onAddAction(_event, target) {
+    const form = target.closest('form');
+    const type = form?.querySelector('select[name="newAction.type"]')?.value;
+    const targetSelect = form?.querySelector('select[name="newAction.target"]');
+    const valueInput = form?.querySelector('input[name="newAction.value"]');
+    const conditionSelect = form?.querySelector('select[name="newAction.condition"]');
+    if (!ActionManager.TYPES[type]) return;
+    const usesValue = ActionManager.VALUE_TYPES.includes(type);
+    const actionTarget = usesValue ? '' : targetSelect?.value || '';
+    const value = usesValue ? (valueInput?.value.trim() ?? '') : '';
+    if (usesValue ? value === '' || isNaN(Number(value)) : !actionTarget) return;
+    const condition = ActionManager.parseCondition(conditionSelect?.value);
+    const actions = foundry.utils.deepClone(this.document.system.actions || []);
+    actions.push({ type, target: actionTarget, value, conditions: condition ? [condition] : [] });
+    await this.document.update({ 'system.actions': actions });
+    if (valueInput) valueInput.value = '';
+  }
+
+  /**
+   * Handle remove action button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onRemoveAction(_event, target) {
+    const actionIndex = parseInt(target.dataset.index);
+    if (isNaN(actionIndex)) return;
+    const actions = foundry.utils.deepClone(this.document.system.actions || []);
+    actions.splice(actionIndex, 1);
+    await this.document.update({ 'system.actions': actions });
+  }
+
+  /**
+   * Handle move action up/down button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onMoveAction(_event, target) {
+    const actionIndex = parseInt(target.dataset.index);
+    const swapIndex = actionIndex + (target.dataset.direction === 'up' ? -1 : 1);
+    const actions = foundry.utils.deepClone(this.document.system.actions || []);
+    if (isNaN(actionIndex) || !actions[actionIndex] || !actions[swapIndex]) return;
+    [actions[actionIndex], actions[swapIndex]] = [actions[swapIndex], actions[actionIndex]];
+    await this.document.update({ 'system.actions': actions });
+  }
+
+  /**
+   * Handle add action condition button click, adding the selected condition to an existing step.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onAddActionCondition(_event, target) {
+    const actionIndex = parseInt(target.dataset.index);
+    const condition = ActionManager.parseCondition(target.closest('form')?.querySelector('select[name="newAction.condition"]')?.value);
+    const actions = foundry.utils.deepClone(this.document.system.actions || []);
+    const step = actions[actionIndex];
+    if (!step || !condition) return;
+    if (step.conditions.some((c) => c.kind === condition.kind && c.value === condition.value && (c.moonIndex ?? null) === condition.moonIndex)) return;
+    step.conditions.push(condition);
+    await this.document.update({ 'system.actions': actions });
+  }
+
+  /**
+   * Handle remove action condition button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onRemoveActionCondition(_event, target) {
+    const actionIndex = parseInt(target.dataset.index);
+    const conditionIndex = parseInt(target.dataset.condition);
+    const actions = foundry.utils.deepClone(this.document.system.actions || []);
+    if (!actions[actionIndex] || isNaN(conditionIndex)) return;
+    actions[actionIndex].conditions.splice(conditionIndex, 1);
+    await this.document.update({ 'system.actions': actions });
+  }
+
+  /**
+   * Handle add candidate date button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onAddCandidate(_event, target) {
+    const form = target.closest('form');
+    const startInput = form?.querySelector('input[name="newCandidate.start"]');
+    const durationInput = form?.querySelector('input[name="newCandidate.duration"]');
+    if (!startInput?.value) return;
+    const start = new Date(startInput.value).getTime();
+    const duration = Math.max(0, Math.round(Number(durationInput?.value) || 0));
+    const added = await SchedulingManager.addCandidate(this.document, start, duration);
+    if (added) startInput.value = '';
+  }
+
+  /**
+   * Handle remove candidate date button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onRemoveCandidate(_event, target) {
+    const candidateId = target.dataset.candidateId;
+    if (candidateId) await SchedulingManager.removeCandidate(this.document, candidateId);
+  }
+
+  /**
+   * Handle send invitations button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async _onSendInvitations(_event, _target) {
+    await SchedulingManager.sendInvitations(this.document);
+  }
+
+  /**
+   * Handle an availability response button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onRespond(_event, target) {
+    const { candidateId, response } = target.dataset;
+    await SchedulingManager.respond(this.document, candidateId, response);
+  }
+
+  /**
+   * Handle confirm candidate date button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onConfirmCandidate(_event, target) {
+    const candidateId = target.dataset.candidateId;
+    if (candidateId) await SchedulingManager.confirmCandidate(this.document, candidateId);
+  }
+
+  /**
+   * Handle mark as happened button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async _onMarkHappened(_event, _target) {
+    await ChainManager.markTriggered(this.document);
+  }
+
+  /**
+   * Handle clear happened button click.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} _target - The clicked element
+   */
+  static async _onClearHappened(_event, _target) {
+    await ChainManager.clearTriggered(this.document);
+  }
+
+  /**
+   * Handle click on a note in the event chain.
+   * @param {PointerEvent} _event - The click event
+   * @param {HTMLElement} target - The clicked element
+   */
+  static async _onOpenChainedNote(_event, target) {
+    const page = NoteManager.getFullNote(target.dataset.noteId);
+    page?.sheet.render(true, { mode: 'view' });
+  }
+
   /**
    * Generate human-readable description for a condition.
    * @param {object} condition - Condition object
@@ -1154,6 +1569,11 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
       isShortestDay: localize('CALENDARIA.Note.Condition.IsShortestDay'),
       isSpringEquinox: localize('CALENDARIA.Note.Condition.IsSpringEquinox'),
       isAutumnEquinox: localize('CALENDARIA.Note.Condition.IsAutumnEquinox'),
+      isSolarEclipse: localize('CALENDARIA.Note.Condition.IsSolarEclipse'),
+      isLunarEclipse: localize('CALENDARIA.Note.Condition.IsLunarEclipse'),
+      isMoonConjunction: localize('CALENDARIA.Note.Condition.IsMoonConjunction'),
+      isSolstice: localize('CALENDARIA.Note.Condition.IsSolstice'),
+      isEquinox: localize('CALENDARIA.Note.Condition.IsEquinox'),
       moonPhaseIndex: localize('CALENDARIA.Note.Condition.MoonPhase'),
       moonPhaseCountMonth: localize('CALENDARIA.Note.Condition.MoonPhaseCountMonth'),
       moonPhaseCountYear: localize('CALENDARIA.Note.Condition.MoonPhaseCountYear'),
@@ -1179,7 +1599,7 @@ export class CalendarNoteSheet extends HandlebarsApplicationMixin(foundry.applic
     if (field === 'weekday' && calendar?.weekdaysArray?.[value - 1]) valueStr = localize(calendar.weekdaysArray[value - 1].name);
     if (field === 'season' && calendar?.seasonsArray?.[value - 1]) valueStr = localize(calendar.seasonsArray[value - 1].name);
     if (field === 'era' && calendar?.erasArray?.[value - 1]) valueStr = localize(calendar.erasArray[value - 1].name);
-    if (['isLongestDay', 'isShortestDay', 'isSpringEquinox', 'isAutumnEquinox', 'intercalary'].includes(field)) {
+    if (BOOLEAN_CONDITION_FIELDS.includes(field)) {
       return value ? fieldLabel : format('CALENDARIA.Note.Condition.Not', { field: fieldLabel });
     }
     if (op === '%') {
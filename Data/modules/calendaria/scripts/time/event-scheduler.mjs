@@ -8,12 +8,15 @@
 
 import CalendarManager from '../calendar/calendar-manager.mjs';
 import { HOOKS, MODULE, TEMPLATES } from '../constants.mjs';
+import ActionManager from '../notes/action-manager.mjs';
+import ChainManager from '../notes/chain-manager.mjs';
 import NoteManager from '../notes/note-manager.mjs';
-import { compareDates, getCurrentDate } from '../notes/utils/date-utils.mjs';
-import { generateRandomOccurrences, needsRandomRegeneration } from '../notes/utils/recurrence.mjs';
+import { compareDates, getCurrentDate, isSameDay } from '../notes/utils/date-utils.mjs';
+import { generateRandomOccurrences, isOccurrenceException, needsRandomRegeneration } from '../notes/utils/recurrence.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
+import PartyTimelines from './party-timelines.mjs';
 
 /**
  * Event Scheduler class that monitors time changes and triggers event notifications.
@@ -28,6 +31,9 @@ export default class EventScheduler {
   /** @type {number} Last world time when triggers were checked (throttle to every 30 game minutes) */
   static #lastTriggerCheckTime = 0;
 
+  /** @type {Map<string, {date: object, checkedDate: object, checkedTime: number}>} Last processed date and trigger check per party timeline */
+  static #timelineStates = new Map();
+
   /** @type {number} Minimum interval between trigger checks in game seconds (30 minutes) */
   static TRIGGER_CHECK_INTERVAL = 1800;
 
@@ -64,21 +70,68 @@ export default class EventScheduler {
     }
 
     this.#lastDate = { ...currentDate };
+    this.checkTimelines();
+  }
+
+  /**
+   * Catch up with world time after an undo or redo without triggering anything.
+   * Notes in an undone span trigger again when time next moves through it.
+   * @param {number} worldTime - The new world time in seconds
+   * @returns {void}
+   */
+  static resync(worldTime) {
+    if (!CalendariaSocket.isPrimaryGM()) return;
+    this.#lastDate = getCurrentDate();
+    this.#lastTriggerCheckTime = worldTime;
+    this.#triggeredToday.clear();
+    this.#timelineStates.clear();
+    this.checkTimelines();
+    log(3, 'Event Scheduler resynced after time history replay');
+  }
+
+  /**
+   * Check notes on party timelines against each timeline's local time.
+   * Called on world time updates and whenever timelines change.
+   * @returns {void}
+   */
+  static checkTimelines() {
+    if (!CalendariaSocket.isPrimaryGM() || !NoteManager.isInitialized()) return;
+    const timelines = PartyTimelines.getTimelines();
+    for (const id of this.#timelineStates.keys()) if (!timelines.some((t) => t.id === id)) this.#timelineStates.delete(id);
+    for (const timeline of timelines) {
+      const localTime = PartyTimelines.getTime(timeline.id);
+      const currentDate = PartyTimelines.getDate(timeline.id);
+      if (!currentDate) continue;
+      const state = this.#timelineStates.get(timeline.id);
+      if (!state) {
+        this.#timelineStates.set(timeline.id, { date: currentDate, checkedDate: currentDate, checkedTime: localTime });
+        continue;
+      }
+      if (this.#hasDateChanged(state.date, currentDate)) this.#updateMultiDayEventProgress(currentDate, timeline.id);
+      state.date = currentDate;
+      if (Math.abs(localTime - state.checkedTime) < this.TRIGGER_CHECK_INTERVAL) continue;
+      this.#checkEventTriggers(state.checkedDate, currentDate, timeline.id);
+      state.checkedDate = currentDate;
+      state.checkedTime = localTime;
+    }
   }
 
   /**
    * Check if any events should trigger based on time change.
    * @param {object} previousDate - Previous date components
    * @param {object} currentDate - Current date components
+   * @param {string|null} [timelineId] - Only check notes on this party timeline (null for world time)
    * @private
    */
-  static #checkEventTriggers(previousDate, currentDate) {
+  static #checkEventTriggers(previousDate, currentDate, timelineId = null) {
     const allNotes = NoteManager.getAllNotes();
     for (const note of allNotes) {
+      if (PartyTimelines.getNoteTimelineId(note.flagData) !== timelineId) continue;
       if (this.#triggeredToday.has(note.id)) continue;
       if (note.flagData.silent) continue;
       if (this.#shouldTrigger(note, previousDate, currentDate)) {
-        this.#triggerEvent(note, currentDate);
+        const override = this.#getStartOverride(note);
+        this.#triggerEvent(override?.name ? { ...note, name: override.name } : note, currentDate);
         this.#triggeredToday.add(note.id);
       }
     }
@@ -94,8 +147,9 @@ export default class EventScheduler {
    */
   static #shouldTrigger(note, previousDate, currentDate) {
     if (!previousDate || !currentDate) return false;
-    const startDate = note.flagData.startDate;
-    if (!startDate) return false;
+    if (!note.flagData.startDate) return false;
+    if (isOccurrenceException(note.flagData, note.flagData.startDate)) return false;
+    const startDate = this.#getStartOverride(note)?.startDate ?? note.flagData.startDate;
     const eventStart = {
       year: startDate.year,
       month: startDate.month,
@@ -109,6 +163,17 @@ export default class EventScheduler {
     return prevComparison < 0 && currComparison >= 0;
   }
 
+  /**
+   * Get the override recorded for the occurrence on a note's start date.
+   * @param {object} note - The note stub
+   * @returns {object|null} Override record, or null if the first occurrence is unchanged
+   * @private
+   */
+  static #getStartOverride(note) {
+    const { startDate, overrides } = note.flagData;
+    return overrides?.find((override) => isSameDay(override.date, startDate)) ?? null;
+  }
+
   /**
    * Compare two date-time objects.
    * @param {object} a - First date-time
@@ -143,6 +208,8 @@ export default class EventScheduler {
     this.#sendChatAnnouncement(note);
     Hooks.callAll(HOOKS.EVENT_TRIGGERED, { id: note.id, name: note.name, flagData: note.flagData, currentDate });
     this.#executeMacro(note);
+    ActionManager.run(note);
+    ChainManager.onEventTriggered(note);
   }
 
   /**
@@ -166,8 +233,9 @@ export default class EventScheduler {
   static #formatEventMessage(note) {
     let message = `<strong>${note.name}</strong>`;
     if (!note.flagData.allDay) {
-      const hour = String(note.flagData.startDate.hour ?? 0).padStart(2, '0');
-      const minute = String(note.flagData.startDate.minute ?? 0).padStart(2, '0');
+      const startDate = this.#getStartOverride(note)?.startDate ?? note.flagData.startDate;
+      const hour = String(startDate.hour ?? 0).padStart(2, '0');
+      const minute = String(startDate.minute ?? 0).padStart(2, '0');
       message += ` at ${hour}:${minute}`;
     }
     const categories = note.flagData.categories || [];
@@ -313,12 +381,14 @@ export default class EventScheduler {
   /**
    * Update progress for multi-day events.
    * @param {object} currentDate - Current date components
+   * @param {string|null} [timelineId] - Only update notes on this party timeline (null for world time)
    * @private
    */
-  static #updateMultiDayEventProgress(currentDate) {
+  static #updateMultiDayEventProgress(currentDate, timelineId = null) {
     const notes = NoteManager.getAllNotes();
     for (const note of notes) {
       if (note.flagData.silent) continue;
+      if (PartyTimelines.getNoteTimelineId(note.flagData) !== timelineId) continue;
       const progress = this.#getMultiDayProgress(note, currentDate);
       if (!progress) continue;
       this.#showProgressNotification(note, progress);
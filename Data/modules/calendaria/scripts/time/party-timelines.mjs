@@ -0,0 +1,305 @@
+/**
+ * Party Timelines
+ * Groups of users and actors whose "local time" runs ahead of or behind world time,
+ * for split parties (one in a week of downtime, another mid-dungeon) sharing one world clock.
+ * @module Time/PartyTimelines
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { HOOKS, MODULE, SETTINGS, TIME_SOURCES } from '../constants.mjs';
+import { worldTimeToDate } from '../notes/utils/date-utils.mjs';
+import { formatGameSpan } from '../utils/format-utils.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import SessionLedger from './session-ledger.mjs';
+import TimeClock from './time-clock.mjs';
+
+/**
+ * Static class that manages party timelines and each viewer's local time.
+ */
+export default class PartyTimelines {
+  /** @type {string|null} Timeline a GM is viewing on this client (null for world time) */
+  static #viewId = null;
+
+  /** @type {Promise<void>} Serializes timeline writes */
+  static #queue = Promise.resolve();
+
+  /**
+   * Get the stored timelines.
+   * @returns {object[]} Timelines (copy)
+   */
+  static getTimelines() {
+    const data = game.settings.get(MODULE.ID, SETTINGS.PARTY_TIMELINES) ?? {};
+    return foundry.utils.deepClone(data.timelines ?? []);
+  }
+
+  /**
+   * Get a timeline by ID.
+   * @param {string} id - Timeline ID
+   * @returns {object|null} Timeline (copy)
+   */
+  static getTimeline(id) {
+    if (!id) return null;
+    return this.getTimelines().find((t) => t.id === id) ?? null;
+  }
+
+  /**
+   * Get the timeline a user belongs to, directly or through their assigned character.
+   * @param {object} [user] - User (defaults to the current user)
+   * @returns {object|null} Timeline (copy), or null if the user follows world time
+   */
+  static getTimelineForUser(user = game.user) {
+    if (!user) return null;
+    const characterId = user.character?.id;
+    return this.getTimelines().find((t) => t.userIds.includes(user.id) || (characterId && t.actorIds.includes(characterId))) ?? null;
+  }
+
+  /**
+   * Get the timeline an actor belongs to.
+   * @param {string} actorId - Actor ID
+   * @returns {object|null} Timeline (copy)
+   */
+  static getTimelineForActor(actorId) {
+    return this.getTimelines().find((t) => t.actorIds.includes(actorId)) ?? null;
+  }
+
+  /**
+   * Get the timeline shown to the current user.
+   * Players see their own timeline; GMs see world time unless they chose a timeline to view.
+   * @returns {object|null} Timeline (copy), or null for world time
+   */
+  static getViewerTimeline() {
+    if (game.user.isGM) return this.getTimeline(this.#viewId);
+    return this.getTimelineForUser(game.user);
+  }
+
+  /**
+   * Choose the timeline this GM client views (HUD, chat commands).
+   * @param {string|null} id - Timeline ID, or null for world time
+   */
+  static setViewTimeline(id) {
+    if (!game.user.isGM) return;
+    this.#viewId = this.getTimeline(id) ? id : null;
+    Hooks.callAll(HOOKS.TIMELINES_UPDATED);
+  }
+
+  /**
+   * Get the offset of a timeline from world time.
+   * @param {string|null} id - Timeline ID
+   * @returns {number} Offset in seconds (0 for world time or a missing timeline)
+   */
+  static getOffset(id) {
+    return this.getTimeline(id)?.offset ?? 0;
+  }
+
+  /**
+   * Convert a world time to a timeline's local time.
+   * @param {number} worldTime - World time in seconds
+   * @param {string|null} [id] - Timeline ID (defaults to the viewer's timeline)
+   * @returns {number} Local time in seconds
+   */
+  static toLocalTime(worldTime, id = this.getViewerTimeline()?.id) {
+    return worldTime + this.getOffset(id);
+  }
+
+  /**
+   * Get a timeline's current local time.
+   * @param {string|null} [id] - Timeline ID (defaults to the viewer's timeline)
+   * @returns {number} Local time in seconds
+   */
+  static getTime(id = this.getViewerTimeline()?.id) {
+    return this.toLocalTime(game.time.worldTime, id);
+  }
+
+  /**
+   * Get a timeline's current time as calendar components.
+   * @param {string|null} [id] - Timeline ID (defaults to the viewer's timeline)
+   * @returns {object} Time components (internal year, 0-indexed dayOfMonth)
+   */
+  static getComponents(id = this.getViewerTimeline()?.id) {
+    const offset = this.getOffset(id);
+    if (!offset) return game.time.components;
+    const calendar = CalendarManager.getActiveCalendar();
+    return calendar ? calendar.timeToComponents(game.time.worldTime + offset) : game.time.components;
+  }
+
+  /**
+   * Get a timeline's current date.
+   * @param {string|null} [id] - Timeline ID (defaults to the viewer's timeline)
+   * @returns {object|null} Date (display year, 0-indexed month, 1-indexed day)
+   */
+  static getDate(id = this.getViewerTimeline()?.id) {
+    return worldTimeToDate(this.getTime(id));
+  }
+
+  /**
+   * Get the timeline a note belongs to.
+   * Notes pointing at a deleted timeline follow world time.
+   * @param {object} noteData - Note system data
+   * @returns {string|null} Timeline ID, or null for world time
+   */
+  static getNoteTimelineId(noteData) {
+    const id = noteData?.timeline;
+    return id && this.getTimeline(id) ? id : null;
+  }
+
+  /**
+   * Get the users who follow a timeline, directly or through their assigned character.
+   * @param {string} id - Timeline ID
+   * @returns {string[]} User IDs
+   */
+  static getMemberUserIds(id) {
+    const timeline = this.getTimeline(id);
+    if (!timeline) return [];
+    return game.users.filter((u) => this.getTimelineForUser(u)?.id === id).map((u) => u.id);
+  }
+
+  /**
+   * Describe how far a timeline is from world time.
+   * @param {object} timeline - Timeline
+   * @returns {string} e.g. "3 days ahead", or "In sync"
+   */
+  static getOffsetLabel(timeline) {
+    if (!timeline?.offset) return localize('CALENDARIA.PartyTimelines.InSync');
+    const span = formatGameSpan(0, Math.abs(timeline.offset), CalendarManager.getActiveCalendar());
+    return format(timeline.offset > 0 ? 'CALENDARIA.PartyTimelines.Ahead' : 'CALENDARIA.PartyTimelines.Behind', { span });
+  }
+
+  /**
+   * Queue a change to the stored timelines.
+   * @param {Function} mutate - Receives the timeline array and changes it in place; return false to skip saving
+   * @returns {Promise<void>}
+   * @private
+   */
+  static #update(mutate) {
+    this.#queue = this.#queue.then(async () => {
+      const timelines = this.getTimelines();
+      if (mutate(timelines) === false) return;
+      await game.settings.set(MODULE.ID, SETTINGS.PARTY_TIMELINES, { timelines });
+    });
+    return this.#queue.catch((err) => log(1, 'Failed to update party timelines:', err));
+  }
+
+  /**
+   * Remove users and actors from every timeline but one, so each belongs to at most one timeline.
+   * @param {object[]} timelines - Timelines to change in place
+   * @param {object} owner - Timeline keeping the members
+   * @private
+   */
+  static #claimMembers(timelines, owner) {
+    for (const timeline of timelines) {
+      if (timeline.id === owner.id) continue;
+      timeline.userIds = timeline.userIds.filter((id) => !owner.userIds.includes(id));
+      timeline.actorIds = timeline.actorIds.filter((id) => !owner.actorIds.includes(id));
+    }
+  }
+
+  /**
+   * Create a timeline (GM only).
+   * @param {object} [data] - Timeline data
+   * @param {string} [data.name] - Name (defaults to "Timeline N")
+   * @param {number} [data.offset] - Offset from world time in seconds
+   * @param {string[]} [data.userIds] - Users following the timeline
+   * @param {string[]} [data.actorIds] - Actors on the timeline
+   * @param {string} [data.color] - Display color
+   * @returns {Promise<object|null>} The created timeline
+   */
+  static async createTimeline({ name, offset = 0, userIds = [], actorIds = [], color = null } = {}) {
+    if (!game.user.isGM) return null;
+    const timeline = {
+      id: foundry.utils.randomID(),
+      name: name?.trim() || format('CALENDARIA.PartyTimelines.DefaultName', { number: this.getTimelines().length + 1 }),
+      offset: Number(offset) || 0,
+      userIds: [...new Set(userIds)],
+      actorIds: [...new Set(actorIds)],
+      color
+    };
+    await this.#update((timelines) => {
+      this.#claimMembers(timelines, timeline);
+      timelines.push(timeline);
+    });
+    log(3, `Party timeline created: ${timeline.name}`);
+    return timeline;
+  }
+
+  /**
+   * Update a timeline (GM only).
+   * @param {string} id - Timeline ID
+   * @param {object} changes - Fields to change (name, offset, userIds, actorIds, color)
+   * @returns {Promise<object|null>} The updated timeline, or null if it does not exist
+   */
+  static async updateTimeline(id, changes) {
+    if (!game.user.isGM) return null;
+    let updated = null;
+    await this.#update((timelines) => {
+      const timeline = timelines.find((t) => t.id === id);
+      if (!timeline) return false;
+      if (changes.name !== undefined) timeline.name = changes.name?.trim() || timeline.name;
+      if (changes.offset !== undefined) timeline.offset = Number(changes.offset) || 0;
+      if (changes.userIds) timeline.userIds = [...new Set(changes.userIds)];
+      if (changes.actorIds) timeline.actorIds = [...new Set(changes.actorIds)];
+      if (changes.color !== undefined) timeline.color = changes.color;
+      this.#claimMembers(timelines, timeline);
+      updated = timeline;
+    });
+    return updated;
+  }
+
+  /**
+   * Delete a timeline (GM only). Its members follow world time again.
+   * @param {string} id - Timeline ID
+   * @returns {Promise<void>}
+   */
+  static async deleteTimeline(id) {
+    if (!game.user.isGM) return;
+    await this.#update((timelines) => {
+      const index = timelines.findIndex((t) => t.id === id);
+      if (index === -1) return false;
+      timelines.splice(index, 1);
+    });
+    if (this.#viewId === id) this.#viewId = null;
+  }
+
+  /**
+   * Move one timeline's local time without touching world time (GM only).
+   * @param {string} id - Timeline ID
+   * @param {number} seconds - Seconds to advance (negative to rewind)
+   * @returns {Promise<void>}
+   */
+  static async advanceTimeline(id, seconds) {
+    if (!game.user.isGM || !seconds) return;
+    await this.#update((timelines) => {
+      const timeline = timelines.find((t) => t.id === id);
+      if (!timeline) return false;
+      timeline.offset += seconds;
+    });
+  }
+
+  /**
+   * Sync timelines up: everyone catches up to whoever is furthest ahead (GM only).
+   * World time advances through the TimeClock to the furthest timeline (or stays, if every
+   * timeline is behind it), the synced timelines return to world time, and timelines left out
+   * keep their local time.
+   * @param {string[]} [ids] - Timelines to sync (defaults to all)
+   * @returns {Promise<number>} Seconds world time advanced
+   */
+  static async syncUp(ids) {
+    if (!game.user.isGM || !TimeClock.canAdjustTime()) return 0;
+    const timelines = this.getTimelines();
+    const synced = ids ? timelines.filter((t) => ids.includes(t.id)) : timelines;
+    if (!synced.length) return 0;
+    const lead = Math.max(0, ...synced.map((t) => t.offset));
+    const syncedIds = new Set(synced.map((t) => t.id));
+    await this.#update((stored) => {
+      for (const timeline of stored) timeline.offset = syncedIds.has(timeline.id) ? 0 : timeline.offset - lead;
+    });
+    if (lead) {
+      SessionLedger.tagSource(TIME_SOURCES.TIMELINE_SYNC);
+      await TimeClock.advance(lead);
+    }
+    log(3, `Party timelines synced, world time advanced ${lead}s`);
+    Hooks.callAll(HOOKS.TIMELINES_SYNCED, { timelineIds: [...syncedIds], advanced: lead });
+    return lead;
+  }
+}
@@ -11,10 +11,11 @@ import CalendarRegistry from '../calendar/calendar-registry.mjs';
 import { HOOKS, MODULE, SOCKET_TYPES } from '../constants.mjs';
 import NoteManager from '../notes/note-manager.mjs';
 import { getCurrentDate } from '../notes/utils/date-utils.mjs';
-import { isRecurringMatch } from '../notes/utils/recurrence.mjs';
+import { getOccurrenceOverride, getOccurrenceStart, isRecurringMatch } from '../notes/utils/recurrence.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
+import PartyTimelines from './party-timelines.mjs';
 
 /**
  * Reminder Scheduler class that monitors time and triggers pre-event reminders.
@@ -32,6 +33,9 @@ export default class ReminderScheduler {
   /** @type {number} Last world time when reminders were checked */
   static #lastCheckTime = 0;
 
+  /** @type {Map<string, {date: object, checkedTime: number, fired: Set<string>}>} Reminder state per party timeline */
+  static #timelineStates = new Map();
+
   /**
    * Initialize the reminder scheduler.
    * Registers hook listener for socket-broadcast reminders.
@@ -61,6 +65,7 @@ export default class ReminderScheduler {
       this.#lastCheckTime = worldTime;
       this.#checkReminders(worldTime, currentDate);
       this.#lastDate = { ...currentDate };
+      this.checkTimelines();
       return;
     }
 
@@ -70,6 +75,50 @@ export default class ReminderScheduler {
       this.#lastCheckTime = worldTime;
     }
     this.#lastDate = { ...currentDate };
+    this.checkTimelines();
+  }
+
+  /**
+   * Catch up with world time after an undo or redo without firing any reminders.
+   * @param {number} worldTime - The new world time in seconds
+   * @returns {void}
+   */
+  static resync(worldTime) {
+    if (!CalendariaSocket.isPrimaryGM()) return;
+    this.#firedToday.clear();
+    this.#lastCheckTime = worldTime;
+    this.#lastDate = getCurrentDate();
+    for (const [id, state] of this.#timelineStates) {
+      state.checkedTime = PartyTimelines.getTime(id);
+      state.date = PartyTimelines.getDate(id) ?? state.date;
+      state.fired.clear();
+    }
+  }
+
+  /**
+   * Check reminders for notes on party timelines against each timeline's local time.
+   * Called on world time updates and whenever timelines change.
+   * @returns {void}
+   */
+  static checkTimelines() {
+    if (!CalendariaSocket.isPrimaryGM() || !NoteManager.isInitialized()) return;
+    const timelines = PartyTimelines.getTimelines();
+    for (const id of this.#timelineStates.keys()) if (!timelines.some((t) => t.id === id)) this.#timelineStates.delete(id);
+    for (const timeline of timelines) {
+      const localTime = PartyTimelines.getTime(timeline.id);
+      const currentDate = PartyTimelines.getDate(timeline.id);
+      if (!currentDate) continue;
+      let state = this.#timelineStates.get(timeline.id);
+      if (!state) {
+        state = { date: currentDate, checkedTime: -Infinity, fired: new Set() };
+        this.#timelineStates.set(timeline.id, state);
+      }
+      if (localTime < state.checkedTime || this.#hasDateChanged(state.date, currentDate)) state.fired.clear();
+      state.date = currentDate;
+      if (Math.abs(localTime - state.checkedTime) < this.CHECK_INTERVAL) continue;
+      this.#checkReminders(localTime, currentDate, { timelineId: timeline.id, fired: state.fired });
+      state.checkedTime = localTime;
+    }
   }
 
   /**
@@ -77,9 +126,12 @@ export default class ReminderScheduler {
    * Uses occurrence-based keys to support recurring events firing on each occurrence.
    * @param {number} worldTime - Current world time in seconds
    * @param {object} currentDate - Current date components
+   * @param {object} [options] - Check options
+   * @param {string|null} [options.timelineId] - Only check notes on this party timeline (null for world time)
+   * @param {Set<string>} [options.fired] - Reminder keys already fired on the checked timeline today
    * @private
    */
-  static #checkReminders(worldTime, currentDate) {
+  static #checkReminders(worldTime, currentDate, { timelineId = null, fired = this.#firedToday } = {}) {
     const calendar = CalendarManager.getActiveCalendar();
     if (!calendar) return;
     const activeCalendarId = calendar.metadata?.id || CalendarRegistry.getActiveId() || 'unknown';
@@ -87,14 +139,15 @@ export default class ReminderScheduler {
     log(3, `Checking ${allNotes.length} notes for reminders at ${currentDate.year}-${currentDate.month}-${currentDate.day} ${currentDate.hour}:${currentDate.minute}`);
     for (const note of allNotes) {
       if (note.calendarId && note.calendarId !== activeCalendarId) continue;
+      if (PartyTimelines.getNoteTimelineId(note.flagData) !== timelineId) continue;
       if (note.flagData.reminderOffset == null || note.flagData.reminderOffset < 0) continue;
       if (note.flagData.silent) continue;
       const reminderKey = `${note.id}:${currentDate.year}-${currentDate.month}-${currentDate.day}`;
-      if (this.#firedToday.has(reminderKey)) continue;
+      if (fired.has(reminderKey)) continue;
       log(3, `Evaluating reminder for "${note.name}" (offset: ${note.flagData.reminderOffset}h, allDay: ${note.flagData.allDay}, repeat: ${note.flagData.repeat})`);
       if (this.#shouldFireReminder(note, worldTime, calendar, currentDate)) {
         this.#fireReminder(note, currentDate);
-        this.#firedToday.add(reminderKey);
+        fired.add(reminderKey);
       }
     }
   }
@@ -156,8 +209,9 @@ export default class ReminderScheduler {
       // For timed events occurring today, check if we're in the reminder window
       if (occursToday && !note.flagData.allDay) {
         const currentMinutes = currentDate.hour * minutesPerHour + currentDate.minute;
-        const eventHour = startDate.hour ?? 0;
-        const eventMinute = startDate.minute ?? 0;
+        const occurrenceStart = getOccurrenceStart(note.flagData, currentDate);
+        const eventHour = occurrenceStart.hour;
+        const eventMinute = occurrenceStart.minute;
         const eventMinutes = eventHour * minutesPerHour + eventMinute;
         const reminderMinutes = eventMinutes - offsetMinutes;
         log(3, `  Same-day check: currentMinutes=${currentMinutes}, eventMinutes=${eventMinutes}, reminderMinutes=${reminderMinutes}`);
@@ -244,15 +298,32 @@ export default class ReminderScheduler {
 
   /**
    * Fire a reminder notification.
-   * Broadcasts to all targeted users via socket for toast/dialog types.
+   * A changed occurrence is announced under its own title.
    * @param {object} note - The note stub
-   * @param {object} _currentDate - Current date components
+   * @param {object} currentDate - Current date components
    * @private
    */
-  static #fireReminder(note, _currentDate) {
+  static #fireReminder(note, currentDate) {
+    const override = getOccurrenceOverride(note.flagData, currentDate) ?? (note.flagData.allDay ? getOccurrenceOverride(note.flagData, this.#getNextDay(currentDate, CalendarManager.getActiveCalendar())) : null);
+    if (override?.name) note = { ...note, name: override.name };
     const reminderType = note.flagData.reminderType || 'toast';
-    const targets = this.#getTargetUsers(note);
-    const message = this.#formatReminderMessage(note);
+    this.notify(note, this.#formatReminderMessage(note));
+    Hooks.callAll(HOOKS.EVENT_TRIGGERED, { id: note.id, name: note.name, flagData: note.flagData, reminderType, isReminder: true });
+  }
+
+  /**
+   * Send a notification about a note through its reminder channel.
+   * Broadcasts to all targeted users via socket for toast/dialog types.
+   * @param {object} note - The note stub
+   * @param {string} message - Formatted message
+   * @param {object} [options] - Notification options
+   * @param {string} [options.type] - 'toast', 'chat' or 'dialog' (defaults to the note's reminder type)
+   * @param {string[]} [options.targets] - Target user IDs (defaults to the note's reminder targets); chat messages are whispered to them
+   */
+  static notify(note, message, { type, targets } = {}) {
+    const reminderType = type || note.flagData.reminderType || 'toast';
+    const whisperTargets = !!targets;
+    targets ??= this.#getTargetUsers(note);
 
     switch (reminderType) {
       case 'toast':
@@ -274,11 +345,9 @@ export default class ReminderScheduler {
         }
         break;
       case 'chat':
-        this.#sendChatReminder(note, message, targets);
+        this.#sendChatReminder(note, message, targets, whisperTargets);
         break;
     }
-
-    Hooks.callAll(HOOKS.EVENT_TRIGGERED, { id: note.id, name: note.name, flagData: note.flagData, reminderType, isReminder: true });
   }
 
   /**
@@ -298,6 +367,11 @@ export default class ReminderScheduler {
         return note.flagData.author ? [note.flagData.author] : [game.user.id];
       case 'specific':
         return note.flagData.reminderUsers || [];
+      case 'timeline': {
+        const timelineId = PartyTimelines.getNoteTimelineId(note.flagData);
+        if (!timelineId) return game.users.map((u) => u.id);
+        return [...new Set([...PartyTimelines.getMemberUserIds(timelineId), ...game.users.filter((u) => u.isGM).map((u) => u.id)])];
+      }
       default:
         return game.users.map((u) => u.id);
     }
@@ -333,13 +407,14 @@ export default class ReminderScheduler {
    * @param {object} note - The note stub
    * @param {string} message - Formatted message
    * @param {string[]} targets - Target user IDs
+   * @param {boolean} [whisperTargets] - Whisper to the targets even if the note reminds everyone
    * @private
    */
-  static async #sendChatReminder(note, message, targets) {
+  static async #sendChatReminder(note, message, targets, whisperTargets = false) {
     const icon = this.#getIconHtml(note);
     const color = note.flagData.color || '#4a9eff';
     let whisper = [];
-    if (note.flagData.reminderTargets !== 'all') whisper = targets;
+    if (whisperTargets || note.flagData.reminderTargets !== 'all') whisper = targets;
     if (note.flagData.gmOnly) whisper = game.users.filter((u) => u.isGM).map((u) => u.id);
 
     const content = `
@@ -0,0 +1,289 @@
+/**
+ * Session Ledger
+ * Records game sessions marked by the GM: real-world duration, in-game time elapsed,
+ * notes created, and every world time change made while the session ran, with its source.
+ * @module Time/SessionLedger
+ * @author Tyler
+ */
+
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { HOOKS, JOURNALS, MODULE, SETTINGS, TIME_SOURCES } from '../constants.mjs';
+import { formatDuration, formatGameSpan } from '../utils/format-utils.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import { CalendariaSocket } from '../utils/socket.mjs';
+
+/** How long a source tag waits for its time change (ms). */
+const SOURCE_TTL = 5000;
+
+/** Consecutive changes from the same source within this window (ms) are merged into one entry. */
+const MERGE_WINDOW = 90000;
+
+/**
+ * Static class that records game sessions and their time changes.
+ */
+export default class SessionLedger {
+  /** @type {{source: string, expires: number}|null} Source of the next local time change */
+  static #pendingSource = null;
+
+  /** @type {Promise<void>} Serializes ledger writes */
+  static #queue = Promise.resolve();
+
+  /**
+   * Tag the source of the next world time change made by this client.
+   * The outermost caller wins, so a chat command that goes through the API stays "chat".
+   * @param {string} source - A TIME_SOURCES value
+   * @param {object} [options] - Tag options
+   * @param {boolean} [options.force] - Replace any pending tag instead of deferring to it
+   */
+  static tagSource(source, { force = false } = {}) {
+    if (!force && this.#pendingSource && this.#pendingSource.expires > Date.now()) return;
+    this.#pendingSource = { source, expires: Date.now() + SOURCE_TTL };
+  }
+
+  /**
+   * Drop a source tag that no time change took, e.g. because the change was refused or went
+   * to the GM as a request. A tag with a different source is left alone.
+   * @param {string} source - A TIME_SOURCES value
+   */
+  static clearSource(source) {
+    if (this.#pendingSource?.source === source) this.#pendingSource = null;
+  }
+
+  /**
+   * Take the pending source tag, if it has not expired.
+   * @returns {string} Source of the time change
+   */
+  static consumeSource() {
+    const pending = this.#pendingSource;
+    this.#pendingSource = null;
+    if (!pending || pending.expires < Date.now()) return TIME_SOURCES.UNKNOWN;
+    return pending.source;
+  }
+
+  /**
+   * Get the stored ledger.
+   * @returns {{active: object|null, sessions: object[]}} Ledger data (copy)
+   * @private
+   */
+  static #getData() {
+    const data = foundry.utils.deepClone(game.settings.get(MODULE.ID, SETTINGS.SESSION_LEDGER) ?? {});
+    return { active: data.active ?? null, sessions: data.sessions ?? [] };
+  }
+
+  /**
+   * Queue a change to the stored ledger.
+   * @param {Function} mutate - Receives the ledger data and changes it in place; return false to skip saving
+   * @returns {Promise<void>}
+   * @private
+   */
+  static #update(mutate) {
+    this.#queue = this.#queue.then(async () => {
+      const data = this.#getData();
+      if (mutate(data) === false) return;
+      await game.settings.set(MODULE.ID, SETTINGS.SESSION_LEDGER, data);
+    });
+    return this.#queue.catch((err) => log(1, 'Failed to update session ledger:', err));
+  }
+
+  /**
+   * Get the session in progress.
+   * @returns {object|null} Active session
+   */
+  static getActiveSession() {
+    return this.#getData().active;
+  }
+
+  /**
+   * Get recorded sessions, oldest first, including the one in progress.
+   * @returns {object[]} Sessions
+   */
+  static getSessions() {
+    const { active, sessions } = this.#getData();
+    return active ? [...sessions, active] : sessions;
+  }
+
+  /**
+   * Mark the start of a game session.
+   * @param {string} [name] - Session name (defaults to "Session N")
+   * @returns {Promise<object|null>} The started session, or null if one is already running
+   */
+  static async startSession(name) {
+    if (!game.user.isGM) return null;
+    if (this.getActiveSession()) {
+      ui.notifications.warn('CALENDARIA.SessionLedger.AlreadyActive', { localize: true });
+      return null;
+    }
+    const session = {
+      id: foundry.utils.randomID(),
+      name: name?.trim() || format('CALENDARIA.SessionLedger.DefaultName', { number: this.#getData().sessions.length + 1 }),
+      calendarId: CalendarManager.getActiveCalendar()?.metadata?.id ?? null,
+      startedAt: Date.now(),
+      endedAt: null,
+      startWorldTime: game.time.worldTime,
+      endWorldTime: null,
+      advances: [],
+      noteIds: []
+    };
+    await this.#update((data) => {
+      data.active = session;
+    });
+    Hooks.callAll(HOOKS.SESSION_START, session);
+    log(3, `Session started: ${session.name}`);
+    return session;
+  }
+
+  /**
+   * Mark the end of the session in progress.
+   * @returns {Promise<object|null>} The finished session, or null if none was running
+   */
+  static async endSession() {
+    if (!game.user.isGM) return null;
+    let session = null;
+    await this.#update((data) => {
+      if (!data.active) return false;
+      session = data.active;
+      session.endedAt = Date.now();
+      session.endWorldTime = game.time.worldTime;
+      session.noteIds = this.#getNotesCreatedBetween(session.startedAt, session.endedAt);
+      data.sessions.push(session);
+      data.active = null;
+    });
+    if (!session) return null;
+    Hooks.callAll(HOOKS.SESSION_END, session);
+    log(3, `Session ended: ${session.name}`);
+    return session;
+  }
+
+  /**
+   * Delete a recorded session.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  static async deleteSession(sessionId) {
+    if (!game.user.isGM) return;
+    await this.#update((data) => {
+      const count = data.sessions.length;
+      data.sessions = data.sessions.filter((s) => s.id !== sessionId);
+      if (data.active?.id === sessionId) data.active = null;
+      else if (data.sessions.length === count) return false;
+    });
+  }
+
+  /**
+   * Record a world time change against the session in progress.
+   * Called by the time tracker for every world time update; only the client that made
+   * the change records it, since only that client knows its source.
+   * @param {number} delta - Time change in seconds
+   * @param {number} worldTime - New world time
+   * @param {string} [userId] - User who changed the time
+   * @param {string} [source] - A TIME_SOURCES value (defaults to the pending source tag)
+   */
+  static recordAdvance(delta, worldTime, userId, source = this.consumeSource()) {
+    if (!delta || !game.user.isGM) return;
+    if (userId ? userId !== game.user.id : !CalendariaSocket.isPrimaryGM()) return;
+    if (!game.settings.get(MODULE.ID, SETTINGS.SESSION_LEDGER)?.active) return;
+    const now = Date.now();
+    this.#update((data) => {
+      if (!data.active) return false;
+      const last = data.active.advances.at(-1);
+      if (last && last.source === source && now - last.at <= MERGE_WINDOW && Math.sign(last.delta) === Math.sign(delta)) {
+        last.delta += delta;
+        last.count++;
+        last.at = now;
+        last.worldTime = worldTime;
+      } else {
+        data.active.advances.push({ at: now, delta, source, count: 1, worldTime, userId: userId ?? game.user.id });
+      }
+    });
+  }
+
+  /**
+   * Find calendar notes created between two real-world times.
+   * @param {number} from - Start timestamp (ms)
+   * @param {number} to - End timestamp (ms)
+   * @returns {string[]} Journal page IDs
+   * @private
+   */
+  static #getNotesCreatedBetween(from, to) {
+    const ids = [];
+    for (const journal of game.journal ?? []) {
+      for (const page of journal.pages) {
+        if (page.type !== JOURNALS.CALENDAR_NOTE) continue;
+        const created = page._stats?.createdTime;
+        if (created >= from && created <= to) ids.push(page.id);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Summarize a session for display.
+   * @param {object} session - Recorded or active session
+   * @returns {object} Report with durations, per-source totals and note count
+   */
+  static getSessionReport(session) {
+    const calendar = CalendarManager.getActiveCalendar();
+    const active = !session.endedAt;
+    const endedAt = session.endedAt ?? Date.now();
+    const endWorldTime = session.endWorldTime ?? game.time.worldTime;
+    const realMs = endedAt - session.startedAt;
+    const gameSeconds = endWorldTime - session.startWorldTime;
+    const sources = {};
+    for (const advance of session.advances ?? []) {
+      sources[advance.source] ??= { source: advance.source, label: this.getSourceLabel(advance.source), delta: 0, count: 0 };
+      sources[advance.source].delta += advance.delta;
+      sources[advance.source].count += advance.count ?? 1;
+    }
+    const noteIds = active ? this.#getNotesCreatedBetween(session.startedAt, endedAt) : (session.noteIds ?? []);
+    return {
+      id: session.id,
+      name: session.name,
+      active,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      realMs,
+      gameSeconds,
+      realLabel: formatDuration(realMs, 'HH:mm:ss'),
+      gameLabel: formatGameSpan(session.startWorldTime, endWorldTime, calendar),
+      sources: Object.values(sources).map((s) => ({ ...s, deltaLabel: formatGameSpan(0, s.delta, calendar) })),
+      noteCount: noteIds.length,
+      noteIds
+    };
+  }
+
+  /**
+   * Summarize every recorded session and the campaign totals.
+   * @returns {{sessions: object[], totals: object}} Session reports (oldest first) and totals
+   */
+  static getCampaignReport() {
+    const calendar = CalendarManager.getActiveCalendar();
+    const sessions = this.getSessions().map((s) => this.getSessionReport(s));
+    const realMs = sessions.reduce((sum, s) => sum + s.realMs, 0);
+    const gameSeconds = sessions.reduce((sum, s) => sum + s.gameSeconds, 0);
+    const secondsPerHour = (calendar?.days?.minutesPerHour ?? 60) * (calendar?.days?.secondsPerMinute ?? 60);
+    const realHours = realMs / 3600000;
+    return {
+      sessions,
+      totals: {
+        count: sessions.length,
+        realMs,
+        gameSeconds,
+        realLabel: formatDuration(realMs, 'HH:mm:ss'),
+        gameLabel: formatGameSpan(0, gameSeconds, calendar),
+        noteCount: sessions.reduce((sum, s) => sum + s.noteCount, 0),
+        gameHoursPerRealHour: realHours > 0 ? gameSeconds / secondsPerHour / realHours : 0
+      }
+    };
+  }
+
+  /**
+   * Get the display label for a time change source.
+   * @param {string} source - A TIME_SOURCES value
+   * @returns {string} Localized label
+   */
+  static getSourceLabel(source) {
+    if (!Object.values(TIME_SOURCES).includes(source)) return source;
+    return localize(`CALENDARIA.SessionLedger.Source.${source.capitalize()}`);
+  }
+}
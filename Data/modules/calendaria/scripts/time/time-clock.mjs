@@ -5,11 +5,12 @@
  * @author Tyler
  */
 
-import { HOOKS, MODULE, SETTINGS, SOCKET_TYPES } from '../constants.mjs';
+import { HOOKS, MODULE, SETTINGS, SOCKET_TYPES, TIME_SOURCES } from '../constants.mjs';
 import { localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { canChangeDateTime } from '../utils/permissions.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
+import SessionLedger from './session-ledger.mjs';
 
 /**
  * Get calendar-aware time increment presets in seconds.
@@ -299,8 +300,9 @@ export default class TimeClock {
   /**
    * Advance time using a specific application's settings.
    * @param {string} appId - Application identifier
+   * @param {string} [source] - TIME_SOURCES value recorded for the change
    */
-  static async forwardFor(appId) {
+  static async forwardFor(appId, source = TIME_SOURCES.TIME_CLOCK) {
     if (!this.canAdjustTime()) return;
     const settings = this.getAppSettings(appId);
     const increments = getTimeIncrements();
@@ -310,6 +312,7 @@ export default class TimeClock {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: amount });
       return;
     }
+    SessionLedger.tagSource(source);
     await game.time.advance(amount);
     log(3, `Time advanced by ${amount}s for ${appId}`);
   }
@@ -317,8 +320,9 @@ export default class TimeClock {
   /**
    * Reverse time using a specific application's settings.
    * @param {string} appId - Application identifier
+   * @param {string} [source] - TIME_SOURCES value recorded for the change
    */
-  static async reverseFor(appId) {
+  static async reverseFor(appId, source = TIME_SOURCES.TIME_CLOCK) {
     if (!this.canAdjustTime()) return;
     const settings = this.getAppSettings(appId);
     const increments = getTimeIncrements();
@@ -328,6 +332,7 @@ export default class TimeClock {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: -amount });
       return;
     }
+    SessionLedger.tagSource(source);
     await game.time.advance(-amount);
     log(3, `Time reversed by ${amount}s for ${appId}`);
   }
@@ -343,6 +348,7 @@ export default class TimeClock {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: amount });
       return;
     }
+    SessionLedger.tagSource(TIME_SOURCES.TIME_CLOCK);
     await game.time.advance(amount);
     log(3, `Time advanced by ${amount}s (${multiplier}x)`);
   }
@@ -358,6 +364,7 @@ export default class TimeClock {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: -amount });
       return;
     }
+    SessionLedger.tagSource(TIME_SOURCES.TIME_CLOCK);
     await game.time.advance(-amount);
     log(3, `Time reversed by ${amount}s (${multiplier}x)`);
   }
@@ -372,6 +379,7 @@ export default class TimeClock {
       CalendariaSocket.emit(SOCKET_TYPES.TIME_REQUEST, { action: 'advance', delta: seconds });
       return;
     }
+    SessionLedger.tagSource(TIME_SOURCES.TIME_CLOCK);
     await game.time.advance(seconds);
     log(3, `Time advanced by ${seconds}s`);
   }
@@ -402,6 +410,7 @@ export default class TimeClock {
       const toAdvance = this.#accumulatedSeconds;
       if (toAdvance <= 0) return;
       this.#accumulatedSeconds = 0;
+      SessionLedger.tagSource(TIME_SOURCES.TIME_CLOCK);
       await game.time.advance(toAdvance);
     }, this.ADVANCE_INTERVAL_MS);
   }
@@ -431,6 +440,7 @@ export default class TimeClock {
     if (!CalendariaSocket.isPrimaryGM()) return;
     const toAdvance = this.#accumulatedSeconds;
     this.#accumulatedSeconds = 0;
+    SessionLedger.tagSource(TIME_SOURCES.TIME_CLOCK);
     await game.time.advance(toAdvance);
   }
 
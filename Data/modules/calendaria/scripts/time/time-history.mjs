@@ -0,0 +1,421 @@
+/**
+ * Time History
+ * Journal of recent world time changes made by GMs, each with its source, the weather in
+ * effect before it and the calendar notes created as a result. The last change can be undone,
+ * which moves time back without re-firing thresholds and can restore the weather and delete
+ * those notes; an undone change can be redone until a new change is made. Calendar editor
+ * saves go on the same stack as snapshots of the calendar before and after the edit.
+ * @module Time/TimeHistory
+ * @author Tyler
+ */
+
+import { isBundledCalendar } from '../calendar/calendar-loader.mjs';
+import CalendarManager from '../calendar/calendar-manager.mjs';
+import { HOOKS, JOURNALS, MODULE, SETTINGS, SOCKET_TYPES, TIME_SOURCES } from '../constants.mjs';
+import NoteManager from '../notes/note-manager.mjs';
+import { formatGameSpan } from '../utils/format-utils.mjs';
+import { format, localize } from '../utils/localization.mjs';
+import { log } from '../utils/logger.mjs';
+import { CalendariaSocket } from '../utils/socket.mjs';
+import WeatherManager from '../weather/weather-manager.mjs';
+import SessionLedger from './session-ledger.mjs';
+import TimeTracker from './time-tracker.mjs';
+
+/** Changes kept in the undo and redo stacks. */
+const MAX_ENTRIES = 50;
+
+/** Consecutive changes from the same source within this window (ms) are merged into one entry. */
+const MERGE_WINDOW = 10000;
+
+/** Notes created by the GM within this window (ms) of a change are attributed to it. */
+const NOTE_WINDOW = 10000;
+
+/** Calendar edits kept in each stack; their snapshots hold whole calendar definitions. */
+const MAX_CALENDAR_ENTRIES = 10;
+
+/**
+ * @typedef {object} TimeChange
+ * @property {string} id - Entry ID
+ * @property {number} at - When the change was last extended (ms)
+ * @property {number} delta - Time change in seconds
+ * @property {number} worldTime - World time after the change
+ * @property {string} source - A TIME_SOURCES value
+ * @property {string} userId - GM who made the change
+ * @property {Object<string, object>|null} weather - Weather per zone before the change
+ * @property {Object<string, object>|null} [weatherAfter] - Weather per zone when the change was undone
+ * @property {string[]} noteIds - Calendar notes created as a result of the change
+ */
+
+/**
+ * @typedef {object} CalendarEdit
+ * @property {string} id - Entry ID
+ * @property {'calendar'} kind - Marks the entry as a calendar edit
+ * @property {number} at - When the edit was saved (ms)
+ * @property {string} calendarId - Edited calendar
+ * @property {string} userId - GM who made the edit
+ * @property {object|null} before - Calendar data before the edit, or null for a bundled calendar that had no override
+ * @property {object} after - Calendar data after the edit
+ */
+
+/**
+ * Static class that records world time changes and calendar edits and undoes them.
+ */
+export default class TimeHistory {
+  /** @type {Promise<void>} Serializes history writes */
+  static #queue = Promise.resolve();
+
+  /** @type {number|null} World time an undo or redo is moving to */
+  static #replayTarget = null;
+
+  /**
+   * Get the stored history.
+   * @returns {{undo: TimeChange[], redo: TimeChange[]}} History data (copy)
+   * @private
+   */
+  static #getData() {
+    const data = foundry.utils.deepClone(game.settings.get(MODULE.ID, SETTINGS.TIME_HISTORY) ?? {});
+    return { undo: data.undo ?? [], redo: data.redo ?? [] };
+  }
+
+  /**
+   * Queue a change to the stored history.
+   * @param {Function} mutate - Receives the history data and changes it in place; return false to skip saving
+   * @returns {Promise<void>}
+   * @private
+   */
+  static #update(mutate) {
+    this.#queue = this.#queue.then(async () => {
+      const data = this.#getData();
+      if (mutate(data) === false) return;
+      data.undo = this.#trim(data.undo);
+      data.redo = this.#trim(data.redo);
+      await game.settings.set(MODULE.ID, SETTINGS.TIME_HISTORY, data);
+    });
+    return this.#queue.catch((err) => log(1, 'Failed to update time history:', err));
+  }
+
+  /**
+   * Drop the oldest entries beyond the stack limits.
+   * @param {Array<TimeChange|CalendarEdit>} entries - Stack, oldest first
+   * @returns {Array<TimeChange|CalendarEdit>} Trimmed stack
+   * @private
+   */
+  static #trim(entries) {
+    let calendarEdits = entries.filter((e) => e.kind === 'calendar').length;
+    return entries.filter((e) => e.kind !== 'calendar' || calendarEdits-- <= MAX_CALENDAR_ENTRIES).slice(-MAX_ENTRIES);
+  }
+
+  /**
+   * Mark the world time an undo or redo is about to move to, here and on the primary GM, so
+   * the move is neither recorded as a new change nor picked up by the schedulers.
+   * @param {number} worldTime - World time after the move
+   * @private
+   */
+  static #beginReplay(worldTime) {
+    this.#replayTarget = worldTime;
+    if (!CalendariaSocket.isPrimaryGM()) CalendariaSocket.emit(SOCKET_TYPES.TIME_REPLAY, { worldTime });
+  }
+
+  /**
+   * Handle a replay notice from another GM.
+   * Called by the socket handler; only the primary GM keeps it.
+   * @param {object} data - Notice data
+   * @param {number} data.worldTime - World time the undo or redo is moving to
+   */
+  static handleReplay({ worldTime }) {
+    if (CalendariaSocket.isPrimaryGM()) this.#replayTarget = worldTime;
+  }
+
+  /**
+   * Check whether a world time update is an undo or redo reaching its target, and clear the target if so.
+   * Called by the updateWorldTime hook before anything reacts to the change.
+   * @param {number} worldTime - The new world time in seconds
+   * @returns {boolean} True if the update is an undo or redo
+   */
+  static consumeReplay(worldTime) {
+    if (this.#replayTarget === null || this.#replayTarget !== worldTime) return false;
+    this.#replayTarget = null;
+    return true;
+  }
+
+  /**
+   * Get the changes that can be undone, oldest first.
+   * @returns {Array<TimeChange|CalendarEdit>} Recorded changes
+   */
+  static getEntries() {
+    return this.#getData().undo;
+  }
+
+  /**
+   * Get the undone changes that can be redone, oldest undo first.
+   * @returns {Array<TimeChange|CalendarEdit>} Undone changes
+   */
+  static getRedoEntries() {
+    return this.#getData().redo;
+  }
+
+  /**
+   * Record a world time change.
+   * Called by the time tracker before it fires any threshold hooks, so the weather captured is
+   * the weather in effect before the change. Only the GM who made the change records it.
+   * @param {number} delta - Time change in seconds
+   * @param {number} worldTime - New world time
+   * @param {string} [userId] - User who changed the time
+   * @param {string} source - A TIME_SOURCES value
+   */
+  static record(delta, worldTime, userId, source) {
+    if (!delta || !game.user.isGM) return;
+    if (source === TIME_SOURCES.UNDO || source === TIME_SOURCES.REDO) return;
+    if (userId ? userId !== game.user.id : !CalendariaSocket.isPrimaryGM()) return;
+    const now = Date.now();
+    const weather = WeatherManager.snapshotWeather();
+    this.#update((data) => {
+      data.redo = [];
+      const last = data.undo.at(-1);
+      if (last && last.kind !== 'calendar' && last.source === source && now - last.at <= MERGE_WINDOW && Math.sign(last.delta) === Math.sign(delta) && last.worldTime === worldTime - delta) {
+        last.delta += delta;
+        last.at = now;
+        last.worldTime = worldTime;
+      } else {
+        data.undo.push({ id: foundry.utils.randomID(), at: now, delta, worldTime, source, userId: userId ?? game.user.id, weather, noteIds: [] });
+      }
+    });
+  }
+
+  /**
+   * Record a calendar editor save.
+   * Called by the calendar editor after saving an existing calendar.
+   * @param {string} calendarId - Edited calendar
+   * @param {object|null} before - Calendar data before the save, or null for a bundled calendar that had no override
+   * @param {object} after - Calendar data after the save
+   */
+  static recordCalendarEdit(calendarId, before, after) {
+    if (!game.user.isGM || foundry.utils.objectsEqual(before ?? {}, after)) return;
+    this.#update((data) => {
+      data.redo = [];
+      data.undo.push({ id: foundry.utils.randomID(), kind: 'calendar', at: Date.now(), calendarId, userId: game.user.id, before, after });
+    });
+  }
+
+  /**
+   * Attribute calendar notes this GM creates shortly after a time change to that change.
+   * Called by the createJournalEntryPage hook.
+   * @param {object} page - The created page
+   * @param {object} _options - Creation options
+   * @param {string} userId - User who created the page
+   */
+  static onCreateJournalEntryPage(page, _options, userId) {
+    if (page.type !== JOURNALS.CALENDAR_NOTE || userId !== game.user.id || !game.user.isGM) return;
+    const last = this.getEntries().at(-1);
+    if (!last || last.kind === 'calendar' || last.userId !== game.user.id || Date.now() - last.at > NOTE_WINDOW) return;
+    this.#update((data) => {
+      const entry = data.undo.find((e) => e.id === last.id);
+      if (!entry || entry.noteIds.includes(page.id)) return false;
+      entry.noteIds.push(page.id);
+    });
+  }
+
+  /**
+   * Describe a recorded change, e.g. "Chat Command: 8 days" or "Calendar edit: Harptos".
+   * @param {TimeChange|CalendarEdit} entry - Recorded change
+   * @returns {string} Localized description
+   */
+  static describe(entry) {
+    if (entry.kind === 'calendar') {
+      const name = CalendarManager.getCalendar(entry.calendarId)?.name ?? entry.after?.name ?? entry.calendarId;
+      return format('CALENDARIA.TimeHistory.CalendarEdit', { calendar: localize(name) });
+    }
+    const span = formatGameSpan(entry.worldTime - entry.delta, entry.worldTime, CalendarManager.getActiveCalendar());
+    return format('CALENDARIA.TimeHistory.Change', { source: SessionLedger.getSourceLabel(entry.source), span });
+  }
+
+  /**
+   * Get the notes attributed to a change that still exist.
+   * @param {TimeChange} entry - Recorded change
+   * @returns {object[]} Journal entry pages
+   * @private
+   */
+  static #getCreatedNotes(entry) {
+    return (entry.noteIds ?? []).map((id) => NoteManager.getFullNote(id)).filter(Boolean);
+  }
+
+  /**
+   * Apply a calendar snapshot through the same manager calls the calendar editor uses.
+   * @param {string} calendarId - Calendar to change
+   * @param {object|null} snapshot - Calendar data, or null to drop a bundled calendar's override
+   * @returns {Promise<boolean>} True if the calendar was changed
+   * @private
+   */
+  static async #applyCalendarSnapshot(calendarId, snapshot) {
+    if (!CalendarManager.getCalendar(calendarId)) {
+      ui.notifications.error(format('CALENDARIA.Error.CalendarNotFound', { id: calendarId }));
+      return false;
+    }
+    if (!snapshot) return CalendarManager.resetDefaultCalendar(calendarId);
+    const data = foundry.utils.deepClone(snapshot);
+    if (isBundledCalendar(calendarId) || CalendarManager.hasDefaultOverride(calendarId)) return !!(await CalendarManager.saveDefaultOverride(calendarId, data));
+    return !!(await CalendarManager.updateCustomCalendar(calendarId, data, { replace: true }));
+  }
+
+  /**
+   * Undo a calendar edit by restoring the calendar from before it.
+   * @param {CalendarEdit} entry - Recorded edit
+   * @returns {Promise<CalendarEdit|null>} The undone edit, or null if the calendar could not be restored
+   * @private
+   */
+  static async #undoCalendarEdit(entry) {
+    if (!(await this.#applyCalendarSnapshot(entry.calendarId, entry.before))) return null;
+    await this.#update((data) => {
+      data.undo = data.undo.filter((e) => e.id !== entry.id);
+      data.redo.push(entry);
+    });
+    ui.notifications.info(format('CALENDARIA.TimeHistory.CalendarUndone', { change: this.describe(entry) }));
+    log(3, `Undid calendar edit of ${entry.calendarId}`);
+    return entry;
+  }
+
+  /**
+   * Redo a calendar edit by reapplying the calendar saved by it.
+   * @param {CalendarEdit} entry - Undone edit
+   * @returns {Promise<CalendarEdit|null>} The redone edit, or null if the calendar could not be changed
+   * @private
+   */
+  static async #redoCalendarEdit(entry) {
+    if (!(await this.#applyCalendarSnapshot(entry.calendarId, entry.after))) return null;
+    const redone = { ...entry, at: Date.now() };
+    await this.#update((data) => {
+      data.redo = data.redo.filter((e) => e.id !== entry.id);
+      data.undo.push(redone);
+    });
+    ui.notifications.info(format('CALENDARIA.TimeHistory.CalendarRedone', { change: this.describe(redone) }));
+    log(3, `Redid calendar edit of ${entry.calendarId}`);
+    return redone;
+  }
+
+  /**
+   * Undo the most recent time change or calendar edit.
+   * Time moves back without firing threshold, period or weather generation hooks; a calendar
+   * edit restores the calendar as it was before the save.
+   * @param {object} [options] - Undo options
+   * @param {boolean} [options.weather] - Restore the weather in effect before the change and drop history recorded for the skipped days
+   * @param {boolean} [options.notes] - Delete calendar notes created as a result of the change
+   * @returns {Promise<TimeChange|CalendarEdit|null>} The undone change, or null if there was nothing to undo
+   */
+  static async undo({ weather = true, notes = true } = {}) {
+    if (!game.user.isGM) return null;
+    const entry = this.getEntries().at(-1);
+    if (!entry) {
+      ui.notifications.warn('CALENDARIA.TimeHistory.NothingToUndo', { localize: true });
+      return null;
+    }
+    if (entry.kind === 'calendar') return this.#undoCalendarEdit(entry);
+    const before = { ...game.time.components };
+    const weatherAfter = WeatherManager.snapshotWeather();
+    await this.#update((data) => {
+      data.undo = data.undo.filter((e) => e.id !== entry.id);
+      data.redo.push({ ...entry, weatherAfter, noteIds: notes ? [] : entry.noteIds });
+    });
+    this.#beginReplay(game.time.worldTime - entry.delta);
+    TimeTracker.skipNextHooks();
+    SessionLedger.tagSource(TIME_SOURCES.UNDO, { force: true });
+    await game.time.advance(-entry.delta);
+    if (weather && entry.weather) {
+      const yearZero = CalendarManager.getActiveCalendar()?.years?.yearZero ?? 0;
+      const after = game.time.components;
+      const toDate = (c) => c && { year: c.year + yearZero, month: c.month, day: c.dayOfMonth + 1 };
+      await WeatherManager.restoreWeather(entry.weather, entry.delta > 0 ? { after: toDate(after), through: toDate(before) } : {});
+    }
+    if (notes) {
+      for (const page of this.#getCreatedNotes(entry)) {
+        try {
+          await NoteManager.deleteNote(page.id);
+        } catch (error) {
+          log(1, `Failed to delete note ${page.id} while undoing time change:`, error);
+        }
+      }
+    }
+    Hooks.callAll(HOOKS.TIME_UNDO, entry);
+    ui.notifications.info(format('CALENDARIA.TimeHistory.Undone', { change: this.describe(entry) }));
+    log(3, `Undid time change of ${entry.delta}s from ${entry.source}`);
+    return entry;
+  }
+
+  /**
+   * Redo the most recently undone time change or calendar edit.
+   * Time moves forward again without firing threshold hooks and the weather returns to what it
+   * was when the change was undone. Notes deleted by the undo are not recreated.
+   * @returns {Promise<TimeChange|CalendarEdit|null>} The redone change, or null if there was nothing to redo
+   */
+  static async redo() {
+    if (!game.user.isGM) return null;
+    const entry = this.getRedoEntries().at(-1);
+    if (!entry) {
+      ui.notifications.warn('CALENDARIA.TimeHistory.NothingToRedo', { localize: true });
+      return null;
+    }
+    if (entry.kind === 'calendar') return this.#redoCalendarEdit(entry);
+    const { weatherAfter, ...redone } = entry;
+    await this.#update((data) => {
+      data.redo = data.redo.filter((e) => e.id !== entry.id);
+      data.undo.push({ ...redone, at: Date.now(), worldTime: game.time.worldTime + entry.delta });
+    });
+    this.#beginReplay(game.time.worldTime + entry.delta);
+    TimeTracker.skipNextHooks();
+    SessionLedger.tagSource(TIME_SOURCES.REDO, { force: true });
+    await game.time.advance(entry.delta);
+    if (weatherAfter) await WeatherManager.restoreWeather(weatherAfter);
+    Hooks.callAll(HOOKS.TIME_REDO, redone);
+    ui.notifications.info(format('CALENDARIA.TimeHistory.Redone', { change: this.describe(redone) }));
+    log(3, `Redid time change of ${entry.delta}s from ${entry.source}`);
+    return redone;
+  }
+
+  /**
+   * Ask which side effects to roll back, then undo the most recent time change.
+   * Skips the prompt for calendar edits and when the change left nothing else to roll back.
+   * @returns {Promise<TimeChange|CalendarEdit|null>} The undone change, or null if cancelled or nothing to undo
+   */
+  static async promptUndo() {
+    if (!game.user.isGM) return null;
+    const entry = this.getEntries().at(-1);
+    if (!entry) {
+      ui.notifications.warn('CALENDARIA.TimeHistory.NothingToUndo', { localize: true });
+      return null;
+    }
+    if (entry.kind === 'calendar') return this.undo();
+    const createdNotes = this.#getCreatedNotes(entry);
+    const weatherChanged = !!entry.weather && !foundry.utils.objectsEqual(entry.weather, WeatherManager.snapshotWeather());
+    if (!createdNotes.length && !weatherChanged) return this.undo();
+    const noteList = createdNotes.map((page) => `<li>${foundry.utils.escapeHTML(page.name)}</li>`).join('');
+    let content = `<p>${format('CALENDARIA.TimeHistory.UndoPrompt', { change: this.describe(entry) })}</p>`;
+    if (weatherChanged) content += `<label class="checkbox"><input type="checkbox" name="weather" checked> ${localize('CALENDARIA.TimeHistory.RestoreWeather')}</label>`;
+    if (createdNotes.length) content += `<label class="checkbox"><input type="checkbox" name="notes" checked> ${format('CALENDARIA.TimeHistory.DeleteNotes', { count: createdNotes.length })}</label><ul>${noteList}</ul>`;
+    const options = await foundry.applications.api.DialogV2.prompt({
+      window: { title: localize('CALENDARIA.TimeHistory.UndoTitle'), icon: 'fas fa-rotate-left' },
+      content,
+      ok: {
+        label: localize('CALENDARIA.TimeHistory.Undo'),
+        icon: 'fas fa-rotate-left',
+        callback: (_event, button) => ({ weather: button.form.elements.weather?.checked ?? false, notes: button.form.elements.notes?.checked ?? false })
+      },
+      rejectClose: false
+    });
+    if (!options) return null;
+    return this.undo(options);
+  }
+
+  /**
+   * Handle Ctrl+Z (undo) and Ctrl+Shift+Z or Ctrl+Y (redo) inside a time control.
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  static onKeyDown(event) {
+    if (!game.user.isGM || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) this.promptUndo();
+    else if ((key === 'z' && event.shiftKey) || key === 'y') this.redo();
+    else return;
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
@@ -13,6 +13,8 @@ import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { executeMacroById } from '../utils/macro-utils.mjs';
 import WeatherManager from '../weather/weather-manager.mjs';
+import SessionLedger from './session-ledger.mjs';
+import TimeHistory from './time-history.mjs';
 
 /**
  * Static class that tracks world time changes and fires threshold hooks.
@@ -60,11 +62,17 @@ export default class TimeTracker {
   /**
    * Handle world time updates.
    * Called by the updateWorldTime hook.
-   * Fires dateTimeChange hook and checks for period/threshold crossings.
+   * Fires dateTimeChange hook, checks for period/threshold crossings and records the change in the session ledger and time history.
    * @param {number} worldTime - The new world time in seconds
    * @param {number} delta - The time delta in seconds
+   * @param {string} [userId] - ID of the user who changed the time
+   * @param {object} [options] - Update options
+   * @param {boolean} [options.replay] - The change is an undo or redo, which the time history must not record
    */
-  static onUpdateWorldTime(worldTime, delta) {
+  static onUpdateWorldTime(worldTime, delta, userId, { replay = false } = {}) {
+    const source = SessionLedger.consumeSource();
+    SessionLedger.recordAdvance(delta, worldTime, userId, source);
+    if (!replay) TimeHistory.record(delta, worldTime, userId, source);
     const calendar = CalendarManager.getActiveCalendar();
     if (!calendar) return;
     const currentComponents = game.time.components;
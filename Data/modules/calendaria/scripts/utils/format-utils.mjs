@@ -4,6 +4,8 @@
  * @author Tyler
  */
 
+import { convertDate } from '../calendar/calendar-conversion.mjs';
+import CalendarRegistry from '../calendar/calendar-registry.mjs';
 import { format, localize } from './localization.mjs';
 
 /**
@@ -566,6 +568,8 @@ export function formatCustom(calendar, components, formatStr) {
         if (field === 'cycle') return String(getCycleNumber(calendar, components, idx));
         return '';
       }
+      // Handle calendar conversion syntax: [cal=id]
+      if (customToken.startsWith('cal=')) return formatInCalendar(calendar, components, customToken.slice(4).trim());
       if (customToken.startsWith('moonIcon')) {
         const paramPart = customToken.slice(9);
         let moonSelector;
@@ -582,6 +586,24 @@ export function formatCustom(calendar, components, formatStr) {
   });
 }
 
+/**
+ * Format the same moment in another installed calendar.
+ * @param {object} calendar - Calendar the components belong to
+ * @param {object} components - Date components (display year, 1-indexed dayOfMonth)
+ * @param {string} calendarId - Target calendar ID
+ * @param {string} [formatStr] - Format string (defaults to the target calendar's long date format)
+ * @returns {string} Formatted date, or an empty string if the target calendar is not installed
+ */
+export function formatInCalendar(calendar, components, calendarId, formatStr) {
+  const target = CalendarRegistry.get(calendarId);
+  if (!target || !calendar) return '';
+  const date = convertDate({ ...components, day: components.dayOfMonth }, calendar, target);
+  if (!date) return '';
+  // Drop nested conversions so two calendars that reference each other cannot recurse
+  const targetFormat = (formatStr || target.dateFormats?.long || DEFAULT_FORMAT_PRESETS.dateLong).replace(/\[cal=[^\]]*]/g, '');
+  return formatCustom(target, { ...date, dayOfMonth: date.day }, targetFormat);
+}
+
 /**
  * Validate a custom format string and generate a preview.
  * @param {string} formatStr - The format string to validate
@@ -1079,6 +1101,64 @@ export function getDisplayLocationDefinitions() {
   ];
 }
 
+/**
+ * Describe the in-game time between two world times in calendar units.
+ * Counts whole years, months, days, hours and minutes the way a reader would
+ * ("2 months, 3 days"), borrowing from the calendar's actual month lengths.
+ * @param {number} startTime - Start world time in seconds
+ * @param {number} endTime - End world time in seconds
+ * @param {object} calendar - Calendar used to split the span
+ * @param {number} [maxUnits] - Largest non-zero units to include
+ * @returns {string} Localized span (prefixed with "-" when endTime is before startTime)
+ */
+export function formatGameSpan(startTime, endTime, calendar, maxUnits = 3) {
+  if (!calendar) return '';
+  const sign = endTime < startTime ? '-' : '';
+  const a = calendar.timeToComponents(Math.min(startTime, endTime));
+  const b = calendar.timeToComponents(Math.max(startTime, endTime));
+  const hoursPerDay = calendar.days?.hoursPerDay ?? 24;
+  const minutesPerHour = calendar.days?.minutesPerHour ?? 60;
+  const monthCount = calendar.monthsArray?.length ?? 0;
+  let years = b.year - a.year;
+  let months = b.month - a.month;
+  let days = b.dayOfMonth - a.dayOfMonth;
+  let hours = b.hour - a.hour;
+  let minutes = b.minute - a.minute;
+  if (minutes < 0) {
+    minutes += minutesPerHour;
+    hours--;
+  }
+  if (hours < 0) {
+    hours += hoursPerDay;
+    days--;
+  }
+  if (days < 0 && monthCount) {
+    const prevMonth = (b.month - 1 + monthCount) % monthCount;
+    days += calendar.getDaysInMonth(prevMonth, b.month === 0 ? b.year - 1 : b.year);
+    months--;
+  } else if (days < 0) {
+    days += calendar.getDaysInYear(b.year - 1);
+    years--;
+  }
+  if (months < 0) {
+    months += monthCount;
+    years--;
+  }
+  const units = [
+    [years, 'Year', 'Years'],
+    [months, 'Month', 'Months'],
+    [days, 'Day', 'Days'],
+    [hours, 'Hour', 'Hours'],
+    [minutes, 'Minute', 'Minutes']
+  ];
+  const parts = units
+    .filter(([count]) => count > 0)
+    .slice(0, maxUnits)
+    .map(([count, one, many]) => `${count} ${localize(`CALENDARIA.Format.${count === 1 ? one : many}`)}`);
+  if (!parts.length) return `0 ${localize('CALENDARIA.Format.Minutes')}`;
+  return sign + parts.join(', ');
+}
+
 /**
  * Get relative time description between two dates.
  * @param {object} targetDate - Target date { year, month, dayOfMonth }
@@ -1203,6 +1283,7 @@ export function getAvailableTokens() {
     { token: '[cycleRoman]', descriptionKey: 'CALENDARIA.Format.Token.cycleRoman', type: 'custom' },
     { token: '[cycleRoman=N]', descriptionKey: 'CALENDARIA.Format.Token.cycleRomanN', type: 'custom' },
     { token: '[approxTime]', descriptionKey: 'CALENDARIA.Format.Token.approxTime', type: 'custom' },
-    { token: '[approxDate]', descriptionKey: 'CALENDARIA.Format.Token.approxDate', type: 'custom' }
+    { token: '[approxDate]', descriptionKey: 'CALENDARIA.Format.Token.approxDate', type: 'custom' },
+    { token: '[cal=id]', descriptionKey: 'CALENDARIA.Format.Token.calendar', type: 'custom' }
   ];
 }
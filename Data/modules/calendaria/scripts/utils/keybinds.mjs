@@ -7,8 +7,12 @@
 import { BigCal } from '../applications/big-cal.mjs';
 import { HUD } from '../applications/hud.mjs';
 import { MiniCal } from '../applications/mini-cal.mjs';
+import { PartyTimelinesApp } from '../applications/party-timelines.mjs';
+import { SearchPalette } from '../applications/search-palette.mjs';
+import { SessionLedgerApp } from '../applications/session-ledger.mjs';
 import { Stopwatch } from '../applications/stopwatch.mjs';
 import { TimeKeeper } from '../applications/time-keeper.mjs';
+import TimeHistory from '../time/time-history.mjs';
 import { log } from './logger.mjs';
 
 /**
@@ -75,6 +79,42 @@ export function registerKeybindings() {
     precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
   });
 
+  game.keybindings.register('calendaria', 'toggle-session-ledger', {
+    name: 'CALENDARIA.Keybinds.ToggleSessionLedger.Name',
+    hint: 'CALENDARIA.Keybinds.ToggleSessionLedger.Hint',
+    editable: [],
+    onDown: () => {
+      log(3, 'Toggle session ledger keybinding triggered');
+      SessionLedgerApp.toggle();
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+  });
+
+  game.keybindings.register('calendaria', 'toggle-party-timelines', {
+    name: 'CALENDARIA.Keybinds.TogglePartyTimelines.Name',
+    hint: 'CALENDARIA.Keybinds.TogglePartyTimelines.Hint',
+    editable: [],
+    onDown: () => {
+      log(3, 'Toggle party timelines keybinding triggered');
+      PartyTimelinesApp.toggle();
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+  });
+
+  game.keybindings.register('calendaria', 'open-search', {
+    name: 'CALENDARIA.Keybinds.OpenSearch.Name',
+    hint: 'CALENDARIA.Keybinds.OpenSearch.Hint',
+    editable: [{ key: 'KeyF', modifiers: ['Alt'] }],
+    onDown: () => {
+      log(3, 'Open search palette keybinding triggered');
+      SearchPalette.toggle();
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+  });
+
   game.keybindings.register('calendaria', 'stopwatch-start-pause', {
     name: 'CALENDARIA.Keybinds.StopwatchStartPause.Name',
     hint: 'CALENDARIA.Keybinds.StopwatchStartPause.Hint',
@@ -99,5 +139,31 @@ export function registerKeybindings() {
     precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
   });
 
+  game.keybindings.register('calendaria', 'undo-time', {
+    name: 'CALENDARIA.Keybinds.UndoTime.Name',
+    hint: 'CALENDARIA.Keybinds.UndoTime.Hint',
+    editable: [],
+    restricted: true,
+    onDown: () => {
+      log(3, 'Undo time keybinding triggered');
+      TimeHistory.promptUndo();
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+  });
+
+  game.keybindings.register('calendaria', 'redo-time', {
+    name: 'CALENDARIA.Keybinds.RedoTime.Name',
+    hint: 'CALENDARIA.Keybinds.RedoTime.Hint',
+    editable: [],
+    restricted: true,
+    onDown: () => {
+      log(3, 'Redo time keybinding triggered');
+      TimeHistory.redo();
+      return true;
+    },
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+  });
+
   log(3, 'Keybindings registered');
 }
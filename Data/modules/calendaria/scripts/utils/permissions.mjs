@@ -22,20 +22,63 @@ const DEFAULTS = {
   editCalendars: { player: false, trusted: false, assistant: false }
 };
 
+/** Permissions that can be narrowed per note category. */
+export const CATEGORY_PERMISSIONS = ['addNotes', 'editNotes', 'deleteNotes'];
+
+/** Permissions that can be narrowed per calendar. */
+export const CALENDAR_PERMISSIONS = ['changeActiveCalendar', 'editCalendars'];
+
+/** All permission keys. */
+export const PERMISSION_KEYS = Object.keys(DEFAULTS);
+
 /**
- * Check if the current user has a specific permission.
+ * Check whether a role rule admits a user.
+ * @param {object} perms - Role rule ({player, trusted, assistant})
+ * @param {object} user - User to check
+ * @returns {boolean} True if the user's role is allowed
+ */
+function rolesAllow(perms, user) {
+  if (perms.player) return true;
+  if (perms.trusted && user.isTrusted) return true;
+  if (perms.assistant && user.role === CONST.USER_ROLES.ASSISTANT) return true;
+  return false;
+}
+
+/**
+ * Check whether a user has a permission.
+ * A per-user override wins; otherwise category rules (every category must allow) or a calendar rule
+ * replace the role matrix for the permissions they cover.
+ * @param {object} user - User to check
  * @param {string} permissionKey - The permission key to check
+ * @param {object} [scope] - What the action applies to
+ * @param {string[]} [scope.categories] - Note category IDs
+ * @param {string} [scope.calendarId] - Calendar ID
  * @returns {boolean} True if user has the permission
  */
-export function hasPermission(permissionKey) {
-  if (game.user.isGM) return true;
+function userHasPermission(user, permissionKey, { categories, calendarId } = {}) {
+  if (!user) return false;
+  if (user.isGM) return true;
+  const rules = game.settings.get(MODULE.ID, SETTINGS.PERMISSION_RULES) || {};
+  const override = rules.users?.[user.id]?.[permissionKey];
+  if (typeof override === 'boolean') return override;
   const saved = game.settings.get(MODULE.ID, SETTINGS.PERMISSIONS) || {};
   const perms = saved[permissionKey] || DEFAULTS[permissionKey] || {};
-  if (perms.player) return true;
-  if (perms.trusted && game.user.isTrusted) return true;
-  if (perms.assistant && game.user.role === CONST.USER_ROLES.ASSISTANT) return true;
+  if (categories?.length && CATEGORY_PERMISSIONS.includes(permissionKey)) return categories.every((id) => rolesAllow(rules.categories?.[id]?.[permissionKey] ?? perms, user));
+  if (calendarId && CALENDAR_PERMISSIONS.includes(permissionKey)) return rolesAllow(rules.calendars?.[calendarId]?.[permissionKey] ?? perms, user);
+  return rolesAllow(perms, user);
+}
 
-  return false;
+/**
+ * Check if the current user has a specific permission.
+ * @param {string} permissionKey - The permission key to check
+ * @param {object} [scope] - What the action applies to
+ * @param {string[]} [scope.categories] - Note category IDs (addNotes, editNotes, deleteNotes)
+ * @param {string} [scope.calendarId] - Calendar ID (changeActiveCalendar, editCalendars)
+ * @param {object} [scope.user] - User to check instead of the current user
+ * @returns {boolean} True if user has the permission
+ */
+export function hasPermission(permissionKey, scope = {}) {
+  return userHasPermission(scope.user ?? game.user, permissionKey, scope);
 }
 
 /**
@@ -64,10 +107,11 @@ export function canViewTimeKeeper() {
 
 /**
  * Check if the current user can add notes.
+ * @param {object} [scope] - Note categories and/or user to check (see hasPermission)
  * @returns {boolean} True if user has permission
  */
-export function canAddNotes() {
-  return hasPermission('addNotes');
+export function canAddNotes(scope) {
+  return hasPermission('addNotes', scope);
 }
 
 /**
@@ -80,10 +124,11 @@ export function canChangeDateTime() {
 
 /**
  * Check if the current user can change the active calendar.
+ * @param {object} [scope] - Calendar ID and/or user to check (see hasPermission)
  * @returns {boolean} True if user has permission
  */
-export function canChangeActiveCalendar() {
-  return hasPermission('changeActiveCalendar');
+export function canChangeActiveCalendar(scope) {
+  return hasPermission('changeActiveCalendar', scope);
 }
 
 /**
@@ -96,41 +141,37 @@ export function canChangeWeather() {
 
 /**
  * Check if the current user can edit existing notes.
+ * @param {object} [scope] - Note categories and/or user to check (see hasPermission)
  * @returns {boolean} True if user has permission
  */
-export function canEditNotes() {
-  return hasPermission('editNotes');
+export function canEditNotes(scope) {
+  return hasPermission('editNotes', scope);
 }
 
 /**
  * Check if the current user can delete notes.
+ * @param {object} [scope] - Note categories and/or user to check (see hasPermission)
  * @returns {boolean} True if user has permission
  */
-export function canDeleteNotes() {
-  return hasPermission('deleteNotes');
+export function canDeleteNotes(scope) {
+  return hasPermission('deleteNotes', scope);
 }
 
 /**
  * Check if the current user can edit calendars.
+ * @param {object} [scope] - Calendar ID and/or user to check (see hasPermission)
  * @returns {boolean} True if user has permission
  */
-export function canEditCalendars() {
-  return hasPermission('editCalendars');
+export function canEditCalendars(scope) {
+  return hasPermission('editCalendars', scope);
 }
 
 /**
  * Get all users who have a specific permission.
  * @param {string} permissionKey - The permission key to check
+ * @param {object} [scope] - Note categories or calendar ID the action applies to
  * @returns {object[]} Array of users with the permission
  */
-export function getUsersWithPermission(permissionKey) {
-  const saved = game.settings.get(MODULE.ID, SETTINGS.PERMISSIONS) || {};
-  const perms = saved[permissionKey] || DEFAULTS[permissionKey] || {};
-  return game.users.filter((user) => {
-    if (user.isGM) return true;
-    if (perms.player) return true;
-    if (perms.trusted && user.isTrusted) return true;
-    if (perms.assistant && user.role === CONST.USER_ROLES.ASSISTANT) return true;
-    return false;
-  });
+export function getUsersWithPermission(permissionKey, scope = {}) {
+  return game.users.filter((user) => userHasPermission(user, permissionKey, scope));
 }
@@ -79,9 +79,13 @@ const EXPORTABLE_SETTINGS = [
   SETTINGS.MINI_CAL_STICKY_STATES,
   SETTINGS.MINI_CAL_TIME_JUMPS,
   SETTINGS.MINI_CAL_WEATHER_DISPLAY_MODE,
+  SETTINGS.PARTY_TIMELINES,
   SETTINGS.PERMISSIONS,
+  SETTINGS.PERMISSION_RULES,
   SETTINGS.PRIMARY_GM,
   SETTINGS.SAVED_TIMEPOINTS,
+  SETTINGS.SECONDARY_CALENDAR,
+  SETTINGS.SESSION_LEDGER,
   SETTINGS.SHOW_ACTIVE_CALENDAR_TO_PLAYERS,
   SETTINGS.SHOW_CALENDAR_HUD,
   SETTINGS.SHOW_MINI_CAL,
@@ -99,7 +103,9 @@ const EXPORTABLE_SETTINGS = [
   SETTINGS.TIMEKEEPER_IDLE_OPACITY,
   SETTINGS.TIMEKEEPER_STICKY_STATES,
   SETTINGS.TIMEKEEPER_TIME_JUMPS,
-  SETTINGS.TOOLBAR_APPS
+  SETTINGS.TOOLBAR_APPS,
+  SETTINGS.WEATHER_HISTORY_DAYS,
+  SETTINGS.ZONE_WEATHER
 ];
 
 /**
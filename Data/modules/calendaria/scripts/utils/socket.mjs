@@ -8,10 +8,15 @@ import { HUD } from '../applications/hud.mjs';
 import { MiniCal } from '../applications/mini-cal.mjs';
 import { TimeKeeper } from '../applications/time-keeper.mjs';
 import CalendarManager from '../calendar/calendar-manager.mjs';
-import { HOOKS, MODULE, SETTINGS, SOCKET_TYPES } from '../constants.mjs';
+import { HOOKS, MODULE, SETTINGS, SOCKET_TYPES, TIME_SOURCES } from '../constants.mjs';
+import ExternalBridge from '../integrations/external-bridge.mjs';
 import NoteManager from '../notes/note-manager.mjs';
+import SchedulingManager from '../notes/scheduling-manager.mjs';
+import SessionLedger from '../time/session-ledger.mjs';
+import TimeHistory from '../time/time-history.mjs';
 import WeatherManager from '../weather/weather-manager.mjs';
 import { log } from './logger.mjs';
+import { canChangeActiveCalendar } from './permissions.mjs';
 
 /**
  * Socket manager for handling multiplayer synchronization.
@@ -106,9 +111,10 @@ export class CalendariaSocket {
    * @param {object} message - The incoming socket message
    * @param {string} message.type - The message type
    * @param {object} message.data - The message data payload
+   * @param {string} senderId - ID of the user who sent the message, supplied by Foundry
    * @returns {void}
    */
-  static #onMessage({ type, data }) {
+  static #onMessage({ type, data }, senderId) {
     log(3, `Socket message received: ${type}`, data);
 
     switch (type) {
@@ -140,11 +146,14 @@ export class CalendariaSocket {
         this.#handleTimeRequest(data);
         break;
       case SOCKET_TYPES.CALENDAR_REQUEST:
-        this.#handleCalendarRequest(data);
+        this.#handleCalendarRequest(data, senderId);
         break;
       case SOCKET_TYPES.REMINDER_NOTIFY:
         this.#handleReminderNotify(data);
         break;
+      case SOCKET_TYPES.SCHEDULE_RESPONSE:
+        SchedulingManager.handleResponseRequest(data, senderId);
+        break;
       case SOCKET_TYPES.HUD_VISIBILITY:
         this.#handleHUDVisibility(data);
         break;
@@ -154,6 +163,22 @@ export class CalendariaSocket {
       case SOCKET_TYPES.TIME_KEEPER_VISIBILITY:
         this.#handleTimeKeeperVisibility(data);
         break;
+      case SOCKET_TYPES.TIME_REPLAY:
+        TimeHistory.handleReplay(data);
+        break;
+      case SOCKET_TYPES.BRIDGE_JOIN:
+        ExternalBridge.handleJoin(senderId);
+        break;
+      case SOCKET_TYPES.BRIDGE_LEAVE:
+        ExternalBridge.handleLeave(senderId);
+        break;
+      case SOCKET_TYPES.BRIDGE_REQUEST:
+        ExternalBridge.handleRequest(data);
+        break;
+      case SOCKET_TYPES.BRIDGE_EVENT:
+      case SOCKET_TYPES.BRIDGE_RESPONSE:
+        // Meant for external clients; browsers ignore them
+        break;
       default:
         log(1, `Unknown socket message type: ${type}`);
     }
@@ -280,6 +305,7 @@ export class CalendariaSocket {
    * @private
    * @param {object} data - The weather change data
    * @param {object} data.weather - The new weather state
+   * @param {string} [data.zone] - The climate zone the weather belongs to
    * @returns {void}
    */
   static #handleWeatherChange(data) {
@@ -310,7 +336,7 @@ export class CalendariaSocket {
         await WeatherManager.generateAndSetWeather({ ...options, fromSocket: true });
         break;
       case 'clear':
-        await WeatherManager.clearWeather(true, true);
+        await WeatherManager.clearWeather(true, true, options.zoneId);
         break;
     }
   }
@@ -332,6 +358,7 @@ export class CalendariaSocket {
 
     switch (action) {
       case 'advance':
+        SessionLedger.tagSource(TIME_SOURCES.REQUEST);
         await game.time.advance(delta);
         break;
       case 'set': {
@@ -341,6 +368,7 @@ export class CalendariaSocket {
         const merged = { ...currentComponents, ...components };
         const targetSeconds = calendar.componentsToTime(merged);
         const timeDelta = targetSeconds - game.time.worldTime;
+        SessionLedger.tagSource(TIME_SOURCES.REQUEST);
         await game.time.advance(timeDelta);
         break;
       }
@@ -351,6 +379,7 @@ export class CalendariaSocket {
         const targetComponents = { ...current, year: date.year, month: date.month, dayOfMonth: date.day };
         const targetSeconds = calendar.componentsToTime(targetComponents);
         const timeDelta = targetSeconds - game.time.worldTime;
+        SessionLedger.tagSource(TIME_SOURCES.REQUEST);
         await game.time.advance(timeDelta);
         break;
       }
@@ -362,11 +391,17 @@ export class CalendariaSocket {
    * @private
    * @param {object} data - The calendar request data
    * @param {string} data.calendarId - The calendar ID to switch to
+   * @param {string} senderId - ID of the user who sent the request
    * @returns {void}
    */
-  static async #handleCalendarRequest(data) {
+  static async #handleCalendarRequest(data, senderId) {
     if (!this.isPrimaryGM()) return;
     const { calendarId } = data;
+    const user = game.users.get(senderId);
+    if (!user || !canChangeActiveCalendar({ calendarId, user })) {
+      log(2, `Rejected calendar switch request from ${senderId}: no permission for ${calendarId}`);
+      return;
+    }
     log(3, `Primary GM handling calendar switch request: ${calendarId}`);
     await CalendarManager.switchCalendar(calendarId);
   }
@@ -2,6 +2,8 @@
  * Procedural weather generation based on climate zones and seasons.
  * Uses weighted random selection with optional seeded randomness.
  * Uses zone-based config from calendar for generation.
+ * Zones with `markov.enabled` chain days together: the next preset is drawn from the
+ * transition row of the previous preset and temperature drifts by a bounded random walk.
  * @module Weather/WeatherGenerator
  * @author Tyler
  */
@@ -110,6 +112,60 @@ export function generateWeather({ seasonClimate, zoneConfig, season, seed, custo
   return { preset: preset || { id: weatherId, label: weatherId, icon: 'fa-question', color: '#888888' }, temperature };
 }
 
+/**
+ * Check whether a zone uses transition-matrix generation.
+ * @param {object} zoneConfig - Climate zone config
+ * @returns {boolean} True if Markov mode is enabled
+ */
+export function isMarkovZone(zoneConfig) {
+  return !!zoneConfig?.markov?.enabled;
+}
+
+/**
+ * Generate the next day's weather from the previous day's weather.
+ * The previous preset's transition row (restricted to presets available this season) picks the
+ * next preset; without a usable row, seasonal chances weighted by inertia are used instead.
+ * Temperature moves at most `markov.tempStep` from the previous value and stays within the range.
+ * @param {object} options - Generation options
+ * @param {object} [options.previous] - Previous day's weather { id, temperature }
+ * @param {object} [options.seasonClimate] - Season's base climate { temperatures, presets }
+ * @param {object} options.zoneConfig - Climate zone config with `markov` settings
+ * @param {string} [options.season] - Season name for temperature lookup and zone overrides
+ * @param {number} [options.seed] - Random seed for deterministic generation
+ * @param {object[]} [options.customPresets] - Custom weather presets
+ * @returns {object} Generated weather { preset, temperature }
+ */
+export function generateMarkovWeather({ previous, seasonClimate, zoneConfig, season, seed, customPresets = [] }) {
+  if (!previous?.id) return generateWeather({ seasonClimate, zoneConfig, season, seed, customPresets });
+  const randomFn = seed != null ? seededRandom(seed) : Math.random;
+  const zoneOverride = season && zoneConfig?.seasonOverrides?.[season];
+  const { probabilities, tempRange } = mergeClimateConfig(seasonClimate, zoneOverride, zoneConfig, season);
+  if (Object.keys(probabilities).length === 0) probabilities.clear = 1;
+  const row = zoneConfig.markov?.transitions?.[previous.id] ?? {};
+  const transitions = Object.fromEntries(Object.entries(row).filter(([id, weight]) => weight > 0 && probabilities[id]));
+  const weights = Object.keys(transitions).length ? transitions : applyWeatherInertia(previous.id, probabilities);
+  const weatherId = weightedSelect(weights, randomFn);
+  const preset = getPreset(weatherId, customPresets);
+  const finalTempRange = { ...tempRange };
+  const presetConfig = Object.values(zoneConfig?.presets ?? {}).find((p) => p.id === weatherId && p.enabled !== false);
+  if (presetConfig?.tempMin != null) finalTempRange.min = presetConfig.tempMin;
+  if (presetConfig?.tempMax != null) finalTempRange.max = presetConfig.tempMax;
+  let temperature;
+  if (previous.temperature == null) {
+    temperature = Math.round(finalTempRange.min + randomFn() * (finalTempRange.max - finalTempRange.min));
+  } else {
+    const step = zoneConfig.markov?.tempStep ?? Math.max(1, Math.round((finalTempRange.max - finalTempRange.min) / 4));
+    const roll = randomFn();
+    const prev = previous.temperature;
+    // Outside the range (e.g. after a season change) the walk only moves back toward it
+    if (prev > finalTempRange.max) temperature = prev - roll * step;
+    else if (prev < finalTempRange.min) temperature = prev + roll * step;
+    else temperature = Math.min(Math.max(prev + (roll * 2 - 1) * step, finalTempRange.min), finalTempRange.max);
+    temperature = Math.round(temperature);
+  }
+  return { preset: preset || { id: weatherId, label: weatherId, icon: 'fa-question', color: '#888888' }, temperature };
+}
+
 /**
  * Generate weather for a specific date using zone config.
  * Uses date-based seeding for consistent results.
@@ -139,19 +195,26 @@ export function generateWeatherForDate({ seasonClimate, zoneConfig, season, year
  * @param {number} [options.days] - Number of days to forecast
  * @param {object[]} [options.customPresets] - Custom weather presets
  * @param {Function} [options.getSeasonForDate] - Function to get season data for a date
+ * @param {object} [options.previous] - Weather on the start day, used as the first link in Markov zones
  * @returns {object[]} Array of weather forecasts
  */
-export function generateForecast({ zoneConfig, season, startYear, startMonth, startDay, days = 7, customPresets = [], getSeasonForDate }) {
+export function generateForecast({ zoneConfig, season, startYear, startMonth, startDay, days = 7, customPresets = [], getSeasonForDate, previous = null }) {
   const forecast = [];
+  const markov = isMarkovZone(zoneConfig);
   let year = startYear;
   let month = startMonth;
   let day = startDay;
+  let last = previous;
   for (let i = 0; i < days; i++) {
     const seasonData = getSeasonForDate ? getSeasonForDate(year, month, day) : null;
     const currentSeason = seasonData?.name ?? season;
     const seasonClimate = seasonData?.climate ?? null;
-    const weather = generateWeatherForDate({ seasonClimate, zoneConfig, season: currentSeason, year, month, day, customPresets });
+    let weather;
+    if (markov && i === 0 && previous?.id) weather = { preset: getPreset(previous.id, customPresets) ?? previous, temperature: previous.temperature ?? null };
+    else if (markov) weather = generateMarkovWeather({ previous: last, seasonClimate, zoneConfig, season: currentSeason, seed: dateSeed(year, month, day), customPresets });
+    else weather = generateWeatherForDate({ seasonClimate, zoneConfig, season: currentSeason, year, month, day, customPresets });
     forecast.push({ year, month, day, ...weather });
+    last = { id: weather.preset.id, temperature: weather.temperature };
     day++;
   }
   return forecast;
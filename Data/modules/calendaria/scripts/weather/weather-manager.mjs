@@ -9,32 +9,45 @@
 import { isBundledCalendar } from '../calendar/calendar-loader.mjs';
 import CalendarManager from '../calendar/calendar-manager.mjs';
 import { HOOKS, MODULE, SCENE_FLAGS, SETTINGS } from '../constants.mjs';
+import { compareDays, daysBetween, getCurrentDate } from '../notes/utils/date-utils.mjs';
 import { format, localize } from '../utils/localization.mjs';
 import { log } from '../utils/logger.mjs';
 import { canChangeWeather } from '../utils/permissions.mjs';
 import { CalendariaSocket } from '../utils/socket.mjs';
 import { CLIMATE_ZONE_TEMPLATES } from './climate-data.mjs';
-import { generateForecast, generateWeather } from './weather-generator.mjs';
-import { ALL_PRESETS, getAllPresets, getPreset, WEATHER_CATEGORIES } from './weather-presets.mjs';
+import { dateSeed, generateForecast, generateMarkovWeather, generateWeather, generateWeatherForDate, isMarkovZone } from './weather-generator.mjs';
+import { ALL_PRESETS, getAllPresets, getPreset, getWeatherMechanics, WEATHER_CATEGORIES } from './weather-presets.mjs';
+
+/** Zone key used for weather and history when the calendar has no climate zones. */
+const NO_ZONE = 'none';
+
+/** Upper bound on days backfilled after a single time jump. */
+const MAX_BACKFILL_DAYS = 366;
 
 /**
  * Weather Manager.
  * Manages weather state and provides the main weather API.
  */
 export default class WeatherManager {
-  /** @type {object|null} Current weather state */
-  static #currentWeather = null;
+  /** @type {Object<string, object>} Current weather state per climate zone ID */
+  static #zoneWeather = {};
 
   /** @type {boolean} Whether the manager is initialized */
   static #initialized = false;
 
+  /** @type {object[]|null} History records collected during a day change, written together when it ends */
+  static #pendingHistory = null;
+
   /**
    * Initialize the weather manager.
    * Called during module ready hook.
    */
   static async initialize() {
     if (this.#initialized) return;
-    this.#currentWeather = game.settings.get(MODULE.ID, SETTINGS.CURRENT_WEATHER) || null;
+    this.#zoneWeather = { ...(game.settings.get(MODULE.ID, SETTINGS.ZONE_WEATHER) || {}) };
+    const legacyWeather = game.settings.get(MODULE.ID, SETTINGS.CURRENT_WEATHER) || null;
+    const defaultKey = this.#resolveZoneKey();
+    if (legacyWeather && !this.#zoneWeather[defaultKey]) this.#zoneWeather[defaultKey] = legacyWeather;
     Hooks.on(HOOKS.DAY_CHANGE, this.#onDayChange.bind(this));
     this.#initialized = true;
     log(3, 'WeatherManager initialized');
@@ -42,20 +55,119 @@ export default class WeatherManager {
 
   /**
    * Get the current weather.
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
    * @returns {object|null} Current weather state
    */
-  static getCurrentWeather() {
-    return this.#currentWeather;
+  static getCurrentWeather(zoneId) {
+    return this.#zoneWeather[this.#resolveZoneKey(zoneId)] ?? null;
+  }
+
+  /**
+   * Get the travel and visibility mechanics of the current weather.
+   * Weather saved before presets carried mechanics falls back to its preset's.
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
+   * @returns {object} Mechanics; defaults when there is no weather
+   */
+  static getMechanics(zoneId) {
+    return this.#resolveMechanics(this.getCurrentWeather(zoneId));
+  }
+
+  /**
+   * Get a weather state's mechanics, falling back to its preset's.
+   * @param {object|null} weather - Weather state
+   * @returns {object} Mechanics
+   * @private
+   */
+  static #resolveMechanics(weather) {
+    if (!weather || weather.mechanics) return getWeatherMechanics(weather);
+    return getWeatherMechanics(getPreset(weather.id, this.getCustomPresets()));
+  }
+
+  /**
+   * Fire the weather mechanics hook when a weather change alters them.
+   * @param {object|null} previous - Weather before the change
+   * @param {object|null} current - Weather after the change
+   * @param {string} zone - Zone key
+   * @private
+   */
+  static #notifyMechanics(previous, current, zone) {
+    const before = this.#resolveMechanics(previous);
+    const mechanics = this.#resolveMechanics(current);
+    if (foundry.utils.objectsEqual(before, mechanics)) return;
+    Hooks.callAll(HOOKS.WEATHER_MECHANICS, { zone, mechanics, previous: before, weather: current });
   }
 
   /**
    * Get temperature for current weather, generating if missing.
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
    * @returns {number|null} Temperature or null if no weather/zone
    */
-  static getTemperature() {
-    if (!this.#currentWeather) return null;
-    if (this.#currentWeather.temperature != null) return this.#currentWeather.temperature;
-    return this.#generateTemperatureForPreset(this.#currentWeather.id);
+  static getTemperature(zoneId) {
+    const weather = this.getCurrentWeather(zoneId);
+    if (!weather) return null;
+    if (weather.temperature != null) return weather.temperature;
+    return this.#generateTemperatureForPreset(weather.id, zoneId);
+  }
+
+  /**
+   * Get the climate zone of the scene this client is viewing.
+   * Falls back to the active scene before the canvas is ready.
+   * @returns {object|null} Zone config object
+   */
+  static getViewedZone() {
+    return this.getActiveZone(null, canvas?.scene ?? game.scenes?.active);
+  }
+
+  /**
+   * Get the climate zones that currently carry weather: the calendar's active zone,
+   * zones assigned to scenes, and zones that already have weather set.
+   * @returns {string[]} Zone IDs
+   */
+  static getTrackedZoneIds() {
+    const zones = this.getCalendarZones();
+    if (!zones.length) return [NO_ZONE];
+    const known = new Set(zones.map((z) => z.id));
+    const ids = new Set([this.#resolveZoneKey()]);
+    for (const scene of game.scenes ?? []) {
+      const sceneZone = scene.getFlag(MODULE.ID, SCENE_FLAGS.CLIMATE_ZONE_OVERRIDE);
+      if (known.has(sceneZone)) ids.add(sceneZone);
+    }
+    for (const id of Object.keys(this.#zoneWeather)) if (known.has(id)) ids.add(id);
+    return [...ids];
+  }
+
+  /**
+   * Resolve a zone ID to the key weather is stored under.
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
+   * @returns {string} Zone key
+   * @private
+   */
+  static #resolveZoneKey(zoneId) {
+    if (zoneId === NO_ZONE) return NO_ZONE;
+    return this.getActiveZone(zoneId || null)?.id ?? NO_ZONE;
+  }
+
+  /**
+   * Check a zone ID passed by a caller, warning if it matches none of the calendar's zones.
+   * getActiveZone() falls back to the first zone, so an unchecked typo would change the wrong zone.
+   * @param {string} [zoneId] - Requested zone ID; omitted means the default zone
+   * @returns {boolean} True if an ID was given and is unknown
+   * @private
+   */
+  static #isUnknownZone(zoneId) {
+    if (!zoneId || zoneId === NO_ZONE || this.getCalendarZones().some((z) => z.id === zoneId)) return false;
+    this.#warnUnknownZone(zoneId);
+    return true;
+  }
+
+  /**
+   * Warn that a requested climate zone does not exist.
+   * @param {string} zoneId - Requested zone ID
+   * @private
+   */
+  static #warnUnknownZone(zoneId) {
+    log(2, `Climate zone not found: ${zoneId}`);
+    ui.notifications.warn(format('CALENDARIA.Weather.Error.ZoneNotFound', { id: zoneId }));
   }
 
   /**
@@ -63,6 +175,7 @@ export default class WeatherManager {
    * @param {string} presetId - Weather preset ID
    * @param {object} [options] - Additional options
    * @param {number} [options.temperature] - Optional temperature override
+   * @param {string} [options.zoneId] - Climate zone to set weather for (defaults to the calendar's active zone)
    * @param {boolean} [options.broadcast] - Whether to broadcast to other clients
    * @param {boolean} [options.fromSocket] - Whether this is a GM executing a socket request
    * @returns {Promise<object>} The set weather
@@ -71,13 +184,14 @@ export default class WeatherManager {
     if (!options.fromSocket && !canChangeWeather()) {
       log(1, 'User lacks permission to set weather');
       ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
-      return this.#currentWeather;
+      return this.getCurrentWeather(options.zoneId);
     }
+    if (this.#isUnknownZone(options.zoneId)) return null;
 
     // Non-GM users with permission must request via socket
     if (!options.fromSocket && !game.user.isGM && canChangeWeather()) {
-      CalendariaSocket.emit('weatherRequest', { action: 'set', presetId, options: { temperature: options.temperature } });
-      return this.#currentWeather;
+      CalendariaSocket.emit('weatherRequest', { action: 'set', presetId, options: { temperature: options.temperature, zoneId: options.zoneId } });
+      return this.getCurrentWeather(options.zoneId);
     }
 
     const customPresets = this.getCustomPresets();
@@ -86,10 +200,10 @@ export default class WeatherManager {
     if (!preset) {
       log(2, `Weather preset not found: ${presetId}`);
       ui.notifications.warn(format('CALENDARIA.Weather.Error.PresetNotFound', { id: presetId }));
-      return this.#currentWeather;
+      return this.getCurrentWeather(options.zoneId);
     }
 
-    const temperature = options.temperature ?? this.#generateTemperatureForPreset(presetId);
+    const temperature = options.temperature ?? this.#generateTemperatureForPreset(presetId, options.zoneId);
 
     const weather = {
       id: preset.id,
@@ -102,11 +216,12 @@ export default class WeatherManager {
       darknessPenalty: preset.darknessPenalty ?? 0,
       environmentBase: preset.environmentBase ?? null,
       environmentDark: preset.environmentDark ?? null,
+      mechanics: getWeatherMechanics(preset),
       setAt: game.time.worldTime,
       setBy: game.user.id
     };
 
-    await this.#saveWeather(weather, options.broadcast !== false);
+    await this.#saveWeather(weather, options.broadcast !== false, options.zoneId);
     return weather;
   }
 
@@ -118,18 +233,21 @@ export default class WeatherManager {
    * @param {string} [weatherData.color] - Display color
    * @param {string} [weatherData.description] - Description
    * @param {number} [weatherData.temperature] - Temperature
+   * @param {object} [weatherData.mechanics] - Travel and visibility mechanics (see weather-presets)
    * @param {boolean} [broadcast] - Whether to broadcast
+   * @param {string} [zoneId] - Climate zone to set weather for (defaults to the calendar's active zone)
    * @returns {Promise<object>} The set weather
    */
-  static async setCustomWeather(weatherData, broadcast = true) {
+  static async setCustomWeather(weatherData, broadcast = true, zoneId = null) {
     if (!canChangeWeather()) {
       ui.notifications.error('CALENDARIA.Permissions.NoAccess', { localize: true });
-      return this.#currentWeather;
+      return this.getCurrentWeather(zoneId);
     }
     if (!game.user.isGM) {
       ui.notifications.warn('CALENDARIA.Weather.Error.CustomRequiresGM', { localize: true });
-      return this.#currentWeather;
+      return this.getCurrentWeather(zoneId);
     }
+    if (this.#isUnknownZone(zoneId)) return null;
     const weather = {
       id: 'custom',
       label: weatherData.label,
@@ -141,10 +259,11 @@ export default class WeatherManager {
       darknessPenalty: weatherData.darknessPenalty ?? 0,
       environmentBase: weatherData.environmentBase ?? null,
       environmentDark: weatherData.environmentDark ?? null,
+      mechanics: getWeatherMechanics(weatherData),
       setAt: game.time.worldTime,
       setBy: game.user.id
     };
-    await this.#saveWeather(weather, broadcast);
+    await this.#saveWeather(weather, broadcast, zoneId);
     return weather;
   }
 
@@ -152,39 +271,100 @@ export default class WeatherManager {
    * Clear the current weather.
    * @param {boolean} [broadcast] - Whether to broadcast
    * @param {boolean} [fromSocket] - Whether this was triggered by a socket event
+   * @param {string} [zoneId] - Climate zone to clear (defaults to the calendar's active zone)
    * @returns {Promise<void>}
    */
-  static async clearWeather(broadcast = true, fromSocket = false) {
+  static async clearWeather(broadcast = true, fromSocket = false, zoneId = null) {
     if (!fromSocket && !canChangeWeather()) return;
+    if (this.#isUnknownZone(zoneId)) return;
     if (!fromSocket && !game.user.isGM && canChangeWeather()) {
-      CalendariaSocket.emit('weatherRequest', { action: 'clear' });
+      CalendariaSocket.emit('weatherRequest', { action: 'clear', options: { zoneId } });
       return;
     }
-    await this.#saveWeather(null, broadcast);
+    await this.#saveWeather(null, broadcast, zoneId);
+  }
+
+  /**
+   * Capture the current weather of every zone so it can be restored later.
+   * @returns {Object<string, object>} Weather per zone key
+   */
+  static snapshotWeather() {
+    return foundry.utils.deepClone(this.#zoneWeather);
+  }
+
+  /**
+   * Restore weather captured by snapshotWeather(), optionally dropping history recorded for a span of days.
+   * Used when a time change is undone.
+   * @param {Object<string, object>} snapshot - Weather per zone key
+   * @param {object} [discard] - History to drop
+   * @param {object} [discard.after] - Drop records dated after this day {year, month, day}
+   * @param {object} [discard.through] - ...up to and including this day
+   * @returns {Promise<void>}
+   */
+  static async restoreWeather(snapshot, { after, through } = {}) {
+    if (!game.user.isGM || !snapshot) return;
+    if (after && through && compareDays(after, through) < 0) await this.#discardHistory(after, through);
+    const zones = new Set([...Object.keys(this.#zoneWeather), ...Object.keys(snapshot)]);
+    for (const zone of zones) {
+      const weather = snapshot[zone] ?? null;
+      if (foundry.utils.objectsEqual(weather ?? {}, this.#zoneWeather[zone] ?? {})) continue;
+      await this.#saveWeather(weather ? foundry.utils.deepClone(weather) : null, true, zone);
+    }
+  }
+
+  /**
+   * Remove history records for the active calendar dated within a span of days.
+   * @param {object} after - Keep records on or before this day
+   * @param {object} through - Remove records up to and including this day
+   * @private
+   */
+  static async #discardHistory(after, through) {
+    const calendarId = CalendarManager.getActiveCalendar()?.metadata?.id;
+    const history = foundry.utils.deepClone(game.settings.get(MODULE.ID, SETTINGS.WEATHER_HISTORY) || {});
+    const calendarHistory = history[calendarId];
+    if (!calendarHistory) return;
+    for (const [zone, zoneHistory] of Object.entries(calendarHistory)) {
+      for (const [key, record] of Object.entries(zoneHistory)) if (compareDays(record, after) > 0 && compareDays(record, through) <= 0) delete zoneHistory[key];
+      if (!Object.keys(zoneHistory).length) delete calendarHistory[zone];
+    }
+    await game.settings.set(MODULE.ID, SETTINGS.WEATHER_HISTORY, history);
   }
 
   /**
    * Save weather to settings and optionally broadcast.
+   * The active zone's weather is mirrored to the legacy current-weather setting.
    * @param {object|null} weather - Weather to save
    * @param {boolean} broadcast - Whether to broadcast
+   * @param {string} [zoneId] - Climate zone (defaults to the calendar's active zone)
    * @private
    */
-  static async #saveWeather(weather, broadcast) {
-    const previous = this.#currentWeather;
-    this.#currentWeather = weather;
-    await game.settings.set(MODULE.ID, SETTINGS.CURRENT_WEATHER, weather);
-    Hooks.callAll(HOOKS.WEATHER_CHANGE, { previous, current: weather });
-    if (broadcast) CalendariaSocket.emit('weatherChange', { weather });
-    log(3, 'Weather changed:', weather?.id ?? 'cleared');
+  static async #saveWeather(weather, broadcast, zoneId = null) {
+    const zone = this.#resolveZoneKey(zoneId);
+    const previous = this.#zoneWeather[zone] ?? null;
+    if (weather) this.#zoneWeather[zone] = weather;
+    else delete this.#zoneWeather[zone];
+    await game.settings.set(MODULE.ID, SETTINGS.ZONE_WEATHER, { ...this.#zoneWeather });
+    if (zone === this.#resolveZoneKey()) await game.settings.set(MODULE.ID, SETTINGS.CURRENT_WEATHER, weather);
+    if (weather) await this.#recordHistory([this.#createHistoryRecord(weather, getCurrentDate(), zone)]);
+    Hooks.callAll(HOOKS.WEATHER_CHANGE, { previous, current: weather, zone });
+    this.#notifyMechanics(previous, weather, zone);
+    if (broadcast) CalendariaSocket.emit('weatherChange', { weather, zone });
+    log(3, `Weather changed in zone ${zone}:`, weather?.id ?? 'cleared');
   }
 
   /**
    * Handle remote weather change.
    * @param {object} data - Socket data
+   * @param {object|null} data.weather - New weather state
+   * @param {string} [data.zone] - Zone key the weather belongs to
    */
   static handleRemoteWeatherChange(data) {
-    this.#currentWeather = data.weather;
-    Hooks.callAll(HOOKS.WEATHER_CHANGE, { previous: null, current: data.weather, remote: true });
+    const zone = data.zone ?? this.#resolveZoneKey();
+    const previous = this.#zoneWeather[zone] ?? null;
+    if (data.weather) this.#zoneWeather[zone] = data.weather;
+    else delete this.#zoneWeather[zone];
+    Hooks.callAll(HOOKS.WEATHER_CHANGE, { previous, current: data.weather, zone, remote: true });
+    this.#notifyMechanics(previous, data.weather, zone);
   }
 
   /**
@@ -198,11 +378,12 @@ export default class WeatherManager {
   static async generateAndSetWeather(options = {}) {
     if (!options.fromSocket && !canChangeWeather()) {
       log(1, 'User lacks permission to generate weather');
-      return this.#currentWeather;
+      return this.getCurrentWeather(options.zoneId);
     }
+    if (this.#isUnknownZone(options.zoneId)) return null;
     if (!options.fromSocket && !game.user.isGM && canChangeWeather()) {
       CalendariaSocket.emit('weatherRequest', { action: 'generate', options: { zoneId: options.zoneId, season: options.season } });
-      return this.#currentWeather;
+      return this.getCurrentWeather(options.zoneId);
     }
     const zoneConfig = this.getActiveZone(options.zoneId);
     const seasonData = this.#getCurrentSeason();
@@ -218,6 +399,9 @@ export default class WeatherManager {
       const max = randomPreset.tempMax ?? 25;
       const temperature = Math.round(min + Math.random() * (max - min));
       result = { preset: randomPreset, temperature };
+    } else if (isMarkovZone(zoneConfig)) {
+      const { year, month, day } = getCurrentDate();
+      result = generateMarkovWeather({ previous: this.#getPreviousDayWeather(zoneConfig), seasonClimate, zoneConfig, season, seed: dateSeed(year, month, day), customPresets });
     } else {
       result = generateWeather({ seasonClimate, zoneConfig, season, customPresets });
     }
@@ -230,11 +414,12 @@ export default class WeatherManager {
       category: result.preset.category,
       temperature: result.temperature,
       darknessPenalty: result.preset.darknessPenalty ?? 0,
+      mechanics: getWeatherMechanics(result.preset),
       setAt: game.time.worldTime,
       setBy: game.user.id,
       generated: true
     };
-    await this.#saveWeather(weather, options.broadcast !== false);
+    await this.#saveWeather(weather, options.broadcast !== false, zoneConfig?.id ?? null);
     return weather;
   }
 
@@ -261,6 +446,7 @@ export default class WeatherManager {
       startDay: (components.dayOfMonth ?? 0) + 1,
       days,
       customPresets,
+      previous: this.getCurrentWeather(options.zoneId),
       getSeasonForDate: (year, month, day) => {
         const season = calendar.getCurrentSeason?.({ year: year - yearZero, month, dayOfMonth: day - 1 });
         if (!season) return null;
@@ -270,14 +456,215 @@ export default class WeatherManager {
   }
 
   /**
-   * Handle day change for auto-generation.
+   * Handle day change for auto-generation and history backfill.
+   * History records for every zone and skipped day are collected and saved in one write.
+   * @param {object} data - Day change hook data with previous and current components
    * @private
    */
-  static async #onDayChange() {
+  static async #onDayChange(data) {
+    if (!CalendariaSocket.isPrimaryGM()) return;
     const calendar = CalendarManager.getActiveCalendar();
     const autoGenerate = calendar?.weather?.autoGenerate ?? false;
-    if (!autoGenerate || !CalendariaSocket.isPrimaryGM()) return;
-    await this.generateAndSetWeather();
+    this.#pendingHistory = [];
+    try {
+      for (const zone of this.getTrackedZoneIds()) {
+        const zoneId = zone === NO_ZONE ? null : zone;
+        if (data?.previous && data?.current) await this.#backfillHistory(data.previous, data.current, autoGenerate, zoneId);
+        const weather = this.getCurrentWeather(zoneId);
+        if (autoGenerate) await this.generateAndSetWeather({ zoneId });
+        else if (weather) await this.#recordHistory([this.#createHistoryRecord(weather, getCurrentDate(), zone)]);
+      }
+    } finally {
+      const records = this.#pendingHistory;
+      this.#pendingHistory = null;
+      if (records.length) await this.#recordHistory(records);
+    }
+  }
+
+  /**
+   * Fill history for days skipped by a multi-day time jump.
+   * Auto-generated weather is regenerated per day with date seeds; otherwise the
+   * weather in effect before the jump is carried across the skipped days.
+   * @param {object} previous - Previous time components (display year)
+   * @param {object} current - Current time components (display year)
+   * @param {boolean} autoGenerate - Whether the calendar auto-generates weather
+   * @param {string|null} zoneId - Climate zone to backfill (null for the calendar's active zone)
+   * @private
+   */
+  static async #backfillHistory(previous, current, autoGenerate, zoneId) {
+    const from = { year: previous.year, month: previous.month, day: previous.dayOfMonth + 1 };
+    const to = { year: current.year, month: current.month, day: current.dayOfMonth + 1 };
+    const gap = daysBetween(from, to);
+    if (gap <= 1) return;
+    const calendar = CalendarManager.getActiveCalendar();
+    const yearZero = calendar?.years?.yearZero ?? 0;
+    const secondsPerDay = (calendar?.days?.hoursPerDay ?? 24) * (calendar?.days?.minutesPerHour ?? 60) * (calendar?.days?.secondsPerMinute ?? 60);
+    const zoneConfig = this.getActiveZone(zoneId);
+    const zone = this.#resolveZoneKey(zoneId);
+    const carried = this.getCurrentWeather(zoneId);
+    const customPresets = this.getCustomPresets();
+    const startTime = calendar.componentsToTime({ year: from.year - yearZero, month: from.month, dayOfMonth: from.day - 1, hour: 0, minute: 0, second: 0 });
+    const markov = isMarkovZone(zoneConfig);
+    const records = [];
+    let previousWeather = carried;
+    for (let offset = Math.max(1, gap - MAX_BACKFILL_DAYS); offset < gap; offset++) {
+      const components = calendar.timeToComponents(startTime + offset * secondsPerDay);
+      const date = { year: components.year + yearZero, month: components.month, day: components.dayOfMonth + 1 };
+      if (autoGenerate) {
+        const season = calendar.getCurrentSeason?.(components);
+        const options = { seasonClimate: season?.climate ?? null, zoneConfig, season: season ? localize(season.name) : null, customPresets };
+        const result = markov ? generateMarkovWeather({ ...options, previous: previousWeather, seed: dateSeed(date.year, date.month, date.day) }) : generateWeatherForDate({ ...options, ...date });
+        previousWeather = { ...result.preset, temperature: result.temperature, generated: true };
+        records.push(this.#createHistoryRecord(previousWeather, date, zone, { backfilled: true }));
+      } else if (carried) {
+        records.push(this.#createHistoryRecord(carried, date, zone, { backfilled: true }));
+      }
+    }
+    if (records.length) await this.#recordHistory(records);
+    log(3, `Backfilled weather history for ${records.length} skipped days in zone ${zone}`);
+  }
+
+  /**
+   * Get the weather to chain today's Markov generation from.
+   * Prefers yesterday's history record (so multi-day jumps continue from the last backfilled day)
+   * and falls back to the current weather.
+   * @param {object} zoneConfig - Active zone config
+   * @returns {object|null} Previous weather { id, temperature }
+   * @private
+   */
+  static #getPreviousDayWeather(zoneConfig) {
+    const calendar = CalendarManager.getActiveCalendar();
+    const today = getCurrentDate();
+    const yearZero = calendar?.years?.yearZero ?? 0;
+    const secondsPerDay = (calendar?.days?.hoursPerDay ?? 24) * (calendar?.days?.minutesPerHour ?? 60) * (calendar?.days?.secondsPerMinute ?? 60);
+    if (calendar) {
+      const todayStart = calendar.componentsToTime({ year: today.year - yearZero, month: today.month, dayOfMonth: today.day - 1, hour: 0, minute: 0, second: 0 });
+      const components = calendar.timeToComponents(todayStart - secondsPerDay);
+      const yesterday = { year: components.year + yearZero, month: components.month, day: components.dayOfMonth + 1 };
+      const zone = this.#resolveZoneKey(zoneConfig?.id);
+      const pending = this.#pendingHistory?.findLast((r) => r.zone === zone && compareDays(r, yesterday) === 0);
+      const [record] = pending ? [pending] : this.getWeatherHistory({ from: yesterday, to: yesterday, zone: zoneConfig?.id });
+      if (record) return record;
+    }
+    return this.getCurrentWeather(zoneConfig?.id);
+  }
+
+  /**
+   * Build a history record for a weather state on a date.
+   * @param {object} weather - Weather state or preset-like object
+   * @param {object} date - Date {year, month, day} (display year, day 1-indexed)
+   * @param {string} zone - Zone key the record belongs to
+   * @param {object} [extra] - Additional record fields
+   * @returns {object} History record
+   * @private
+   */
+  static #createHistoryRecord(weather, date, zone, extra = {}) {
+    return {
+      year: date.year,
+      month: date.month,
+      day: date.day,
+      zone,
+      id: weather.id,
+      label: weather.label,
+      icon: weather.icon,
+      color: weather.color,
+      category: weather.category,
+      temperature: weather.temperature ?? null,
+      generated: !!weather.generated,
+      ...extra
+    };
+  }
+
+  /**
+   * Store history records for the active calendar and prune old entries.
+   * A non-backfilled record replaces an existing one for the same day; backfilled records never do.
+   * During a day change the records are held back and saved together when it ends.
+   * @param {object[]} records - Records from #createHistoryRecord
+   * @private
+   */
+  static async #recordHistory(records) {
+    if (!game.user.isGM) return;
+    if (this.#pendingHistory) {
+      this.#pendingHistory.push(...records);
+      return;
+    }
+    const calendarId = CalendarManager.getActiveCalendar()?.metadata?.id;
+    if (!calendarId) return;
+    const history = foundry.utils.deepClone(game.settings.get(MODULE.ID, SETTINGS.WEATHER_HISTORY) || {});
+    const calendarHistory = (history[calendarId] ??= {});
+    for (const record of records) {
+      const zoneHistory = (calendarHistory[record.zone] ??= {});
+      const key = `${record.year}-${record.month}-${record.day}`;
+      if (record.backfilled && zoneHistory[key]) continue;
+      zoneHistory[key] = record;
+    }
+    this.#pruneHistory(calendarHistory);
+    await game.settings.set(MODULE.ID, SETTINGS.WEATHER_HISTORY, history);
+  }
+
+  /**
+   * Remove records older than the retention setting.
+   * @param {object} calendarHistory - History for one calendar, keyed by zone then date
+   * @private
+   */
+  static #pruneHistory(calendarHistory) {
+    const retention = game.settings.get(MODULE.ID, SETTINGS.WEATHER_HISTORY_DAYS) ?? 0;
+    if (retention <= 0) return;
+    const today = getCurrentDate();
+    for (const [zone, zoneHistory] of Object.entries(calendarHistory)) {
+      for (const [key, record] of Object.entries(zoneHistory)) if (daysBetween(record, today) > retention) delete zoneHistory[key];
+      if (!Object.keys(zoneHistory).length) delete calendarHistory[zone];
+    }
+  }
+
+  /**
+   * Get recorded weather history for the active calendar.
+   * @param {object} [options] - Query options
+   * @param {object} [options.from] - Earliest date {year, month, day} (inclusive)
+   * @param {object} [options.to] - Latest date {year, month, day} (inclusive)
+   * @param {string} [options.zone] - Zone ID (defaults to the active zone)
+   * @returns {object[]} History records sorted oldest first
+   */
+  static getWeatherHistory({ from, to, zone } = {}) {
+    const calendarId = CalendarManager.getActiveCalendar()?.metadata?.id;
+    const zoneId = this.#resolveZoneKey(zone);
+    const zoneHistory = game.settings.get(MODULE.ID, SETTINGS.WEATHER_HISTORY)?.[calendarId]?.[zoneId] ?? {};
+    return Object.values(zoneHistory)
+      .filter((record) => (!from || compareDays(record, from) >= 0) && (!to || compareDays(record, to) <= 0))
+      .sort(compareDays);
+  }
+
+  /**
+   * Get recorded weather for a single day across all zones of the active calendar.
+   * @param {number} year - Display year
+   * @param {number} month - Month (0-indexed)
+   * @param {number} day - Day of month (1-indexed)
+   * @returns {object[]} History records with zone names
+   */
+  static getWeatherHistoryForDate(year, month, day) {
+    const calendarId = CalendarManager.getActiveCalendar()?.metadata?.id;
+    const calendarHistory = game.settings.get(MODULE.ID, SETTINGS.WEATHER_HISTORY)?.[calendarId] ?? {};
+    const zones = this.getCalendarZones();
+    const key = `${year}-${month}-${day}`;
+    return Object.entries(calendarHistory)
+      .filter(([, zoneHistory]) => zoneHistory[key])
+      .map(([zoneId, zoneHistory]) => {
+        const zoneName = zones.find((z) => z.id === zoneId)?.name;
+        return { ...zoneHistory[key], zoneName: zoneName ? localize(zoneName) : null };
+      });
+  }
+
+  /**
+   * Clear recorded weather history for the active calendar.
+   * @returns {Promise<void>}
+   */
+  static async clearWeatherHistory() {
+    if (!game.user.isGM) return;
+    const calendarId = CalendarManager.getActiveCalendar()?.metadata?.id;
+    const history = foundry.utils.deepClone(game.settings.get(MODULE.ID, SETTINGS.WEATHER_HISTORY) || {});
+    delete history[calendarId];
+    await game.settings.set(MODULE.ID, SETTINGS.WEATHER_HISTORY, history);
+    log(3, 'Weather history cleared');
   }
 
   /**
@@ -295,11 +682,12 @@ export default class WeatherManager {
    * Generate temperature for a preset based on active zone and season.
    * Uses season climate as base with zone overrides.
    * @param {string} presetId - Weather preset ID
+   * @param {string} [zoneId] - Climate zone ID (defaults to the calendar's active zone)
    * @returns {number|null} Generated temperature or null if no config
    * @private
    */
-  static #generateTemperatureForPreset(presetId) {
-    const zoneConfig = this.getActiveZone();
+  static #generateTemperatureForPreset(presetId, zoneId) {
+    const zoneConfig = this.getActiveZone(zoneId);
     const seasonData = this.#getCurrentSeason();
     const season = seasonData ? localize(seasonData.name) : null;
     const seasonClimate = seasonData?.climate;
@@ -343,6 +731,7 @@ export default class WeatherManager {
 
   /**
    * Set the active climate zone on the calendar.
+   * Warns and leaves the active zone unchanged if no zone has that ID.
    * @param {string} zoneId - Zone ID to set as active
    * @returns {Promise<void>}
    */
@@ -354,11 +743,16 @@ export default class WeatherManager {
     const calendarData = CalendarManager.getCalendar(calendarId)?.toObject();
     if (!calendarData?.weather) return;
     const zones = calendarData.weather.zones ? Object.values(calendarData.weather.zones) : [];
-    const zone = zones.find((z) => z.id === zoneId);
-    if (!zone) return;
+    if (!zones.some((z) => z.id === zoneId)) {
+      this.#warnUnknownZone(zoneId);
+      return;
+    }
     calendarData.weather.activeZone = zoneId;
     if (isBundledCalendar(calendarId)) await CalendarManager.saveDefaultOverride(calendarId, calendarData);
     else await CalendarManager.updateCustomCalendar(calendarId, calendarData);
+    const weather = this.#zoneWeather[zoneId] ?? null;
+    await game.settings.set(MODULE.ID, SETTINGS.CURRENT_WEATHER, weather);
+    Hooks.callAll(HOOKS.WEATHER_CHANGE, { previous: null, current: weather, zone: zoneId });
     log(3, `Active climate zone set to: ${zoneId}`);
   }
 
@@ -69,6 +69,16 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     return super.close(options);
   }
 
+  /**
+   * Get the zone being edited: the picker's selection, else the viewed scene's zone.
+   * @returns {string|null} Zone ID
+   * @private
+   */
+  #getSelectedZoneId() {
+    if (this.#zoneOverride !== undefined) return this.#zoneOverride;
+    return WeatherManager.getViewedZone()?.id ?? null;
+  }
+
   /** @override */
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
@@ -76,7 +86,7 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     const zones = WeatherManager.getCalendarZones() || [];
     const calendar = CalendarManager.getActiveCalendar();
     const calendarActiveZone = calendar?.weather?.activeZone ?? null;
-    const selectedZoneId = this.#zoneOverride !== undefined ? this.#zoneOverride : calendarActiveZone;
+    const selectedZoneId = this.#getSelectedZoneId();
     const selectedZone = selectedZoneId ? zones.find((z) => z.id === selectedZoneId) : null;
     context.setAsActiveZone = selectedZoneId === calendarActiveZone && calendarActiveZone != null;
     context.zoneOptions = [{ value: '', label: localize('CALENDARIA.Common.None'), selected: !selectedZoneId }];
@@ -127,8 +137,8 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     }
 
     context.temperatureUnit = getTemperatureUnit() === 'fahrenheit' ? '°F' : '°C';
-    const currentWeather = WeatherManager.getCurrentWeather();
-    const currentTemp = WeatherManager.getTemperature();
+    const currentWeather = WeatherManager.getCurrentWeather(selectedZoneId);
+    const currentTemp = WeatherManager.getTemperature(selectedZoneId);
     context.selectedZoneId = selectedZoneId;
     const currentWeatherAlias = currentWeather?.id ? getPresetAlias(currentWeather.id, calendarId, selectedZoneId) : null;
     context.customLabel = this.#customLabel ?? (currentWeatherAlias || (currentWeather?.label ? localize(currentWeather.label) : ''));
@@ -164,8 +174,9 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {object} formData - The form data
    */
   static async _onSave(_event, _form, formData) {
+    const zoneId = formData.object.climateZone || null;
     if (this.#selectedPresetId && !this.#customEdited) {
-      await WeatherManager.setWeather(this.#selectedPresetId);
+      await WeatherManager.setWeather(this.#selectedPresetId, { zoneId });
     } else {
       const data = foundry.utils.expandObject(formData.object);
       const label = data.customLabel?.trim();
@@ -174,10 +185,9 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
       const icon = data.customIcon?.trim() || 'fa-question';
       const color = data.customColor || '#888888';
       const temperature = temp ? fromDisplayUnit(parseInt(temp, 10)) : null;
-      await WeatherManager.setCustomWeather({ label, temperature, icon, color });
+      await WeatherManager.setCustomWeather({ label, temperature, icon, color }, true, zoneId);
     }
     const setActive = formData.object.setAsActiveZone;
-    const zoneId = formData.object.climateZone || null;
     if (setActive && zoneId) await WeatherManager.setActiveZone(zoneId);
     Hooks.callAll(HOOKS.WEATHER_CHANGE);
     await this.close();
@@ -195,7 +205,7 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
     this.#selectedPresetId = presetId;
     this.#customEdited = false;
     const calendarId = CalendarManager.getActiveCalendar()?.metadata?.id;
-    const zoneId = this.#zoneOverride !== undefined ? this.#zoneOverride : (CalendarManager.getActiveCalendar()?.weather?.activeZone ?? null);
+    const zoneId = this.#getSelectedZoneId();
     const alias = getPresetAlias(presetId, calendarId, zoneId);
     this.#customLabel = alias || localize(preset.label);
     this.#customTemp = null;
@@ -210,7 +220,7 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} _target - The clicked element
    */
   static async _onRandomWeather(_event, _target) {
-    const zoneId = this.#zoneOverride !== undefined ? this.#zoneOverride : (CalendarManager.getActiveCalendar()?.weather?.activeZone ?? null);
+    const zoneId = this.#getSelectedZoneId();
     await WeatherManager.generateAndSetWeather({ zoneId });
     this.#selectedPresetId = null;
     this.#customEdited = false;
@@ -228,7 +238,7 @@ class WeatherPickerApp extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} _target - The clicked element
    */
   static async _onClearWeather(_event, _target) {
-    await WeatherManager.clearWeather();
+    await WeatherManager.clearWeather(true, false, this.#getSelectedZoneId());
     this.#selectedPresetId = null;
     this.#customEdited = false;
     this.#customLabel = '';
@@ -1,12 +1,21 @@
 /**
  * Built-in weather presets for the Calendaria weather system.
  * GMs can add custom presets via settings.
+ *
+ * Each preset carries `mechanics` for game systems to apply: `travelMultiplier` scales overland
+ * travel speed, `visibility` is how far one can see in feet (null for unlimited), `lightPenalty`
+ * is the fraction of a light source's radius lost (negative values extend it), `getLostChance`
+ * is added to the percentage chance of getting lost and `forageModifier` is added to foraging
+ * checks.
  * @module Weather/WeatherPresets
  * @author Tyler
  */
 
 import { MODULE, SETTINGS } from '../constants.mjs';
 
+/** Mechanics used where a preset or weather state leaves them unset. */
+export const MECHANICS_DEFAULTS = { travelMultiplier: 1, visibility: null, lightPenalty: 0, getLostChance: 0, forageModifier: 0 };
+
 /**
  * Standard weather conditions - common everyday weather.
  * @type {object[]}
@@ -24,7 +33,8 @@ export const STANDARD_WEATHER = [
     tempMax: 32,
     darknessPenalty: 0,
     environmentBase: null,
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: 0, getLostChance: 0, forageModifier: 0 }
   },
   {
     id: 'partly-cloudy',
@@ -38,7 +48,8 @@ export const STANDARD_WEATHER = [
     tempMax: 28,
     darknessPenalty: 0.05,
     environmentBase: null,
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: 0, getLostChance: 0, forageModifier: 0 }
   },
   {
     id: 'cloudy',
@@ -52,7 +63,8 @@ export const STANDARD_WEATHER = [
     tempMax: 24,
     darknessPenalty: 0.1,
     environmentBase: { hue: null, saturation: 0.7 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: 0, getLostChance: 0, forageModifier: 0 }
   },
   {
     id: 'overcast',
@@ -66,7 +78,8 @@ export const STANDARD_WEATHER = [
     tempMax: 20,
     darknessPenalty: 0.15,
     environmentBase: { hue: null, saturation: 0.5 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: 0, getLostChance: 0, forageModifier: 0 }
   },
   {
     id: 'drizzle',
@@ -80,7 +93,8 @@ export const STANDARD_WEATHER = [
     tempMax: 18,
     darknessPenalty: 0.1,
     environmentBase: { hue: null, saturation: 0.8 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.9, visibility: null, lightPenalty: 0, getLostChance: 0, forageModifier: 0 }
   },
   {
     id: 'rain',
@@ -94,7 +108,8 @@ export const STANDARD_WEATHER = [
     tempMax: 22,
     darknessPenalty: 0.15,
     environmentBase: { hue: null, saturation: 0.6 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.75, visibility: 2640, lightPenalty: 0.1, getLostChance: 5, forageModifier: -1 }
   },
   {
     id: 'fog',
@@ -108,7 +123,8 @@ export const STANDARD_WEATHER = [
     tempMax: 15,
     darknessPenalty: 0.2,
     environmentBase: { hue: null, saturation: 0.3 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.75, visibility: 60, lightPenalty: 0.5, getLostChance: 25, forageModifier: -1 }
   },
   {
     id: 'mist',
@@ -122,7 +138,8 @@ export const STANDARD_WEATHER = [
     tempMax: 18,
     darknessPenalty: 0.1,
     environmentBase: { hue: null, saturation: 0.7 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.9, visibility: 300, lightPenalty: 0.25, getLostChance: 10, forageModifier: 0 }
   },
   {
     id: 'windy',
@@ -136,7 +153,8 @@ export const STANDARD_WEATHER = [
     tempMax: 25,
     darknessPenalty: 0,
     environmentBase: null,
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.9, visibility: null, lightPenalty: 0.1, getLostChance: 0, forageModifier: 0 }
   },
   {
     id: 'sunshower',
@@ -150,7 +168,8 @@ export const STANDARD_WEATHER = [
     tempMax: 26,
     darknessPenalty: 0.05,
     environmentBase: null,
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: 0, getLostChance: 0, forageModifier: 0 }
   }
 ];
 
@@ -171,7 +190,8 @@ export const SEVERE_WEATHER = [
     tempMax: 28,
     darknessPenalty: 0.25,
     environmentBase: { hue: 220, saturation: 0.4 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.5, visibility: 600, lightPenalty: 0.25, getLostChance: 15, forageModifier: -2 }
   },
   {
     id: 'blizzard',
@@ -185,7 +205,8 @@ export const SEVERE_WEATHER = [
     tempMax: -5,
     darknessPenalty: 0.3,
     environmentBase: { hue: 200, saturation: 0.3 },
-    environmentDark: { hue: 210, saturation: null }
+    environmentDark: { hue: 210, saturation: null },
+    mechanics: { travelMultiplier: 0.25, visibility: 30, lightPenalty: 0.5, getLostChance: 40, forageModifier: -4 }
   },
   {
     id: 'snow',
@@ -199,7 +220,8 @@ export const SEVERE_WEATHER = [
     tempMax: 2,
     darknessPenalty: 0.1,
     environmentBase: { hue: 200, saturation: 0.6 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.5, visibility: 600, lightPenalty: 0.1, getLostChance: 10, forageModifier: -2 }
   },
   {
     id: 'hail',
@@ -213,7 +235,8 @@ export const SEVERE_WEATHER = [
     tempMax: 18,
     darknessPenalty: 0.2,
     environmentBase: { hue: null, saturation: 0.5 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.5, visibility: 1000, lightPenalty: 0.1, getLostChance: 5, forageModifier: -2 }
   },
   {
     id: 'tornado',
@@ -227,7 +250,8 @@ export const SEVERE_WEATHER = [
     tempMax: 35,
     darknessPenalty: 0.3,
     environmentBase: { hue: 100, saturation: 0.4 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.1, visibility: 300, lightPenalty: 0.5, getLostChance: 50, forageModifier: -4 }
   },
   {
     id: 'hurricane',
@@ -241,7 +265,8 @@ export const SEVERE_WEATHER = [
     tempMax: 35,
     darknessPenalty: 0.35,
     environmentBase: { hue: null, saturation: 0.3 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.1, visibility: 150, lightPenalty: 0.75, getLostChance: 50, forageModifier: -4 }
   }
 ];
 
@@ -262,7 +287,8 @@ export const ENVIRONMENTAL_WEATHER = [
     tempMax: 40,
     darknessPenalty: 0.25,
     environmentBase: { hue: 30, saturation: 0.4 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.5, visibility: 300, lightPenalty: 0.25, getLostChance: 20, forageModifier: -3 }
   },
   {
     id: 'sandstorm',
@@ -276,7 +302,8 @@ export const ENVIRONMENTAL_WEATHER = [
     tempMax: 45,
     darknessPenalty: 0.2,
     environmentBase: { hue: 35, saturation: 0.6 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.25, visibility: 30, lightPenalty: 0.5, getLostChance: 40, forageModifier: -3 }
   },
   {
     id: 'luminous-sky',
@@ -290,7 +317,8 @@ export const ENVIRONMENTAL_WEATHER = [
     tempMax: 10,
     darknessPenalty: -0.1,
     environmentBase: null,
-    environmentDark: { hue: 280, saturation: 0.8 }
+    environmentDark: { hue: 280, saturation: 0.8 },
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: -0.25, getLostChance: -5, forageModifier: 0 }
   }
 ];
 
@@ -311,7 +339,8 @@ export const FANTASY_WEATHER = [
     tempMax: 20,
     darknessPenalty: 0.4,
     environmentBase: { hue: 270, saturation: 0.3 },
-    environmentDark: { hue: 280, saturation: 0.4 }
+    environmentDark: { hue: 280, saturation: 0.4 },
+    mechanics: { travelMultiplier: 0.75, visibility: 120, lightPenalty: 0.5, getLostChance: 25, forageModifier: -2 }
   },
   {
     id: 'ley-surge',
@@ -325,7 +354,8 @@ export const FANTASY_WEATHER = [
     tempMax: 25,
     darknessPenalty: -0.1,
     environmentBase: { hue: 180, saturation: 0.9 },
-    environmentDark: { hue: 200, saturation: 0.8 }
+    environmentDark: { hue: 200, saturation: 0.8 },
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: -0.1, getLostChance: 10, forageModifier: 1 }
   },
   {
     id: 'aether-haze',
@@ -339,7 +369,8 @@ export const FANTASY_WEATHER = [
     tempMax: 22,
     darknessPenalty: 0.15,
     environmentBase: { hue: 280, saturation: 0.6 },
-    environmentDark: { hue: 270, saturation: 0.7 }
+    environmentDark: { hue: 270, saturation: 0.7 },
+    mechanics: { travelMultiplier: 0.9, visibility: 300, lightPenalty: 0.25, getLostChance: 15, forageModifier: 0 }
   },
   {
     id: 'nullfront',
@@ -353,7 +384,8 @@ export const FANTASY_WEATHER = [
     tempMax: 15,
     darknessPenalty: 0.2,
     environmentBase: { hue: null, saturation: 0.1 },
-    environmentDark: { hue: null, saturation: 0.1 }
+    environmentDark: { hue: null, saturation: 0.1 },
+    mechanics: { travelMultiplier: 0.9, visibility: null, lightPenalty: 0.25, getLostChance: 5, forageModifier: -1 }
   },
   {
     id: 'permafrost-surge',
@@ -367,7 +399,8 @@ export const FANTASY_WEATHER = [
     tempMax: -10,
     darknessPenalty: 0.1,
     environmentBase: { hue: 190, saturation: 0.7 },
-    environmentDark: { hue: 200, saturation: 0.6 }
+    environmentDark: { hue: 200, saturation: 0.6 },
+    mechanics: { travelMultiplier: 0.5, visibility: null, lightPenalty: 0.1, getLostChance: 10, forageModifier: -3 }
   },
   {
     id: 'gravewind',
@@ -381,7 +414,8 @@ export const FANTASY_WEATHER = [
     tempMax: 18,
     darknessPenalty: 0.15,
     environmentBase: { hue: 250, saturation: 0.5 },
-    environmentDark: { hue: 260, saturation: 0.6 }
+    environmentDark: { hue: 260, saturation: 0.6 },
+    mechanics: { travelMultiplier: 0.9, visibility: 600, lightPenalty: 0.25, getLostChance: 10, forageModifier: -2 }
   },
   {
     id: 'veilfall',
@@ -395,7 +429,8 @@ export const FANTASY_WEATHER = [
     tempMax: 20,
     darknessPenalty: 0.1,
     environmentBase: { hue: 180, saturation: 0.4 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 0.75, visibility: 120, lightPenalty: 0.25, getLostChance: 30, forageModifier: -1 }
   },
   {
     id: 'arcane',
@@ -409,7 +444,8 @@ export const FANTASY_WEATHER = [
     tempMax: 28,
     darknessPenalty: -0.05,
     environmentBase: { hue: 50, saturation: 0.8 },
-    environmentDark: null
+    environmentDark: null,
+    mechanics: { travelMultiplier: 1, visibility: null, lightPenalty: 0, getLostChance: 5, forageModifier: 0 }
   }
 ];
 
@@ -450,6 +486,15 @@ export function getAllPresets(customPresets = []) {
   return [...ALL_PRESETS, ...customPresets];
 }
 
+/**
+ * Get the mechanics of a preset or weather state with defaults filled in.
+ * @param {object} [source] - Weather preset or weather state
+ * @returns {{travelMultiplier: number, visibility: number|null, lightPenalty: number, getLostChance: number, forageModifier: number}} Mechanics
+ */
+export function getWeatherMechanics(source) {
+  return { ...MECHANICS_DEFAULTS, ...(source?.mechanics ?? {}) };
+}
+
 /**
  * Get presets by category.
  * @param {string} category - Category ID
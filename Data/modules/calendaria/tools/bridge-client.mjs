@@ -0,0 +1,169 @@
+/**
+ * Calendaria External Bridge - Node Reference Client
+ * Logs into a running Foundry world as a regular user, joins the event stream, prints a
+ * calendar snapshot and then streams dateChanged, timeChanged, weatherChanged, noteTriggered and
+ * calendarSwitched events as JSON lines. Requires Node 18+ and `socket.io-client`
+ * (`npm install socket.io-client`), and "External Bridge" enabled in Calendaria's
+ * module settings with a GM connected to answer requests.
+ *
+ * Usage: node bridge-client.mjs <foundry-url> <user-id> [password]
+ * @module Tools/BridgeClient
+ * @author Tyler
+ */
+
+import { io } from 'socket.io-client';
+
+/** Socket channel the module communicates on. */
+const CHANNEL = 'module.calendaria';
+
+/** Milliseconds to wait for the primary GM to answer a request. */
+const REQUEST_TIMEOUT = 10000;
+
+/** Milliseconds between joins; the GM drops clients that stop re-joining and only publishes while one has joined. */
+const JOIN_INTERVAL = 30000;
+
+/**
+ * Minimal client for the Calendaria external bridge protocol.
+ */
+export class CalendariaBridgeClient {
+  /** @type {import('socket.io-client').Socket|null} Connected socket */
+  #socket = null;
+
+  /** @type {Map<string, {resolve: Function, reject: Function, timer: number}>} Requests awaiting a response */
+  #pending = new Map();
+
+  /** @type {Map<string, Set<Function>>} Event listeners by event name ('*' for all) */
+  #listeners = new Map();
+
+  /** @type {number|null} Timer that re-joins the event stream */
+  #joinTimer = null;
+
+  /**
+   * @param {string} url - Foundry server URL, e.g. http://localhost:30000
+   */
+  constructor(url) {
+    this.url = url.replace(/\/$/, '');
+  }
+
+  /**
+   * Join the world as a user, open the socket and subscribe to events.
+   * @param {string} userId - Foundry user ID (not the user name)
+   * @param {string} [password] - User password
+   * @returns {Promise<void>}
+   */
+  async connect(userId, password = '') {
+    const session = await this.#join(userId, password);
+    this.#socket = io(this.url, { path: '/socket.io', transports: ['websocket'], upgrade: false, query: { session } });
+    this.#socket.on(CHANNEL, (message) => this.#onMessage(message));
+    await new Promise((resolve, reject) => {
+      this.#socket.once('connect', resolve);
+      this.#socket.once('connect_error', reject);
+    });
+    const subscribe = () => this.#socket.emit(CHANNEL, { type: 'bridgeJoin', data: {} });
+    subscribe();
+    this.#joinTimer = setInterval(subscribe, JOIN_INTERVAL);
+  }
+
+  /**
+   * Close the socket.
+   */
+  disconnect() {
+    clearInterval(this.#joinTimer);
+    this.#joinTimer = null;
+    this.#socket?.emit(CHANNEL, { type: 'bridgeLeave', data: {} });
+    this.#socket?.disconnect();
+    for (const { reject, timer } of this.#pending.values()) {
+      clearTimeout(timer);
+      reject(new Error('Disconnected'));
+    }
+    this.#pending.clear();
+  }
+
+  /**
+   * Ask the primary GM for read-only data.
+   * @param {'snapshot'|'date'|'weather'|'notes'} query - Query name
+   * @param {object} [params] - Query parameters, e.g. {year, month, day} for notes
+   * @returns {Promise<object>} Query result
+   */
+  request(query, params = {}) {
+    if (!this.#socket) return Promise.reject(new Error('Not connected'));
+    const requestId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.#pending.delete(requestId);
+        reject(new Error(`No response to ${query}; is a GM connected with the External Bridge enabled?`));
+      }, REQUEST_TIMEOUT);
+      this.#pending.set(requestId, { resolve, reject, timer });
+      this.#socket.emit(CHANNEL, { type: 'bridgeRequest', data: { requestId, query, params } });
+    });
+  }
+
+  /**
+   * Listen for a bridge event.
+   * @param {string} event - Event name, or '*' for every event
+   * @param {Function} callback - Called with (payload, message)
+   * @returns {Function} Function that removes the listener
+   */
+  on(event, callback) {
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(callback);
+    return () => this.#listeners.get(event)?.delete(callback);
+  }
+
+  /**
+   * Obtain a session cookie and join the world with it.
+   * @param {string} userId - Foundry user ID
+   * @param {string} password - User password
+   * @returns {Promise<string>} Session ID
+   * @private
+   */
+  async #join(userId, password) {
+    const page = await fetch(`${this.url}/join`, { redirect: 'manual' });
+    const session = /session=([^;]+)/.exec(page.headers.get('set-cookie') ?? '')?.[1];
+    if (!session) throw new Error('Server did not issue a session; is a world running?');
+    const response = await fetch(`${this.url}/join`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: `session=${session}` },
+      body: JSON.stringify({ action: 'join', userid: userId, password })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (result.status !== 'success') throw new Error(`Join failed: ${result.message ?? response.statusText}`);
+    return session;
+  }
+
+  /**
+   * Route a module socket message.
+   * @param {{type: string, data: object}} message - Socket message
+   * @private
+   */
+  #onMessage({ type, data } = {}) {
+    if (type === 'bridgeResponse') {
+      const pending = this.#pending.get(data?.requestId);
+      if (!pending) return;
+      this.#pending.delete(data.requestId);
+      clearTimeout(pending.timer);
+      if (data.ok) pending.resolve(data.result);
+      else pending.reject(new Error(data.error));
+      return;
+    }
+    if (type !== 'bridgeEvent') return;
+    for (const key of [data.event, '*']) for (const callback of this.#listeners.get(key) ?? []) callback(data.payload, data);
+  }
+}
+
+/* Run as a script: print a snapshot, then stream events until interrupted. */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [url, userId, password] = process.argv.slice(2);
+  if (!url || !userId) {
+    console.error('Usage: node bridge-client.mjs <foundry-url> <user-id> [password]');
+    process.exit(1);
+  }
+  const client = new CalendariaBridgeClient(url);
+  await client.connect(userId, password);
+  console.log(JSON.stringify({ event: 'snapshot', payload: await client.request('snapshot') }));
+  client.on('*', (_payload, message) => console.log(JSON.stringify(message)));
+  process.on('SIGINT', () => {
+    client.disconnect();
+    process.exit(0);
+  });
+}
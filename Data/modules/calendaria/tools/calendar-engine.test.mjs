@@ -0,0 +1,208 @@
+/**
+ * Calendar Engine Tests
+ * Checks the headless date math against every bundled calendar: world time round-trips
+ * across year and leap-year boundaries, leap-year day counts, weekday progression and
+ * moon phases, plus known dates for the Gregorian, Harptos, Greyhawk 364 and Golarion calendars.
+ *
+ * Usage: node --test tools/
+ * @module Tools/CalendarEngineTest
+ * @author Tyler
+ */
+
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import CalendarEngine from '../scripts/calendar/calendar-engine.mjs';
+
+/** Directory holding the bundled calendar definitions. */
+const CALENDARS_DIR = new URL('../calendars/', import.meta.url);
+
+/** Bundled calendar IDs. */
+const CALENDAR_IDS = readdirSync(CALENDARS_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => file.slice(0, -5));
+
+/**
+ * Build an engine over a bundled calendar.
+ * @param {string} id - Calendar ID (file name without extension)
+ * @returns {CalendarEngine} Engine over the calendar
+ */
+function loadEngine(id) {
+  return new CalendarEngine(JSON.parse(readFileSync(new URL(`${id}.json`, CALENDARS_DIR), 'utf8')));
+}
+
+/**
+ * Get the length of a day in seconds.
+ * @param {CalendarEngine} engine - Calendar engine
+ * @returns {number} Seconds per day
+ */
+function secondsPerDay(engine) {
+  const days = engine.data.days ?? {};
+  return (days.hoursPerDay ?? 24) * (days.minutesPerHour ?? 60) * (days.secondsPerMinute ?? 60);
+}
+
+/**
+ * Get the internal years to test: the years around the epoch and around the first leap year.
+ * @param {CalendarEngine} engine - Calendar engine
+ * @returns {number[]} Internal years in ascending order
+ */
+function sampleYears(engine) {
+  const years = new Set([-2, -1, 0, 1]);
+  const leapYear = firstLeapYear(engine);
+  if (leapYear != null) for (const year of [leapYear - 1, leapYear, leapYear + 1]) years.add(year);
+  return [...years].sort((a, b) => a - b);
+}
+
+/**
+ * Find the first leap year at or after the epoch.
+ * @param {CalendarEngine} engine - Calendar engine
+ * @returns {number|null} Internal year, or null if none within 400 years
+ */
+function firstLeapYear(engine) {
+  for (let year = 0; year < 400; year++) if (engine.isLeapYear(year)) return year;
+  return null;
+}
+
+/**
+ * Whether a date counts toward the weekday cycle.
+ * @param {CalendarEngine} engine - Calendar engine
+ * @param {object} components - Date components
+ * @returns {boolean} False for intercalary months and festivals outside the week
+ */
+function countsForWeekday(engine, components) {
+  if (engine.monthsArray[components.month]?.type === 'intercalary') return false;
+  return engine.findFestivalDay(components)?.countsForWeekday !== false;
+}
+
+/**
+ * Convert a display year to an internal year.
+ * @param {CalendarEngine} engine - Calendar engine
+ * @param {number} year - Display year
+ * @returns {number} Internal year
+ */
+function internalYear(engine, year) {
+  return year - (engine.data.years?.yearZero ?? 0);
+}
+
+describe('CalendarEngine', () => {
+  for (const id of CALENDAR_IDS) {
+    describe(id, () => {
+      const engine = loadEngine(id);
+      const dayLength = secondsPerDay(engine);
+
+      it('passes validation', () => {
+        assert.deepEqual(engine.validate(), []);
+      });
+
+      it('round-trips every day across year and leap-year boundaries', () => {
+        for (const year of sampleYears(engine)) {
+          const start = engine.componentsToTime({ year });
+          const days = engine.getDaysInYear(year);
+          for (let day = 0; day < days; day++) {
+            const components = engine.timeToComponents(start + day * dayLength + dayLength - 1);
+            assert.equal(components.year, year, `${id}: day ${day} of year ${year}`);
+            assert.equal(engine.dayOfYear(components), day, `${id}: day ${day} of year ${year}`);
+            assert.equal(engine.componentsToTime(components), start + day * dayLength + dayLength - 1, `${id}: day ${day} of year ${year}`);
+          }
+          const next = engine.timeToComponents(start + days * dayLength);
+          assert.deepEqual([next.year, engine.dayOfYear(next)], [year + 1, 0], `${id}: first day after year ${year}`);
+        }
+      });
+
+      it('counts days in leap and regular years', () => {
+        const leapDelta = engine.isMonthless ? 1 : engine.monthsArray.reduce((sum, month) => sum + (month.leapDays != null ? month.leapDays - month.days : 0), 0);
+        const regularDays = engine.getDaysInYear(sampleYears(engine).find((year) => !engine.isLeapYear(year)));
+        for (const year of sampleYears(engine)) {
+          const days = engine.getDaysInYear(year);
+          assert.equal(days, engine.isLeapYear(year) ? regularDays + leapDelta : regularDays, `${id}: year ${year}`);
+          assert.equal(engine.componentsToTime({ year: year + 1 }) - engine.componentsToTime({ year }), days * dayLength, `${id}: year ${year}`);
+          if (!engine.isMonthless) assert.equal(engine.monthsArray.reduce((sum, _month, index) => sum + engine.getDaysInMonth(index, year), 0), days, `${id}: year ${year}`);
+        }
+      });
+
+      it('advances the weekday by one on each counting day', () => {
+        const years = sampleYears(engine);
+        let time = engine.componentsToTime({ year: years[0] });
+        const end = engine.componentsToTime({ year: years.at(-1) + 1 });
+        let previous = null;
+        for (; time < end; time += dayLength) {
+          const components = engine.timeToComponents(time);
+          if (!countsForWeekday(engine, components)) continue;
+          const weekday = engine.dayOfWeek(components);
+          assert.ok(weekday >= 0 && weekday < engine.daysInWeek, `${id}: weekday ${weekday} out of range`);
+          if (previous != null) assert.equal(weekday, (previous + 1) % engine.daysInWeek, `${id}: ${JSON.stringify(components)}`);
+          previous = weekday;
+        }
+      });
+
+      it('cycles moon phases from the reference date', () => {
+        engine.moonsArray.forEach((moon, index) => {
+          const phaseCount = Object.keys(moon.phases ?? {}).length || 8;
+          const referencePhase = moon.referencePhase ?? 0;
+          const ref = moon.referenceDate;
+          const referenceTime = ref ? engine.componentsToTime({ year: ref.year, month: ref.month, dayOfMonth: (ref.day || 1) - 1 }) : 0;
+          const phaseAt = (days) => engine.getMoonPhase(index, referenceTime + (days - (moon.cycleDayAdjust ?? 0)) * dayLength).phaseIndex;
+          assert.equal(phaseAt(0), referencePhase, `${id}: ${moon.name} at reference date`);
+          assert.equal(phaseAt(Math.round(moon.cycleLength / 2)), (referencePhase + phaseCount / 2) % phaseCount, `${id}: ${moon.name} half a cycle later`);
+          assert.equal(phaseAt(Math.ceil(moon.cycleLength)), referencePhase, `${id}: ${moon.name} one cycle later`);
+        });
+      });
+    });
+  }
+
+  describe('known dates', () => {
+    it('gregorian leap years', () => {
+      const engine = loadEngine('gregorian');
+      for (const [year, days] of [[1900, 365], [2000, 366], [2023, 365], [2024, 366], [2100, 365]]) assert.equal(engine.getDaysInYear(internalYear(engine, year)), days, `${year}`);
+    });
+
+    it('gregorian weekdays', () => {
+      const engine = loadEngine('gregorian');
+      const weekday = (year, month, day) => engine.dayOfWeek({ year: internalYear(engine, year), month: month - 1, dayOfMonth: day - 1 });
+      assert.equal(weekday(1969, 12, 31), 3);
+      assert.equal(weekday(1970, 1, 1), 4);
+      assert.equal(weekday(2000, 1, 1), 6);
+      assert.equal(weekday(2024, 2, 29), 4);
+      assert.equal(weekday(2024, 3, 1), 5);
+    });
+
+    it('gregorian moon phases after the 29 January 2025 new moon', () => {
+      const engine = loadEngine('gregorian');
+      // Moon reference dates are stored as internal years, so these dates use 2025 unshifted
+      const phase = (dayOfMonth) => engine.getMoonPhase(0, { year: 2025, month: 1, dayOfMonth: dayOfMonth - 1 }).name;
+      assert.equal(engine.getMoonPhase(0, { year: 2025, month: 0, dayOfMonth: 28 }).name, 'CALENDARIA.MoonPhase.NewMoon');
+      assert.equal(phase(5), 'CALENDARIA.MoonPhase.FirstQuarter');
+      assert.equal(phase(13), 'CALENDARIA.MoonPhase.FullMoon');
+      assert.equal(phase(20), 'CALENDARIA.MoonPhase.LastQuarter');
+    });
+
+    it('harptos Shieldmeet and tendays', () => {
+      const engine = loadEngine('harptos');
+      for (const [year, days, flamerule] of [[1372, 366, 32], [1373, 365, 31]]) {
+        const internal = internalYear(engine, year);
+        assert.equal(engine.getDaysInYear(internal), days, `${year}`);
+        assert.equal(engine.getDaysInMonth(6, internal), flamerule, `${year}`);
+        for (let month = 0; month < 12; month++) assert.equal(engine.dayOfWeek({ year: internal, month, dayOfMonth: 0 }), 0, `${year} month ${month + 1}`);
+      }
+      assert.equal(engine.findFestivalDay({ year: internalYear(engine, 1372), month: 6, dayOfMonth: 31 })?.name, 'Shieldmeet');
+    });
+
+    it('greyhawk 364 Mummergin on the 4th of Needfest with the old 0-based and current 1-based month', () => {
+      const engine = loadEngine('greyhawk-364');
+      const baseline = structuredClone(engine.data);
+      baseline.festivals.mummergin0000000.month = 0;
+      for (const calendar of [engine, new CalendarEngine(baseline)]) {
+        const month = calendar.data.festivals.mummergin0000000.month;
+        const days = [];
+        for (let dayOfMonth = 0; dayOfMonth < calendar.getDaysInMonth(0, 0); dayOfMonth++) if (calendar.findFestivalDay({ year: 0, month: 0, dayOfMonth })?.name === 'Mummergin') days.push(dayOfMonth + 1);
+        assert.deepEqual(days, [4], `month ${month}`);
+        assert.equal(calendar.dayOfWeek({ year: 0, month: 1, dayOfMonth: 0 }), engine.dayOfWeek({ year: 0, month: 1, dayOfMonth: 0 }), `month ${month}`);
+      }
+    });
+
+    it('golarion leap years', () => {
+      const engine = loadEngine('golarion');
+      for (const [year, calistril] of [[4720, 29], [4721, 28], [4724, 29]]) assert.equal(engine.getDaysInMonth(1, internalYear(engine, year)), calistril, `${year}`);
+    });
+  });
+});